@@ -3,7 +3,200 @@
  * @fileoverview Functions for fetching data from GitLab's API
  */
 
-import { pagination } from '../config/constants.js';
+import { pagination, retryPolicy } from '../config/constants.js';
+import { getAccessToken } from '../core/storage.js';
+import { isImmutableRef, withPersistentCache } from '../core/cache.js';
+import { getGitLabBaseUrl } from '../core/instances.js';
+import { mapWithConcurrency, parseLfsPointer } from '../utils/helpers.js';
+
+/**
+ * Builds the headers sent with every GitLab API request.
+ * Adds the PRIVATE-TOKEN header when an access token is configured for the current host,
+ * otherwise the request relies on the session cookie.
+ * @param {boolean} [withToken=true] - False for web routes outside /api/v4, which must not receive the token
+ * @returns {Promise<Object<string, string>>} Request headers
+ */
+export async function buildRequestHeaders(withToken = true) {
+    const headers = { 'Accept': 'application/json' };
+    const token = withToken ? await getAccessToken(window.location.host) : null;
+
+    if (token) {
+        headers['PRIVATE-TOKEN'] = token;
+    }
+
+    return headers;
+}
+
+/**
+ * Creates an Error carrying the HTTP status of a failed response
+ * @param {Response} response - The failed fetch response
+ * @param {string} [message] - Error message (defaults to a generic API error)
+ * @returns {Error} Error with a `status` property
+ */
+function createApiError(response, message = `API error (${response.status}): ${response.statusText}`) {
+    const error = new Error(message);
+    error.status = response.status;
+    return error;
+}
+
+/** @type {number} Timestamp (ms) until which the instance asked us to stop sending requests */
+let rateLimitedUntil = 0;
+
+/**
+ * Waits for the given amount of time
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} [signal=null] - Rejects early with an AbortError when aborted
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+/**
+ * Returns true if the error comes from an aborted request (navigation, file switch...)
+ * Callers use it to drop the result silently instead of rendering an error.
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Returns true if a failed response is worth retrying (rate limiting or transient server error).
+ * Requests that are not idempotent are only retried when rate limited, as the server
+ * may have processed them before failing.
+ * @param {number} status - HTTP status code
+ * @param {boolean} [idempotent=true] - Whether sending the request twice is harmless
+ * @returns {boolean}
+ */
+function isRetryableStatus(status, idempotent = true) {
+    return status === 429 || (idempotent && [500, 502, 503, 504].includes(status));
+}
+
+/**
+ * Computes how long to wait before retrying a request.
+ * Server hints (Retry-After, RateLimit-Reset) take precedence over exponential backoff.
+ * @param {Response|null} response - The failed response (null on network errors)
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(response, attempt) {
+    const retryAfter = response?.headers.get('Retry-After');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!isNaN(seconds)) {
+            return seconds * 1000;
+        }
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    const rateLimitReset = response?.status === 429 && response.headers.get('RateLimit-Reset');
+    if (rateLimitReset) {
+        return Math.max(0, Number(rateLimitReset) * 1000 - Date.now());
+    }
+
+    return Math.min(retryPolicy.maxDelay, retryPolicy.baseDelay * 2 ** attempt);
+}
+
+/**
+ * Records the rate limit state advertised by a response so that the next
+ * request waits for the window to reset instead of hitting a 429.
+ * @param {Response} response - Any API response
+ */
+function trackRateLimit(response) {
+    const remaining = response.headers.get('RateLimit-Remaining');
+    const reset = response.headers.get('RateLimit-Reset');
+
+    if (remaining === '0' && reset) {
+        rateLimitedUntil = Math.max(rateLimitedUntil, Number(reset) * 1000);
+    }
+}
+
+/**
+ * Central request layer for GitLab calls.
+ * Sends the authentication headers, waits when the rate limit is exhausted, and retries
+ * 429, transient 5xx and network errors with exponential backoff (only 429 for other methods than GET).
+ * @param {string} url - URL to fetch
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object<string, string>} [options.headers={}] - Additional headers
+ * @param {string|null} [options.body=null] - Request body
+ * @param {Function|null} [options.onRetry=null] - Called with {attempt, maxRetries, delay, status}
+ *   before waiting for a retry (status is null on network errors)
+ * @param {AbortSignal|null} [options.signal=null] - Cancels the request and any pending retry
+ * @param {boolean} [options.withToken=true] - Sends the access token; false for non-API web routes
+ * @returns {Promise<Response>} The successful response
+ * @throws {Error} When the request fails with a non-retryable status or retries are exhausted,
+ *   or an AbortError when the signal is aborted
+ */
+export async function apiRequest(url, { method = 'GET', headers = {}, body = null, onRetry = null, signal = null, withToken = true } = {}) {
+    const requestHeaders = { ...(await buildRequestHeaders(withToken)), ...headers };
+    const idempotent = method === 'GET';
+
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+
+        const throttle = rateLimitedUntil - Date.now();
+        if (throttle > 0) {
+            if (onRetry) {
+                onRetry({ attempt, maxRetries: retryPolicy.maxRetries, delay: throttle, status: 429 });
+            }
+            await wait(throttle, signal);
+        }
+
+        let response = null;
+        try {
+            response = await fetch(url, { method, headers: requestHeaders, body, signal });
+        } catch (error) {
+            if (isAbortError(error) || !idempotent || attempt >= retryPolicy.maxRetries) {
+                throw error;
+            }
+        }
+
+        if (response) {
+            trackRateLimit(response);
+
+            if (response.ok) {
+                return response;
+            }
+
+            if (!isRetryableStatus(response.status, idempotent) || attempt >= retryPolicy.maxRetries) {
+                throw createApiError(response);
+            }
+        }
+
+        const delay = getRetryDelay(response, attempt);
+        if (onRetry) {
+            onRetry({ attempt: attempt + 1, maxRetries: retryPolicy.maxRetries, delay, status: response ? response.status : null });
+        }
+        await wait(delay, signal);
+    }
+}
+
+/**
+ * Formats a retry notification for the progress callback
+ * @param {string} label - What is being loaded (e.g. "page 3")
+ * @param {{attempt: number, maxRetries: number, delay: number, status: number|null}} retry - Retry info
+ * @returns {string} Human readable progress message
+ */
+function formatRetryMessage(label, { attempt, maxRetries, delay, status }) {
+    const reason = status === 429 ? 'rate limited' : status ? `error ${status}` : 'network error';
+    return `Loading ${label}: ${reason}, retry ${attempt}/${maxRetries} in ${Math.ceil(delay / 1000)}s...`;
+}
 
 /**
  * Builds the API URL based on project information and page type
@@ -12,6 +205,8 @@ import { pagination } from '../config/constants.js';
  * @param {string|null} projectInfo.commitSha - Commit SHA for commit pages
  * @param {string|null} projectInfo.sourceBranch - Source branch for compare pages
  * @param {string|null} projectInfo.targetBranch - Target branch for compare pages
+ * @param {boolean} [projectInfo.straight] - Compare the two refs directly instead of from their merge base
+ * @param {string|null} [projectInfo.fromProjectId] - Project holding the target branch, for cross-project compares
  * @param {boolean} projectInfo.isCommitPage - Whether it's a commit page
  * @param {boolean} projectInfo.isComparePage - Whether it's a compare page
  * @param {boolean} projectInfo.isBranchHistoryPage - Whether it's a branch history page
@@ -21,7 +216,7 @@ import { pagination } from '../config/constants.js';
  * @returns {string|null} The constructed API URL or null if invalid
  */
 export function buildApiUrl(projectInfo, page = 1, perPage = pagination.perPage, specificCommitSha = null) {
-    const gitlabBaseUrl = window.location.origin;
+    const gitlabBaseUrl = getGitLabBaseUrl();
     const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
 
     if (projectInfo.isCommitPage) {
@@ -29,7 +224,9 @@ export function buildApiUrl(projectInfo, page = 1, perPage = pagination.perPage,
     } else if (projectInfo.isComparePage) {
         const encodedFrom = encodeURIComponent(projectInfo.targetBranch);
         const encodedTo = encodeURIComponent(projectInfo.sourceBranch);
-        return `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/compare?from=${encodedFrom}&to=${encodedTo}&page=${page}&per_page=${perPage}`;
+        const straightParam = projectInfo.straight ? '&straight=true' : '';
+        const fromProjectParam = projectInfo.fromProjectId ? `&from_project_id=${encodeURIComponent(projectInfo.fromProjectId)}` : '';
+        return `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/compare?from=${encodedFrom}&to=${encodedTo}${straightParam}${fromProjectParam}&page=${page}&per_page=${perPage}`;
     } else if (projectInfo.isBranchHistoryPage && specificCommitSha) {
         return `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/commits/${specificCommitSha}/diff?page=${page}&per_page=${perPage}`;
     }
@@ -40,84 +237,484 @@ export function buildApiUrl(projectInfo, page = 1, perPage = pagination.perPage,
 /**
  * Fetches a single page of data from the API
  * @param {string} apiUrl - The API URL to fetch
- * @returns {Promise<{data: Object|Array, nextPage: string|null}>} Promise with data and next page info
- * @throws {Error} When the API request fails
+ * @param {Function|null} [onRetry=null] - Retry notification callback (see apiRequest)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<{data: Object|Array, nextPage: string|null, totalPages: number|null}>} Promise with data and pagination info
+ * @throws {Error} When the API request fails (the error carries the HTTP `status`)
  */
-export async function fetchSinglePage(apiUrl) {
-    const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: { 'Accept': 'application/json' }
-    });
-
-    if (!response.ok) {
-        throw new Error(`API error (${response.status}): ${response.statusText}`);
-    }
+export async function fetchSinglePage(apiUrl, onRetry = null, signal = null) {
+    const response = await apiRequest(apiUrl, { onRetry, signal });
 
     const nextPage = response.headers.get('X-Next-Page');
+    const totalPagesHeader = parseInt(response.headers.get('X-Total-Pages'), 10);
+    const totalPages = isNaN(totalPagesHeader) ? null : totalPagesHeader;
     const data = await response.json();
 
-    return { data, nextPage };
+    return { data, nextPage, totalPages };
 }
 
 /**
- * Fetches all files with automatic pagination
+ * Fetches every page of a paginated endpoint.
+ * When the first response advertises X-Total-Pages, the remaining pages are fetched
+ * concurrently (bounded by pagination.concurrency) and concatenated in page order.
+ * Otherwise (keyset pagination, or totals omitted on large collections) pages are
+ * walked sequentially through X-Next-Page.
+ * @param {Function} buildPageUrl - Returns the URL of a given page number
+ * @param {Function} extractItems - Extracts the items array from a page payload
+ * @param {Function|null} [progressCallback=null] - Optional callback for progress updates
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling every page request
+ * @returns {Promise<Array>} All items, in page order
+ * @throws {Error} When API requests fail
+ */
+async function fetchAllPages(buildPageUrl, extractItems, progressCallback = null, signal = null) {
+    const fetchPage = (page) => {
+        const onRetry = progressCallback
+            ? (retry) => progressCallback(formatRetryMessage(`page ${page}`, retry))
+            : null;
+        return fetchSinglePage(buildPageUrl(page), onRetry, signal);
+    };
+
+    if (progressCallback) {
+        progressCallback('Loading page 1...');
+    }
+
+    const firstPage = await fetchPage(1);
+    const firstItems = extractItems(firstPage.data);
+
+    if (firstPage.totalPages && firstPage.totalPages > 1) {
+        const remainingPages = [];
+        for (let page = 2; page <= firstPage.totalPages; page++) {
+            remainingPages.push(page);
+        }
+
+        let loadedPages = 1;
+        const pageItems = await mapWithConcurrency(remainingPages, pagination.concurrency, async (page) => {
+            const { data } = await fetchPage(page);
+            loadedPages++;
+            if (progressCallback) {
+                progressCallback(`Loading pages (${loadedPages}/${firstPage.totalPages})...`);
+            }
+            return extractItems(data);
+        });
+
+        return firstItems.concat(...pageItems);
+    }
+
+    let allItems = firstItems;
+    let nextPage = firstPage.nextPage;
+
+    while (nextPage && nextPage !== '') {
+        const currentPageNum = parseInt(nextPage, 10);
+        if (progressCallback) {
+            progressCallback(`Loading page ${currentPageNum}...`);
+        }
+
+        const response = await fetchPage(currentPageNum);
+        const currentItems = extractItems(response.data);
+
+        if (currentItems.length === 0) {
+            break;
+        }
+
+        allItems = allItems.concat(currentItems);
+        nextPage = response.nextPage;
+    }
+
+    return allItems;
+}
+
+/**
+ * Returns the persistent cache key of a diff listing, or null if it may still change
+ * (branch names, abbreviated SHAs...)
+ * @param {Object} projectInfo - Project information object
+ * @param {string|null} specificCommitSha - Specific commit SHA override
+ * @returns {string|null}
+ */
+function getDiffCacheKey(projectInfo, specificCommitSha) {
+    if (projectInfo.isComparePage) {
+        const { targetBranch, sourceBranch, fromProjectId } = projectInfo;
+        const fromProject = fromProjectId ? `${fromProjectId}:` : '';
+        return isImmutableRef(targetBranch) && isImmutableRef(sourceBranch)
+            ? `compare:${projectInfo.projectPath}:${fromProject}${targetBranch}${projectInfo.straight ? '..' : '...'}${sourceBranch}`
+            : null;
+    }
+
+    const sha = specificCommitSha || projectInfo.commitSha;
+    return isImmutableRef(sha) ? `diff:${projectInfo.projectPath}@${sha}` : null;
+}
+
+/**
+ * Fetches all files with automatic pagination.
+ * Each page goes through the retrying request layer, so a transient failure on page N
+ * is retried in place without discarding the pages already downloaded.
+ * Diffs of a full commit SHA, or between two full SHAs, are kept in the persistent cache.
  * @param {Object} projectInfo - Project information object
  * @param {Function} [progressCallback] - Optional callback for progress updates
  * @param {string|null} [specificCommitSha=null] - Specific commit SHA override
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the load (e.g. on SPA navigation)
  * @returns {Promise<Array>} Promise resolving to all fetched files
  * @throws {Error} When API requests fail
  */
-export async function fetchAllFilesWithPagination(projectInfo, progressCallback, specificCommitSha = null) {
-    let allFiles = [];
-    let currentPageNum = 1;
-    let hasMorePages = true;
+export async function fetchAllFilesWithPagination(projectInfo, progressCallback, specificCommitSha = null, signal = null) {
+    if (!buildApiUrl(projectInfo, 1, pagination.perPage, specificCommitSha)) {
+        throw new Error("Unable to construct API URL.");
+    }
 
-    while (hasMorePages) {
-        const apiUrl = buildApiUrl(projectInfo, currentPageNum, pagination.perPage, specificCommitSha);
-        if (!apiUrl) {
-            throw new Error("Unable to construct API URL.");
+    const extractFiles = (apiData) => {
+        if ((projectInfo.isCommitPage || projectInfo.isBranchHistoryPage) && Array.isArray(apiData)) {
+            return apiData;
+        } else if (projectInfo.isComparePage && apiData && Array.isArray(apiData.diffs)) {
+            return apiData.diffs;
         }
+        return [];
+    };
+
+    return withPersistentCache(getDiffCacheKey(projectInfo, specificCommitSha), () => fetchAllPages(
+        (page) => buildApiUrl(projectInfo, page, pagination.perPage, specificCommitSha),
+        extractFiles,
+        progressCallback,
+        signal
+    ));
+}
+
+/**
+ * Fetches a single commit (used to find its parent)
+ * @param {Object} projectInfo - Project information object
+ * @param {string} sha - Commit SHA or ref
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<{id: string, parent_ids: string[]}>} Commit data
+ * @throws {Error} When the API request fails
+ */
+export async function fetchCommit(projectInfo, sha, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/commits/${encodeURIComponent(sha)}`;
 
+    return withPersistentCache(isImmutableRef(sha) ? `commit:${projectInfo.projectPath}@${sha}` : null, async () => {
+        const response = await apiRequest(apiUrl, { signal });
+        return response.json();
+    });
+}
+
+/**
+ * Fetches a commit with its live metadata: latest pipeline and signature.
+ * Unlike fetchCommit the result is never cached, both can change after the push.
+ * @param {Object} projectInfo - Project information object
+ * @param {string} sha - Commit SHA
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the requests
+ * @returns {Promise<Object>} Commit from the single-commit API, with a `signature` field
+ * (`{signature_type, verification_status}`, null when the commit is not signed)
+ * @throws {Error} When an API request fails
+ */
+export async function fetchCommitDetails(projectInfo, sha, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const commitUrl = `${gitlabBaseUrl}/api/v4/projects/${encodeURIComponent(projectInfo.projectPath)}/repository/commits/${encodeURIComponent(sha)}`;
+
+    const requestSignature = async () => {
         try {
-            if (progressCallback) {
-                progressCallback(`Loading page ${currentPageNum}...`);
+            const response = await apiRequest(`${commitUrl}/signature`, { signal });
+            return await response.json();
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
             }
+            throw error;
+        }
+    };
 
-            const response = await fetchSinglePage(apiUrl);
-            let currentFiles = [];
-            const apiData = response.data;
+    const [commit, signature] = await Promise.all([
+        apiRequest(commitUrl, { signal }).then(response => response.json()),
+        requestSignature()
+    ]);
 
-            if ((projectInfo.isCommitPage || projectInfo.isBranchHistoryPage) && Array.isArray(apiData)) {
-                currentFiles = apiData;
-            } else if (projectInfo.isComparePage && apiData && Array.isArray(apiData.diffs)) {
-                currentFiles = apiData.diffs;
-            } else if (projectInfo.isComparePage && apiData && !apiData.diffs) {
-                currentFiles = [];
-            }
+    return { ...commit, signature };
+}
 
-            if (currentFiles.length > 0) {
-                allFiles = allFiles.concat(currentFiles);
-            }
+/** @type {number} Maximum number of renames followed by fetchFileHistory */
+const MAX_FOLLOWED_RENAMES = 10;
 
-            const nextPageHeaderVal = response.nextPage;
-            if (nextPageHeaderVal && nextPageHeaderVal !== "") {
-                currentPageNum = parseInt(nextPageHeaderVal);
-                hasMorePages = true;
-            } else {
-                hasMorePages = false;
-            }
+/**
+ * Fetches the commits that touched a file, newest first, following renames:
+ * when the oldest commit found renamed the file, the history goes on with its
+ * previous path from the parent commit.
+ * @param {Object} projectInfo - Project information object
+ * @param {string} filePath - Path of the file at `ref`
+ * @param {string} ref - Git reference the history starts from
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the requests
+ * @returns {Promise<Array<Object>>} Commits from the commits API, each with the `path` of the file in that commit
+ * @throws {Error} When an API request fails
+ */
+export async function fetchFileHistory(projectInfo, filePath, ref, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const history = [];
+    let path = filePath;
+    let currentRef = ref;
+
+    for (let renames = 0; currentRef && renames <= MAX_FOLLOWED_RENAMES; renames++) {
+        const pathParam = encodeURIComponent(path);
+        const refParam = encodeURIComponent(currentRef);
+        const commits = await fetchAllPages(
+            (page) => `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/commits?ref_name=${refParam}&path=${pathParam}&per_page=${pagination.perPage}&page=${page}`,
+            (data) => (Array.isArray(data) ? data : []),
+            null,
+            signal
+        );
+        commits.forEach(commit => history.push({ ...commit, path }));
+
+        const oldest = commits[commits.length - 1];
+        if (!oldest) {
+            break;
+        }
 
-            if (currentFiles.length === 0 && nextPageHeaderVal && nextPageHeaderVal !== "") {
-                hasMorePages = false;
-            }
+        const diffs = await fetchCommitDiffs(projectInfo, oldest.id, signal);
+        const rename = diffs.find(diff => diff.renamed_file && diff.new_path === path);
+        if (!rename) {
+            break;
+        }
 
-        } catch (error) {
-            hasMorePages = false;
+        path = rename.old_path;
+        currentRef = oldest.parent_ids && oldest.parent_ids[0];
+    }
+
+    return history;
+}
+
+/**
+ * Fetches the raw diffs of a single commit, whatever the current page type
+ * @param {Object} projectInfo - Project information object
+ * @param {string} sha - Commit SHA
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the requests
+ * @returns {Promise<Array<Object>>} Diffs of the commit
+ * @throws {Error} When an API request fails
+ */
+export async function fetchCommitDiffs(projectInfo, sha, signal = null) {
+    const commitProjectInfo = {
+        ...projectInfo,
+        isCommitPage: true,
+        isComparePage: false,
+        isBranchHistoryPage: false,
+        commitSha: sha
+    };
+
+    return fetchAllFilesWithPagination(commitProjectInfo, null, null, signal);
+}
+
+/**
+ * Fetches a project by path or numeric ID
+ * @param {string|number} projectRef - Project path (e.g. "group/project") or numeric ID
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<{id: number, path_with_namespace: string}>} Project data
+ * @throws {Error} When the API request fails
+ */
+export async function fetchProject(projectRef, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodeURIComponent(projectRef)}`;
+
+    const response = await apiRequest(apiUrl, { signal });
+    return response.json();
+}
+
+/**
+ * Resolves both projects of a cross-project compare (`?from_project_id=` in the URL)
+ * @param {Object} projectInfo - Project information object
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the requests
+ * @returns {Promise<{projectId: string, fromProjectId: string, fromProjectPath: string}|{}>}
+ *   Fields to merge into projectInfo, or an empty object for a same-project compare
+ * @throws {Error} When the API request fails
+ */
+export async function fetchCompareProjects(projectInfo, signal = null) {
+    if (!projectInfo.isComparePage || !projectInfo.fromProjectId) {
+        return {};
+    }
+
+    const [project, fromProject] = await Promise.all([
+        fetchProject(projectInfo.projectPath, signal),
+        fetchProject(projectInfo.fromProjectId, signal)
+    ]);
+
+    return {
+        projectId: String(project.id),
+        fromProjectId: String(fromProject.id),
+        fromProjectPath: fromProject.path_with_namespace
+    };
+}
+
+/**
+ * Fetches the merge base (common ancestor) of two refs
+ * @param {Object} projectInfo - Project information object
+ * @param {string} fromRef - First ref
+ * @param {string} toRef - Second ref
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<{id: string}>} Merge base commit
+ * @throws {Error} When the API request fails
+ */
+export async function fetchMergeBase(projectInfo, fromRef, toRef, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const refsParams = `refs[]=${encodeURIComponent(fromRef)}&refs[]=${encodeURIComponent(toRef)}`;
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/merge_base?${refsParams}`;
+    const cacheKey = isImmutableRef(fromRef) && isImmutableRef(toRef)
+        ? `merge_base:${projectInfo.projectPath}:${fromRef}...${toRef}`
+        : null;
+
+    return withPersistentCache(cacheKey, async () => {
+        const response = await apiRequest(apiUrl, { signal });
+        return response.json();
+    });
+}
+
+/**
+ * Fetches the diff versions of a merge request (one per push), newest first
+ * @param {Object} projectInfo - Project information object (with mergeRequestIid)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<Array<{id: number, head_commit_sha: string, base_commit_sha: string, start_commit_sha: string, created_at: string}>>}
+ * @throws {Error} When the API request fails
+ */
+export async function fetchMergeRequestVersions(projectInfo, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/merge_requests/${projectInfo.mergeRequestIid}/versions`;
+
+    const response = await apiRequest(apiUrl, { signal });
+    const versions = await response.json();
+    return Array.isArray(versions) ? versions : [];
+}
+
+/**
+ * Fetches the file diffs of one merge request version.
+ * A version is pinned to its base and head SHAs, so its diffs are kept in the persistent cache.
+ * @param {Object} projectInfo - Project information object (with mergeRequestIid)
+ * @param {{id: number, head_commit_sha: string, base_commit_sha: string}} version - Version from fetchMergeRequestVersions
+ * @param {Function|null} [progressCallback=null] - Optional callback for progress updates
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<Array>} Diffs, in the same shape as the commit diff API
+ * @throws {Error} When the API request fails
+ */
+export async function fetchMergeRequestDiffs(projectInfo, version, progressCallback = null, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/merge_requests/${projectInfo.mergeRequestIid}/versions/${version.id}`;
+    const cacheKey = isImmutableRef(version.base_commit_sha) && isImmutableRef(version.head_commit_sha)
+        ? `merge_request:${projectInfo.projectPath}:${version.base_commit_sha}...${version.head_commit_sha}`
+        : null;
+    const onRetry = progressCallback
+        ? (retry) => progressCallback(formatRetryMessage('merge request diffs', retry))
+        : null;
+
+    return withPersistentCache(cacheKey, async () => {
+        const response = await apiRequest(apiUrl, { onRetry, signal });
+        const data = await response.json();
+        return Array.isArray(data.diffs) ? data.diffs : [];
+    });
+}
+
+/**
+ * Fetches the discussions of a merge request on MR pages, of a commit otherwise.
+ * Never cached: comments keep coming after the push.
+ * @param {Object} projectInfo - Project information object
+ * @param {string} sha - Commit SHA (ignored on merge request pages)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the requests
+ * @returns {Promise<Array<{id: string, individual_note: boolean, notes: Array<Object>}>>} Discussions,
+ * empty when they cannot be read
+ * @throws {Error} Only when the requests are aborted
+ */
+export async function fetchDiscussions(projectInfo, sha, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const discussionsUrl = projectInfo.isMergeRequestPage
+        ? `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/merge_requests/${projectInfo.mergeRequestIid}/discussions`
+        : `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/commits/${encodeURIComponent(sha)}/discussions`;
+
+    try {
+        return await fetchAllPages(
+            (page) => `${discussionsUrl}?per_page=${pagination.perPage}&page=${page}`,
+            (data) => (Array.isArray(data) ? data : []),
+            null,
+            signal
+        );
+    } catch (error) {
+        if (isAbortError(error)) {
             throw error;
         }
+        return [];
     }
+}
+
+/**
+ * Sends a JSON body to the API. Session-cookie authentication needs the CSRF token
+ * of the GitLab page for anything else than GET.
+ * @param {string} apiUrl - API URL
+ * @param {Object} payload - Request body
+ * @param {AbortSignal|null} signal - Signal cancelling the request
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} When the API request fails
+ */
+async function postJson(apiUrl, payload, signal) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content;
+    const response = await apiRequest(apiUrl, {
+        method: 'POST',
+        signal,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(csrfToken && { 'X-CSRF-Token': csrfToken })
+        },
+        body: JSON.stringify(payload)
+    });
+
+    return response.json();
+}
+
+/**
+ * Posts a line comment on a commit through the commit comments API.
+ * The API anchors a comment on a single line.
+ * @param {Object} projectInfo - Project information object
+ * @param {string} sha - Commit SHA
+ * @param {string} filePath - Path of the commented file
+ * @param {number} line - Commented line number
+ * @param {'new'|'old'} lineType - Side of the diff the line number refers to
+ * @param {string} note - Comment (Markdown)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<{note: string, author: Object, created_at: string, path: string, line: number, line_type: string}>}
+ * @throws {Error} When the API request fails
+ */
+export async function postCommitComment(projectInfo, sha, filePath, line, lineType, note, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/commits/${encodeURIComponent(sha)}/comments`;
+
+    return postJson(apiUrl, { note, path: filePath, line, line_type: lineType }, signal);
+}
+
+/**
+ * Starts a merge request discussion on diff lines
+ * @param {Object} projectInfo - Project information object (with mergeRequestIid)
+ * @param {string} body - Comment (Markdown)
+ * @param {Object} position - Diff position (see the GitLab discussions API)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<{id: string, notes: Array<Object>}>} Created discussion
+ * @throws {Error} When the API request fails
+ */
+export async function postMergeRequestDiscussion(projectInfo, body, position, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/merge_requests/${projectInfo.mergeRequestIid}/discussions`;
 
-    return allFiles;
+    return postJson(apiUrl, { body, position }, signal);
+}
+
+/**
+ * Renders GitLab Flavored Markdown in the context of the project
+ * @param {Object} projectInfo - Project information object
+ * @param {string} text - Markdown source
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<string>} HTML, sanitized by GitLab like on its own pages
+ * @throws {Error} When the API request fails
+ */
+export async function renderMarkdown(projectInfo, text, signal = null) {
+    const apiUrl = `${getGitLabBaseUrl()}/api/v4/markdown`;
+    const { html } = await postJson(apiUrl, { text, gfm: true, project: projectInfo.projectPath }, signal);
+    return html;
 }
 
 /**
@@ -125,68 +722,186 @@ export async function fetchAllFilesWithPagination(projectInfo, progressCallback,
  * @param {Object} projectInfo - Project information object
  * @param {string} [path=''] - Directory path to list (empty string for root)
  * @param {string} ref - Git reference (branch name or commit SHA)
+ * @param {Function} [progressCallback] - Optional callback for progress updates
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the load (e.g. on SPA navigation)
  * @returns {Promise<Array>} Promise resolving to all tree items
  * @throws {Error} When API requests fail
  */
-export async function fetchRepositoryTree(projectInfo, path = '', ref) {
-    const gitlabBaseUrl = window.location.origin;
+export async function fetchRepositoryTree(projectInfo, path = '', ref, progressCallback = null, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
     const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
     const encodedRef = encodeURIComponent(ref);
     const pathParam = path ? `&path=${encodeURIComponent(path)}` : '';
 
-    let allItems = [];
-    let currentPage = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-        const url = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/tree?ref=${encodedRef}${pathParam}&recursive=true&per_page=100&page=${currentPage}`;
-        const { data, nextPage } = await fetchSinglePage(url);
-
-        if (Array.isArray(data)) {
-            allItems = allItems.concat(data);
-        }
-
-        if (nextPage && nextPage !== '') {
-            currentPage = parseInt(nextPage);
-        } else {
-            hasMore = false;
-        }
-    }
-
-    return allItems;
+    return fetchAllPages(
+        (page) => `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/tree?ref=${encodedRef}${pathParam}&recursive=true&per_page=${pagination.perPage}&page=${page}`,
+        (data) => (Array.isArray(data) ? data : []),
+        progressCallback,
+        signal
+    );
 }
 
 /**
- * Fetches the full content of a file from the GitLab API
+ * Fetches the full content of a file from the GitLab API.
+ * Git LFS pointer files are resolved to the object they point to.
+ * Contents at a full commit SHA are kept in the persistent cache, except Git LFS objects.
  * @param {Object} projectInfo - Project information object
  * @param {string} filePath - Path of the file to fetch
  * @param {string} ref - Git reference (commit SHA or branch name)
  * @param {boolean} [skipDecode=false] - If true, returns raw base64 content without decoding
- * @returns {Promise<{content: string, encoding: string, size: number, file_name: string}>}
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request (e.g. when switching files)
+ * @returns {Promise<{content: string, encoding: string, size: number, file_name: string, lfs: {oid: string, size: number}|null}>}
+ * @throws {Error} When the API request fails
+ */
+export async function fetchFileContent(projectInfo, filePath, ref, skipDecode = false, signal = null) {
+    const cacheKey = isImmutableRef(ref)
+        ? `file:${projectInfo.projectPath}:${filePath}@${ref}${skipDecode ? ':base64' : ''}`
+        : null;
+
+    return withPersistentCache(
+        cacheKey,
+        () => requestFileContent(projectInfo, filePath, ref, skipDecode, signal),
+        file => !file.lfs
+    );
+}
+
+/**
+ * Reads the size of a file without downloading it (HEAD request on the repository files API)
+ * @param {Object} projectInfo - Project information object
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} ref - Git reference (commit SHA or branch name)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<number|null>} Size in bytes, or null when the instance does not report it
  * @throws {Error} When the API request fails
  */
-export async function fetchFileContent(projectInfo, filePath, ref, skipDecode = false) {
-    const gitlabBaseUrl = window.location.origin;
+export async function fetchFileSize(projectInfo, filePath, ref, signal = null) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
     const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
     const encodedFilePath = encodeURIComponent(filePath);
     const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/files/${encodedFilePath}?ref=${encodeURIComponent(ref)}`;
 
-    const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: { 'Accept': 'application/json' }
+    const response = await apiRequest(apiUrl, { method: 'HEAD', signal });
+    const size = response.headers.get('X-Gitlab-Size');
+    return size === null ? null : Number(size);
+}
+
+/**
+ * Fetches the blame of a file: consecutive line ranges with the commit that last changed them.
+ * Blames at a full commit SHA are kept in the persistent cache.
+ * @param {Object} projectInfo - Project information object
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} ref - Git reference (commit SHA or branch name)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<Array<{commit: {id: string, author_name: string, authored_date: string, message: string}, lines: string[]}>>}
+ * @throws {Error} When the API request fails
+ */
+export async function fetchFileBlame(projectInfo, filePath, ref, signal = null) {
+    const cacheKey = isImmutableRef(ref) ? `blame:${projectInfo.projectPath}:${filePath}@${ref}` : null;
+
+    return withPersistentCache(cacheKey, async () => {
+        const gitlabBaseUrl = getGitLabBaseUrl();
+        const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+        const encodedFilePath = encodeURIComponent(filePath);
+        const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/files/${encodedFilePath}/blame?ref=${encodeURIComponent(ref)}`;
+
+        const response = await apiRequest(apiUrl, { signal });
+        return response.json();
     });
+}
+
+/**
+ * Fetches the root .gitattributes of the repository
+ * @param {Object} projectInfo - Project information object
+ * @param {string} ref - Git reference (commit SHA or branch name)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request
+ * @returns {Promise<string>} Content of .gitattributes, empty when missing or unreadable
+ * @throws {Error} Only when the request is aborted
+ */
+export async function fetchGitattributes(projectInfo, ref, signal = null) {
+    try {
+        const { content } = await fetchFileContent(projectInfo, '.gitattributes', ref, false, signal);
+        return content;
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        return '';
+    }
+}
+
+/** @type {string[]} Locations of the CODEOWNERS file, in the order GitLab looks them up */
+const CODEOWNERS_PATHS = ['CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS'];
+
+/**
+ * Fetches the CODEOWNERS file of the repository: the first one found at the root,
+ * in docs/ or in .gitlab/, like GitLab
+ * @param {Object} projectInfo - Project information object
+ * @param {string} ref - Git reference (commit SHA or branch name)
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the requests
+ * @returns {Promise<string>} Content of CODEOWNERS, empty when missing or unreadable
+ * @throws {Error} Only when the request is aborted
+ */
+export async function fetchCodeowners(projectInfo, ref, signal = null) {
+    const contents = await Promise.all(CODEOWNERS_PATHS.map(async (path) => {
+        try {
+            const { content } = await fetchFileContent(projectInfo, path, ref, false, signal);
+            return content;
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            return '';
+        }
+    }));
 
-    if (!response.ok) {
-        if (response.status === 404) {
-            throw new Error('File not found or deleted');
-        } else if (response.status === 413) {
-            throw new Error('File too large');
+    return contents.find(Boolean) || '';
+}
+
+/** @type {number} Maximum size of a Git LFS pointer file, in bytes */
+const LFS_POINTER_MAX_SIZE = 1024;
+
+/**
+ * Requests a file from the repository files API (see fetchFileContent)
+ * @param {Object} projectInfo - Project information object
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} ref - Git reference (branch, tag, or commit SHA)
+ * @param {boolean} skipDecode - If true, returns raw base64 content without decoding
+ * @param {AbortSignal|null} signal - Signal cancelling the request
+ * @returns {Promise<{content: string, encoding: string, size: number, file_name: string, lfs: {oid: string, size: number}|null}>}
+ */
+async function requestFileContent(projectInfo, filePath, ref, skipDecode, signal) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const encodedFilePath = encodeURIComponent(filePath);
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/files/${encodedFilePath}?ref=${encodeURIComponent(ref)}`;
+
+    let response;
+    try {
+        response = await apiRequest(apiUrl, { signal });
+    } catch (error) {
+        if (error.status === 404) {
+            error.message = 'File not found or deleted';
+        } else if (error.status === 413) {
+            error.message = 'File too large';
         }
-        throw new Error(`API error (${response.status}): ${response.statusText}`);
+        throw error;
     }
 
     const data = await response.json();
-    
+
+    const lfs = data.encoding === 'base64' && data.size <= LFS_POINTER_MAX_SIZE
+        ? parseLfsPointer(atob(data.content))
+        : null;
+    if (lfs) {
+        return {
+            content: await requestLfsObject(projectInfo, filePath, ref, skipDecode, signal),
+            encoding: skipDecode ? 'base64' : 'text',
+            size: lfs.size,
+            file_name: data.file_name,
+            lfs
+        };
+    }
+
     let decodedContent = data.content;
     if (data.encoding === 'base64' && !skipDecode) {
         const blob = await fetch(`data:application/octet-stream;base64,${data.content}`).then(r => r.blob());
@@ -197,39 +912,78 @@ export async function fetchFileContent(projectInfo, filePath, ref, skipDecode =
         content: decodedContent,
         encoding: data.encoding,
         size: data.size,
-        file_name: data.file_name
+        file_name: data.file_name,
+        lfs: null
     };
 }
 
+/**
+ * Requests the Git LFS object behind a pointer file (raw endpoint with lfs=true)
+ * @param {Object} projectInfo - Project information object
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} ref - Git reference (branch, tag, or commit SHA)
+ * @param {boolean} skipDecode - If true, returns the content base64-encoded instead of as text
+ * @param {AbortSignal|null} signal - Signal cancelling the request
+ * @returns {Promise<string>} Content of the LFS object
+ */
+async function requestLfsObject(projectInfo, filePath, ref, skipDecode, signal) {
+    const gitlabBaseUrl = getGitLabBaseUrl();
+    const encodedProjectPath = encodeURIComponent(projectInfo.projectPath);
+    const encodedFilePath = encodeURIComponent(filePath);
+    const apiUrl = `${gitlabBaseUrl}/api/v4/projects/${encodedProjectPath}/repository/files/${encodedFilePath}/raw?ref=${encodeURIComponent(ref)}&lfs=true`;
+
+    const response = await apiRequest(apiUrl, { headers: { 'Accept': '*/*' }, signal });
+    const buffer = await response.arrayBuffer();
+
+    return skipDecode ? arrayBufferToBase64(buffer) : new TextDecoder().decode(buffer);
+}
+
+/**
+ * Encodes binary data as base64, in chunks to stay below the argument limit of String.fromCharCode
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string} Base64-encoded data
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+}
+
 /**
  * Fetches diff content for a specific file in compare view using diff_for_path endpoint
  * @param {Object} projectInfo - Project information object
  * @param {string} filePath - Path of the file
  * @param {string} oldPath - Old path of the file (for renamed files)
  * @param {string} [fileStatus='modified'] - Status of the file
+ * @param {AbortSignal|null} [signal=null] - Signal cancelling the request (e.g. when switching files)
  * @returns {Promise<{html: string}>} HTML diff content
  * @throws {Error} When the API request fails or endpoint doesn't exist
  */
-export async function fetchDiffForPath(projectInfo, filePath, oldPath, fileStatus = 'modified') {
+export async function fetchDiffForPath(projectInfo, filePath, oldPath, fileStatus = 'modified', signal = null) {
     if (!projectInfo.isComparePage) {
         throw new Error('diff_for_path is only available on compare pages');
     }
 
-    const gitlabBaseUrl = window.location.origin;
+    const gitlabBaseUrl = getGitLabBaseUrl();
     
     const isNewFile = fileStatus === 'added';
     const fileIdentifier = `${filePath}-${isNewFile ? 'true' : 'false'}-false-false`;
     
-    const urlParams = new URLSearchParams(window.location.search);
-    const fromProjectId = urlParams.get('from_project_id') || projectInfo.projectId || '';
-    
+    const fromProjectId = projectInfo.fromProjectId || projectInfo.projectId || '';
+
     const params = new URLSearchParams({
         file_identifier: fileIdentifier,
         from: projectInfo.targetBranch,
         from_project_id: fromProjectId,
         new_path: filePath,
         old_path: oldPath,
-        straight: 'false',
+        straight: projectInfo.straight ? 'true' : 'false',
         to: projectInfo.sourceBranch
     });
 
@@ -237,20 +991,21 @@ export async function fetchDiffForPath(projectInfo, filePath, oldPath, fileStatu
     
     const apiUrl = `${gitlabBaseUrl}/${projectInfo.projectPath}/-/compare/diff_for_path?${params.toString()}`;
 
-    const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-            'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest',
-            ...(csrfToken && { 'X-CSRF-Token': csrfToken })
-        }
-    });
-
-    if (!response.ok) {
-        if (response.status === 404) {
-            throw new Error('Diff endpoint not available for this file');
+    let response;
+    try {
+        response = await apiRequest(apiUrl, {
+            signal,
+            withToken: false,
+            headers: {
+                'X-Requested-With': 'XMLHttpRequest',
+                ...(csrfToken && { 'X-CSRF-Token': csrfToken })
+            }
+        });
+    } catch (error) {
+        if (error.status === 404) {
+            error.message = 'Diff endpoint not available for this file';
         }
-        throw new Error(`API error (${response.status}): ${response.statusText}`);
+        throw error;
     }
 
     return await response.json();
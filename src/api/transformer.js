@@ -3,13 +3,32 @@
  * @fileoverview Functions for processing raw API responses and building tree structures
  */
 
+import { fileModes } from '../config/constants.js';
 import { parseFileStats } from '../utils/helpers.js';
+import { parseGitattributes, getPathAttributes, parseCodeowners, getPathCodeOwners } from '../utils/gitlab.js';
+
+/**
+ * Reads the old and new pinned commits from a submodule diff
+ * ("-Subproject commit <sha>" / "+Subproject commit <sha>")
+ * @param {string|undefined} diffText - Raw diff of the submodule entry
+ * @returns {{old_sha: string|null, new_sha: string|null}}
+ */
+function parseSubmoduleDiff(diffText) {
+    const oldMatch = (diffText || '').match(/^-Subproject commit ([0-9a-f]+)/m);
+    const newMatch = (diffText || '').match(/^\+Subproject commit ([0-9a-f]+)/m);
+
+    return {
+        old_sha: oldMatch ? oldMatch[1] : null,
+        new_sha: newMatch ? newMatch[1] : null
+    };
+}
 
 /**
  * Processes raw API response into structured file data
  * @param {Object|Array} diffData - Raw diff data from API
  * @param {boolean} [isComparePage=false] - Whether this is compare page data
  * @param {string|null} [ref=null] - Git reference for this data
+ * @param {string|null} [baseRef=null] - Git reference of the old side, when already known
  * @returns {Array<{
  *   path: string,
  *   old_path: string,
@@ -17,10 +36,18 @@ import { parseFileStats } from '../utils/helpers.js';
  *   status: string,
  *   diff_content: string,
  *   has_diff_content: boolean,
- *   ref: string|null
+ *   ref: string|null,
+ *   base_ref: string|null,
+ *   submodule: {old_sha: string|null, new_sha: string|null}|null,
+ *   a_mode: string|null,
+ *   b_mode: string|null,
+ *   generated: boolean,
+ *   vendored: boolean,
+ *   discussions: Array<Object>,
+ *   code_owners: Array<{section: string, owners: string[]}>
  * }>} Processed file data array
  */
-export function processFilesFromApiResponse(diffData, isComparePage = false, ref = null) {
+export function processFilesFromApiResponse(diffData, isComparePage = false, ref = null, baseRef = null) {
     const fileData = [];
 
     if (!diffData) {
@@ -42,6 +69,7 @@ export function processFilesFromApiResponse(diffData, isComparePage = false, ref
                         : 'modified';
 
             const hasDiff = Boolean(diff.diff && diff.diff.trim());
+            const isSubmodule = diff.a_mode === fileModes.submodule || diff.b_mode === fileModes.submodule;
 
             fileData.push({
                 path: diff.new_path || diff.old_path,
@@ -50,7 +78,15 @@ export function processFilesFromApiResponse(diffData, isComparePage = false, ref
                 status: status,
                 diff_content: diff.diff,
                 has_diff_content: hasDiff,
-                ref: ref
+                ref: ref,
+                base_ref: baseRef,
+                submodule: isSubmodule ? parseSubmoduleDiff(diff.diff) : null,
+                a_mode: diff.a_mode || null,
+                b_mode: diff.b_mode || null,
+                generated: Boolean(diff.generated_file),
+                vendored: false,
+                discussions: [],
+                code_owners: []
             });
         }
     });
@@ -59,7 +95,8 @@ export function processFilesFromApiResponse(diffData, isComparePage = false, ref
 }
 
 /**
- * Processes raw repository tree API response into structured file data
+ * Processes raw repository tree API response into structured file data.
+ * Submodules (`type: 'commit'`) are kept with the commit they are pinned to.
  * @param {Array<{id: string, name: string, type: string, path: string, mode: string}>} items - Raw tree items from API
  * @param {string} ref - Git reference (branch name or commit SHA)
  * @returns {Array<{
@@ -69,12 +106,19 @@ export function processFilesFromApiResponse(diffData, isComparePage = false, ref
  *   status: null,
  *   diff_content: null,
  *   has_diff_content: boolean,
- *   ref: string
+ *   ref: string,
+ *   submodule: {old_sha: null, new_sha: string}|null,
+ *   a_mode: null,
+ *   b_mode: string|null,
+ *   generated: boolean,
+ *   vendored: boolean,
+ *   discussions: Array<Object>,
+ *   code_owners: Array<{section: string, owners: string[]}>
  * }>} Processed file data array
  */
 export function processFilesFromTreeApi(items, ref) {
     return items
-        .filter(item => item.type === 'blob')
+        .filter(item => item.type === 'blob' || item.type === 'commit')
         .map((item, index) => ({
             path: item.path,
             old_path: item.path,
@@ -82,10 +126,97 @@ export function processFilesFromTreeApi(items, ref) {
             status: null,
             diff_content: null,
             has_diff_content: false,
-            ref: ref
+            ref: ref,
+            submodule: item.type === 'commit' ? { old_sha: null, new_sha: item.id } : null,
+            a_mode: null,
+            b_mode: item.mode || null,
+            generated: false,
+            vendored: false,
+            discussions: [],
+            code_owners: []
         }));
 }
 
+/**
+ * Marks generated and vendored files from the repository .gitattributes
+ * (linguist-generated, gitlab-generated, linguist-vendored).
+ * An explicit attribute overrides the generated_file flag reported by GitLab.
+ * @param {Array<Object>} files - Processed file data, updated in place
+ * @param {string|null} gitattributesContent - Content of the root .gitattributes, if any
+ * @returns {Array<Object>} The same files
+ */
+export function markGeneratedFiles(files, gitattributesContent) {
+    const rules = parseGitattributes(gitattributesContent);
+    if (rules.length === 0) {
+        return files;
+    }
+
+    files.forEach(file => {
+        const attributes = getPathAttributes(rules, file.path);
+        const generated = attributes['linguist-generated'] ?? attributes['gitlab-generated'];
+
+        if (generated !== undefined) {
+            file.generated = generated;
+        }
+        if (attributes['linguist-vendored'] !== undefined) {
+            file.vendored = attributes['linguist-vendored'];
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Sets the code owners of each file from the repository CODEOWNERS
+ * @param {Array<Object>} files - Processed file data, updated in place
+ * @param {string|null} codeownersContent - Content of CODEOWNERS, if any
+ * @returns {Array<Object>} The same files
+ */
+export function markCodeOwners(files, codeownersContent) {
+    const sections = parseCodeowners(codeownersContent);
+    if (sections.length === 0) {
+        return files;
+    }
+
+    files.forEach(file => {
+        file.code_owners = getPathCodeOwners(sections, file.path);
+    });
+
+    return files;
+}
+
+/**
+ * Attaches the line-level discussions (diff notes) to the files they were made on.
+ * System notes are dropped; general and file-level discussions are ignored.
+ * @param {Array<Object>} files - Processed file data, updated in place
+ * @param {Array<{id: string, notes: Array<Object>}>} discussions - Discussions from fetchDiscussions
+ * @param {string|null} [headSha=null] - Head commit of the shown diff; on merge requests, discussions
+ * positioned on another head are outdated and left out
+ * @returns {Array<Object>} The same files
+ */
+export function attachDiscussions(files, discussions, headSha = null) {
+    const filesByPath = new Map(files.map(file => [file.path, file]));
+
+    discussions.forEach(discussion => {
+        const notes = (discussion.notes || []).filter(note => !note.system);
+        const position = notes.length > 0 ? notes[0].position : null;
+
+        if (!position || position.position_type !== 'text' || (!position.new_line && !position.old_line)) {
+            return;
+        }
+        if (headSha && position.head_sha && position.head_sha !== headSha) {
+            return;
+        }
+
+        const file = filesByPath.get(position.new_path) || filesByPath.get(position.old_path);
+        if (file) {
+            file.discussions.push({ id: discussion.id, position, notes });
+        }
+    });
+
+    return files;
+}
+
 /**
  * Builds a tree structure from a flat list of files
  * @param {Array<{
@@ -95,9 +226,19 @@ export function processFilesFromTreeApi(items, ref) {
  *   status: string,
  *   diff_content: string,
  *   has_diff_content: boolean,
- *   ref: string|null
+ *   ref: string|null,
+ *   base_ref: string|null,
+ *   submodule: Object|null,
+ *   a_mode: string|null,
+ *   b_mode: string|null,
+ *   generated: boolean,
+ *   vendored: boolean,
+ *   discussions: Array<Object>,
+ *   code_owners: Array<{section: string, owners: string[]}>
  * }>} files - Array of file objects
- * @returns {Object} Tree structure with nested folders and files
+ * @returns {Object} Tree structure with nested folders, files and submodules.
+ * Generated and vendored files are left out of the folder stats. Every node lists in `owners`
+ * the code owners of its files.
  */
 export function buildFileTree(files) {
     const root = {
@@ -105,7 +246,8 @@ export function buildFileTree(files) {
         type: 'folder',
         children: {},
         status: null,
-        stats: { additions: 0, deletions: 0 }
+        stats: { additions: 0, deletions: 0 },
+        owners: []
     };
 
     files.forEach(file => {
@@ -116,10 +258,13 @@ export function buildFileTree(files) {
             const isFile = i === parts.length - 1;
 
             if (isFile) {
-                const stats = parseFileStats(file.diff_content);
+                // A submodule bump is a pointer change, not line changes
+                const stats = file.submodule
+                    ? { additions: 0, deletions: 0 }
+                    : parseFileStats(file.diff_content);
                 currentNode.children[part] = {
                     name: part,
-                    type: 'file',
+                    type: file.submodule ? 'submodule' : 'file',
                     path: file.path,
                     old_path: file.old_path,
                     diff_index: file.diff_index,
@@ -127,10 +272,22 @@ export function buildFileTree(files) {
                     diff_content: file.diff_content,
                     has_diff_content: file.has_diff_content,
                     stats: stats,
-                    ref: file.ref
+                    ref: file.ref,
+                    base_ref: file.base_ref,
+                    submodule: file.submodule || null,
+                    a_mode: file.a_mode || null,
+                    b_mode: file.b_mode || null,
+                    generated: Boolean(file.generated),
+                    vendored: Boolean(file.vendored),
+                    discussions: file.discussions || [],
+                    code_owners: file.code_owners || [],
+                    owners: getOwners(file)
                 };
 
-                propagateStats(root, file.path, stats);
+                if (!file.generated && !file.vendored) {
+                    propagateStats(root, file.path, stats);
+                }
+                propagateOwners(root, file.path, getOwners(file));
             } else {
                 if (!currentNode.children[part]) {
                     currentNode.children[part] = {
@@ -138,7 +295,8 @@ export function buildFileTree(files) {
                         type: 'folder',
                         children: {},
                         status: null,
-                        stats: { additions: 0, deletions: 0 }
+                        stats: { additions: 0, deletions: 0 },
+                        owners: []
                     };
                 }
 
@@ -217,3 +375,73 @@ function propagateStats(root, filePath, stats) {
         }
     }
 }
+
+/**
+ * Lists the code owners of a file across its CODEOWNERS sections
+ * @param {{code_owners?: Array<{section: string, owners: string[]}>}} file - File data
+ * @returns {string[]} Owners, without duplicates
+ */
+function getOwners(file) {
+    return [...new Set((file.code_owners || []).flatMap(entry => entry.owners))];
+}
+
+/**
+ * Adds the code owners of a file to the root and the folders above it
+ * @param {Object} root - Root node of the tree
+ * @param {string} filePath - Path of the file
+ * @param {string[]} owners - Owners of the file
+ */
+function propagateOwners(root, filePath, owners) {
+    const parts = filePath.split('/');
+    const addOwners = (node) => {
+        owners.forEach(owner => {
+            if (!node.owners.includes(owner)) {
+                node.owners.push(owner);
+            }
+        });
+    };
+
+    let currentNode = root;
+    addOwners(currentNode);
+
+    for (let i = 0; i < parts.length - 1; i++) {
+        currentNode = currentNode.children[parts[i]];
+        addOwners(currentNode);
+    }
+}
+
+/** @type {string} Group of the files no CODEOWNERS section matches */
+export const UNOWNED_SECTION = 'Sans propriétaire';
+
+/**
+ * Builds a tree whose top-level folders are the CODEOWNERS sections, each holding the tree
+ * of the files it matches. A file matched by several sections appears in each of them,
+ * with the owners of that section only.
+ * @param {Array<Object>} files - File data (or file nodes), with their code_owners
+ * @returns {Object} Tree structure, like buildFileTree; section folders are flagged `owner_section`
+ */
+export function buildOwnerSectionTree(files) {
+    const filesBySection = new Map();
+    const addFile = (section, file) => {
+        if (!filesBySection.has(section)) {
+            filesBySection.set(section, []);
+        }
+        filesBySection.get(section).push(file);
+    };
+
+    files.forEach(file => {
+        const entries = file.code_owners || [];
+        if (entries.length === 0) {
+            addFile(UNOWNED_SECTION, file);
+        }
+        entries.forEach(entry => addFile(entry.section, { ...file, code_owners: [entry] }));
+    });
+
+    const root = buildFileTree([]);
+    filesBySection.forEach((sectionFiles, section) => {
+        const sectionTree = buildFileTree(sectionFiles);
+        root.children[section] = { ...sectionTree, name: section, owner_section: true };
+    });
+
+    return root;
+}
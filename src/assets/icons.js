@@ -21,5 +21,13 @@ export const icons = {
     maximize: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 640"><path d="M264 96L120 96C106.7 96 96 106.7 96 120L96 264C96 273.7 101.8 282.5 110.8 286.2C119.8 289.9 130.1 287.8 137 281L177 241L256 320L177 399L137 359C130.1 352.1 119.8 350.1 110.8 353.8C101.8 357.5 96 366.3 96 376L96 520C96 533.3 106.7 544 120 544L264 544C273.7 544 282.5 538.2 286.2 529.2C289.9 520.2 287.9 509.9 281 503L241 463L320 384L399 463L359 503C352.1 509.9 350.1 520.2 353.8 529.2C357.5 538.2 366.3 544 376 544L520 544C533.3 544 544 533.3 544 520L544 376C544 366.3 538.2 357.5 529.2 353.8C520.2 350.1 509.9 352.1 503 359L463 399L384 320L463 241L503 281C509.9 287.9 520.2 289.9 529.2 286.2C538.2 282.5 544 273.7 544 264L544 120C544 106.7 533.3 96 520 96L376 96C366.3 96 357.5 101.8 353.8 110.8C350.1 119.8 352.2 130.1 359 137L399 177L320 256L241 177L281 137C287.9 130.1 289.9 119.8 286.2 110.8C282.5 101.8 273.7 96 264 96z"/></svg>`,
     minimize: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 640"><path d="M520 288L376 288C362.7 288 352 277.3 352 264L352 120C352 110.3 357.8 101.5 366.8 97.8C375.8 94.1 386.1 96.2 393 103L433 143L506.4 69.6C510 66 514.9 64 520 64C525.1 64 530 66 533.7 69.7L570.4 106.4C574 110 576 114.9 576 120C576 125.1 574 130 570.3 133.7L497 207L537 247C543.9 253.9 545.9 264.2 542.2 273.2C538.5 282.2 529.7 288 520 288zM520 352C529.7 352 538.5 357.8 542.2 366.8C545.9 375.8 543.9 386.1 537 393L497 433L570.4 506.4C574 510 576.1 514.9 576.1 520.1C576.1 525.3 574.1 530.1 570.4 533.8L533.7 570.5C530 574 525.1 576 520 576C514.9 576 510 574 506.3 570.3L433 497L393 537C386.1 543.9 375.8 545.9 366.8 542.2C357.8 538.5 352 529.7 352 520L352 376C352 362.7 362.7 352 376 352L520 352zM264 352C277.3 352 288 362.7 288 376L288 520C288 529.7 282.2 538.5 273.2 542.2C264.2 545.9 253.9 543.9 247 537L207 497L133.6 570.4C130 574 125.1 576 120 576C114.9 576 110 574 106.3 570.3L69.7 533.7C66 530 64 525.1 64 520C64 514.9 66 510 69.7 506.3L143 433L103 393C96.1 386.1 94.1 375.8 97.8 366.8C101.5 357.8 110.3 352 120 352L264 352zM120 288C110.3 288 101.5 282.2 97.8 273.2C94.1 264.2 96.2 253.9 103 247L143 207L69.7 133.7C66 130 64 125.1 64 120C64 114.9 66 110 69.7 106.3L106.3 69.7C110 66 114.9 64 120 64C125.1 64 130 66 133.7 69.7L207 143L247 103C253.9 96.1 264.2 94.1 273.2 97.8C282.2 101.5 288 110.3 288 120L288 264C288 277.3 277.3 288 264 288L120 288z"/></svg>`,
     viewDiff: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="none"><rect width="14" height="14" x="1" y="1" stroke="#333" rx="1.5" fill="white"/><path stroke="#4ADE80" stroke-linecap="round" stroke-width="1.7" d="M4.5 5.5H8"/><path stroke="#999" stroke-linecap="round" stroke-width="1.7" d="M4.5 8h7"/><path stroke="#F87171" stroke-linecap="round" stroke-width="1.7" d="M4.5 10.5h5"/></svg>`,
-    viewFile: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><path fill-rule="evenodd" clip-rule="evenodd" d="M2.75 1A1.75 1.75 0 0 0 1 2.75v10.5c0 .966.784 1.75 1.75 1.75h10.5A1.75 1.75 0 0 0 15 13.25V5L11 1H2.75Zm-.25 1.75a.25.25 0 0 1 .25-.25h7.25v3.5c0 .414.336.75.75.75h2.75v6.25a.25.25 0 0 1-.25.25H2.75a.25.25 0 0 1-.25-.25V2.75Z"/></svg>`
+    viewFile: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><path fill-rule="evenodd" clip-rule="evenodd" d="M2.75 1A1.75 1.75 0 0 0 1 2.75v10.5c0 .966.784 1.75 1.75 1.75h10.5A1.75 1.75 0 0 0 15 13.25V5L11 1H2.75Zm-.25 1.75a.25.25 0 0 1 .25-.25h7.25v3.5c0 .414.336.75.75.75h2.75v6.25a.25.25 0 0 1-.25.25H2.75a.25.25 0 0 1-.25-.25V2.75Z"/></svg>`,
+    submodule: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M1.75 2A1.75 1.75 0 0 0 0 3.75v8.5C0 13.216.784 14 1.75 14h12.5A1.75 1.75 0 0 0 16 12.25V5.56a1.75 1.75 0 0 0-1.75-1.75H8.643a.25.25 0 0 1-.177-.073L6.879 2.15A1.75 1.75 0 0 0 5.643 1.5H1.75ZM1.5 3.75a.25.25 0 0 1 .25-.25h3.893c.066 0 .13.026.177.073l1.587 1.587A1.75 1.75 0 0 0 8.643 5.31h5.607a.25.25 0 0 1 .25.25v6.69a.25.25 0 0 1-.25.25H1.75a.25.25 0 0 1-.25-.25v-8.5ZM8 10.75a1.75 1.75 0 1 0 0-3.5 1.75 1.75 0 0 0 0 3.5Zm0-1.25a.5.5 0 1 0 0-1 .5.5 0 0 0 0 1ZM3.75 8.375h2v1.25h-2v-1.25Zm6.5 0h2v1.25h-2v-1.25Z"/></svg>`,
+    blame: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M1 2.75A.75.75 0 0 1 1.75 2h3.5a.75.75 0 0 1 0 1.5h-3.5A.75.75 0 0 1 1 2.75Zm7 0A.75.75 0 0 1 8.75 2h5.5a.75.75 0 0 1 0 1.5h-5.5A.75.75 0 0 1 8 2.75Zm0 3.5a.75.75 0 0 1 .75-.75h5.5a.75.75 0 0 1 0 1.5h-5.5A.75.75 0 0 1 8 6.25ZM1 9.75A.75.75 0 0 1 1.75 9h3.5a.75.75 0 0 1 0 1.5h-3.5A.75.75 0 0 1 1 9.75Zm7 0A.75.75 0 0 1 8.75 9h5.5a.75.75 0 0 1 0 1.5h-5.5A.75.75 0 0 1 8 9.75Zm0 3.5a.75.75 0 0 1 .75-.75h5.5a.75.75 0 0 1 0 1.5h-5.5a.75.75 0 0 1-.75-.75Z"/></svg>`,
+    splitView: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M1 2.75C1 1.784 1.784 1 2.75 1h10.5c.966 0 1.75.784 1.75 1.75v10.5A1.75 1.75 0 0 1 13.25 15H2.75A1.75 1.75 0 0 1 1 13.25V2.75Zm1.75-.25a.25.25 0 0 0-.25.25v10.5c0 .138.112.25.25.25h4.5v-11h-4.5Zm6 0v11h4.5a.25.25 0 0 0 .25-.25V2.75a.25.25 0 0 0-.25-.25h-4.5Z"/></svg>`,
+    eye: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M8 3C4.6 3 1.8 5.1.3 7.6a.75.75 0 0 0 0 .8C1.8 10.9 4.6 13 8 13s6.2-2.1 7.7-4.6a.75.75 0 0 0 0-.8C14.2 5.1 11.4 3 8 3ZM1.85 8C3.2 6 5.4 4.5 8 4.5S12.8 6 14.15 8C12.8 10 10.6 11.5 8 11.5S3.2 10 1.85 8ZM8 10a2 2 0 1 0 0-4 2 2 0 0 0 0 4Z"/></svg>`,
+    comment: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M3 2.5A1.5 1.5 0 0 0 1.5 4v6A1.5 1.5 0 0 0 3 11.5h1.25v2.19l2.92-2.04a.75.75 0 0 1 .43-.15H13a1.5 1.5 0 0 0 1.5-1.5V4A1.5 1.5 0 0 0 13 2.5H3ZM0 4a3 3 0 0 1 3-3h10a3 3 0 0 1 3 3v6a3 3 0 0 1-3 3H7.84l-3.66 2.56A.75.75 0 0 1 2.75 15v-2.06A3 3 0 0 1 0 10V4Z"/></svg>`,
+    check: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M13.78 4.22a.75.75 0 0 1 0 1.06l-7.25 7.25a.75.75 0 0 1-1.06 0L2.22 9.28a.75.75 0 0 1 1.06-1.06L6 10.94l6.72-6.72a.75.75 0 0 1 1.06 0Z"/></svg>`,
+    users: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M5.5 3a2 2 0 1 0 0 4 2 2 0 0 0 0-4ZM2 5a3.5 3.5 0 1 1 7 0 3.5 3.5 0 0 1-7 0Zm9-1.5a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3ZM8 5a3 3 0 1 1 6 0 3 3 0 0 1-6 0ZM1.5 13.25c0-1.8 1.7-3.25 4-3.25s4 1.45 4 3.25v.25a.75.75 0 0 0 1.5 0v-.25c0-2.75-2.55-4.75-5.5-4.75S0 10.5 0 13.25v.25a.75.75 0 0 0 1.5 0v-.25Zm9.75-3.5a.75.75 0 0 0 0 1.5c1.65 0 2.75 1 2.75 2.25a.75.75 0 0 0 1.5 0c0-2.2-1.95-3.75-4.25-3.75Z"/></svg>`,
+    trash: `<svg class="gl-icon gl-fill-current" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" clip-rule="evenodd" d="M5.75 3V1.5h4.5V3h-4.5Zm-1.5 0V1a1 1 0 0 1 1-1h5.5a1 1 0 0 1 1 1v2h2.5a.75.75 0 0 1 0 1.5h-.365l-.743 9.653A2 2 0 0 1 11.148 16H4.852a2 2 0 0 1-1.994-1.847L2.115 4.5H1.75a.75.75 0 0 1 0-1.5h2.5Zm-.63 1.5h8.76l-.734 9.538a.5.5 0 0 1-.498.462H4.852a.5.5 0 0 1-.498-.462L3.62 4.5Z"/></svg>`
 };
@@ -0,0 +1,113 @@
+/**
+ * GitLab Commit Tree Background Script
+ * @fileoverview Registers the content script on the self-hosted instances configured in the
+ * options page. Runs as a background page in the Firefox (MV2) build and as a service worker in
+ * the Chromium (MV3) build. Registrations are rebuilt at startup and whenever the instance list
+ * or the granted host permissions change.
+ * It also holds the persistent cache of the content scripts (see core/cache-store.js), emptied
+ * whenever the access tokens change.
+ */
+
+import { storageKeys, persistentCache } from './config/constants.js';
+import { getExtensionApi } from './core/extension.js';
+import { getCustomInstances, getOriginPermission, getInstanceMatchPatterns } from './core/instances.js';
+import { handleCacheMessage, clearStoredCache } from './core/cache-store.js';
+
+/** @type {Object} WebExtension API namespace (`browser` or `chrome`) */
+const api = getExtensionApi();
+
+/** @type {string} Id of the MV3 dynamic content script */
+const CONTENT_SCRIPT_ID = 'custom-instances';
+
+/** @type {Array<{unregister: Function}>} Active MV2 dynamic registrations */
+let registrations = [];
+
+/** @type {Promise<void>} Serializes registration updates */
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Returns the match patterns of the instances whose host permission is granted
+ * @returns {Promise<string[]>}
+ */
+async function getPermittedMatchPatterns() {
+    const instances = await getCustomInstances();
+    const matches = [];
+
+    for (const instanceUrl of instances) {
+        const granted = await api.permissions.contains({ origins: [getOriginPermission(instanceUrl)] });
+        if (granted) {
+            matches.push(...getInstanceMatchPatterns(instanceUrl));
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Replaces the dynamic content scripts with a registration covering every permitted instance.
+ * Uses scripting.registerContentScripts (MV3) when available, contentScripts.register (MV2) otherwise.
+ * @returns {Promise<void>}
+ */
+async function registerInstanceContentScripts() {
+    const matches = await getPermittedMatchPatterns();
+
+    if (api.scripting?.registerContentScripts) {
+        await api.scripting.unregisterContentScripts();
+        if (matches.length > 0) {
+            await api.scripting.registerContentScripts([{
+                id: CONTENT_SCRIPT_ID,
+                matches,
+                js: ['commit-tree.js'],
+                css: ['assets/commit-tree.css'],
+                runAt: 'document_end'
+            }]);
+        }
+        return;
+    }
+
+    await Promise.all(registrations.map(registration => registration.unregister()));
+    registrations = [];
+
+    if (matches.length > 0) {
+        registrations.push(await api.contentScripts.register({
+            matches,
+            js: [{ file: 'commit-tree.js' }],
+            css: [{ file: 'assets/commit-tree.css' }],
+            runAt: 'document_end'
+        }));
+    }
+}
+
+/**
+ * Queues a registration update after the ones already running
+ */
+function scheduleRegistration() {
+    pendingUpdate = pendingUpdate
+        .then(registerInstanceContentScripts)
+        .catch(error => console.error('[Commit Tree]', error));
+}
+
+// Listeners are registered synchronously so that the MV3 service worker is woken up by these events
+api.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[storageKeys.customInstances]) {
+        scheduleRegistration();
+    }
+    if (areaName === 'local' && changes[storageKeys.accessTokens]) {
+        clearStoredCache();
+    }
+});
+
+// Cache requests of the content scripts; answered through sendResponse, which both browsers support
+api.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (sender.id !== api.runtime.id || message?.type !== persistentCache.messageType) {
+        return false;
+    }
+
+    handleCacheMessage(message).then(sendResponse);
+    return true;
+});
+
+api.permissions.onAdded.addListener(scheduleRegistration);
+api.permissions.onRemoved.addListener(scheduleRegistration);
+
+scheduleRegistration();
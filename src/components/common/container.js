@@ -7,6 +7,10 @@ import { icons } from '../../assets/icons.js';
 import { cssClasses } from '../../config/constants.js';
 import { createElement, safeSetHTML } from '../../utils/dom.js';
 import { setupPreviewSearch } from '../preview/search.js';
+import { setAccessToken } from '../../core/storage.js';
+import { clearCache } from '../../core/cache.js';
+import { getGitLabBaseUrl } from '../../core/instances.js';
+import { setupGeneratedToggle, setupViewedFiles, setupCodeOwners, setupDiffLayoutToggle } from '../tree/renderer.js';
 
 /**
  * Creates the main tree view container with toolbar and preview panel
@@ -23,10 +27,12 @@ export function createTreeContainer(title, fileCount) {
 
     const headerRight = createElement('div', { className: 'ct-header-right' });
     const headerCount = createElement('span', { className: 'ct-header-count' }, `${fileCount} fichier(s)`);
+    const viewedCount = createElement('span', { className: `ct-header-count ${cssClasses.viewedCount}` });
     const collapseBtn = createElement('button', {
         className: `${cssClasses.button} ct-btn-icon ct-collapse-btn`,
         title: 'Réduire'
     }, icons.chevronDown);
+    headerRight.appendChild(viewedCount);
     headerRight.appendChild(headerCount);
     headerRight.appendChild(collapseBtn);
 
@@ -57,8 +63,45 @@ export function createTreeContainer(title, fileCount) {
         title: 'Tout replier'
     }, icons.collapseAll);
 
+    const generatedToggleBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon ${cssClasses.generatedToggle}`,
+        title: 'Afficher les fichiers générés'
+    }, icons.eye);
+
+    const viewedToggleBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon ${cssClasses.viewedToggle}`,
+        title: 'Masquer les fichiers vus'
+    }, icons.check);
+
+    const ownerSelect = createElement('select', {
+        className: cssClasses.ownerSelect,
+        title: 'Filtrer par propriétaire (CODEOWNERS)'
+    });
+
+    const ownerGroupBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon ${cssClasses.ownerGroupToggle}`,
+        title: 'Grouper par section CODEOWNERS'
+    }, icons.users);
+
+    const clearCacheBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon ct-clear-cache-btn`,
+        title: 'Vider le cache'
+    }, icons.trash);
+
+    clearCacheBtn.onclick = async () => {
+        clearCacheBtn.disabled = true;
+        await clearCache();
+        clearCacheBtn.disabled = false;
+        clearCacheBtn.title = 'Cache vidé';
+    };
+
     buttonGroup.appendChild(expandAllBtn);
     buttonGroup.appendChild(collapseAllBtn);
+    buttonGroup.appendChild(generatedToggleBtn);
+    buttonGroup.appendChild(viewedToggleBtn);
+    buttonGroup.appendChild(ownerSelect);
+    buttonGroup.appendChild(ownerGroupBtn);
+    buttonGroup.appendChild(clearCacheBtn);
 
     const viewModeGroup = createElement('div', { className: 'ct-button-group ct-view-mode-group' });
 
@@ -72,6 +115,16 @@ export function createTreeContainer(title, fileCount) {
         title: 'Mode fichier complet'
     }, icons.viewFile);
 
+    const viewBlameBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon`,
+        title: 'Mode blame'
+    }, icons.blame);
+
+    const diffLayoutBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon ${cssClasses.diffLayoutToggle}`,
+        title: 'Vue côte à côte'
+    }, icons.splitView);
+
     const fullscreenBtn = createElement('button', {
         className: `${cssClasses.button} ct-btn-icon ct-fullscreen-btn`,
         title: 'Plein écran'
@@ -79,6 +132,8 @@ export function createTreeContainer(title, fileCount) {
 
     viewModeGroup.appendChild(viewDiffBtn);
     viewModeGroup.appendChild(viewFullBtn);
+    viewModeGroup.appendChild(viewBlameBtn);
+    viewModeGroup.appendChild(diffLayoutBtn);
     viewModeGroup.appendChild(fullscreenBtn);
 
     toolbar.appendChild(searchBox);
@@ -92,6 +147,7 @@ export function createTreeContainer(title, fileCount) {
 
     const previewPanel = createElement('div', { className: 'ct-preview-panel' });
     previewPanel._viewMode = 'diff';
+    previewPanel._diffLayout = 'unified';
     const previewPlaceholder = createElement('div', { className: 'ct-preview-placeholder' }, `
         <span class="ct-preview-icon">${icons.file}</span>
         <span class="ct-preview-text">Sélectionnez un fichier pour voir les modifications</span>
@@ -116,13 +172,42 @@ export function createTreeContainer(title, fileCount) {
         previewPanel,
         expandAllBtn,
         collapseAllBtn,
+        generatedToggleBtn,
+        viewedToggleBtn,
+        viewedCount,
+        ownerSelect,
+        ownerGroupBtn,
+        clearCacheBtn,
         viewDiffBtn,
         viewFullBtn,
+        viewBlameBtn,
+        diffLayoutBtn,
         fullscreenBtn,
         collapseBtn
     };
 }
 
+/**
+ * Sets up the file tree features of the toolbar: generated files, viewed files, code owners
+ * and, unless the caller removed its button, the diff layout toggle.
+ * The tree must have been rendered with the same viewed state.
+ * @param {Object} elements - Elements returned by createTreeContainer
+ * @param {Object} fileTree - Root of the file tree
+ * @param {string|null} ref - Specific commit SHA
+ * @param {import('../../core/viewed.js').ViewedFiles|null} viewedFiles - Viewed state, null for trees without one
+ */
+export function setupToolbarFeatures(elements, fileTree, ref, viewedFiles) {
+    const { searchInput, treeView, previewPanel } = elements;
+
+    setupGeneratedToggle(elements.generatedToggleBtn, searchInput, treeView, fileTree, ref, previewPanel);
+    setupViewedFiles(elements.viewedToggleBtn, elements.viewedCount, searchInput, treeView, fileTree, viewedFiles, ref, previewPanel);
+    setupCodeOwners(elements.ownerSelect, elements.ownerGroupBtn, searchInput, treeView, fileTree, ref, previewPanel);
+
+    if (elements.diffLayoutBtn.parentNode) {
+        setupDiffLayoutToggle(elements.diffLayoutBtn, previewPanel);
+    }
+}
+
 /**
  * Sets up the collapse/expand toggle for the panel
  * @param {HTMLElement} collapseBtn - Collapse button element
@@ -188,10 +273,83 @@ export function createLoadingIndicator(message = 'Chargement...') {
 }
 
 /**
- * Creates an error message element
+ * Creates an error message element.
+ * When the original error is an authentication failure (401), a prompt to configure
+ * an access token for the current host is appended below the message.
  * @param {string} message - Error message
+ * @param {Error|null} [error=null] - Original error, used to detect authentication failures
  * @returns {HTMLElement} Error element
  */
-export function createErrorMessage(message) {
-    return createElement('div', { className: cssClasses.error }, message);
+export function createErrorMessage(message, error = null) {
+    const errorEl = createElement('div', { className: cssClasses.error }, message);
+
+    if (error && error.status === 401) {
+        errorEl.appendChild(createTokenPrompt(window.location.host));
+    }
+
+    return errorEl;
+}
+
+/**
+ * Creates the "configure a token" prompt shown on authentication failures
+ * @param {string} host - GitLab host the token applies to
+ * @returns {HTMLElement} Prompt element
+ */
+function createTokenPrompt(host) {
+    const prompt = createElement('div', { className: 'ct-token-prompt' });
+
+    const text = createElement('p', { className: 'ct-token-prompt-text' });
+    text.textContent = `L'API GitLab a refusé l'accès. Configurez un jeton d'accès (scope read_api) pour ${host} :`;
+
+    const tokenLink = createElement('a', {
+        className: 'ct-token-prompt-link',
+        href: `${getGitLabBaseUrl()}/-/user_settings/personal_access_tokens?name=GitLab+Commit+Tree&scopes=read_api`,
+        target: '_blank',
+        rel: 'noopener noreferrer'
+    });
+    tokenLink.textContent = 'Créer un jeton';
+
+    const form = createElement('div', { className: 'ct-token-prompt-form' });
+    const input = createElement('input', {
+        className: 'ct-token-prompt-input',
+        type: 'password',
+        placeholder: 'glpat-…',
+        autocomplete: 'off'
+    });
+    const saveBtn = createElement('button', {
+        className: `${cssClasses.button} ct-token-prompt-btn`
+    }, 'Enregistrer le jeton');
+    const errorText = createElement('p', { className: 'ct-token-prompt-error' });
+
+    saveBtn.onclick = async () => {
+        const token = input.value.trim();
+        if (!token) {
+            input.focus();
+            return;
+        }
+
+        saveBtn.disabled = true;
+        errorText.textContent = '';
+        try {
+            await setAccessToken(host, token);
+        } catch (error) {
+            errorText.textContent = `Erreur lors de l'enregistrement du jeton: ${error.message}`;
+            saveBtn.disabled = false;
+            return;
+        }
+
+        const confirmation = createElement('p', { className: 'ct-token-prompt-text' });
+        confirmation.textContent = 'Jeton enregistré. Relancez le chargement pour l\'utiliser.';
+        prompt.replaceChildren(confirmation);
+    };
+
+    form.appendChild(input);
+    form.appendChild(saveBtn);
+
+    prompt.appendChild(text);
+    prompt.appendChild(form);
+    prompt.appendChild(errorText);
+    prompt.appendChild(tokenLink);
+
+    return prompt;
 }
@@ -6,8 +6,23 @@
 import { cssClasses } from '../../config/constants.js';
 import { createElement } from '../../utils/dom.js';
 import { navigateToFile } from '../../utils/gitlab.js';
+import { getProjectInfo } from '../../core/context.js';
 import { toggleDiffView } from '../preview/diff-renderer.js';
 
+/**
+ * Marks a tree item as the selected one of its tree
+ * @param {HTMLElement} item - Tree item element
+ */
+function selectTreeItem(item) {
+    const treeContainer = item.closest(`.${cssClasses.tree}`);
+    if (treeContainer) {
+        treeContainer.querySelectorAll(`.${cssClasses.treeItem}`).forEach(el => {
+            el.classList.remove('ct-selected');
+        });
+    }
+    item.classList.add('ct-selected');
+}
+
 /**
  * Shows a context menu for a file
  * @param {MouseEvent} event - The context menu event
@@ -26,7 +41,7 @@ export function showContextMenu(event, child, item, specificCommitSha, previewPa
 
     const viewItem = createElement('div', { className: 'ct-menu-item' }, 'Voir le fichier');
     viewItem.onclick = () => {
-        navigateToFile(child.path, null, child.ref || specificCommitSha);
+        navigateToFile(child.path, getProjectInfo(), child.ref || specificCommitSha, child.status);
         contextMenu.remove();
     };
     contextMenu.appendChild(viewItem);
@@ -36,13 +51,7 @@ export function showContextMenu(event, child, item, specificCommitSha, previewPa
         diffItem.onclick = () => {
             if (previewPanel) {
                 showFileInPreview(previewPanel, child, previewPanel._viewMode || 'diff');
-                const treeContainer = item.closest(`.${cssClasses.tree}`);
-                if (treeContainer) {
-                    treeContainer.querySelectorAll(`.${cssClasses.treeItem}`).forEach(el => {
-                        el.classList.remove('ct-selected');
-                    });
-                }
-                item.classList.add('ct-selected');
+                selectTreeItem(item);
             } else {
                 toggleDiffView(item, child);
             }
@@ -51,6 +60,16 @@ export function showContextMenu(event, child, item, specificCommitSha, previewPa
         contextMenu.appendChild(diffItem);
     }
 
+    if (previewPanel && child.type === 'file') {
+        const historyItem = createElement('div', { className: 'ct-menu-item' }, 'Historique du fichier');
+        historyItem.onclick = () => {
+            showFileInPreview(previewPanel, child, 'history');
+            selectTreeItem(item);
+            contextMenu.remove();
+        };
+        contextMenu.appendChild(historyItem);
+    }
+
     document.body.appendChild(contextMenu);
 
     const menuRect = contextMenu.getBoundingClientRect();
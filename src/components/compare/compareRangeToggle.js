@@ -0,0 +1,43 @@
+/**
+ * Compare Range Toggle
+ * @fileoverview Header toggle of compare pages switching between a merge-base comparison
+ * (main...feature, what a merge would bring) and a direct one (main..feature, straight diff).
+ */
+
+import { cssClasses } from '../../config/constants.js';
+import { createElement } from '../../utils/dom.js';
+
+/**
+ * Creates the "..." / ".." toggle
+ * @param {boolean} straight - Whether the direct comparison is currently selected
+ * @param {Function} onChange - Called with the new `straight` value when the user switches mode
+ * @returns {HTMLElement} Toggle element
+ */
+export function createCompareRangeToggle(straight, onChange) {
+    const toggle = createElement('div', { className: `ct-button-group ${cssClasses.compareRangeToggle}` });
+
+    const mergeBaseBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon`,
+        title: 'Comparer depuis la base commune (...)'
+    }, '...');
+
+    const straightBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon`,
+        title: 'Comparer directement les deux révisions (..)'
+    }, '..');
+
+    mergeBaseBtn.classList.toggle(cssClasses.viewModeActive, !straight);
+    straightBtn.classList.toggle(cssClasses.viewModeActive, straight);
+
+    mergeBaseBtn.onclick = () => {
+        if (straight) onChange(false);
+    };
+    straightBtn.onclick = () => {
+        if (!straight) onChange(true);
+    };
+
+    toggle.appendChild(mergeBaseBtn);
+    toggle.appendChild(straightBtn);
+
+    return toggle;
+}
@@ -0,0 +1,174 @@
+/**
+ * Commit Metadata Module
+ * @fileoverview Expandable commit details shown in the header of a commit tree:
+ * full message and trailers, author and committer, parents, signature and latest pipeline.
+ */
+
+import { icons } from '../../assets/icons.js';
+import { cssClasses } from '../../config/constants.js';
+import { createElement, safeSetHTML } from '../../utils/dom.js';
+import { formatRelativeDate } from '../../utils/helpers.js';
+import { parseCommitTrailers } from '../../utils/gitlab.js';
+import { getGitLabBaseUrl } from '../../core/instances.js';
+
+/**
+ * Gets the French label of a pipeline status
+ * @param {string} status - Pipeline status from the API
+ * @returns {string}
+ */
+function getPipelineStatusLabel(status) {
+    const labels = {
+        success: 'réussi',
+        failed: 'échoué',
+        running: 'en cours',
+        pending: 'en attente',
+        created: 'créé',
+        canceled: 'annulé',
+        skipped: 'ignoré',
+        manual: 'manuel',
+        scheduled: 'planifié'
+    };
+    return labels[status] || status;
+}
+
+/**
+ * Gets the French label of a signature verification status
+ * @param {{signature_type: string, verification_status: string}|null} signature - Commit signature
+ * @returns {string}
+ */
+function getSignatureLabel(signature) {
+    if (!signature) {
+        return 'Non signé';
+    }
+
+    const labels = {
+        verified: 'vérifiée',
+        verified_system: 'vérifiée',
+        unverified: 'non vérifiée',
+        unverified_key: 'clé non vérifiée',
+        unknown_key: 'clé inconnue',
+        other_user: 'autre utilisateur',
+        same_user_different_email: 'e-mail différent',
+        multiple_signatures: 'signatures multiples',
+        revoked_key: 'clé révoquée'
+    };
+    const type = signature.signature_type === 'PGP' ? 'GPG' : signature.signature_type;
+    return `Signature ${type} ${labels[signature.verification_status] || signature.verification_status}`;
+}
+
+/**
+ * Creates the link to a commit of the project
+ * @param {string} sha - Commit SHA
+ * @param {string} projectPath - Project holding the commit
+ * @returns {HTMLElement} Link element
+ */
+function createCommitLink(sha, projectPath) {
+    const link = createElement('a', {
+        className: cssClasses.blameSha,
+        href: `${getGitLabBaseUrl()}/${projectPath}/-/commit/${sha}`,
+        target: '_blank',
+        rel: 'noopener'
+    });
+    link.textContent = sha.substring(0, 8);
+    link.title = sha;
+    return link;
+}
+
+/**
+ * Creates a "label: value" row of the details
+ * @param {string} label - Row label
+ * @param {Array<Node|string>} values - Row content; strings are inserted as text
+ * @returns {HTMLElement} Row element
+ */
+function createMetadataRow(label, values) {
+    const row = createElement('div', { className: cssClasses.commitMetaRow });
+    const labelEl = createElement('span', { className: 'ct-commit-meta-label' });
+    labelEl.textContent = label;
+    row.appendChild(labelEl);
+    values.forEach(value => row.append(value));
+    return row;
+}
+
+/**
+ * Creates the "name <email> · date" row of a commit identity
+ * @param {string} label - Row label
+ * @param {string} name - Identity name
+ * @param {string} email - Identity email
+ * @param {string} date - ISO date
+ * @returns {HTMLElement} Row element
+ */
+function createIdentityRow(label, name, email, date) {
+    const dateEl = createElement('span', { className: cssClasses.blameDate });
+    dateEl.textContent = formatRelativeDate(date);
+    dateEl.title = new Date(date).toLocaleString('fr-FR');
+
+    return createMetadataRow(label, [`${name} <${email}> · `, dateEl]);
+}
+
+/**
+ * Creates the commit metadata elements
+ * @param {Object} commit - Commit from fetchCommitDetails
+ * @param {string} projectPath - Project holding the commit
+ * @returns {{summary: HTMLElement, details: HTMLElement}} Summary (badges and toggle) for the
+ * header, and the collapsed details to insert below it
+ */
+export function createCommitMetadata(commit, projectPath) {
+    const summary = createElement('div', { className: cssClasses.commitMetaSummary });
+
+    const pipeline = commit.last_pipeline;
+    if (pipeline) {
+        const pipelineBadge = createElement('a', {
+            className: `${cssClasses.pipelineBadge} ct-pipeline-badge-${pipeline.status}`,
+            href: pipeline.web_url,
+            target: '_blank',
+            rel: 'noopener'
+        });
+        pipelineBadge.textContent = `Pipeline ${getPipelineStatusLabel(pipeline.status)}`;
+        summary.appendChild(pipelineBadge);
+    }
+
+    const signatureStatus = commit.signature ? commit.signature.verification_status : 'unsigned';
+    const signatureBadge = createElement('span', {
+        className: `${cssClasses.signatureBadge} ct-signature-badge-${signatureStatus}`
+    });
+    signatureBadge.textContent = getSignatureLabel(commit.signature);
+    summary.appendChild(signatureBadge);
+
+    const toggleBtn = createElement('button', {
+        className: `${cssClasses.button} ct-btn-icon`,
+        title: 'Détails du commit'
+    }, icons.chevronRight);
+    summary.appendChild(toggleBtn);
+
+    const details = createElement('div', { className: cssClasses.commitMeta });
+    details.style.display = 'none';
+
+    const { body, trailers } = parseCommitTrailers(commit.message || commit.title);
+    const message = createElement('pre', { className: cssClasses.commitMetaMessage });
+    message.textContent = body;
+    details.appendChild(message);
+
+    if (trailers.length > 0) {
+        const trailersEl = createElement('div', { className: 'ct-commit-meta-trailers' });
+        trailers.forEach(({ key, value }) => trailersEl.appendChild(createMetadataRow(key, [value])));
+        details.appendChild(trailersEl);
+    }
+
+    details.appendChild(createIdentityRow('Auteur', commit.author_name, commit.author_email, commit.authored_date));
+    details.appendChild(createIdentityRow('Committer', commit.committer_name, commit.committer_email, commit.committed_date));
+
+    const parentIds = commit.parent_ids || [];
+    const parents = parentIds.length > 0
+        ? parentIds.map(sha => createCommitLink(sha, projectPath))
+        : ['Aucun (commit racine)'];
+    details.appendChild(createMetadataRow(parentIds.length > 1 ? 'Parents' : 'Parent', parents));
+
+    toggleBtn.onclick = () => {
+        const isHidden = details.style.display === 'none';
+        details.style.display = isHidden ? '' : 'none';
+        safeSetHTML(toggleBtn, isHidden ? icons.chevronDown : icons.chevronRight);
+        toggleBtn.title = isHidden ? 'Masquer les détails du commit' : 'Détails du commit';
+    };
+
+    return { summary, details };
+}
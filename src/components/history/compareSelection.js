@@ -7,10 +7,13 @@
 import { cssClasses, gitlabSelectors } from '../../config/constants.js';
 import { createElement, safeSetHTML } from '../../utils/dom.js';
 import { extractProjectAndCommitInfo, extractCommitShaFromElement } from '../../utils/gitlab.js';
-import { fetchAllFilesWithPagination } from '../../api/client.js';
-import { processFilesFromApiResponse, buildFileTree } from '../../api/transformer.js';
+import { fetchAllFilesWithPagination, fetchGitattributes, fetchCodeowners, isAbortError } from '../../api/client.js';
+import { createChildAbortController } from '../../core/context.js';
+import { loadViewedFiles } from '../../core/viewed.js';
+import { processFilesFromApiResponse, markGeneratedFiles, markCodeOwners, buildFileTree } from '../../api/transformer.js';
 import {
     createTreeContainer,
+    setupToolbarFeatures,
     createLoadingIndicator,
     createErrorMessage,
     setupFullscreen,
@@ -30,6 +33,9 @@ let compareSelectionStart = null;
 let compareSelectionEnd = null;
 let compareListenersAttached = false;
 
+/** @type {AbortController|null} Cancels the compare result currently loading */
+let compareAbortController = null;
+
 /**
  * Creates the small "Début"/"Fin" badge shown in a selected commit row
  * @param {string} label - Badge text
@@ -56,9 +62,20 @@ function clearCompareSelection() {
 }
 
 /**
- * Turns off compare mode and clears the current selection
+ * Cancels the compare result load in progress, if any
+ */
+function abortCompareLoad() {
+    if (compareAbortController) {
+        compareAbortController.abort();
+        compareAbortController = null;
+    }
+}
+
+/**
+ * Turns off compare mode, clears the current selection and cancels a pending compare load
  */
 export function resetCompareSelection() {
+    abortCompareLoad();
     compareModeActive = false;
     clearCompareSelection();
     document.body.classList.remove(cssClasses.compareModeActive);
@@ -75,6 +92,7 @@ export function resetCompareSelection() {
  * @param {string} endSha - SHA of the second selected commit
  */
 async function buildCompareResult(startSha, endSha) {
+    abortCompareLoad();
     document.querySelectorAll(`.${cssClasses.compareTopWrapper}`).forEach(el => el.remove());
 
     const commitsList = document.querySelector(gitlabSelectors.current.commitsList);
@@ -93,6 +111,9 @@ async function buildCompareResult(startSha, endSha) {
 
     setProjectContext(compareProjectInfo, null);
 
+    const controller = createChildAbortController();
+    compareAbortController = controller;
+
     const wrapper = createElement('div', { className: `ct-wrapper ${cssClasses.compareTopWrapper}` });
     const loading = createLoadingIndicator(`Chargement des fichiers via l'API GitLab`);
     wrapper.appendChild(loading);
@@ -101,10 +122,20 @@ async function buildCompareResult(startSha, endSha) {
     try {
         const diffData = await fetchAllFilesWithPagination(
             compareProjectInfo,
-            (msg) => { safeSetHTML(loading, `${msg} <span class="ct-spinner"></span>`); }
+            (msg) => { safeSetHTML(loading, `${msg} <span class="ct-spinner"></span>`); },
+            null,
+            controller.signal
         );
+        const gitattributes = await fetchGitattributes(compareProjectInfo, endSha, controller.signal);
+        const codeowners = await fetchCodeowners(compareProjectInfo, startSha, controller.signal);
+
+        if (compareAbortController === controller) {
+            compareAbortController = null;
+        }
 
-        const fileData = processFilesFromApiResponse(diffData, true, endSha);
+        const fileData = markGeneratedFiles(processFilesFromApiResponse(diffData, true, endSha), gitattributes);
+        markCodeOwners(fileData, codeowners);
+        const viewedFiles = await loadViewedFiles(compareProjectInfo, null, fileData);
         loading.remove();
 
         if (fileData.length === 0) {
@@ -114,6 +145,7 @@ async function buildCompareResult(startSha, endSha) {
         }
 
         const fileTree = buildFileTree(fileData);
+        const containerElements = createTreeContainer(`Comparaison ${startSha.substring(0, 8)} → ${endSha.substring(0, 8)}`, fileData.length);
         const {
             container,
             toolbar,
@@ -125,14 +157,16 @@ async function buildCompareResult(startSha, endSha) {
             collapseAllBtn,
             viewDiffBtn,
             viewFullBtn,
+            viewBlameBtn,
             fullscreenBtn,
             collapseBtn
-        } = createTreeContainer(`Comparaison ${startSha.substring(0, 8)} → ${endSha.substring(0, 8)}`, fileData.length);
+        } = containerElements;
 
         wrapper.appendChild(container);
-        renderTree(treeView, fileTree, 0, '', null, previewPanel);
+        renderTree(treeView, fileTree, 0, '', null, previewPanel, false, viewedFiles);
         setupSearch(searchInput, treeView, fileTree, null, previewPanel);
-        setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel);
+        setupToolbarFeatures(containerElements, fileTree, null, viewedFiles);
+        setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel, viewBlameBtn);
         setupFullscreen(container, fullscreenBtn);
         setupCollapse(collapseBtn, toolbar, splitView);
 
@@ -140,8 +174,12 @@ async function buildCompareResult(startSha, endSha) {
         collapseAllBtn.onclick = () => collapseAllFolders(treeView);
 
     } catch (error) {
+        if (isAbortError(error)) {
+            wrapper.remove();
+            return;
+        }
         loading.remove();
-        const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`);
+        const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`, error);
         wrapper.appendChild(errorEl);
     }
 }
@@ -211,6 +249,7 @@ export function initCompareSelection() {
         }, `<span class="gl-button-text">Comparer entre deux commits</span>`);
 
         toggleBtn.onclick = () => {
+            abortCompareLoad();
             document.querySelectorAll(`.${cssClasses.compareTopWrapper}`).forEach(el => el.remove());
 
             compareModeActive = !compareModeActive;
@@ -0,0 +1,95 @@
+/**
+ * Merge Request Version Picker
+ * @fileoverview Base/head version selectors shown in the tree header of a merge request,
+ * used to display the delta between two pushes (interdiff) instead of the whole MR.
+ */
+
+import { cssClasses } from '../../config/constants.js';
+import { createElement } from '../../utils/dom.js';
+
+/**
+ * Builds the label of a merge request version.
+ * Versions are returned newest first; the oldest one is "Version 1" like in GitLab.
+ * @param {Array<Object>} versions - All versions, newest first
+ * @param {number} index - Index of the version in the array
+ * @returns {string}
+ */
+export function getVersionLabel(versions, index) {
+    const version = versions[index];
+    return `Version ${versions.length - index} · ${version.head_commit_sha.substring(0, 8)}`;
+}
+
+/**
+ * Reads the version selection from the GitLab URL (?diff_id=…&start_sha=…)
+ * @param {Array<Object>} versions - All versions, newest first
+ * @returns {{baseVersion: Object|null, headVersion: Object}} Defaults to the whole latest version
+ */
+export function getInitialVersionSelection(versions) {
+    const urlParams = new URLSearchParams(window.location.search);
+    const diffId = urlParams.get('diff_id');
+    const startSha = urlParams.get('start_sha');
+
+    const headVersion = versions.find(version => String(version.id) === diffId) || versions[0];
+    const baseVersion = startSha
+        ? versions.find(version => version.head_commit_sha === startSha && version !== headVersion) || null
+        : null;
+
+    return { baseVersion, headVersion };
+}
+
+/**
+ * Creates the "base → head" version selectors
+ * @param {Array<Object>} versions - All versions, newest first
+ * @param {Object|null} baseVersion - Selected base version, null for the MR target branch
+ * @param {Object} headVersion - Selected head version
+ * @param {Function} onChange - Called with (baseVersion|null, headVersion) when the selection changes
+ * @returns {HTMLElement} Picker element
+ */
+export function createVersionPicker(versions, baseVersion, headVersion, onChange) {
+    const picker = createElement('div', { className: cssClasses.versionPicker });
+
+    const baseSelect = createElement('select', {
+        className: cssClasses.versionSelect,
+        title: 'Version de base'
+    });
+    const headSelect = createElement('select', {
+        className: cssClasses.versionSelect,
+        title: 'Version comparée'
+    });
+
+    baseSelect.appendChild(createElement('option', { value: '' }, 'Branche cible'));
+    versions.forEach((version, index) => {
+        baseSelect.appendChild(createElement('option', { value: String(version.id) }, getVersionLabel(versions, index)));
+        headSelect.appendChild(createElement('option', { value: String(version.id) }, getVersionLabel(versions, index)));
+    });
+
+    baseSelect.value = baseVersion ? String(baseVersion.id) : '';
+    headSelect.value = String(headVersion.id);
+
+    const updateAvailableBases = () => {
+        const headIndex = headSelect.selectedIndex;
+        Array.from(baseSelect.options).forEach((option, optionIndex) => {
+            // Option 0 is the target branch; a base version must be older than the head version
+            option.disabled = optionIndex > 0 && optionIndex - 1 <= headIndex;
+        });
+        if (baseSelect.selectedOptions[0]?.disabled) {
+            baseSelect.value = '';
+        }
+    };
+
+    const notify = () => {
+        updateAvailableBases();
+        const findVersion = (id) => versions.find(version => String(version.id) === id) || null;
+        onChange(findVersion(baseSelect.value), findVersion(headSelect.value));
+    };
+
+    baseSelect.onchange = notify;
+    headSelect.onchange = notify;
+    updateAvailableBases();
+
+    picker.appendChild(baseSelect);
+    picker.appendChild(createElement('span', { className: 'ct-version-picker-arrow' }, '→'));
+    picker.appendChild(headSelect);
+
+    return picker;
+}
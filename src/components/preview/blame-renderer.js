@@ -0,0 +1,121 @@
+/**
+ * Blame Renderer
+ * @fileoverview Renders the blame of a file in the preview panel: the full file
+ * (same line layout as file-renderer.js) with the commit of each group of lines in a gutter.
+ */
+
+import { cssClasses } from '../../config/constants.js';
+import { createElement, safeSetHTML } from '../../utils/dom.js';
+import { isImageFile, isPdfFile, isBinaryFile, formatRelativeDate } from '../../utils/helpers.js';
+import { highlightCode } from '../../core/highlight.js';
+import { fetchFileBlame, isAbortError } from '../../api/client.js';
+import { getProjectInfo } from '../../core/context.js';
+import { getGitLabBaseUrl } from '../../core/instances.js';
+import { createLoadingIndicator } from '../common/container.js';
+import { resolveFileSource } from './file-renderer.js';
+
+/**
+ * Creates the gutter cell opening a group of lines last changed by the same commit
+ * @param {{id: string, author_name: string, authored_date: string, message: string}} commit - Blamed commit
+ * @param {string} projectPath - Project holding the commit
+ * @returns {HTMLElement} Gutter cell
+ */
+function createBlameGutter(commit, projectPath) {
+    const gutter = createElement('span', { className: cssClasses.blameGutter });
+
+    const shaLink = createElement('a', {
+        className: cssClasses.blameSha,
+        href: `${getGitLabBaseUrl()}/${projectPath}/-/commit/${commit.id}`,
+        target: '_blank',
+        rel: 'noopener'
+    });
+    shaLink.textContent = commit.id.substring(0, 8);
+    shaLink.title = commit.message || commit.id;
+
+    const author = createElement('span', { className: cssClasses.blameAuthor });
+    author.textContent = commit.author_name;
+
+    const date = createElement('span', { className: cssClasses.blameDate });
+    date.textContent = formatRelativeDate(commit.authored_date);
+    date.title = new Date(commit.authored_date).toLocaleString('fr-FR');
+
+    gutter.appendChild(shaLink);
+    gutter.appendChild(author);
+    gutter.appendChild(date);
+    return gutter;
+}
+
+/**
+ * Renders the blame of a file into a container
+ * @param {HTMLElement} container - Target container element
+ * @param {Object} fileNode - File node from the tree
+ * @param {string|null} [refOverride=null] - Git ref to use (overrides fileNode.ref)
+ * @param {AbortSignal|null} [signal=null] - Cancels the fetch when another file is selected
+ * @returns {Promise<void>}
+ */
+export async function renderBlameContent(container, fileNode, refOverride = null, signal = null) {
+    const currentProjectInfo = getProjectInfo();
+
+    if (!currentProjectInfo) {
+        container.appendChild(createElement('div', { className: 'ct-diff-empty' }, 'Contexte du projet non disponible.'));
+        return;
+    }
+
+    const filename = fileNode.name;
+    const fileExt = filename.split('.').pop()?.toLowerCase() || '';
+
+    if (isImageFile(fileExt) || isPdfFile(fileExt) || isBinaryFile(fileExt)) {
+        container.appendChild(createElement('div', { className: 'ct-diff-empty' }, 'Blame non disponible pour un fichier binaire.'));
+        return;
+    }
+
+    const { projectInfo, ref } = resolveFileSource(currentProjectInfo, fileNode, refOverride);
+
+    const loading = createLoadingIndicator('Chargement du blame...');
+    container.appendChild(loading);
+
+    let blameRanges;
+    try {
+        blameRanges = await fetchFileBlame(projectInfo, fileNode.path, ref, signal);
+        loading.remove();
+    } catch (error) {
+        loading.remove();
+        if (isAbortError(error)) {
+            return;
+        }
+        const errorDiv = createElement('div', { className: 'ct-diff-empty ct-diff-error' });
+        errorDiv.textContent = `Erreur lors du chargement du blame: ${error.message}`;
+        container.appendChild(errorDiv);
+        return;
+    }
+
+    const table = createElement('div', { className: `${cssClasses.fullFileContainer} ${cssClasses.blameContainer}` });
+    let lineNum = 0;
+
+    blameRanges.forEach(({ commit, lines }) => {
+        lines.forEach((line, index) => {
+            lineNum++;
+            const lineRow = createElement('div', {
+                className: index === 0 ? `${cssClasses.fullFileLine} ${cssClasses.blameGroupStart}` : cssClasses.fullFileLine
+            });
+            const gutter = index === 0
+                ? createBlameGutter(commit, projectInfo.projectPath)
+                : createElement('span', { className: cssClasses.blameGutter });
+            const lineNumCell = createElement('span', { className: cssClasses.fullFileLineNum }, lineNum.toString());
+            const contentCell = createElement('span', { className: 'ct-line-content' });
+
+            if (line === '') {
+                contentCell.textContent = ' ';
+            } else {
+                safeSetHTML(contentCell, highlightCode(line, fileExt, filename));
+            }
+
+            lineRow.appendChild(gutter);
+            lineRow.appendChild(lineNumCell);
+            lineRow.appendChild(contentCell);
+            table.appendChild(lineRow);
+        });
+    });
+
+    container.appendChild(table);
+}
@@ -0,0 +1,365 @@
+/**
+ * Comment Composer
+ * @fileoverview Lets the user comment diff lines from the preview panel: clicking a line number,
+ * or dragging across several, opens an inline composer with a Markdown preview. Comments are
+ * posted as commit comments, or as merge request discussions on MR pages.
+ */
+
+import { cssClasses } from '../../config/constants.js';
+import { createElement, safeSetHTML } from '../../utils/dom.js';
+import { sha1Hex } from '../../utils/helpers.js';
+import { postCommitComment, postMergeRequestDiscussion, renderMarkdown } from '../../api/client.js';
+import { anchorDiscussions, createDiscussionRow } from './discussion-renderer.js';
+
+/**
+ * Returns true if the diffs of the page can be commented: single commits and whole merge
+ * requests, not compares (nor the delta between two MR versions, shown as a compare)
+ * @param {Object|null} projectInfo - Current project information
+ * @returns {boolean}
+ */
+export function canCommentOn(projectInfo) {
+    return Boolean(projectInfo) && !projectInfo.isComparePage
+        && Boolean(projectInfo.isCommitPage || projectInfo.isBranchHistoryPage || projectInfo.isMergeRequestPage);
+}
+
+/**
+ * Reads the displayed line numbers of a commentable line: a diff row in the unified layout,
+ * the line number cell of one side in the split layout (a changed split row holds two lines)
+ * @param {HTMLElement} line - Diff row or split line number cell
+ * @returns {{oldLine: number|null, newLine: number|null}}
+ */
+function getRowLines(line) {
+    const row = line.closest('.ct-diff-line');
+    const readCell = (cellClass) => {
+        const text = row.querySelector(`.${cellClass}`).textContent;
+        return text ? Number(text) : null;
+    };
+
+    if (line === row || line.classList.contains('ct-diff-cell-context')) {
+        return { oldLine: readCell('ct-line-num-old'), newLine: readCell('ct-line-num-new') };
+    }
+    return line.classList.contains('ct-line-num-old')
+        ? { oldLine: readCell('ct-line-num-old'), newLine: null }
+        : { oldLine: null, newLine: readCell('ct-line-num-new') };
+}
+
+/**
+ * Returns true if a commentable line (see getRowLines) is an added line
+ * @param {HTMLElement} line - Diff row or split line number cell
+ * @returns {boolean}
+ */
+function isAddedLine(line) {
+    return line.classList.contains('ct-diff-line-added') || line.classList.contains('ct-diff-cell-added');
+}
+
+/**
+ * Builds the merge request diff position of the selected lines.
+ * A range also carries the GitLab line codes of its first and last lines.
+ * @param {Object} projectInfo - Merge request project information (with mergeRequestVersion)
+ * @param {Object} fileNode - Commented file
+ * @param {HTMLElement} startRow - First selected line (see getRowLines)
+ * @param {HTMLElement} endRow - Last selected line, the one the discussion is attached to
+ * @returns {Promise<Object>} Position for the discussions API
+ */
+async function buildMergeRequestPosition(projectInfo, fileNode, startRow, endRow) {
+    const version = projectInfo.mergeRequestVersion;
+    const { oldLine, newLine } = getRowLines(endRow);
+    const position = {
+        position_type: 'text',
+        base_sha: version.base_commit_sha,
+        start_sha: version.start_commit_sha,
+        head_sha: version.head_commit_sha,
+        old_path: fileNode.old_path || fileNode.path,
+        new_path: fileNode.path,
+        old_line: oldLine,
+        new_line: newLine
+    };
+
+    if (startRow !== endRow) {
+        const pathHash = await sha1Hex(fileNode.path);
+        const toRangePoint = (row) => {
+            const lines = getRowLines(row);
+            return {
+                line_code: `${pathHash}_${row.dataset.oldPos}_${row.dataset.newPos}`,
+                type: isAddedLine(row) ? 'new' : 'old',
+                old_line: lines.oldLine,
+                new_line: lines.newLine
+            };
+        };
+        position.line_range = { start: toRangePoint(startRow), end: toRangePoint(endRow) };
+    }
+
+    return position;
+}
+
+/**
+ * Posts a comment on the selected lines
+ * @param {Object} projectInfo - Current project information
+ * @param {Object} fileNode - Commented file
+ * @param {HTMLElement} startRow - First selected line (see getRowLines)
+ * @param {HTMLElement} endRow - Last selected line
+ * @param {string} body - Comment (Markdown)
+ * @returns {Promise<{id: string, position: Object, notes: Array<Object>}>} The new thread,
+ * in the shape of attachDiscussions
+ */
+async function postLineComment(projectInfo, fileNode, startRow, endRow, body) {
+    if (projectInfo.isMergeRequestPage) {
+        const position = await buildMergeRequestPosition(projectInfo, fileNode, startRow, endRow);
+        const discussion = await postMergeRequestDiscussion(projectInfo, body, position);
+        return { id: discussion.id, position, notes: discussion.notes };
+    }
+
+    // The commit comments API has no line ranges: the comment goes on the last selected line
+    const { oldLine, newLine } = getRowLines(endRow);
+    const comment = await postCommitComment(
+        projectInfo,
+        fileNode.ref,
+        fileNode.path,
+        newLine || oldLine,
+        newLine ? 'new' : 'old',
+        body
+    );
+
+    return {
+        id: `commit-comment-${Date.now()}`,
+        position: { old_line: oldLine, new_line: newLine },
+        notes: [{ body: comment.note, author: comment.author, created_at: comment.created_at }]
+    };
+}
+
+/**
+ * Creates the composer form: a Markdown textarea with a preview tab
+ * @param {Object} projectInfo - Current project information, for the Markdown rendering
+ * @param {Function} onSubmit - Called with the comment; returns a promise, rejected on failure
+ * @param {Function} onCancel - Called when the composer is dismissed
+ * @returns {HTMLElement} Composer element
+ */
+function createComposer(projectInfo, onSubmit, onCancel) {
+    const composer = createElement('div', { className: cssClasses.commentComposer });
+
+    const tabs = createElement('div', { className: 'ct-comment-composer-tabs' });
+    const writeTab = createElement('button', { className: 'ct-comment-composer-tab ct-active', type: 'button' }, 'Écrire');
+    const previewTab = createElement('button', { className: 'ct-comment-composer-tab', type: 'button' }, 'Aperçu');
+    tabs.appendChild(writeTab);
+    tabs.appendChild(previewTab);
+
+    const input = createElement('textarea', {
+        className: 'ct-comment-composer-input',
+        placeholder: 'Écrire un commentaire (Markdown)',
+        rows: '4'
+    });
+    const preview = createElement('div', { className: 'ct-comment-composer-preview' });
+    preview.style.display = 'none';
+
+    const actions = createElement('div', { className: 'ct-comment-composer-actions' });
+    const errorEl = createElement('span', { className: 'ct-comment-composer-error' });
+    const cancelBtn = createElement('button', { className: cssClasses.button, type: 'button' }, 'Annuler');
+    const submitBtn = createElement('button', { className: `${cssClasses.button} ct-comment-composer-submit`, type: 'button' }, 'Commenter');
+    actions.appendChild(errorEl);
+    actions.appendChild(cancelBtn);
+    actions.appendChild(submitBtn);
+
+    const showTab = (isPreview) => {
+        writeTab.classList.toggle('ct-active', !isPreview);
+        previewTab.classList.toggle('ct-active', isPreview);
+        input.style.display = isPreview ? 'none' : '';
+        preview.style.display = isPreview ? '' : 'none';
+    };
+
+    writeTab.onclick = () => {
+        showTab(false);
+        input.focus();
+    };
+
+    previewTab.onclick = async () => {
+        showTab(true);
+        const text = input.value.trim();
+        if (!text) {
+            preview.textContent = 'Rien à prévisualiser.';
+            return;
+        }
+
+        preview.textContent = "Chargement de l'aperçu...";
+        try {
+            const html = await renderMarkdown(projectInfo, text);
+            if (input.value.trim() === text) {
+                safeSetHTML(preview, html);
+            }
+        } catch (error) {
+            preview.textContent = `Aperçu indisponible: ${error.message}`;
+        }
+    };
+
+    const submit = async () => {
+        const text = input.value.trim();
+        if (!text || submitBtn.disabled) {
+            input.focus();
+            return;
+        }
+
+        submitBtn.disabled = true;
+        errorEl.textContent = '';
+        try {
+            await onSubmit(text);
+        } catch (error) {
+            errorEl.textContent = `Erreur lors de l'envoi: ${error.message}`;
+            submitBtn.disabled = false;
+        }
+    };
+
+    submitBtn.onclick = submit;
+    cancelBtn.onclick = onCancel;
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            submit();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            onCancel();
+        }
+    });
+
+    composer.appendChild(tabs);
+    composer.appendChild(input);
+    composer.appendChild(preview);
+    composer.appendChild(actions);
+    return composer;
+}
+
+/**
+ * Returns the commentable lines of a diff table: its rows in the unified layout, the
+ * non-empty line number cells of one side in the split layout
+ * @param {HTMLElement} table - Diff table
+ * @param {string} side - 'old' or 'new', the side the selection started on (split layout only)
+ * @returns {Array<HTMLElement>}
+ */
+function getCommentableLines(table, side) {
+    return table.classList.contains(cssClasses.diffSplit)
+        ? Array.from(table.querySelectorAll(`.ct-diff-line > .ct-line-num-${side}:not(.ct-diff-cell-empty)`))
+        : Array.from(table.querySelectorAll('.ct-diff-line'));
+}
+
+/**
+ * Returns the commentable line an element belongs to (see getCommentableLines)
+ * @param {HTMLElement} table - Diff table
+ * @param {EventTarget|null} element - Element under the pointer
+ * @param {string} side - 'old' or 'new' (split layout only)
+ * @returns {HTMLElement|null} The line, null outside the table or on an empty split side
+ */
+function findCommentableLine(table, element, side) {
+    const row = element?.closest?.('.ct-diff-line');
+    if (!row || !table.contains(row)) {
+        return null;
+    }
+    if (!table.classList.contains(cssClasses.diffSplit)) {
+        return row;
+    }
+
+    const cell = row.querySelector(`.ct-line-num-${side}`);
+    return cell.classList.contains('ct-diff-cell-empty') ? null : cell;
+}
+
+/**
+ * Highlights the lines between two lines, in either order
+ * @param {HTMLElement} table - Diff table
+ * @param {HTMLElement} fromRow - Line where the selection started
+ * @param {HTMLElement} toRow - Line where the selection currently ends
+ * @param {string} side - 'old' or 'new' (split layout only)
+ * @returns {[HTMLElement, HTMLElement]} First and last selected lines, in diff order
+ */
+function selectRowRange(table, fromRow, toRow, side) {
+    const rows = getCommentableLines(table, side);
+    const [start, end] = [rows.indexOf(fromRow), rows.indexOf(toRow)].sort((a, b) => a - b);
+
+    rows.forEach((row, index) => row.classList.toggle(cssClasses.diffLineSelected, index >= start && index <= end));
+    return [rows[start], rows[end]];
+}
+
+/**
+ * Opens the composer below the last selected row, replacing any open one
+ * @param {HTMLElement} table - Diff table
+ * @param {Object} fileNode - Commented file
+ * @param {Object} projectInfo - Current project information
+ * @param {HTMLElement} startRow - First selected line (see getRowLines)
+ * @param {HTMLElement} endRow - Last selected line
+ */
+function openComposer(table, fileNode, projectInfo, startRow, endRow) {
+    table.querySelector(`.${cssClasses.commentComposer}`)?.closest(`.${cssClasses.discussionRow}`).remove();
+
+    const clearSelection = () => {
+        table.querySelectorAll(`.${cssClasses.diffLineSelected}`).forEach(row => row.classList.remove(cssClasses.diffLineSelected));
+    };
+
+    let composerRow = null;
+    const composer = createComposer(projectInfo, async (body) => {
+        const discussion = await postLineComment(projectInfo, fileNode, startRow, endRow, body);
+
+        composerRow.remove();
+        clearSelection();
+        if (Array.isArray(fileNode.discussions)) {
+            fileNode.discussions.push(discussion);
+        }
+        anchorDiscussions(table, [discussion]);
+        table.querySelector(`[data-discussion-id="${discussion.id}"] .ct-discussion-toggle`)?.click();
+    }, () => {
+        composerRow.remove();
+        clearSelection();
+    });
+
+    composerRow = createDiscussionRow(composer);
+    let insertAfter = endRow.closest('.ct-diff-line');
+    while (insertAfter.nextElementSibling && insertAfter.nextElementSibling.classList.contains(cssClasses.discussionRow)) {
+        insertAfter = insertAfter.nextElementSibling;
+    }
+    insertAfter.after(composerRow);
+    composer.querySelector('textarea').focus();
+}
+
+/**
+ * Makes the line numbers of a rendered diff open a comment composer: a click comments
+ * one line, a drag across line numbers comments the range. In the split layout, the
+ * lines are taken on the side of the clicked line number.
+ * Does nothing on pages whose diffs cannot be commented (see canCommentOn).
+ * @param {HTMLElement} container - Container holding the diff table built by renderDiff
+ * @param {Object} fileNode - File node of the diff
+ * @param {Object|null} projectInfo - Current project information
+ */
+export function setupLineComments(container, fileNode, projectInfo) {
+    const table = container.querySelector('.ct-diff-table');
+    if (!table || !canCommentOn(projectInfo)) {
+        return;
+    }
+
+    table.classList.add(cssClasses.diffCommentable);
+    let selectionStart = null;
+    let selectionSide = 'new';
+
+    table.addEventListener('mousedown', (e) => {
+        const numCell = e.target.closest('.ct-line-num');
+        const side = numCell?.classList.contains('ct-line-num-old') ? 'old' : 'new';
+        const row = numCell && findCommentableLine(table, numCell, side);
+        if (!row || e.button !== 0) {
+            return;
+        }
+
+        e.preventDefault();
+        selectionStart = row;
+        selectionSide = side;
+        selectRowRange(table, row, row, side);
+
+        document.addEventListener('mouseup', (upEvent) => {
+            const endRow = findCommentableLine(table, upEvent.target, selectionSide);
+            const [startRow, lastRow] = selectRowRange(table, selectionStart, endRow || selectionStart, selectionSide);
+            selectionStart = null;
+            openComposer(table, fileNode, projectInfo, startRow, lastRow);
+        }, { once: true });
+    });
+
+    table.addEventListener('mouseover', (e) => {
+        const row = selectionStart && findCommentableLine(table, e.target, selectionSide);
+        if (row) {
+            selectRowRange(table, selectionStart, row, selectionSide);
+        }
+    });
+}
@@ -1,12 +1,14 @@
 /**
  * Diff Renderer Component
- * @fileoverview Logic for rendering unified diffs with syntax highlighting
+ * @fileoverview Logic for rendering unified and split diffs with syntax highlighting
  */
 
 import * as Diff from 'diff';
-import { icons, cssClasses } from '../../config/constants.js';
+import { icons, cssClasses, diffContext } from '../../config/constants.js';
 import { createElement, safeSetHTML } from '../../utils/dom.js';
 import { highlightCode } from '../../core/highlight.js';
+import { isAbortError } from '../../api/client.js';
+import { anchorDiscussions, createDiscussionThread } from './discussion-renderer.js';
 
 /**
  * Toggles the diff view for a file
@@ -22,17 +24,25 @@ export function toggleDiffView(item, fileNode) {
     }
 
     diffContainer = createElement('div', { className: cssClasses.diffContainer });
-    renderDiff(diffContainer, fileNode.diff_content, fileNode.path);
+    renderDiff(diffContainer, fileNode.diff_content, fileNode.path, fileNode.discussions);
     item.parentNode.insertBefore(diffContainer, item.nextSibling);
 }
 
 /**
- * Renders diff content into a container with table structure
+ * Renders diff content into a container with table structure.
+ * Discussions are shown as threads below their lines; those on lines outside
+ * the hunks are listed after the table.
+ * Given the new version of the file, the lines hidden between hunks, above the first one
+ * and below the last one can be expanded from their separators.
  * @param {HTMLElement} container - Container element
  * @param {string} diffContent - The diff content string
  * @param {string} filePath - File path for syntax highlighting logic
+ * @param {Array<Object>} [discussions=[]] - Line-level discussions of the file (see attachDiscussions)
+ * @param {string} [layout='unified'] - 'unified', or 'split' for old and new columns side by side
+ * @param {Function|null} [loadNewContent=null] - Returns a promise of the new file content;
+ * without it, hidden lines cannot be expanded
  */
-export function renderDiff(container, diffContent, filePath) {
+export function renderDiff(container, diffContent, filePath, discussions = [], layout = 'unified', loadNewContent = null) {
     if (!diffContent) {
         const emptySpan = createElement('span', { className: 'ct-diff-empty-text' }, 'Aucune différence disponible');
         container.appendChild(createElement('div', { className: 'ct-diff-empty' }, [emptySpan]));
@@ -41,105 +51,430 @@ export function renderDiff(container, diffContent, filePath) {
 
     const filename = filePath.split('/').pop() || '';
     const fileExt = filename.split('.').pop()?.toLowerCase() || '';
+    const isSplit = layout === 'split';
+    const table = createElement('div', { className: isSplit ? `ct-diff-table ${cssClasses.diffSplit}` : 'ct-diff-table' });
+
+    parseDiffBlocks(diffContent).forEach(block => {
+        if (block.type === 'separator') {
+            const isExpandable = Boolean(loadNewContent) && (block.gap.count === null || block.gap.count > 0);
+            if (isExpandable || !block.edge) {
+                table.appendChild(createSeparatorRow(isSplit, isExpandable ? block : null));
+            }
+        } else if (isSplit) {
+            renderSplitBlock(table, block, fileExt, filename);
+        } else {
+            renderUnifiedBlock(table, block, fileExt, filename);
+        }
+    });
+
+    if (loadNewContent) {
+        setupContextExpansion(table, loadNewContent, isSplit, fileExt, filename);
+    }
+
+    const unanchored = discussions.length > 0 ? anchorDiscussions(table, discussions) : [];
+
+    container.appendChild(table);
+
+    unanchored.forEach(discussion => {
+        const { old_line: oldLine, new_line: newLine } = discussion.position;
+        container.appendChild(createDiscussionThread(discussion, `ligne ${newLine || oldLine}, hors du diff affiché`));
+    });
+}
+
+/**
+ * Splits diff content into hunk separators, context lines and change blocks (a run of
+ * removed lines followed by the added lines replacing them). Lines carry their numbers
+ * and the diff counters GitLab uses for line codes (see setLinePosition).
+ * Separators carry the gap of unchanged lines they hide: between two hunks, and at the
+ * edges of the diff ('top' above the first hunk, 'bottom' below the last one, whose
+ * length is only known from the file). There is no bottom separator when the last hunk
+ * visibly reaches the end of the file: fewer trailing context lines than git keeps
+ * (diffContext.hunkLines), or a "No newline at end of file" marker on the new side.
+ * @param {string} diffContent - The diff content string
+ * @returns {Array<Object>} Blocks, in diff order
+ */
+function parseDiffBlocks(diffContent) {
     const lines = diffContent.split('\n');
-    const table = createElement('div', { className: 'ct-diff-table' });
+    const blocks = [];
 
     let oldLineNum = 0;
     let newLineNum = 0;
     let sectionCount = 0;
+    let trailingContext = 0;
+    let reachesEnd = false;
 
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
 
         if (line.startsWith('@@')) {
             const match = line.match(/@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
-            if (match) {
-                oldLineNum = parseInt(match[1], 10);
-                newLineNum = parseInt(match[2], 10);
-            }
+            const hunkOldStart = match ? parseInt(match[1], 10) : oldLineNum;
+            const hunkNewStart = match ? parseInt(match[2], 10) : newLineNum;
 
             sectionCount++;
             if (sectionCount > 1) {
-                const separatorRow = createElement('div', { className: 'ct-diff-separator' });
-                const separatorCell1 = createElement('span', { className: 'ct-diff-separator-cell' }, '•••');
-                const separatorCell2 = createElement('span', { className: 'ct-diff-separator-spacer' });
-                const separatorCell3 = createElement('span', { className: 'ct-diff-separator-content' });
-                separatorRow.appendChild(separatorCell1);
-                separatorRow.appendChild(separatorCell2);
-                separatorRow.appendChild(separatorCell3);
-                table.appendChild(separatorRow);
+                const gap = { oldStart: oldLineNum, newStart: newLineNum, count: hunkNewStart - newLineNum };
+                blocks.push({ type: 'separator', edge: null, gap });
+            } else if (hunkNewStart > 1) {
+                const gap = { oldStart: hunkOldStart - hunkNewStart + 1, newStart: 1, count: hunkNewStart - 1 };
+                blocks.push({ type: 'separator', edge: 'top', gap });
             }
+
+            oldLineNum = hunkOldStart;
+            newLineNum = hunkNewStart;
+            trailingContext = 0;
+            reachesEnd = false;
             continue;
         }
 
+        if (line.startsWith('\\') && /^[+ ]/.test(lines[i - 1] || '')) {
+            reachesEnd = true;
+        }
         if (/^(\+{3}|-{3}|\\)/.test(line)) {
             continue;
         }
 
-        if (line.startsWith('-')) {
-            let removed = [];
+        if (line.startsWith('-') || line.startsWith('+')) {
+            const removed = [];
             let j = i;
             while (j < lines.length && lines[j].startsWith('-') && !/^(-{3}|\\)/.test(lines[j])) {
-                removed.push(lines[j]);
+                removed.push({ text: lines[j].substring(1), oldNum: oldLineNum++, newPos: newLineNum });
                 j++;
             }
 
             while (j < lines.length && lines[j].startsWith('\\')) j++;
 
-            let added = [];
+            const added = [];
             while (j < lines.length && lines[j].startsWith('+') && !/^(\+{3}|\\)/.test(lines[j])) {
-                added.push(lines[j]);
+                added.push({ text: lines[j].substring(1), newNum: newLineNum++, oldPos: oldLineNum });
                 j++;
             }
 
-            if (removed.length > 0 && removed.length === added.length) {
-                for (let k = 0; k < removed.length; k++) {
-                    const oldText = removed[k].substring(1);
-                    const changes = Diff.diffWordsWithSpace(oldText, added[k].substring(1));
-                    renderModifiedLine(table, 'removed', oldLineNum++, '', changes, true, fileExt, filename);
-                }
-                for (let k = 0; k < added.length; k++) {
-                    const newText = added[k].substring(1);
-                    const changes = Diff.diffWordsWithSpace(removed[k].substring(1), newText);
-                    renderModifiedLine(table, 'added', '', newLineNum++, changes, false, fileExt, filename);
-                }
-            } else {
-                for (const removedLine of removed) {
-                    renderNormalLine(table, removedLine, oldLineNum++, '', fileExt, filename);
-                }
-                for (const addedLine of added) {
-                    renderNormalLine(table, addedLine, '', newLineNum++, fileExt, filename);
-                }
-            }
-
+            blocks.push({ type: 'change', removed, added });
+            trailingContext = 0;
             i = j - 1;
             continue;
         }
 
-        renderNormalLine(table, line, oldLineNum, newLineNum, fileExt, filename);
+        if (line.startsWith(' ')) {
+            blocks.push({ type: 'context', text: line.substring(1), oldNum: oldLineNum++, newNum: newLineNum++ });
+            trailingContext++;
+        }
+    }
+
+    if (sectionCount > 0 && !reachesEnd && trailingContext >= diffContext.hunkLines) {
+        blocks.push({ type: 'separator', edge: 'bottom', gap: { oldStart: oldLineNum, newStart: newLineNum, count: null } });
+    }
+
+    return blocks;
+}
+
+/**
+ * Returns the word-level changes of each line pair of a change block, or null when its
+ * removed and added lines cannot be paired one to one
+ * @param {{removed: Array<Object>, added: Array<Object>}} block - Change block
+ * @returns {Array<Array<Object>>|null}
+ */
+function getPairedChanges(block) {
+    const { removed, added } = block;
+    if (removed.length === 0 || removed.length !== added.length) {
+        return null;
+    }
+    return removed.map((line, k) => Diff.diffWordsWithSpace(line.text, added[k].text));
+}
+
+/**
+ * Creates the row shown between two hunks, or at an edge of the diff.
+ * An expandable separator keeps its gap on the `_gap` expando and gets the controls
+ * revealing its lines: a click on the separator shows them all.
+ * @param {boolean} isSplit - Whether the table uses the split layout
+ * @param {{edge: string|null, gap: Object}|null} [block=null] - Separator block, when its lines can be expanded
+ * @returns {HTMLElement} Separator row
+ */
+function createSeparatorRow(isSplit, block = null) {
+    const separatorRow = createElement('div', { className: 'ct-diff-separator' });
+    const separatorCell = createElement('span', { className: 'ct-diff-separator-cell' }, '•••');
+    separatorRow.appendChild(separatorCell);
+    if (!isSplit) {
+        separatorRow.appendChild(createElement('span', { className: 'ct-diff-separator-spacer' }));
+        separatorRow.appendChild(createElement('span', { className: 'ct-diff-separator-content' }));
+    }
 
-        if (line.startsWith('+')) {
-            newLineNum++;
-        } else if (line.startsWith('-')) {
-            oldLineNum++;
-        } else if (line.startsWith(' ')) {
-            oldLineNum++;
-            newLineNum++;
+    if (block) {
+        separatorRow.classList.add(cssClasses.diffExpandable);
+        separatorRow._gap = { ...block.gap };
+        separatorCell.title = getGapTitle(separatorRow._gap);
+
+        const controls = createElement('span', { className: cssClasses.diffExpandControls });
+        if (block.edge !== 'bottom') {
+            controls.appendChild(createElement('button', {
+                className: cssClasses.diffExpandBtn,
+                type: 'button',
+                title: `Afficher les ${diffContext.step} lignes précédentes`,
+                dataset: { direction: 'up' }
+            }, icons.chevronUp));
+        }
+        if (block.edge !== 'top') {
+            controls.appendChild(createElement('button', {
+                className: cssClasses.diffExpandBtn,
+                type: 'button',
+                title: `Afficher les ${diffContext.step} lignes suivantes`,
+                dataset: { direction: 'down' }
+            }, icons.chevronDown));
         }
+        (isSplit ? separatorCell : separatorRow.lastChild).appendChild(controls);
     }
 
-    container.appendChild(table);
+    return separatorRow;
 }
 
 /**
- * Helper to render modified lines with word highlighting
+ * Returns the tooltip of an expandable separator
+ * @param {{count: number|null}} gap - Gap of the separator
+ * @returns {string}
  */
-function renderModifiedLine(table, type, oldNum, newNum, changes, isRemoved, fileExt, filename) {
-    const lineRow = createElement('div', { className: `ct-diff-line ct-diff-line-${type}` });
-    const oldNumCell = createElement('span', { className: 'ct-line-num ct-line-num-old' }, oldNum.toString());
-    const newNumCell = createElement('span', { className: 'ct-line-num ct-line-num-new' }, newNum.toString());
-    const contentCell = createElement('span', { className: 'ct-line-content' });
+function getGapTitle(gap) {
+    return gap.count === null ? 'Afficher la fin du fichier' : `Afficher les ${gap.count} ligne(s) masquée(s)`;
+}
 
+/**
+ * Makes the expandable separators of a diff table reveal their hidden lines, read from the
+ * new version of the file (loaded once, on the first expansion). Once the file is loaded,
+ * the bottom separator gets its line count, and goes away if the diff already reached the
+ * end of the file.
+ * @param {HTMLElement} table - Diff table
+ * @param {Function} loadNewContent - Returns a promise of the new file content
+ * @param {boolean} isSplit - Whether the table uses the split layout
+ * @param {string} fileExt - File extension
+ * @param {string} filename - File name
+ */
+function setupContextExpansion(table, loadNewContent, isSplit, fileExt, filename) {
+    let linesPromise = null;
+    const loadLines = () => {
+        if (!linesPromise) {
+            linesPromise = loadNewContent().then(content => {
+                const lines = content.split('\n');
+                if (content.endsWith('\n')) {
+                    lines.pop();
+                }
+                return lines;
+            });
+            linesPromise.catch(() => {
+                linesPromise = null;
+            });
+        }
+        return linesPromise;
+    };
+
+    table.addEventListener('click', async (e) => {
+        const separator = e.target.closest(`.${cssClasses.diffExpandable}`);
+        if (!separator || separator.classList.contains(cssClasses.diffExpanding)) {
+            return;
+        }
+
+        const direction = e.target.closest(`.${cssClasses.diffExpandBtn}`)?.dataset.direction || 'all';
+        separator.classList.add(cssClasses.diffExpanding);
+        try {
+            const lines = await loadLines();
+            resolveBottomGap(table, lines);
+            if (table.contains(separator)) {
+                expandGap(separator, direction, lines, isSplit, fileExt, filename);
+            }
+        } catch (error) {
+            if (isAbortError(error)) {
+                return;
+            }
+            separator.classList.remove(cssClasses.diffExpandable);
+            separator.querySelector(`.${cssClasses.diffExpandControls}`).textContent = `Contexte indisponible : ${error.message}`;
+        } finally {
+            separator.classList.remove(cssClasses.diffExpanding);
+        }
+    });
+}
+
+/**
+ * Sets the line count of the bottom separator, unknown until the file is loaded, and
+ * removes the separator when no line follows the last hunk
+ * @param {HTMLElement} table - Diff table
+ * @param {Array<string>} lines - Lines of the new version of the file
+ */
+function resolveBottomGap(table, lines) {
+    const separator = Array.from(table.querySelectorAll(`.${cssClasses.diffExpandable}`)).find(row => row._gap.count === null);
+    if (!separator) {
+        return;
+    }
+
+    separator._gap.count = Math.max(lines.length - separator._gap.newStart + 1, 0);
+    if (separator._gap.count === 0) {
+        separator.remove();
+    } else {
+        separator.querySelector('.ct-diff-separator-cell').title = getGapTitle(separator._gap);
+    }
+}
+
+/**
+ * Reveals lines of the gap hidden by a separator, as context rows: 'down' shows the first
+ * lines of the gap (below the previous hunk), 'up' its last lines (above the next hunk),
+ * 'all' the whole gap. The separator goes away once its gap is empty.
+ * @param {HTMLElement} separator - Expandable separator row
+ * @param {string} direction - 'up', 'down' or 'all'
+ * @param {Array<string>} lines - Lines of the new version of the file
+ * @param {boolean} isSplit - Whether the table uses the split layout
+ * @param {string} fileExt - File extension
+ * @param {string} filename - File name
+ */
+function expandGap(separator, direction, lines, isSplit, fileExt, filename) {
+    const gap = separator._gap;
+    const available = Math.max(lines.length - gap.newStart + 1, 0);
+    const count = Math.min(gap.count, available);
+    const shown = direction === 'all' ? count : Math.min(diffContext.step, count);
+    const offset = direction === 'up' ? count - shown : 0;
+
+    const rows = document.createDocumentFragment();
+    for (let k = offset; k < offset + shown; k++) {
+        const block = { type: 'context', text: lines[gap.newStart - 1 + k], oldNum: gap.oldStart + k, newNum: gap.newStart + k };
+        if (isSplit) {
+            renderSplitBlock(rows, block, fileExt, filename);
+        } else {
+            renderUnifiedBlock(rows, block, fileExt, filename);
+        }
+    }
+
+    if (direction === 'up') {
+        separator.after(rows);
+    } else {
+        separator.before(rows);
+        gap.oldStart += shown;
+        gap.newStart += shown;
+    }
+
+    gap.count = count - shown;
+    if (gap.count === 0) {
+        separator.remove();
+    } else {
+        separator.querySelector('.ct-diff-separator-cell').title = getGapTitle(gap);
+    }
+}
+
+/**
+ * Renders a block as unified rows: removed lines first, then added lines
+ * @param {HTMLElement|DocumentFragment} table - Diff table, or fragment of rows to insert in it
+ * @param {Object} block - Context line or change block
+ * @param {string} fileExt - File extension
+ * @param {string} filename - File name
+ */
+function renderUnifiedBlock(table, block, fileExt, filename) {
+    if (block.type === 'context') {
+        const row = renderNormalLine(table, 'context', block.oldNum, block.newNum, block.text, fileExt, filename);
+        setLinePosition(row, block.oldNum, block.newNum);
+        return;
+    }
+
+    const pairedChanges = getPairedChanges(block);
+    block.removed.forEach((line, k) => {
+        const row = pairedChanges
+            ? renderModifiedLine(table, 'removed', line.oldNum, '', pairedChanges[k], true, fileExt, filename)
+            : renderNormalLine(table, 'removed', line.oldNum, '', line.text, fileExt, filename);
+        setLinePosition(row, line.oldNum, line.newPos);
+    });
+    block.added.forEach((line, k) => {
+        const row = pairedChanges
+            ? renderModifiedLine(table, 'added', '', line.newNum, pairedChanges[k], false, fileExt, filename)
+            : renderNormalLine(table, 'added', '', line.newNum, line.text, fileExt, filename);
+        setLinePosition(row, line.oldPos, line.newNum);
+    });
+}
+
+/**
+ * Renders a block as split rows. Removed and added lines are aligned row by row, the
+ * shorter side padded with empty cells. A context line shows on both sides; its old
+ * copy is marked as a mirror so that searches count it once.
+ * As a row may hold two different lines, the line counters are recorded on the line
+ * number cell of each side (see setLinePosition).
+ * @param {HTMLElement|DocumentFragment} table - Diff table, or fragment of rows to insert in it
+ * @param {Object} block - Context line or change block
+ * @param {string} fileExt - File extension
+ * @param {string} filename - File name
+ */
+function renderSplitBlock(table, block, fileExt, filename) {
+    if (block.type === 'context') {
+        const row = createElement('div', { className: 'ct-diff-line ct-diff-line-context' });
+        const position = { oldPos: block.oldNum, newPos: block.newNum };
+        appendSplitSide(row, 'old', { type: 'context', num: block.oldNum, text: block.text, mirror: true, ...position }, fileExt, filename);
+        appendSplitSide(row, 'new', { type: 'context', num: block.newNum, text: block.text, ...position }, fileExt, filename);
+        table.appendChild(row);
+        return;
+    }
+
+    const pairedChanges = getPairedChanges(block);
+    const rowCount = Math.max(block.removed.length, block.added.length);
+    for (let k = 0; k < rowCount; k++) {
+        const removed = block.removed[k];
+        const added = block.added[k];
+        const changes = pairedChanges ? pairedChanges[k] : null;
+        const row = createElement('div', { className: `ct-diff-line ${cssClasses.diffLineChanged}` });
+        appendSplitSide(row, 'old', removed && {
+            type: 'removed', num: removed.oldNum, text: removed.text, changes, oldPos: removed.oldNum, newPos: removed.newPos
+        }, fileExt, filename);
+        appendSplitSide(row, 'new', added && {
+            type: 'added', num: added.newNum, text: added.text, changes, oldPos: added.oldPos, newPos: added.newNum
+        }, fileExt, filename);
+        table.appendChild(row);
+    }
+}
+
+/**
+ * Appends the line number and content cells of one side of a split row
+ * @param {HTMLElement} row - Split row
+ * @param {string} side - 'old' or 'new'
+ * @param {{type: string, num: number, text: string, oldPos: number, newPos: number, changes?: Array<Object>, mirror?: boolean}|undefined} line -
+ * Line shown on that side, with its line counters, undefined to leave it empty
+ * @param {string} fileExt - File extension
+ * @param {string} filename - File name
+ */
+function appendSplitSide(row, side, line, fileExt, filename) {
+    const cellType = line ? line.type : 'empty';
+    const numCell = createElement('span', { className: `ct-line-num ct-line-num-${side} ct-diff-cell-${cellType}` }, line ? line.num.toString() : '');
+    const contentCell = createElement('span', { className: `ct-line-content ct-line-content-${side} ct-diff-cell-${cellType}` });
+
+    if (line && line.changes) {
+        fillModifiedContent(contentCell, line.changes, side === 'old', fileExt, filename);
+    } else if (line) {
+        fillLineContent(contentCell, line.text, fileExt, filename);
+    }
+    if (line && line.mirror) {
+        contentCell.classList.add(cssClasses.diffSplitMirror);
+    }
+    if (line) {
+        setLinePosition(numCell, line.oldPos, line.newPos);
+    }
+
+    row.appendChild(numCell);
+    row.appendChild(contentCell);
+}
+
+/**
+ * Records on a diff row (on a line number cell in the split layout) the old and new line
+ * counters of the diff at that line, as GitLab computes them for line codes (an added line
+ * keeps the number of the next old line, and a removed line the number of the next new line)
+ * @param {HTMLElement} row - Rendered row, or line number cell
+ * @param {number} oldPos - Old line counter
+ * @param {number} newPos - New line counter
+ */
+function setLinePosition(row, oldPos, newPos) {
+    row.dataset.oldPos = oldPos;
+    row.dataset.newPos = newPos;
+}
+
+/**
+ * Fills a content cell with a line whose changed words are highlighted
+ * @param {HTMLElement} contentCell - Content cell
+ * @param {Array<Object>} changes - Word-level changes between the old and new line
+ * @param {boolean} isRemoved - Whether the cell shows the old line
+ * @param {string} fileExt - File extension
+ * @param {string} filename - File name
+ */
+function fillModifiedContent(contentCell, changes, isRemoved, fileExt, filename) {
     changes.forEach(part => {
         if (isRemoved && part.removed) {
             const span = document.createElement('span');
@@ -157,54 +492,76 @@ function renderModifiedLine(table, type, oldNum, newNum, changes, isRemoved, fil
             contentCell.appendChild(span);
         }
     });
+}
+
+/**
+ * Fills a content cell with a highlighted line
+ * @param {HTMLElement} contentCell - Content cell
+ * @param {string} text - Line text, without its diff prefix
+ * @param {string} fileExt - File extension
+ * @param {string} filename - File name
+ */
+function fillLineContent(contentCell, text, fileExt, filename) {
+    if (text === '') {
+        contentCell.textContent = '\u00A0';
+    } else {
+        safeSetHTML(contentCell, highlightCode(text, fileExt, filename));
+    }
+}
+
+/**
+ * Helper to render modified lines with word highlighting
+ * @returns {HTMLElement} Rendered row
+ */
+function renderModifiedLine(table, type, oldNum, newNum, changes, isRemoved, fileExt, filename) {
+    const lineRow = createElement('div', { className: `ct-diff-line ct-diff-line-${type}` });
+    const oldNumCell = createElement('span', { className: 'ct-line-num ct-line-num-old' }, oldNum.toString());
+    const newNumCell = createElement('span', { className: 'ct-line-num ct-line-num-new' }, newNum.toString());
+    const contentCell = createElement('span', { className: 'ct-line-content' });
+
+    fillModifiedContent(contentCell, changes, isRemoved, fileExt, filename);
 
     lineRow.appendChild(oldNumCell);
     lineRow.appendChild(newNumCell);
     lineRow.appendChild(contentCell);
     table.appendChild(lineRow);
+    return lineRow;
 }
 
 /**
  * Helper for normal lines
+ * @returns {HTMLElement} Rendered row
  */
-function renderNormalLine(table, line, oldLineNum, newLineNum, fileExt, filename) {
-    let lineType = 'context';
-    let oldNum = '';
-    let newNum = '';
-    let lineContent = line;
-
-    if (line.startsWith('+')) {
-        lineType = 'added';
-        newNum = newLineNum;
-        lineContent = line.substring(1);
-    } else if (line.startsWith('-')) {
-        lineType = 'removed';
-        oldNum = oldLineNum;
-        lineContent = line.substring(1);
-    } else if (line.startsWith(' ')) {
-        lineType = 'context';
-        oldNum = oldLineNum;
-        newNum = newLineNum;
-        lineContent = line.substring(1);
-    } else {
-        return;
-    }
-
+function renderNormalLine(table, lineType, oldNum, newNum, lineContent, fileExt, filename) {
     const lineRow = createElement('div', { className: `ct-diff-line ct-diff-line-${lineType}` });
     const oldNumCell = createElement('span', { className: 'ct-line-num ct-line-num-old' }, oldNum.toString());
     const newNumCell = createElement('span', { className: 'ct-line-num ct-line-num-new' }, newNum.toString());
     const contentCell = createElement('span', { className: 'ct-line-content' });
 
-    if (lineContent === '') {
-        contentCell.textContent = '\u00A0';
-    } else {
-        safeSetHTML(contentCell, highlightCode(lineContent, fileExt, filename));
-    }
+    fillLineContent(contentCell, lineContent, fileExt, filename);
 
     lineRow.appendChild(oldNumCell);
     lineRow.appendChild(newNumCell);
     lineRow.appendChild(contentCell);
     table.appendChild(lineRow);
+    return lineRow;
+}
+
+/**
+ * Computes a unified diff (hunks only, no file headers) between two versions of a file,
+ * in the same format as the `diff` field of the GitLab API
+ * @param {string} oldText - Content before the change
+ * @param {string} newText - Content after the change
+ * @param {number} [context=diffContext.hunkLines] - Number of context lines around each change
+ * @returns {string} Unified diff content, empty when both versions are identical
+ */
+export function createUnifiedDiff(oldText, newText, context = diffContext.hunkLines) {
+    const patch = Diff.structuredPatch('', '', oldText, newText, '', '', { context });
+
+    return patch.hunks.map(hunk => [
+        `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+        ...hunk.lines
+    ].join('\n')).join('\n');
 }
 
 /**
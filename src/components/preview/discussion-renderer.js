@@ -0,0 +1,141 @@
+/**
+ * Discussion Renderer
+ * @fileoverview Renders the GitLab discussions of a file as expandable threads
+ * anchored below the diff rows they were made on.
+ */
+
+import { cssClasses } from '../../config/constants.js';
+import { createElement } from '../../utils/dom.js';
+import { formatRelativeDate } from '../../utils/helpers.js';
+
+/**
+ * Creates a note of a thread
+ * @param {{author: {name: string}, created_at: string, body: string}} note - Note from the discussions API
+ * @returns {HTMLElement} Note element
+ */
+function createNote(note) {
+    const noteEl = createElement('div', { className: cssClasses.discussionNote });
+
+    const header = createElement('div', { className: 'ct-discussion-note-header' });
+    const author = createElement('span', { className: cssClasses.blameAuthor });
+    author.textContent = note.author ? note.author.name : '';
+    const date = createElement('span', { className: cssClasses.blameDate });
+    date.textContent = formatRelativeDate(note.created_at);
+    date.title = new Date(note.created_at).toLocaleString('fr-FR');
+    header.appendChild(author);
+    header.appendChild(date);
+
+    const body = createElement('div', { className: 'ct-discussion-note-body' });
+    body.textContent = note.body;
+
+    noteEl.appendChild(header);
+    noteEl.appendChild(body);
+    return noteEl;
+}
+
+/**
+ * Creates an expandable thread, collapsed to its first author and note count
+ * @param {{id: string, position: Object, notes: Array<Object>}} discussion - Discussion attached by attachDiscussions
+ * @param {string} [location=''] - Extra label, for threads not shown next to their line
+ * @returns {HTMLElement} Thread element
+ */
+export function createDiscussionThread(discussion, location = '') {
+    const { notes } = discussion;
+    const thread = createElement('div', { className: cssClasses.discussionThread, dataset: { discussionId: discussion.id } });
+
+    const resolved = notes.some(note => note.resolvable) && notes.every(note => !note.resolvable || note.resolved);
+    if (resolved) {
+        thread.classList.add('ct-discussion-resolved');
+    }
+
+    const toggle = createElement('button', { className: 'ct-discussion-toggle', type: 'button' });
+    const summary = [
+        `${notes.length} commentaire(s)`,
+        notes[0].author ? notes[0].author.name : null,
+        location || null,
+        resolved ? 'résolu' : null
+    ].filter(Boolean).join(' · ');
+    toggle.textContent = summary;
+
+    const notesList = createElement('div', { className: 'ct-discussion-notes' });
+    notes.forEach(note => notesList.appendChild(createNote(note)));
+    notesList.style.display = 'none';
+
+    toggle.onclick = () => {
+        const isHidden = notesList.style.display === 'none';
+        notesList.style.display = isHidden ? '' : 'none';
+        thread.classList.toggle(cssClasses.expanded, isHidden);
+    };
+
+    thread.appendChild(toggle);
+    thread.appendChild(notesList);
+    return thread;
+}
+
+/**
+ * Wraps a thread (or a comment composer) into a diff table row, line number cells left empty
+ * @param {HTMLElement} thread - Thread element
+ * @returns {HTMLElement} Row element
+ */
+export function createDiscussionRow(thread) {
+    const row = createElement('div', { className: cssClasses.discussionRow });
+    row.appendChild(createElement('span', { className: 'ct-line-num ct-line-num-old' }));
+    row.appendChild(createElement('span', { className: 'ct-line-num ct-line-num-new' }));
+    const content = createElement('span', { className: 'ct-discussion-cell' });
+    content.appendChild(thread);
+    row.appendChild(content);
+    return row;
+}
+
+/**
+ * Finds the diff row a discussion position points to: the new line number for
+ * added and context lines, the old one for removed lines
+ * @param {HTMLElement} table - Diff table
+ * @param {{old_line: number|null, new_line: number|null}} position - Discussion position
+ * @returns {HTMLElement|null} Matching row
+ */
+function findPositionRow(table, position) {
+    const [cellClass, lineNumber] = position.new_line
+        ? ['ct-line-num-new', position.new_line]
+        : ['ct-line-num-old', position.old_line];
+
+    return Array.from(table.querySelectorAll(`.ct-diff-line > .${cellClass}`))
+        .find(cell => cell.textContent === String(lineNumber))?.parentNode || null;
+}
+
+/**
+ * Anchors the discussions of a file below their rows in a rendered diff table.
+ * Discussions on lines outside the shown hunks are returned instead.
+ * @param {HTMLElement} table - Diff table built by renderDiff
+ * @param {Array<Object>} discussions - Discussions of the file (see attachDiscussions)
+ * @returns {Array<Object>} Discussions that could not be anchored
+ */
+export function anchorDiscussions(table, discussions) {
+    const unanchored = [];
+
+    discussions.forEach(discussion => {
+        const row = findPositionRow(table, discussion.position);
+        if (!row) {
+            unanchored.push(discussion);
+            return;
+        }
+
+        row.classList.add(cssClasses.diffLineCommented);
+        let insertAfter = row;
+        while (insertAfter.nextElementSibling && insertAfter.nextElementSibling.classList.contains(cssClasses.discussionRow)) {
+            insertAfter = insertAfter.nextElementSibling;
+        }
+        insertAfter.after(createDiscussionRow(createDiscussionThread(discussion)));
+    });
+
+    return unanchored;
+}
+
+/**
+ * Counts the comments of a file's discussions
+ * @param {Array<Object>|undefined} discussions - Discussions of the file
+ * @returns {number}
+ */
+export function countComments(discussions) {
+    return (discussions || []).reduce((sum, discussion) => sum + discussion.notes.length, 0);
+}
@@ -10,12 +10,19 @@ import { cssClasses, getFileIcon } from '../../config/constants.js';
 import { createElement, safeSetHTML } from '../../utils/dom.js';
 import { isImageFile, isPdfFile, isBinaryFile, getMimeType } from '../../utils/helpers.js';
 import { highlightCode } from '../../core/highlight.js';
-import { fetchFileContent } from '../../api/client.js';
+import { fetchFileContent, isAbortError } from '../../api/client.js';
 import { getProjectInfo, getCommitSha } from '../../core/context.js';
+import { getBaseProjectInfo } from '../../utils/gitlab.js';
 import { createLoadingIndicator } from '../common/container.js';
+import { registerMemoryCache } from '../../core/cache.js';
 
 /** @type {Map<string, string>} Cache for full file contents (text and base64) */
 export const fullFileCache = new Map();
+registerMemoryCache(fullFileCache);
+
+/** @type {Map<string, {oid: string, size: number}>} Git LFS pointers of the files fetched, by file cache key */
+const lfsPointers = new Map();
+registerMemoryCache(lfsPointers);
 
 /** @type {string|null} Active PDF blob URL to revoke on next preview change */
 let currentPdfBlobUrl = null;
@@ -47,42 +54,88 @@ function base64ToBlobUrl(base64, mimeType) {
     return URL.createObjectURL(blob);
 }
 
+/**
+ * Resolves where the content of a file can be read: a file deleted by a compare only exists
+ * on the target ref, possibly in another project.
+ * @param {Object} projectInfo - Current project information
+ * @param {Object} fileNode - File node from the tree
+ * @param {string|null} [refOverride=null] - Git ref to use (overrides fileNode.ref)
+ * @returns {{projectInfo: Object, ref: string}} Project and ref holding the file
+ */
+export function resolveFileSource(projectInfo, fileNode, refOverride = null) {
+    const isDeletedInCompare = projectInfo.isComparePage && fileNode.status === 'deleted' && projectInfo.targetBranch;
+
+    if (isDeletedInCompare) {
+        return { projectInfo: getBaseProjectInfo(projectInfo), ref: projectInfo.targetBranch };
+    }
+
+    return {
+        projectInfo,
+        ref: refOverride || fileNode.ref || getCommitSha() || projectInfo.commitSha || projectInfo.sourceBranch || projectInfo.branchName || 'main'
+    };
+}
+
+/**
+ * Returns the text content of a file, from fullFileCache or fetched
+ * @param {Object} projectInfo - Project holding the file
+ * @param {string} filePath - Path of the file
+ * @param {string} ref - Git ref
+ * @param {AbortSignal|null} [signal=null] - Cancels the fetch
+ * @returns {Promise<string>}
+ * @throws {Error} When the fetch fails
+ */
+export async function loadFileText(projectInfo, filePath, ref, signal = null) {
+    const cacheKey = `${projectInfo.projectPath}:${filePath}@${ref}`;
+    let fileContent = fullFileCache.get(cacheKey);
+
+    if (fileContent === undefined) {
+        const fileData = await fetchFileContent(projectInfo, filePath, ref, false, signal);
+        fileContent = fileData.content;
+        fullFileCache.set(cacheKey, fileContent);
+        if (fileData.lfs) lfsPointers.set(cacheKey, fileData.lfs);
+    }
+
+    return fileContent;
+}
+
 /**
  * Renders the full file content (without diff) into a container.
  * Dispatches to the appropriate renderer based on file type.
  * @param {HTMLElement} container - Target container element
  * @param {Object} fileNode - File node from the tree
  * @param {string|null} [refOverride=null] - Git ref to use (overrides fileNode.ref)
+ * @param {AbortSignal|null} [signal=null] - Cancels the fetch when another file is selected
+ * @returns {Promise<{oid: string, size: number}|null>} Git LFS pointer of the file, if it is stored in LFS
  */
-export async function renderFullFileContent(container, fileNode, refOverride = null) {
+export async function renderFullFileContent(container, fileNode, refOverride = null, signal = null) {
     const currentProjectInfo = getProjectInfo();
-    const currentCommitSha = getCommitSha();
 
     if (!currentProjectInfo) {
         container.appendChild(createElement('div', { className: 'ct-diff-empty' }, 'Contexte du projet non disponible.'));
-        return;
+        return null;
     }
 
-    const ref = refOverride || fileNode.ref || currentCommitSha || currentProjectInfo.commitSha || currentProjectInfo.sourceBranch || currentProjectInfo.branchName || 'main';
+    const { projectInfo, ref } = resolveFileSource(currentProjectInfo, fileNode, refOverride);
     const filename = fileNode.name;
     const fileExt = filename.split('.').pop()?.toLowerCase() || '';
 
+    const cacheKey = `${projectInfo.projectPath}:${fileNode.path}@${ref}`;
+
     if (isImageFile(fileExt)) {
-        await renderImageContent(container, fileNode, ref, fileExt);
-        return;
+        await renderImageContent(container, projectInfo, fileNode, ref, fileExt, signal);
+        return lfsPointers.get(cacheKey) || null;
     }
 
     if (isPdfFile(fileExt)) {
-        await renderPdfContent(container, fileNode, ref);
-        return;
+        await renderPdfContent(container, projectInfo, fileNode, ref, signal);
+        return lfsPointers.get(cacheKey) || null;
     }
 
     if (isBinaryFile(fileExt)) {
         renderBinaryContent(container, fileNode);
-        return;
+        return null;
     }
 
-    const cacheKey = `${currentProjectInfo.projectPath}:${fileNode.path}@${ref}`;
     let fileContent = fullFileCache.get(cacheKey);
 
     if (!fileContent) {
@@ -90,16 +143,17 @@ export async function renderFullFileContent(container, fileNode, refOverride = n
         container.appendChild(loading);
 
         try {
-            const fileData = await fetchFileContent(currentProjectInfo, fileNode.path, ref);
-            fileContent = fileData.content;
-            fullFileCache.set(cacheKey, fileContent);
+            fileContent = await loadFileText(projectInfo, fileNode.path, ref, signal);
             loading.remove();
         } catch (error) {
             loading.remove();
+            if (isAbortError(error)) {
+                return null;
+            }
             const errorDiv = createElement('div', { className: 'ct-diff-empty ct-diff-error' });
             errorDiv.textContent = `Erreur lors du chargement du fichier: ${error.message}`;
             container.appendChild(errorDiv);
-            return;
+            return null;
         }
     }
 
@@ -124,18 +178,20 @@ export async function renderFullFileContent(container, fileNode, refOverride = n
     });
 
     container.appendChild(table);
+    return lfsPointers.get(cacheKey) || null;
 }
 
 /**
  * Renders an image file in the preview panel.
  * @param {HTMLElement} container
+ * @param {Object} projectInfo
  * @param {Object} fileNode
  * @param {string} ref
  * @param {string} fileExt
+ * @param {AbortSignal|null} [signal=null]
  */
-async function renderImageContent(container, fileNode, ref, fileExt) {
-    const currentProjectInfo = getProjectInfo();
-    const cacheKey = `img:${currentProjectInfo.projectPath}:${fileNode.path}@${ref}`;
+async function renderImageContent(container, projectInfo, fileNode, ref, fileExt, signal = null) {
+    const cacheKey = `img:${projectInfo.projectPath}:${fileNode.path}@${ref}`;
     let base64 = fullFileCache.get(cacheKey);
 
     if (!base64) {
@@ -143,12 +199,16 @@ async function renderImageContent(container, fileNode, ref, fileExt) {
         container.appendChild(loading);
 
         try {
-            const fileData = await fetchFileContent(currentProjectInfo, fileNode.path, ref, true);
+            const fileData = await fetchFileContent(projectInfo, fileNode.path, ref, true, signal);
             base64 = fileData.content;
             fullFileCache.set(cacheKey, base64);
+            if (fileData.lfs) lfsPointers.set(`${projectInfo.projectPath}:${fileNode.path}@${ref}`, fileData.lfs);
             loading.remove();
         } catch (error) {
             loading.remove();
+            if (isAbortError(error)) {
+                return;
+            }
             const errorDiv = createElement('div', { className: 'ct-diff-empty ct-diff-error' });
             errorDiv.textContent = `Erreur lors du chargement de l'image: ${error.message}`;
             container.appendChild(errorDiv);
@@ -170,12 +230,13 @@ async function renderImageContent(container, fileNode, ref, fileExt) {
 /**
  * Renders a PDF file in the preview panel.
  * @param {HTMLElement} container
+ * @param {Object} projectInfo
  * @param {Object} fileNode
  * @param {string} ref
+ * @param {AbortSignal|null} [signal=null]
  */
-async function renderPdfContent(container, fileNode, ref) {
-    const currentProjectInfo = getProjectInfo();
-    const cacheKey = `pdf:${currentProjectInfo.projectPath}:${fileNode.path}@${ref}`;
+async function renderPdfContent(container, projectInfo, fileNode, ref, signal = null) {
+    const cacheKey = `pdf:${projectInfo.projectPath}:${fileNode.path}@${ref}`;
     let base64 = fullFileCache.get(cacheKey);
 
     if (!base64) {
@@ -183,12 +244,16 @@ async function renderPdfContent(container, fileNode, ref) {
         container.appendChild(loading);
 
         try {
-            const fileData = await fetchFileContent(currentProjectInfo, fileNode.path, ref, true);
+            const fileData = await fetchFileContent(projectInfo, fileNode.path, ref, true, signal);
             base64 = fileData.content;
             fullFileCache.set(cacheKey, base64);
+            if (fileData.lfs) lfsPointers.set(`${projectInfo.projectPath}:${fileNode.path}@${ref}`, fileData.lfs);
             loading.remove();
         } catch (error) {
             loading.remove();
+            if (isAbortError(error)) {
+                return;
+            }
             const errorDiv = createElement('div', { className: 'ct-diff-empty ct-diff-error' });
             errorDiv.textContent = `Erreur lors du chargement du PDF: ${error.message}`;
             container.appendChild(errorDiv);
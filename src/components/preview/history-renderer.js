@@ -0,0 +1,158 @@
+/**
+ * File History Renderer
+ * @fileoverview Lists the commits that touched a file (following renames) in the preview panel;
+ * selecting a commit shows its diff for that file only, below the list.
+ */
+
+import { cssClasses } from '../../config/constants.js';
+import { createElement } from '../../utils/dom.js';
+import { formatRelativeDate, getLfsPointerFromDiff } from '../../utils/helpers.js';
+import { fetchFileHistory, fetchCommitDiffs, isAbortError } from '../../api/client.js';
+import { getProjectInfo } from '../../core/context.js';
+import { createLoadingIndicator } from '../common/container.js';
+import { resolveFileSource, loadFileText } from './file-renderer.js';
+import { renderDiff } from './diff-renderer.js';
+
+/**
+ * Creates the list entry of a commit
+ * @param {Object} commit - Commit from the history, with the `path` of the file in that commit
+ * @param {string} currentPath - Path of the file in the tree
+ * @returns {HTMLElement} Entry element
+ */
+function createHistoryEntry(commit, currentPath) {
+    const entry = createElement('div', { className: cssClasses.historyEntry, dataset: { sha: commit.id } });
+
+    const sha = createElement('span', { className: cssClasses.blameSha });
+    sha.textContent = commit.short_id || commit.id.substring(0, 8);
+
+    const title = createElement('span', { className: cssClasses.historyTitle });
+    title.textContent = commit.title;
+    title.title = commit.message || commit.title;
+
+    const meta = createElement('span', { className: cssClasses.historyMeta });
+    meta.textContent = `${commit.author_name} · ${formatRelativeDate(commit.authored_date)}`;
+
+    entry.appendChild(sha);
+    entry.appendChild(title);
+    entry.appendChild(meta);
+
+    if (commit.path !== currentPath) {
+        const path = createElement('span', { className: cssClasses.historyPath });
+        path.textContent = commit.path;
+        entry.appendChild(path);
+    }
+
+    return entry;
+}
+
+/**
+ * Renders the diff of one history commit for the file
+ * @param {HTMLElement} diffArea - Element receiving the diff
+ * @param {Object} projectInfo - Project holding the commits
+ * @param {Object} commit - Selected commit, with the `path` of the file in that commit
+ * @param {AbortSignal|null} signal - Signal of the current preview
+ * @param {string} layout - Diff layout, see renderDiff
+ * @returns {Promise<void>}
+ */
+async function showHistoryCommitDiff(diffArea, projectInfo, commit, signal, layout) {
+    diffArea._commitSha = commit.id;
+    const loading = createLoadingIndicator('Chargement des différences...');
+    diffArea.replaceChildren(loading);
+
+    let fileDiff;
+    try {
+        const diffs = await fetchCommitDiffs(projectInfo, commit.id, signal);
+        fileDiff = diffs.find(diff => diff.new_path === commit.path || diff.old_path === commit.path);
+    } catch (error) {
+        if (isAbortError(error) || diffArea._commitSha !== commit.id) {
+            return;
+        }
+        const errorDiv = createElement('div', { className: 'ct-diff-empty ct-diff-error' });
+        errorDiv.textContent = `Erreur lors du chargement du commit: ${error.message}`;
+        diffArea.replaceChildren(errorDiv);
+        return;
+    }
+
+    // Another commit was selected meanwhile
+    if (diffArea._commitSha !== commit.id) {
+        return;
+    }
+
+    diffArea.replaceChildren();
+    if (fileDiff && fileDiff.diff) {
+        // The context is expanded from the file as of this commit
+        const wholeFileShown = fileDiff.new_file || fileDiff.deleted_file || getLfsPointerFromDiff(fileDiff.diff);
+        const loadNewContent = wholeFileShown ? null : () => loadFileText(projectInfo, fileDiff.new_path, commit.id, signal);
+        renderDiff(diffArea, fileDiff.diff, commit.path, [], layout, loadNewContent);
+    } else {
+        diffArea.appendChild(createElement('div', { className: 'ct-diff-empty' }, 'Aucune différence textuelle pour ce fichier dans ce commit.'));
+    }
+}
+
+/**
+ * Renders the history of a file: the commits list, then the diff of the selected commit
+ * (the most recent one at first)
+ * @param {HTMLElement} container - Target container element
+ * @param {Object} fileNode - File node from the tree
+ * @param {string|null} [refOverride=null] - Git ref the history starts from (overrides fileNode.ref)
+ * @param {AbortSignal|null} [signal=null] - Cancels the fetches when another file is selected
+ * @param {string} [layout='unified'] - Diff layout of the commit diffs, see renderDiff
+ * @returns {Promise<void>}
+ */
+export async function renderFileHistory(container, fileNode, refOverride = null, signal = null, layout = 'unified') {
+    const currentProjectInfo = getProjectInfo();
+
+    if (!currentProjectInfo) {
+        container.appendChild(createElement('div', { className: 'ct-diff-empty' }, 'Contexte du projet non disponible.'));
+        return;
+    }
+
+    const { projectInfo, ref } = resolveFileSource(currentProjectInfo, fileNode, refOverride);
+
+    const loading = createLoadingIndicator("Chargement de l'historique...");
+    container.appendChild(loading);
+
+    let history;
+    try {
+        history = await fetchFileHistory(projectInfo, fileNode.path, ref, signal);
+        loading.remove();
+    } catch (error) {
+        loading.remove();
+        if (isAbortError(error)) {
+            return;
+        }
+        const errorDiv = createElement('div', { className: 'ct-diff-empty ct-diff-error' });
+        errorDiv.textContent = `Erreur lors du chargement de l'historique: ${error.message}`;
+        container.appendChild(errorDiv);
+        return;
+    }
+
+    if (history.length === 0) {
+        container.appendChild(createElement('div', { className: 'ct-diff-empty' }, 'Aucun commit trouvé pour ce fichier.'));
+        return;
+    }
+
+    const list = createElement('div', { className: cssClasses.historyList });
+    const diffArea = createElement('div', { className: cssClasses.historyDiff });
+
+    const selectEntry = (entry, commit) => {
+        list.querySelectorAll(`.${cssClasses.historyEntry}`).forEach(el => el.classList.remove('ct-selected'));
+        entry.classList.add('ct-selected');
+        showHistoryCommitDiff(diffArea, projectInfo, commit, signal, layout);
+    };
+
+    history.forEach(commit => {
+        const entry = createHistoryEntry(commit, fileNode.path);
+        entry.onclick = () => selectEntry(entry, commit);
+        list.appendChild(entry);
+    });
+
+    const header = createElement('div', { className: cssClasses.historyHeader });
+    header.textContent = `${history.length} commit(s)`;
+
+    container.appendChild(header);
+    container.appendChild(list);
+    container.appendChild(diffArea);
+
+    selectEntry(list.firstChild, history[0]);
+}
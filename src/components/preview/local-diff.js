@@ -0,0 +1,136 @@
+/**
+ * Local Diff Renderer
+ * @fileoverview Fallback used when GitLab omits a diff (collapsed, too large, compare entries
+ * without a `diff` field): fetches both sides of the file and computes the patch in the browser.
+ */
+
+import { cssClasses, icons, localDiff } from '../../config/constants.js';
+import { createElement } from '../../utils/dom.js';
+import { isImageFile, isPdfFile, isBinaryFile } from '../../utils/helpers.js';
+import { fetchFileContent, fetchFileSize, fetchCommit, fetchMergeBase } from '../../api/client.js';
+import { getProjectInfo, getCommitSha } from '../../core/context.js';
+import { isCrossProjectCompare, getBaseProjectInfo } from '../../utils/gitlab.js';
+import { createLoadingIndicator } from '../common/container.js';
+import { renderDiff, createUnifiedDiff } from './diff-renderer.js';
+
+/**
+ * Returns the ref holding the old side of the file.
+ * Known base refs (merge requests) are used as is; compares use their target (straight)
+ * or the merge base of both refs, and commits use their first parent.
+ * The target of a cross-project compare is resolved to a SHA in its own project first,
+ * since the branch name means nothing in the current one.
+ * @param {Object} projectInfo - Project information object
+ * @param {Object} fileNode - File node from the tree
+ * @param {string} headRef - Ref holding the new side of the file
+ * @param {AbortSignal|null} signal - Signal cancelling the requests
+ * @returns {Promise<string|null>} The base ref, or null for a root commit
+ */
+async function resolveBaseRef(projectInfo, fileNode, headRef, signal) {
+    if (fileNode.base_ref) {
+        return fileNode.base_ref;
+    }
+
+    if (projectInfo.isComparePage) {
+        const targetRef = isCrossProjectCompare(projectInfo)
+            ? (await fetchCommit(getBaseProjectInfo(projectInfo), projectInfo.targetBranch, signal)).id
+            : projectInfo.targetBranch;
+        if (projectInfo.straight) {
+            return targetRef;
+        }
+        const mergeBase = await fetchMergeBase(projectInfo, targetRef, projectInfo.sourceBranch, signal);
+        return mergeBase.id;
+    }
+
+    const commit = await fetchCommit(projectInfo, headRef, signal);
+    return commit.parent_ids && commit.parent_ids.length > 0 ? commit.parent_ids[0] : null;
+}
+
+/**
+ * Returns true if the file can be diffed as text
+ * @param {Object} fileNode - File node from the tree
+ * @returns {boolean}
+ */
+export function canDiffLocally(fileNode) {
+    const fileExt = fileNode.name.split('.').pop()?.toLowerCase() || '';
+    return !isImageFile(fileExt) && !isPdfFile(fileExt) && !isBinaryFile(fileExt);
+}
+
+/**
+ * Shows the size guard of a large file and waits for the user to confirm the diff
+ * @param {HTMLElement} container - Target container element
+ * @param {number} totalSize - Combined size of both sides, in bytes
+ * @param {AbortSignal|null} signal - Rejects with an AbortError when another file is selected
+ * @returns {Promise<void>} Resolves once the user asked for the diff
+ */
+function confirmLargeDiff(container, totalSize, signal) {
+    return new Promise((resolve, reject) => {
+        const guard = createElement('div', { className: 'ct-diff-empty' });
+        guard.appendChild(createElement('span', { className: 'ct-diff-empty-text' },
+            `Fichier volumineux (${(totalSize / 1024).toFixed(0)} Ko) : le calcul du diff peut ralentir la page.`));
+
+        const computeBtn = createElement('button', {
+            className: `${cssClasses.button} ct-diff-load-btn`
+        }, `${icons.viewDiff} <span>Calculer le diff</span>`);
+        computeBtn.onclick = () => {
+            guard.remove();
+            resolve();
+        };
+
+        guard.appendChild(computeBtn);
+        container.appendChild(guard);
+        signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+}
+
+/**
+ * Fetches the old and new contents of a file and renders their diff into the container.
+ * The sizes of both sides are read first: above localDiff.maxSize, the user has to confirm
+ * before anything is downloaded.
+ * @param {HTMLElement} container - Target container element
+ * @param {Object} fileNode - File node from the tree
+ * @param {AbortSignal|null} [signal=null] - Cancels the fetches when another file is selected
+ * @param {string} [layout='unified'] - Diff layout, see renderDiff
+ * @returns {Promise<void>}
+ * @throws {Error} When the file is binary, the context is missing or a fetch fails
+ */
+export async function renderLocalDiff(container, fileNode, signal = null, layout = 'unified') {
+    const projectInfo = getProjectInfo();
+    const headRef = fileNode.ref || getCommitSha();
+
+    if (!projectInfo || !headRef || !canDiffLocally(fileNode)) {
+        throw new Error('Local diff not available for this file');
+    }
+
+    const loading = createLoadingIndicator('Calcul des différences à partir des fichiers...');
+    container.appendChild(loading);
+
+    let oldText;
+    let newText;
+    try {
+        const baseRef = fileNode.status === 'added' ? null : await resolveBaseRef(projectInfo, fileNode, headRef, signal);
+        const sides = [
+            baseRef ? { projectInfo: getBaseProjectInfo(projectInfo), path: fileNode.old_path || fileNode.path, ref: baseRef } : null,
+            fileNode.status === 'deleted' ? null : { projectInfo, path: fileNode.path, ref: headRef }
+        ];
+
+        const sizes = await Promise.all(sides.map(side => side ? fetchFileSize(side.projectInfo, side.path, side.ref, signal) : 0));
+        const totalSize = sizes.reduce((sum, size) => sum + (size || 0), 0);
+        if (totalSize > localDiff.maxSize) {
+            loading.remove();
+            await confirmLargeDiff(container, totalSize, signal);
+            container.appendChild(loading);
+        }
+
+        const [oldFile, newFile] = await Promise.all(sides.map(side => side
+            ? fetchFileContent(side.projectInfo, side.path, side.ref, false, signal)
+            : null));
+        oldText = oldFile ? oldFile.content : '';
+        newText = newFile ? newFile.content : '';
+    } finally {
+        loading.remove();
+    }
+
+    const wholeFileShown = fileNode.status === 'added' || fileNode.status === 'deleted';
+    const loadNewContent = wholeFileShown ? null : async () => newText;
+    renderDiff(container, createUnifiedDiff(oldText, newText), fileNode.path, [], layout, loadNewContent);
+}
@@ -86,7 +86,7 @@ export function setupPreviewSearch(previewPanel) {
             return;
         }
 
-        const contentCells = previewPanel.querySelectorAll('.ct-line-content');
+        const contentCells = previewPanel.querySelectorAll(`.ct-line-content:not(.${cssClasses.diffSplitMirror})`);
         const regex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
 
         for (const cell of contentCells) {
@@ -259,6 +259,7 @@ export function setupPreviewSearch(previewPanel) {
     };
 
     document.addEventListener('keydown', handleKeydown, { signal: abortController.signal });
+    previewPanel.addEventListener('mousedown', (e) => setSplitSelectionSide(e.target));
 
     previewPanel._toggleSearch = toggleSearchBar;
     previewPanel._cleanupSearch = () => abortController.abort();
@@ -283,6 +284,20 @@ function getActiveContainer(fallbackContainer) {
     return centerContainer || fallbackContainer;
 }
 
+/**
+ * In a split diff, restricts text selection to the column (old or new) of the given
+ * element, so that a selection spanning several rows copies the lines of one side only
+ * @param {Element} element - Element where the selection starts
+ */
+function setSplitSelectionSide(element) {
+    const table = element.closest(`.${cssClasses.diffSplit}`);
+    const cell = element.closest('.ct-line-num, .ct-line-content');
+    if (table && cell) {
+        const isOld = cell.classList.contains('ct-line-num-old') || cell.classList.contains('ct-line-content-old');
+        table.dataset.selectSide = isOld ? 'old' : 'new';
+    }
+}
+
 /**
  * Sélectionne le bloc de diff contenant le curseur ou tout le fichier lors d'un Cmd+A / Ctrl+A
  * @returns {boolean} True si une sélection a été effectuée
@@ -296,6 +311,8 @@ function selectCurrentDiffBlock() {
     
     const diffLine = element.closest(`.${cssClasses.diffLine}`);
     if (diffLine) {
+        setSplitSelectionSide(element);
+
         let start = diffLine;
         while (start.previousElementSibling && 
                !start.previousElementSibling.classList.contains('ct-diff-separator')) {
@@ -0,0 +1,98 @@
+/**
+ * Submodule Renderer
+ * @fileoverview Preview of a submodule entry: the commit it is pinned to, or the move between
+ * two commits, with a link to the submodule project when .gitmodules points to this instance.
+ */
+
+import { cssClasses, icons } from '../../config/constants.js';
+import { createElement } from '../../utils/dom.js';
+import { parseGitmodules, resolveSubmoduleProjectPath } from '../../utils/gitlab.js';
+import { fetchFileContent } from '../../api/client.js';
+import { getProjectInfo, getCommitSha } from '../../core/context.js';
+import { getGitLabBaseUrl } from '../../core/instances.js';
+
+/**
+ * Formats a commit SHA for display
+ * @param {string} sha - Full commit SHA
+ * @returns {string}
+ */
+function formatSha(sha) {
+    return `<code title="${sha}">${sha.substring(0, 8)}</code>`;
+}
+
+/**
+ * Builds the sentence describing the submodule change
+ * @param {Object} fileNode - Submodule node from the tree
+ * @returns {string} HTML text
+ */
+export function getSubmoduleSummary(fileNode) {
+    const { old_sha: oldSha, new_sha: newSha } = fileNode.submodule;
+
+    if (oldSha && newSha) {
+        return `Sous-module déplacé de ${formatSha(oldSha)} à ${formatSha(newSha)}`;
+    }
+    if (oldSha) {
+        return `Sous-module supprimé (était à ${formatSha(oldSha)})`;
+    }
+    return fileNode.status === 'added'
+        ? `Sous-module ajouté à ${formatSha(newSha)}`
+        : `Sous-module épinglé à ${formatSha(newSha)}`;
+}
+
+/**
+ * Returns the URL of the submodule compare page (or tree page for a single commit)
+ * @param {string} submoduleProjectPath - Project path of the submodule
+ * @param {Object} submodule - {old_sha, new_sha} of the submodule node
+ * @returns {string}
+ */
+function getSubmoduleUrl(submoduleProjectPath, { old_sha: oldSha, new_sha: newSha }) {
+    const projectUrl = `${getGitLabBaseUrl()}/${submoduleProjectPath}`;
+    return oldSha && newSha
+        ? `${projectUrl}/-/compare/${oldSha}...${newSha}`
+        : `${projectUrl}/-/tree/${newSha || oldSha}`;
+}
+
+/**
+ * Renders the submodule summary into the container, then adds a link to the submodule
+ * project once its URL has been read from .gitmodules
+ * @param {HTMLElement} container - Target container element
+ * @param {Object} fileNode - Submodule node from the tree
+ * @param {AbortSignal|null} [signal=null] - Cancels the .gitmodules fetch when another file is selected
+ * @returns {Promise<void>}
+ */
+export async function renderSubmoduleSummary(container, fileNode, signal = null) {
+    const summary = createElement('div', { className: `ct-diff-empty ${cssClasses.submoduleSummary}` });
+    summary.appendChild(createElement('span', { className: 'ct-diff-empty-text' }, getSubmoduleSummary(fileNode)));
+    container.appendChild(summary);
+
+    const projectInfo = getProjectInfo();
+    const ref = fileNode.ref || getCommitSha();
+    if (!projectInfo || !ref) {
+        return;
+    }
+
+    let urlsByPath;
+    try {
+        const gitmodules = await fetchFileContent(projectInfo, '.gitmodules', ref, false, signal);
+        urlsByPath = parseGitmodules(gitmodules.content);
+    } catch {
+        // Aborted, or no readable .gitmodules: the summary stands on its own
+        return;
+    }
+
+    const url = urlsByPath.get(fileNode.path) || urlsByPath.get(fileNode.old_path);
+    const submoduleProjectPath = url ? resolveSubmoduleProjectPath(url, projectInfo.projectPath) : null;
+    if (!submoduleProjectPath || signal?.aborted) {
+        return;
+    }
+
+    const { old_sha: oldSha, new_sha: newSha } = fileNode.submodule;
+    const link = createElement('a', {
+        className: `${cssClasses.button} ct-diff-load-btn`,
+        href: getSubmoduleUrl(submoduleProjectPath, fileNode.submodule),
+        target: '_blank',
+        rel: 'noopener'
+    }, `${icons.submodule} <span>${oldSha && newSha ? 'Voir la comparaison' : 'Voir le sous-module'}</span>`);
+
+    summary.appendChild(link);
+}
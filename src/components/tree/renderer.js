@@ -3,22 +3,41 @@
  * @fileoverview Functions for rendering the file tree and handling interactions
  */
 
-import { icons, cssClasses, getFileIcon } from '../../config/constants.js';
+import { icons, cssClasses, getFileIcon, storageKeys } from '../../config/constants.js';
 import { createElement, safeSetHTML } from '../../utils/dom.js';
-import { debounce } from '../../utils/helpers.js';
+import { debounce, getModeChange, getSymlinkTarget, getLfsPointerFromDiff, formatFileSize } from '../../utils/helpers.js';
 import { scrollToFileInCurrentPage, navigateToFile } from '../../utils/gitlab.js';
-import { fetchDiffForPath } from '../../api/client.js';
+import { fetchDiffForPath, isAbortError } from '../../api/client.js';
 import { showContextMenu } from '../common/menu.js';
 import { renderDiff, extractDiffFromGitLabHTML, toggleDiffView } from '../preview/diff-renderer.js';
 import { createLoadingIndicator } from '../common/container.js';
-import { setProjectContext as _setContext, getProjectInfo, getCommitSha } from '../../core/context.js';
-import { renderFullFileContent, revokePdfBlobUrl } from '../preview/file-renderer.js';
+import {
+    setProjectContext as _setContext,
+    getProjectInfo,
+    getCommitSha,
+    createChildAbortController
+} from '../../core/context.js';
+import { isImmutableRef, withPersistentCache, registerMemoryCache } from '../../core/cache.js';
+import { renderFullFileContent, revokePdfBlobUrl, resolveFileSource, loadFileText } from '../preview/file-renderer.js';
+import { renderLocalDiff } from '../preview/local-diff.js';
+import { renderSubmoduleSummary } from '../preview/submodule-renderer.js';
+import { renderBlameContent } from '../preview/blame-renderer.js';
+import { renderFileHistory } from '../preview/history-renderer.js';
+import { countComments } from '../preview/discussion-renderer.js';
+import { setupLineComments } from '../preview/comment-composer.js';
+import { isFileViewed, countViewedFiles, setFileViewed } from '../../core/viewed.js';
+import { getStoredValue, setStoredValue } from '../../core/storage.js';
+import { buildOwnerSectionTree } from '../../api/transformer.js';
+
+/** @type {string} Owner filter value keeping the files without code owner */
+const UNOWNED_FILTER = 'none';
 
 /** @type {boolean} Flag to prevent cascade opening during programmatic operations */
 let isProgrammaticToggle = false;
 
 /** @type {Map<string, string>} Cache for fetched diff contents */
 const diffContentCache = new Map();
+registerMemoryCache(diffContentCache);
 
 /**
  * Sets the project context for API calls.
@@ -38,13 +57,18 @@ export function setProjectContext(projectInfo, commitSha = null) {
  * @param {string} [filter=''] - Filter string for searching
  * @param {string|null} [specificCommitSha=null] - Specific commit SHA
  * @param {HTMLElement|null} [previewPanel=null] - Preview panel element
+ * @param {boolean} [showGenerated=false] - Whether generated and vendored files are shown
+ * @param {import('../../core/viewed.js').ViewedFiles|null} [viewedFiles=null] - Viewed state of the review,
+ * null for trees without "viewed" checkboxes
+ * @param {string|null} [ownerFilter=null] - Code owner whose files are kept ("none" for files
+ * without owner), null to keep all files
  */
-export function renderTree(container, node, level = 0, filter = '', specificCommitSha = null, previewPanel = null) {
+export function renderTree(container, node, level = 0, filter = '', specificCommitSha = null, previewPanel = null, showGenerated = false, viewedFiles = null, ownerFilter = null) {
     const countTotalFiles = (n) => Object.values(n.children).reduce((sum, child) =>
-        sum + (child.type === 'file' ? 1 : countTotalFiles(child)), 0);
+        sum + (child.type === 'folder' ? countTotalFiles(child) : 1), 0);
 
     const nodeArray = Object.values(node.children).sort((a, b) => {
-        if (a.type !== b.type) {
+        if ((a.type === 'folder') !== (b.type === 'folder')) {
             return a.type === 'folder' ? -1 : 1;
         }
         return a.name.localeCompare(b.name);
@@ -55,6 +79,10 @@ export function renderTree(container, node, level = 0, filter = '', specificComm
     }
 
     nodeArray.forEach(child => {
+        if (isHiddenNode(child, showGenerated, viewedFiles, ownerFilter)) {
+            return;
+        }
+
         const isCollapsible = child.type === 'folder' && Object.keys(child.children).length > 0;
         const fullPath = child.path || child.name;
 
@@ -63,14 +91,15 @@ export function renderTree(container, node, level = 0, filter = '', specificComm
             child.name.toLowerCase().includes(filter.toLowerCase()) ||
             matchesGlobPattern(child.name, filter);
 
-        const hasMatchingDescendants = child.type === 'folder' && hasMatchingChildren(child, filter);
+        const hasMatchingDescendants = child.type === 'folder' && hasMatchingChildren(child, filter, showGenerated, viewedFiles, ownerFilter);
         const displayItem = child.type === 'folder' ? hasMatchingDescendants : matchesFilter;
 
-        if (!displayItem && filter !== '') {
+        // Without filter, only folders holding nothing but hidden (generated, viewed or other owners') files are skipped
+        if (!displayItem) {
             return;
         }
 
-        const item = createTreeItem(child, level, isCollapsible);
+        const item = createTreeItem(child, level, isCollapsible, viewedFiles);
         container.appendChild(item.element);
 
         if (child.type === 'folder' && isCollapsible) {
@@ -82,7 +111,7 @@ export function renderTree(container, node, level = 0, filter = '', specificComm
             });
             container.appendChild(childContainer);
 
-            renderTree(childContainer, child, level + 1, filter, specificCommitSha, previewPanel);
+            renderTree(childContainer, child, level + 1, filter, specificCommitSha, previewPanel, showGenerated, viewedFiles, ownerFilter);
 
             item.element._childData = child;
 
@@ -119,6 +148,9 @@ function setupTreeEventDelegation(treeContainer, specificCommitSha, previewPanel
         const treeItem = e.target.closest(`.${cssClasses.treeItem}`);
         if (!treeItem) return;
 
+        // The "viewed" checkbox is handled by setupViewedFiles, without selecting the file
+        if (e.target.closest(`.${cssClasses.viewedCheckbox}`)) return;
+
         const chevron = e.target.closest(`.${cssClasses.treeItemChevron}`);
         const content = e.target.closest(`.${cssClasses.treeItemContent}`);
         if (!content) return;
@@ -174,7 +206,7 @@ function setupTreeEventDelegation(treeContainer, specificCommitSha, previewPanel
                 selectTreeFile(treeContainer, treeItem, child, previewPanel);
                 treeContainer.focus();
             } else if (!scrollToFileInCurrentPage(child.path)) {
-                navigateToFile(child.path, null, child.ref || specificCommitSha);
+                navigateToFile(child.path, getProjectInfo(), child.ref || specificCommitSha, child.status);
             }
         }
     };
@@ -219,16 +251,26 @@ function setupTreeEventDelegation(treeContainer, specificCommitSha, previewPanel
 }
 
 /**
- * Creates a tree item element
+ * Creates a tree item element.
+ * With a viewed state, file rows end with their "viewed" checkbox.
  */
-function createTreeItem(child, level, isCollapsible) {
+function createTreeItem(child, level, isCollapsible, viewedFiles = null) {
     const item = createElement('div', {
-        className: `${cssClasses.treeItem} ${child.type === 'folder' ? cssClasses.folder : cssClasses.file}`,
+        className: `${cssClasses.treeItem} ${child.type === 'folder' ? cssClasses.folder : cssClasses.file}${child.type === 'submodule' ? ` ${cssClasses.submodule}` : ''}`,
         dataset: { path: child.path || child.name }
     });
 
     item.style.paddingLeft = `${level * 16 + 8}px`;
 
+    if (child.owner_section) {
+        item.classList.add(cssClasses.ownerSection);
+    }
+
+    if (isGeneratedNode(child)) {
+        item.classList.add(cssClasses.generated);
+        item.title = child.vendored ? 'Fichier tiers (vendored)' : 'Fichier généré';
+    }
+
     const content = createElement('div', { className: cssClasses.treeItemContent });
 
     const chevron = createElement('span', {
@@ -236,7 +278,11 @@ function createTreeItem(child, level, isCollapsible) {
         style: { visibility: isCollapsible ? 'visible' : 'hidden' }
     }, icons.chevronRight);
 
-    const iconData = child.type === 'folder' ? { type: 'svg', value: icons.folderClosed } : getFileIcon(child.name);
+    const iconData = child.type === 'folder'
+        ? { type: 'svg', value: icons.folderClosed }
+        : child.type === 'submodule'
+            ? { type: 'svg', value: icons.submodule }
+            : getFileIcon(child.name);
     const icon = createElement('span', {
         className: cssClasses.treeItemIcon
     });
@@ -249,7 +295,8 @@ function createTreeItem(child, level, isCollapsible) {
 
     const name = createElement('span', {
         className: cssClasses.treeItemName
-    }, child.name);
+    });
+    name.textContent = child.name;
 
     content.appendChild(chevron);
     content.appendChild(icon);
@@ -270,7 +317,40 @@ function createTreeItem(child, level, isCollapsible) {
         rightSection.appendChild(stats);
     }
 
-    if (child.status && child.type === 'file') {
+    const commentCount = countComments(child.discussions);
+    if (commentCount > 0) {
+        const commentBadge = createElement('span', {
+            className: cssClasses.commentCount,
+            title: `${commentCount} commentaire(s)`
+        }, icons.comment);
+        commentBadge.append(String(commentCount));
+        rightSection.appendChild(commentBadge);
+    }
+
+    if (child.owners && child.owners.length > 0 && !child.owner_section) {
+        const ownerBadge = createElement('span', {
+            className: cssClasses.ownerBadge,
+            title: `Propriétaires : ${child.owners.join(', ')}`
+        });
+        ownerBadge.textContent = child.owners.length > 1 ? `${child.owners[0]} +${child.owners.length - 1}` : child.owners[0];
+        rightSection.appendChild(ownerBadge);
+    }
+
+    if (child.type === 'submodule') {
+        const pinnedSha = child.submodule.new_sha || child.submodule.old_sha;
+        if (pinnedSha) {
+            rightSection.appendChild(createElement('span', {
+                className: cssClasses.submoduleSha,
+                title: pinnedSha
+            }, pinnedSha.substring(0, 8)));
+        }
+    }
+
+    if (child.type === 'file') {
+        createModeBadges(child).forEach(badge => rightSection.appendChild(badge));
+    }
+
+    if (child.status && child.type !== 'folder') {
         const statusBadge = createElement('span', {
             className: `ct-status-badge ct-status-badge-${child.status}`,
             title: getStatusLabel(child.status)
@@ -278,16 +358,95 @@ function createTreeItem(child, level, isCollapsible) {
         rightSection.appendChild(statusBadge);
     }
 
+    if (viewedFiles && child.type !== 'folder') {
+        const viewed = isFileViewed(viewedFiles, child.path);
+        item.classList.toggle(cssClasses.viewed, viewed);
+        const checkbox = createElement('input', {
+            className: cssClasses.viewedCheckbox,
+            type: 'checkbox',
+            title: 'Vu'
+        });
+        checkbox.checked = viewed;
+        rightSection.appendChild(checkbox);
+    }
+
     content.appendChild(rightSection);
     item.appendChild(content);
 
-    if (child.type === 'file') {
+    if (child.type !== 'folder') {
         item._fileNode = child;
     }
 
     return { element: item, chevron, icon, name };
 }
 
+/**
+ * Creates the badges describing a file mode change: executable bit, symbolic link, other mode change
+ * @param {Object} fileNode - File node from the tree
+ * @returns {HTMLElement[]} Badges, empty when the mode did not change
+ */
+function createModeBadges(fileNode) {
+    const { modeChanged, executable, symlink } = getModeChange(fileNode);
+    const modeTransition = `${fileNode.a_mode} → ${fileNode.b_mode}`;
+    const badges = [];
+
+    if (executable) {
+        badges.push(createElement('span', {
+            className: cssClasses.modeBadge,
+            title: executable === 'added'
+                ? `Devenu exécutable (${modeTransition})`
+                : `N'est plus exécutable (${modeTransition})`
+        }, executable === 'added' ? '+x' : '-x'));
+    }
+
+    if (symlink) {
+        const target = getSymlinkTarget(fileNode.diff_content);
+        const badge = createElement('span', { className: cssClasses.modeBadge }, 'lien');
+        badge.title = target ? `Lien symbolique → ${target}` : 'Lien symbolique';
+        badges.push(badge);
+    }
+
+    if (modeChanged && !executable) {
+        badges.push(createElement('span', {
+            className: cssClasses.modeBadge,
+            title: `Mode modifié (${modeTransition})`
+        }, 'mode'));
+    }
+
+    return badges;
+}
+
+/**
+ * Creates the preview header label of a file stored in Git LFS
+ * @param {{oid: string, size: number}} lfs - LFS pointer of the file
+ * @returns {HTMLElement} Label showing the object id and size
+ */
+function createLfsInfo(lfs) {
+    const hash = lfs.oid.split(':').pop();
+    const label = createElement('span', { className: cssClasses.previewLfs, title: lfs.oid });
+    label.textContent = `LFS ${hash.substring(0, 12)} · ${formatFileSize(lfs.size)}`;
+    return label;
+}
+
+/**
+ * Renders the message shown instead of a diff when only the file mode changed
+ * @param {HTMLElement} container - Preview content element
+ * @param {Object} fileNode - File node from the tree
+ */
+function renderModeOnlyChange(container, fileNode) {
+    const { executable } = getModeChange(fileNode);
+    const message = executable === 'added'
+        ? 'Le fichier est devenu exécutable, son contenu est inchangé.'
+        : executable === 'removed'
+            ? "Le fichier n'est plus exécutable, son contenu est inchangé."
+            : 'Seul le mode du fichier a changé, son contenu est inchangé.';
+
+    const emptyDiv = createElement('div', { className: 'ct-diff-empty' });
+    emptyDiv.appendChild(createElement('span', { className: 'ct-diff-empty-text' }, message));
+    emptyDiv.appendChild(createElement('code', { className: 'ct-diff-empty-text' }, `${fileNode.a_mode} → ${fileNode.b_mode}`));
+    container.appendChild(emptyDiv);
+}
+
 function getStatusLabel(status) {
     const labels = {
         added: 'Ajouté',
@@ -322,11 +481,19 @@ function autoExpandSingleChild(childContainer, child) {
 }
 
 /**
- * Shows file in the preview panel
+ * Shows file in the preview panel, in 'diff', 'full' or 'blame' mode, or its commit
+ * history ('history', opened from the context menu; it does not change the panel view mode).
+ * Any fetch still running for the previously shown file is aborted.
  */
 export function showFileInPreview(previewPanel, fileNode, mode = 'diff') {
     revokePdfBlobUrl();
 
+    if (previewPanel._abortController) {
+        previewPanel._abortController.abort();
+    }
+    previewPanel._abortController = createChildAbortController();
+    const { signal } = previewPanel._abortController;
+
     const searchBar = previewPanel.querySelector(`.${cssClasses.previewSearchBar}`);
     previewPanel.replaceChildren();
     if (searchBar) {
@@ -350,6 +517,18 @@ export function showFileInPreview(previewPanel, fileNode, mode = 'diff') {
         fileInfo.appendChild(oldPath);
     }
 
+    const symlinkTarget = getModeChange(fileNode).symlink ? getSymlinkTarget(fileNode.diff_content) : null;
+    if (symlinkTarget) {
+        const target = createElement('span', { className: 'ct-preview-symlink-target' });
+        target.textContent = `→ ${symlinkTarget}`;
+        fileInfo.appendChild(target);
+    }
+
+    const diffLfsPointer = getLfsPointerFromDiff(fileNode.diff_content);
+    if (diffLfsPointer) {
+        fileInfo.appendChild(createLfsInfo(diffLfsPointer));
+    }
+
     const fileStats = createElement('div', { className: 'ct-preview-stats' });
     if (fileNode.stats && (fileNode.stats.additions > 0 || fileNode.stats.deletions > 0)) {
         if (fileNode.stats.additions > 0) {
@@ -361,6 +540,9 @@ export function showFileInPreview(previewPanel, fileNode, mode = 'diff') {
             fileStats.appendChild(delSpan);
         }
     }
+    if (fileNode.type === 'file') {
+        createModeBadges(fileNode).forEach(badge => fileStats.appendChild(badge));
+    }
     if (fileNode.status) {
         const statusBadge = createElement('span', {
             className: `ct-status-badge ct-status-badge-${fileNode.status}`
@@ -373,48 +555,73 @@ export function showFileInPreview(previewPanel, fileNode, mode = 'diff') {
 
     const previewContent = createElement('div', { className: 'ct-preview-content' });
 
-    if (mode === 'full') {
-        renderFullFileContent(previewContent, fileNode, ref);
+    if (fileNode.type === 'submodule') {
+        renderSubmoduleSummary(previewContent, fileNode, signal);
+    } else if (mode === 'history') {
+        renderFileHistory(previewContent, fileNode, ref, signal, previewPanel._diffLayout);
+    } else if (mode === 'blame') {
+        renderBlameContent(previewContent, fileNode, ref, signal);
+    } else if (mode === 'full') {
+        renderFullFileContent(previewContent, fileNode, ref, signal).then((lfs) => {
+            if (lfs && !signal.aborted) {
+                fileInfo.querySelector(`.${cssClasses.previewLfs}`)?.remove();
+                fileInfo.appendChild(createLfsInfo(lfs));
+            }
+        });
     } else {
         if (fileNode.has_diff_content && fileNode.diff_content) {
-            renderDiff(previewContent, fileNode.diff_content, fileNode.path);
+            renderDiff(previewContent, fileNode.diff_content, fileNode.path, fileNode.discussions, previewPanel._diffLayout, getNewContentLoader(fileNode, signal));
+            setupLineComments(previewContent, fileNode, getProjectInfo());
+        } else if (getModeChange(fileNode).modeOnly) {
+            renderModeOnlyChange(previewContent, fileNode);
         } else if (getProjectInfo() && getProjectInfo().isComparePage) {
             const currentProjectInfo = getProjectInfo();
-            const cacheKey = `${currentProjectInfo.projectPath}:${fileNode.path}:${currentProjectInfo.targetBranch}...${currentProjectInfo.sourceBranch}`;
+            const rangeSeparator = currentProjectInfo.straight ? '..' : '...';
+            const fromProject = currentProjectInfo.fromProjectId ? `${currentProjectInfo.fromProjectId}:` : '';
+            const cacheKey = `${currentProjectInfo.projectPath}:${fileNode.path}:${fromProject}${currentProjectInfo.targetBranch}${rangeSeparator}${currentProjectInfo.sourceBranch}`;
             let cachedDiff = diffContentCache.get(cacheKey);
             
             if (cachedDiff) {
-                renderDiff(previewContent, cachedDiff, fileNode.path);
+                renderDiff(previewContent, cachedDiff, fileNode.path, [], previewPanel._diffLayout, getNewContentLoader(fileNode, signal));
             } else {
                 const loading = createLoadingIndicator('Récupération des différences...');
                 previewContent.appendChild(loading);
 
+                const persistentKey = isImmutableRef(currentProjectInfo.targetBranch) && isImmutableRef(currentProjectInfo.sourceBranch)
+                    ? `diff_for_path:${cacheKey}`
+                    : null;
+
                 (async () => {
                     try {
-                        const diffData = await fetchDiffForPath(
-                            getProjectInfo(),
-                            fileNode.path,
-                            fileNode.old_path || fileNode.path,
-                            fileNode.status
-                        );
-                        
+                        const extractedDiff = await withPersistentCache(persistentKey, async () => {
+                            const diffData = await fetchDiffForPath(
+                                currentProjectInfo,
+                                fileNode.path,
+                                fileNode.old_path || fileNode.path,
+                                fileNode.status,
+                                signal
+                            );
+
+                            if (!diffData || !diffData.html) {
+                                throw new Error('No diff data received');
+                            }
+                            return extractDiffFromGitLabHTML(diffData.html);
+                        });
+
                         loading.remove();
-                        
-                        if (diffData && diffData.html) {
-                            const extractedDiff = extractDiffFromGitLabHTML(diffData.html);
-                            diffContentCache.set(cacheKey, extractedDiff);
-                            renderDiff(previewContent, extractedDiff, fileNode.path);
-                        } else {
-                            throw new Error('No diff data received');
-                        }
+                        diffContentCache.set(cacheKey, extractedDiff);
+                        renderDiff(previewContent, extractedDiff, fileNode.path, [], previewPanel._diffLayout, getNewContentLoader(fileNode, signal));
                     } catch (error) {
                         loading.remove();
-                        renderEmptyDiffWithLoadButton(previewContent, fileNode, previewPanel);
+                        if (isAbortError(error)) {
+                            return;
+                        }
+                        renderLocalDiffOrFallback(previewContent, fileNode, previewPanel, signal);
                     }
                 })();
             }
         } else {
-            renderEmptyDiffWithLoadButton(previewContent, fileNode, previewPanel);
+            renderLocalDiffOrFallback(previewContent, fileNode, previewPanel, signal);
         }
     }
 
@@ -422,6 +629,40 @@ export function showFileInPreview(previewPanel, fileNode, mode = 'diff') {
     previewPanel.appendChild(previewContent);
 }
 
+/**
+ * Returns the loader of the new version of a file, used to expand the context of its diff,
+ * or null when the diff already holds the whole file (added, deleted or Git LFS file)
+ * @param {Object} fileNode - File node from the tree
+ * @param {AbortSignal} signal - Signal of the current preview
+ * @returns {Function|null}
+ */
+function getNewContentLoader(fileNode, signal) {
+    const currentProjectInfo = getProjectInfo();
+    if (!currentProjectInfo || fileNode.status === 'added' || fileNode.status === 'deleted' || getLfsPointerFromDiff(fileNode.diff_content)) {
+        return null;
+    }
+
+    const { projectInfo, ref } = resolveFileSource(currentProjectInfo, fileNode);
+    return () => loadFileText(projectInfo, fileNode.path, ref, signal);
+}
+
+/**
+ * Computes the diff in the browser when GitLab did not provide it,
+ * falling back to a link to GitLab if the file cannot be diffed locally
+ * @param {HTMLElement} container - Preview content element
+ * @param {Object} fileNode - File node from the tree
+ * @param {HTMLElement} previewPanel - Preview panel element
+ * @param {AbortSignal} signal - Signal of the current preview
+ */
+function renderLocalDiffOrFallback(container, fileNode, previewPanel, signal) {
+    renderLocalDiff(container, fileNode, signal, previewPanel._diffLayout).catch((error) => {
+        if (isAbortError(error)) {
+            return;
+        }
+        renderEmptyDiffWithLoadButton(container, fileNode, previewPanel);
+    });
+}
+
 function renderEmptyDiffWithLoadButton(container, fileNode, previewPanel) {
     const emptyDiv = createElement('div', { className: 'ct-diff-empty' });
     
@@ -433,7 +674,7 @@ function renderEmptyDiffWithLoadButton(container, fileNode, previewPanel) {
         const viewFileBtn = createElement('button', {
             className: `${cssClasses.button} ct-diff-load-btn`
         }, `${icons.file} <span>Ouvrir le fichier</span>`);
-        viewFileBtn.onclick = () => navigateToFile(fileNode.path, getProjectInfo(), fileNode.ref || getCommitSha());
+        viewFileBtn.onclick = () => navigateToFile(fileNode.path, getProjectInfo(), fileNode.ref || getCommitSha(), fileNode.status);
         emptyDiv.appendChild(viewFileBtn);
     }
     container.appendChild(emptyDiv);
@@ -473,14 +714,28 @@ export function collapseAllFolders(treeViewElement) {
     isProgrammaticToggle = false;
 }
 
+/**
+ * Renders the tree again from scratch, keeping the display options of the tree view:
+ * generated files, viewed state, owner filter and grouping by CODEOWNERS section
+ * @param {HTMLElement} treeView - Tree view element
+ * @param {Object} fileTree - Root of the file tree
+ * @param {string} filter - Filter string for searching
+ * @param {string|null} specificCommitSha - Specific commit SHA
+ * @param {HTMLElement|null} previewPanel - Preview panel element
+ */
+function rerenderTree(treeView, fileTree, filter, specificCommitSha, previewPanel) {
+    treeView.replaceChildren();
+    treeView._delegationSetup = false;
+    renderTree(treeView, treeView._ownerSectionTree || fileTree, 0, filter, specificCommitSha, previewPanel,
+        Boolean(treeView._showGenerated), treeView._viewedFiles || null, treeView._ownerFilter || null);
+}
+
 /**
  * Sets up the search filter functionality
  */
 export function setupSearch(searchInput, treeView, fileTree, specificCommitSha, previewPanel = null) {
     const filterTree = debounce((filter) => {
-        treeView.replaceChildren();
-        treeView._delegationSetup = false;
-        renderTree(treeView, fileTree, 0, filter, specificCommitSha, previewPanel);
+        rerenderTree(treeView, fileTree, filter, specificCommitSha, previewPanel);
     }, 200);
 
     searchInput.oninput = (e) => {
@@ -489,36 +744,218 @@ export function setupSearch(searchInput, treeView, fileTree, specificCommitSha,
 }
 
 /**
- * Sets up the view mode toggle buttons
+ * Sets up the toolbar button showing or hiding generated and vendored files.
+ * The button is removed when the tree has no such file.
+ * @param {HTMLElement} toggleBtn - Toggle button element
+ * @param {HTMLInputElement} searchInput - Search input, whose filter is kept when re-rendering
+ * @param {HTMLElement} treeView - Tree view element
+ * @param {Object} fileTree - Root of the file tree
+ * @param {string|null} specificCommitSha - Specific commit SHA
+ * @param {HTMLElement|null} [previewPanel=null] - Preview panel element
  */
-export function setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel) {
-    viewDiffBtn.onclick = () => {
-        previewPanel._viewMode = 'diff';
-        viewDiffBtn.classList.add(cssClasses.viewModeActive);
-        viewFullBtn.classList.remove(cssClasses.viewModeActive);
-        
-        const selectedFile = previewPanel.querySelector('.ct-preview-header');
-        if (selectedFile) {
-            const fileNode = previewPanel._currentFileNode;
-            if (fileNode) {
-                showFileInPreview(previewPanel, fileNode, 'diff');
-            }
+export function setupGeneratedToggle(toggleBtn, searchInput, treeView, fileTree, specificCommitSha, previewPanel = null) {
+    const generatedCount = countGeneratedFiles(fileTree);
+    if (generatedCount === 0) {
+        toggleBtn.remove();
+        return;
+    }
+
+    const updateButton = () => {
+        toggleBtn.classList.toggle(cssClasses.viewModeActive, Boolean(treeView._showGenerated));
+        toggleBtn.title = treeView._showGenerated
+            ? `Masquer les fichiers générés (${generatedCount})`
+            : `Afficher les fichiers générés (${generatedCount})`;
+    };
+
+    toggleBtn.onclick = () => {
+        treeView._showGenerated = !treeView._showGenerated;
+        rerenderTree(treeView, fileTree, searchInput.value, specificCommitSha, previewPanel);
+        updateButton();
+    };
+
+    updateButton();
+}
+
+/**
+ * Sets up the "viewed" checkboxes of a review: the "N/M vus" counter of the header and the
+ * toolbar button hiding viewed files. The counter and button are removed for trees without
+ * viewed state (repository tree).
+ * The tree must have been rendered with the same viewed state.
+ * @param {HTMLElement} toggleBtn - Toggle button element
+ * @param {HTMLElement} counter - Header counter element
+ * @param {HTMLInputElement} searchInput - Search input, whose filter is kept when re-rendering
+ * @param {HTMLElement} treeView - Tree view element
+ * @param {Object} fileTree - Root of the file tree
+ * @param {import('../../core/viewed.js').ViewedFiles|null} viewedFiles - Viewed state from loadViewedFiles
+ * @param {string|null} specificCommitSha - Specific commit SHA
+ * @param {HTMLElement|null} [previewPanel=null] - Preview panel element
+ */
+export function setupViewedFiles(toggleBtn, counter, searchInput, treeView, fileTree, viewedFiles, specificCommitSha, previewPanel = null) {
+    if (!viewedFiles) {
+        toggleBtn.remove();
+        counter.remove();
+        return;
+    }
+
+    treeView._viewedFiles = viewedFiles;
+
+    const update = () => {
+        const { viewed, total } = countViewedFiles(viewedFiles);
+        counter.textContent = `${viewed}/${total} vus`;
+        toggleBtn.classList.toggle(cssClasses.viewModeActive, viewedFiles.hideViewed);
+        toggleBtn.title = viewedFiles.hideViewed ? 'Afficher les fichiers vus' : 'Masquer les fichiers vus';
+    };
+
+    treeView.addEventListener('change', (e) => {
+        const checkbox = e.target.closest(`.${cssClasses.viewedCheckbox}`);
+        const fileNode = checkbox && checkbox.closest(`.${cssClasses.treeItem}`)._fileNode;
+        if (!fileNode) return;
+
+        setFileViewed(viewedFiles, fileNode.path, checkbox.checked).catch(error => {
+            console.error('[Commit Tree]', error);
+        });
+
+        if (viewedFiles.hideViewed && checkbox.checked) {
+            rerenderTree(treeView, fileTree, searchInput.value, specificCommitSha, previewPanel);
+        } else {
+            checkbox.closest(`.${cssClasses.treeItem}`).classList.toggle(cssClasses.viewed, checkbox.checked);
         }
+        update();
+    });
+
+    toggleBtn.onclick = () => {
+        viewedFiles.hideViewed = !viewedFiles.hideViewed;
+        rerenderTree(treeView, fileTree, searchInput.value, specificCommitSha, previewPanel);
+        update();
     };
-    
-    viewFullBtn.onclick = () => {
-        previewPanel._viewMode = 'full';
-        viewFullBtn.classList.add(cssClasses.viewModeActive);
-        viewDiffBtn.classList.remove(cssClasses.viewModeActive);
-        
-        const selectedFile = previewPanel.querySelector('.ct-preview-header');
-        if (selectedFile) {
-            const fileNode = previewPanel._currentFileNode;
-            if (fileNode) {
-                showFileInPreview(previewPanel, fileNode, 'full');
+
+    update();
+}
+
+/**
+ * Lists the file nodes of a tree
+ * @param {Object} node - Tree node
+ * @returns {Array<Object>} File and submodule nodes
+ */
+function collectFileNodes(node) {
+    return Object.values(node.children).flatMap(child =>
+        child.type === 'folder' ? collectFileNodes(child) : [child]);
+}
+
+/**
+ * Sets up the CODEOWNERS toolbar controls: the owner filter and the button grouping the
+ * tree by CODEOWNERS section. Both are removed when no file has a code owner.
+ * @param {HTMLSelectElement} ownerSelect - Owner filter element
+ * @param {HTMLElement} groupBtn - Grouping toggle button
+ * @param {HTMLInputElement} searchInput - Search input, whose filter is kept when re-rendering
+ * @param {HTMLElement} treeView - Tree view element
+ * @param {Object} fileTree - Root of the file tree, built from files marked by markCodeOwners
+ * @param {string|null} specificCommitSha - Specific commit SHA
+ * @param {HTMLElement|null} [previewPanel=null] - Preview panel element
+ */
+export function setupCodeOwners(ownerSelect, groupBtn, searchInput, treeView, fileTree, specificCommitSha, previewPanel = null) {
+    const fileNodes = collectFileNodes(fileTree);
+    const owners = fileTree.owners || [];
+    if (owners.length === 0) {
+        ownerSelect.remove();
+        groupBtn.remove();
+        return;
+    }
+
+    const addOption = (value, label) => {
+        const option = createElement('option', { value });
+        option.textContent = label;
+        ownerSelect.appendChild(option);
+    };
+    addOption('', 'Tous les propriétaires');
+    [...owners].sort((a, b) => a.localeCompare(b)).forEach(owner => addOption(owner, owner));
+    if (fileNodes.some(node => node.owners.length === 0)) {
+        addOption(UNOWNED_FILTER, 'Sans propriétaire');
+    }
+
+    ownerSelect.onchange = () => {
+        treeView._ownerFilter = ownerSelect.value || null;
+        rerenderTree(treeView, fileTree, searchInput.value, specificCommitSha, previewPanel);
+    };
+
+    const updateButton = () => {
+        const grouped = Boolean(treeView._ownerSectionTree);
+        groupBtn.classList.toggle(cssClasses.viewModeActive, grouped);
+        groupBtn.title = grouped ? 'Afficher l\'arborescence' : 'Grouper par section CODEOWNERS';
+    };
+
+    groupBtn.onclick = () => {
+        treeView._ownerSectionTree = treeView._ownerSectionTree ? null : buildOwnerSectionTree(fileNodes);
+        rerenderTree(treeView, fileTree, searchInput.value, specificCommitSha, previewPanel);
+        updateButton();
+    };
+
+    updateButton();
+}
+
+/**
+ * Sets up the view mode toggle buttons (diff, full file, blame).
+ * A missing button (null) leaves its mode unavailable.
+ * @param {HTMLElement|null} viewDiffBtn - Diff mode button
+ * @param {HTMLElement|null} viewFullBtn - Full file mode button
+ * @param {HTMLElement} previewPanel - Preview panel element
+ * @param {HTMLElement|null} [viewBlameBtn=null] - Blame mode button
+ */
+export function setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel, viewBlameBtn = null) {
+    const buttons = { diff: viewDiffBtn, full: viewFullBtn, blame: viewBlameBtn };
+
+    Object.entries(buttons).forEach(([mode, button]) => {
+        if (!button) return;
+
+        button.onclick = () => {
+            previewPanel._viewMode = mode;
+            Object.values(buttons).forEach(other => {
+                other?.classList.toggle(cssClasses.viewModeActive, other === button);
+            });
+
+            const selectedFile = previewPanel.querySelector('.ct-preview-header');
+            if (selectedFile) {
+                const fileNode = previewPanel._currentFileNode;
+                if (fileNode) {
+                    showFileInPreview(previewPanel, fileNode, mode);
+                }
             }
+        };
+    });
+}
+
+/**
+ * Sets up the unified/split diff layout toggle. The layout is a user preference kept in
+ * extension storage, applied to every diff shown afterwards.
+ * @param {HTMLElement} layoutBtn - Layout toggle button
+ * @param {HTMLElement} previewPanel - Preview panel element
+ */
+export function setupDiffLayoutToggle(layoutBtn, previewPanel) {
+    const applyLayout = (layout) => {
+        previewPanel._diffLayout = layout;
+        layoutBtn.classList.toggle(cssClasses.viewModeActive, layout === 'split');
+        layoutBtn.title = layout === 'split' ? 'Vue unifiée' : 'Vue côte à côte';
+
+        const fileNode = previewPanel._currentFileNode;
+        const mode = previewPanel._viewMode || 'diff';
+        if (fileNode && previewPanel.querySelector('.ct-preview-header') && (mode === 'diff' || mode === 'history')) {
+            showFileInPreview(previewPanel, fileNode, mode);
         }
     };
+
+    layoutBtn.onclick = () => {
+        const layout = previewPanel._diffLayout === 'split' ? 'unified' : 'split';
+        applyLayout(layout);
+        setStoredValue(storageKeys.diffLayout, layout).catch(error => {
+            console.error('[Commit Tree]', error);
+        });
+    };
+
+    getStoredValue(storageKeys.diffLayout, 'unified').then(layout => {
+        if (layout !== previewPanel._diffLayout) {
+            applyLayout(layout);
+        }
+    });
 }
 
 function matchesGlobPattern(filename, pattern) {
@@ -538,18 +975,65 @@ function matchesGlobPattern(filename, pattern) {
     }
 }
 
-function hasMatchingChildren(node, filter) {
+function hasMatchingChildren(node, filter, showGenerated = true, viewedFiles = null, ownerFilter = null) {
     if (!node.children) {
         return false;
     }
 
     return Object.values(node.children).some(child => {
-        if (child.type === 'file') {
+        if (isHiddenNode(child, showGenerated, viewedFiles, ownerFilter)) {
+            return false;
+        }
+        if (child.type !== 'folder') {
             const fullPath = child.path || child.name;
             return fullPath.toLowerCase().includes(filter.toLowerCase()) ||
                    child.name.toLowerCase().includes(filter.toLowerCase()) ||
                    matchesGlobPattern(child.name, filter);
         }
-        return hasMatchingChildren(child, filter);
+        return hasMatchingChildren(child, filter, showGenerated, viewedFiles, ownerFilter);
     });
 }
+
+/**
+ * Returns true for files left out of the tree: generated files while they are hidden,
+ * viewed files while the viewed state hides them, files of other owners than the filtered one
+ * @param {Object} node - Tree node
+ * @param {boolean} showGenerated - Whether generated and vendored files are shown
+ * @param {import('../../core/viewed.js').ViewedFiles|null} viewedFiles - Viewed state, if any
+ * @param {string|null} [ownerFilter=null] - Code owner filter, if any
+ * @returns {boolean}
+ */
+function isHiddenNode(node, showGenerated, viewedFiles, ownerFilter = null) {
+    if (!showGenerated && isGeneratedNode(node)) {
+        return true;
+    }
+    if (node.type === 'folder') {
+        return false;
+    }
+    if (ownerFilter) {
+        const owners = node.owners || [];
+        if (ownerFilter === UNOWNED_FILTER ? owners.length > 0 : !owners.includes(ownerFilter)) {
+            return true;
+        }
+    }
+    return Boolean(viewedFiles && viewedFiles.hideViewed && isFileViewed(viewedFiles, node.path));
+}
+
+/**
+ * Returns true for files marked as generated or vendored
+ * @param {Object} node - Tree node
+ * @returns {boolean}
+ */
+function isGeneratedNode(node) {
+    return Boolean(node.generated || node.vendored);
+}
+
+/**
+ * Counts the generated and vendored files of a tree
+ * @param {Object} node - Tree node
+ * @returns {number}
+ */
+function countGeneratedFiles(node) {
+    return Object.values(node.children).reduce((count, child) =>
+        count + (child.type === 'folder' ? countGeneratedFiles(child) : Number(isGeneratedNode(child))), 0);
+}
@@ -74,9 +74,98 @@ export function getFileIcon(filename) {
  * @type {Object}
  */
 export const pagination = {
-    perPage: 100
+    perPage: 100,
+    concurrency: 4
 };
 
+/**
+ * Retry policy of the API request layer (429, transient 5xx and network errors)
+ * @type {{maxRetries: number, baseDelay: number, maxDelay: number}}
+ */
+export const retryPolicy = {
+    maxRetries: 4,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+/**
+ * Persistent (IndexedDB) cache of immutable data, evicted least-recently-used first.
+ * The database lives in the extension origin; content scripts query it with messages of type messageType.
+ * Entries above maxEntryBytes are not stored, so that one large file cannot evict the rest.
+ * @type {{dbName: string, messageType: string, maxBytes: number, maxEntryBytes: number, maxEntries: number}}
+ */
+export const persistentCache = {
+    dbName: 'gitlab-commit-tree-cache',
+    messageType: 'persistent-cache',
+    maxBytes: 50 * 1024 * 1024,
+    maxEntryBytes: 2 * 1024 * 1024,
+    maxEntries: 2000
+};
+
+/**
+ * Retention of the viewed marks: reviews not written to for maxAge (ms), and the oldest ones
+ * beyond maxReviews, are forgotten
+ * @type {{maxReviews: number, maxAge: number}}
+ */
+export const viewedRetention = {
+    maxReviews: 200,
+    maxAge: 90 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Git file modes reported by the diff APIs (a_mode / b_mode)
+ * @type {Object<string, string>}
+ */
+export const fileModes = {
+    missing: '0',
+    regular: '100644',
+    executable: '100755',
+    symlink: '120000',
+    submodule: '160000'
+};
+
+/**
+ * Client-side diff fallback (when GitLab omits a diff)
+ * @type {{maxSize: number}} maxSize - Combined size (bytes) of both sides above which the user must confirm
+ *   the diff, before the files are downloaded
+ */
+export const localDiff = {
+    maxSize: 512 * 1024
+};
+
+/**
+ * Context expansion between diff hunks
+ * @type {{step: number, hunkLines: number}} step - Number of lines revealed by the expand up / down controls;
+ * hunkLines - Unchanged lines kept around each change in a hunk (git's default), fewer after the last
+ * change meaning that the hunk reaches the end of the file
+ */
+export const diffContext = {
+    step: 20,
+    hunkLines: 3
+};
+
+/**
+ * Keys used in the extension storage
+ * @type {Object<string, string>}
+ */
+export const storageKeys = {
+    accessTokens: 'accessTokens',
+    customInstances: 'customInstances',
+    viewedFiles: 'viewedFiles',
+    viewedReviews: 'viewedReviews',
+    diffLayout: 'diffLayout'
+};
+
+/**
+ * Instances covered by the static content_scripts matches of manifest.json
+ * (keep both lists in sync). Other instances are added from the options page.
+ * @type {string[]}
+ */
+export const builtInInstances = [
+    'https://gitlab.equation.fr',
+    'https://gitlab.com'
+];
+
 /**
  * GitLab DOM selectors for different interface versions
  * @type {Object}
@@ -140,12 +229,48 @@ export const cssClasses = {
     compareSelectedStart: 'ct-compare-selected-start',
     compareSelectedEnd: 'ct-compare-selected-end',
     compareTopWrapper: 'ct-compare-top-wrapper',
+    compareRangeToggle: 'ct-compare-range-toggle',
     viewModeToggle: 'ct-view-mode-toggle',
     viewModeButton: 'ct-view-mode-btn',
     viewModeActive: 'ct-view-mode-active',
     fullFileContainer: 'ct-full-file-container',
     fullFileLine: 'ct-full-file-line',
     fullFileLineNum: 'ct-full-file-line-num',
+    blameContainer: 'ct-blame-container',
+    blameGroupStart: 'ct-blame-group-start',
+    blameGutter: 'ct-blame-gutter',
+    blameSha: 'ct-blame-sha',
+    blameAuthor: 'ct-blame-author',
+    blameDate: 'ct-blame-date',
+    historyHeader: 'ct-history-header',
+    historyList: 'ct-history-list',
+    historyEntry: 'ct-history-entry',
+    historyTitle: 'ct-history-title',
+    historyMeta: 'ct-history-meta',
+    historyPath: 'ct-history-path',
+    historyDiff: 'ct-history-diff',
+    commitMeta: 'ct-commit-meta',
+    commitMetaSummary: 'ct-commit-meta-summary',
+    commitMetaMessage: 'ct-commit-meta-message',
+    commitMetaRow: 'ct-commit-meta-row',
+    pipelineBadge: 'ct-pipeline-badge',
+    signatureBadge: 'ct-signature-badge',
+    discussionRow: 'ct-diff-discussion-row',
+    discussionThread: 'ct-discussion-thread',
+    discussionNote: 'ct-discussion-note',
+    diffLineCommented: 'ct-diff-line-commented',
+    commentCount: 'ct-comment-count',
+    commentComposer: 'ct-comment-composer',
+    diffCommentable: 'ct-diff-commentable',
+    diffLineSelected: 'ct-diff-line-selected',
+    diffSplit: 'ct-diff-split',
+    diffLineChanged: 'ct-diff-line-changed',
+    diffSplitMirror: 'ct-line-content-mirror',
+    diffLayoutToggle: 'ct-diff-layout-toggle',
+    diffExpandable: 'ct-diff-expandable',
+    diffExpandControls: 'ct-diff-expand-controls',
+    diffExpandBtn: 'ct-diff-expand-btn',
+    diffExpanding: 'ct-diff-expanding',
     containerFullscreen: 'ct-container-fullscreen',
     previewSearch: 'ct-preview-search',
     previewSearchBar: 'ct-preview-search-bar',
@@ -153,5 +278,22 @@ export const cssClasses = {
     previewSearchCounter: 'ct-preview-search-counter',
     previewSearchBtnPrev: 'ct-preview-search-btn-prev',
     previewSearchBtnNext: 'ct-preview-search-btn-next',
-    previewSearchBtnClose: 'ct-preview-search-btn-close'
+    previewSearchBtnClose: 'ct-preview-search-btn-close',
+    previewLfs: 'ct-preview-lfs',
+    modeBadge: 'ct-mode-badge',
+    generated: 'ct-generated',
+    generatedToggle: 'ct-generated-toggle',
+    viewed: 'ct-viewed',
+    viewedCheckbox: 'ct-viewed-checkbox',
+    viewedToggle: 'ct-viewed-toggle',
+    viewedCount: 'ct-viewed-count',
+    ownerBadge: 'ct-owner-badge',
+    ownerSection: 'ct-owner-section',
+    ownerSelect: 'ct-owner-select',
+    ownerGroupToggle: 'ct-owner-group-toggle',
+    submodule: 'ct-submodule',
+    submoduleSha: 'ct-submodule-sha',
+    submoduleSummary: 'ct-submodule-summary',
+    versionPicker: 'ct-version-picker',
+    versionSelect: 'ct-version-select'
 };
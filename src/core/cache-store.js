@@ -0,0 +1,202 @@
+/**
+ * Persistent Cache Store
+ * @fileoverview IndexedDB store behind the persistent cache. It lives in the extension origin
+ * (background page or service worker), out of reach of the GitLab pages, and content scripts
+ * reach it through runtime messages (see cache.js). Values and their metadata (size, last
+ * access) are kept in separate object stores, so that reads and evictions only rewrite or
+ * scan the small metadata records, never the cached diffs and files.
+ */
+
+import { persistentCache } from '../config/constants.js';
+
+const DB_VERSION = 1;
+const VALUES_STORE = 'values';
+const META_STORE = 'meta';
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves once a transaction has committed
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Opens (once) the cache database
+ * @returns {Promise<IDBDatabase|null>} The database or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    if (!globalThis.indexedDB) {
+        dbPromise = Promise.resolve(null);
+        return dbPromise;
+    }
+
+    const request = globalThis.indexedDB.open(persistentCache.dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(VALUES_STORE);
+        db.createObjectStore(META_STORE, { keyPath: 'key' }).createIndex('lastAccess', 'lastAccess');
+    };
+
+    dbPromise = promisifyRequest(request).catch((error) => {
+        console.error('[Commit Tree]', error);
+        return null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Estimates the stored size of a value, in bytes (UTF-16 characters)
+ * @param {*} value - JSON-serializable value
+ * @returns {number}
+ */
+function estimateSize(value) {
+    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    return (serialized ? serialized.length : 0) * 2;
+}
+
+/**
+ * Deletes the least recently used entries until the cache fits in its quota.
+ * Only the metadata records are read.
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+async function evictEntries(db) {
+    const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+    const done = promisifyTransaction(tx);
+    const entries = await promisifyRequest(tx.objectStore(META_STORE).index('lastAccess').getAll());
+
+    let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let count = entries.length;
+
+    for (const entry of entries) {
+        if (totalSize <= persistentCache.maxBytes && count <= persistentCache.maxEntries) {
+            break;
+        }
+        tx.objectStore(VALUES_STORE).delete(entry.key);
+        tx.objectStore(META_STORE).delete(entry.key);
+        totalSize -= entry.size;
+        count--;
+    }
+
+    await done;
+}
+
+/**
+ * Reads a cached value and marks it as recently used
+ * @param {string} key - Cache key
+ * @returns {Promise<*|null>} The cached value or null on miss
+ */
+export async function getStoredCacheValue(key) {
+    try {
+        const db = await openDatabase();
+        if (!db) {
+            return null;
+        }
+
+        const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+        const value = await promisifyRequest(tx.objectStore(VALUES_STORE).get(key));
+        if (value === undefined) {
+            return null;
+        }
+
+        const metaStore = tx.objectStore(META_STORE);
+        const meta = await promisifyRequest(metaStore.get(key));
+        if (meta) {
+            metaStore.put({ ...meta, lastAccess: Date.now() });
+        }
+        return value;
+    } catch (error) {
+        console.error('[Commit Tree]', error);
+        return null;
+    }
+}
+
+/**
+ * Stores a value, then evicts old entries if the quota is exceeded.
+ * Values larger than persistentCache.maxEntryBytes are not stored.
+ * @param {string} key - Cache key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export async function setStoredCacheValue(key, value) {
+    try {
+        const db = await openDatabase();
+        const size = estimateSize(value);
+        if (!db || size > persistentCache.maxEntryBytes) {
+            return;
+        }
+
+        const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+        tx.objectStore(VALUES_STORE).put(value, key);
+        tx.objectStore(META_STORE).put({ key, size, lastAccess: Date.now() });
+        await promisifyTransaction(tx);
+        await evictEntries(db);
+    } catch (error) {
+        console.error('[Commit Tree]', error);
+    }
+}
+
+/**
+ * Empties the cache database
+ * @returns {Promise<void>}
+ */
+export async function clearStoredCache() {
+    try {
+        const db = await openDatabase();
+        if (!db) {
+            return;
+        }
+
+        const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+        tx.objectStore(VALUES_STORE).clear();
+        tx.objectStore(META_STORE).clear();
+        await promisifyTransaction(tx);
+    } catch (error) {
+        console.error('[Commit Tree]', error);
+    }
+}
+
+/**
+ * Handles a cache request sent by a content script (see cache.js)
+ * @param {{action: string, key?: string, value?: *}} message - Cache request
+ * @returns {Promise<*|null>} The cached value for 'get', null otherwise
+ */
+export async function handleCacheMessage(message) {
+    switch (message.action) {
+        case 'get':
+            return getStoredCacheValue(message.key);
+        case 'set':
+            await setStoredCacheValue(message.key, message.value);
+            return null;
+        case 'clear':
+            await clearStoredCache();
+            return null;
+        default:
+            return null;
+    }
+}
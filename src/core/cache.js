@@ -0,0 +1,108 @@
+/**
+ * Persistent Cache
+ * @fileoverview Cache for immutable GitLab data (commit diffs, SHA-to-SHA compares, file
+ * contents at a SHA). Entries live in the IndexedDB store of the background script (see
+ * cache-store.js), reached through runtime messages, and are evicted least-recently-used first
+ * once the configured quota is exceeded. Every helper is a no-op outside the extension.
+ */
+
+import { persistentCache } from '../config/constants.js';
+import { getExtensionApi } from './extension.js';
+
+/** @type {Set<Map>} In-memory caches emptied together with the persistent one */
+const memoryCaches = new Set();
+
+/**
+ * Returns true if the ref is a full commit SHA, i.e. its content can never change.
+ * Branch names, tags and abbreviated SHAs are not cacheable.
+ * @param {string|null|undefined} ref - Git ref
+ * @returns {boolean}
+ */
+export function isImmutableRef(ref) {
+    return typeof ref === 'string' && /^([0-9a-f]{40}|[0-9a-f]{64})$/i.test(ref);
+}
+
+/**
+ * Sends a request to the cache store of the background script
+ * @param {string} action - 'get', 'set' or 'clear'
+ * @param {string|null} [key=null] - Cache key
+ * @param {*} [value=null] - Value to store
+ * @returns {Promise<*|null>} The response, null when the extension runtime is unavailable
+ */
+async function sendCacheMessage(action, key = null, value = null) {
+    const runtime = getExtensionApi()?.runtime;
+    if (!runtime?.sendMessage) {
+        return null;
+    }
+
+    try {
+        const response = await runtime.sendMessage({ type: persistentCache.messageType, action, key, value });
+        return response ?? null;
+    } catch (error) {
+        console.error('[Commit Tree]', error);
+        return null;
+    }
+}
+
+/**
+ * Reads a cached value and marks it as recently used
+ * @param {string} key - Cache key
+ * @returns {Promise<*|null>} The cached value or null on miss
+ */
+export async function getCachedValue(key) {
+    return sendCacheMessage('get', key);
+}
+
+/**
+ * Stores a value, then evicts old entries if the quota is exceeded.
+ * Values larger than persistentCache.maxEntryBytes are not stored.
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function setCachedValue(key, value) {
+    await sendCacheMessage('set', key, value);
+}
+
+/**
+ * Returns the cached value for a key, or computes, stores and returns it on miss.
+ * When the key is null the loader is called without touching the cache.
+ * @param {string|null} key - Cache key, null for mutable data
+ * @param {Function} loader - Async function producing the value
+ * @param {Function|null} [shouldStore=null] - Called with the computed value; returning false
+ *   keeps it out of the cache
+ * @returns {Promise<*>}
+ */
+export async function withPersistentCache(key, loader, shouldStore = null) {
+    if (!key) {
+        return loader();
+    }
+
+    const cached = await getCachedValue(key);
+    if (cached !== null) {
+        return cached;
+    }
+
+    const value = await loader();
+    if (!shouldStore || shouldStore(value)) {
+        setCachedValue(key, value);
+    }
+    return value;
+}
+
+/**
+ * Registers an in-memory cache so that clearCache() empties it as well
+ * @param {Map} map - In-memory cache
+ */
+export function registerMemoryCache(map) {
+    memoryCaches.add(map);
+}
+
+/**
+ * Empties the persistent cache and every registered in-memory cache
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+    memoryCaches.forEach(map => map.clear());
+    await sendCacheMessage('clear');
+}
@@ -35,3 +35,42 @@ export function setProjectContext(projectInfo, commitSha = null) {
     _currentProjectInfo = projectInfo;
     _currentCommitSha = commitSha;
 }
+
+/** @type {AbortController} Aborted on SPA navigation to cancel in-flight loads */
+let _navigationController = new AbortController();
+
+/**
+ * Returns the signal of the current page, aborted when the user navigates away.
+ * @returns {AbortSignal}
+ */
+export function getNavigationSignal() {
+    return _navigationController.signal;
+}
+
+/**
+ * Aborts every load started for the current page and starts a fresh navigation scope.
+ */
+export function abortPendingLoads() {
+    _navigationController.abort();
+    _navigationController = new AbortController();
+}
+
+/**
+ * Creates an AbortController that is also aborted when the parent signal aborts.
+ * @param {AbortSignal} [parentSignal=getNavigationSignal()] - Signal the controller is tied to
+ * @returns {AbortController}
+ */
+export function createChildAbortController(parentSignal = getNavigationSignal()) {
+    const controller = new AbortController();
+
+    if (parentSignal.aborted) {
+        controller.abort(parentSignal.reason);
+    } else {
+        parentSignal.addEventListener('abort', () => controller.abort(parentSignal.reason), {
+            once: true,
+            signal: controller.signal
+        });
+    }
+
+    return controller;
+}
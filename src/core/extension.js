@@ -0,0 +1,13 @@
+/**
+ * Extension API
+ * @fileoverview Cross-browser access to the WebExtension namespace. Firefox exposes `browser`,
+ * Chromium only exposes `chrome`; both return promises under Manifest V3.
+ */
+
+/**
+ * Returns the WebExtension API namespace, if any
+ * @returns {Object|null} `browser`, `chrome`, or null when running outside an extension
+ */
+export function getExtensionApi() {
+    return globalThis.browser ?? globalThis.chrome ?? null;
+}
@@ -0,0 +1,117 @@
+/**
+ * GitLab Instances
+ * @fileoverview Self-hosted GitLab instances configured at runtime from the options page.
+ * An instance is stored as its base URL (origin + optional relative URL root, no trailing slash),
+ * e.g. "https://git.example.com/gitlab". Shared by the content script, the background script
+ * and the options page.
+ */
+
+import { builtInInstances, storageKeys } from '../config/constants.js';
+import { getStoredValue, setStoredValue } from './storage.js';
+
+/** @type {string|null} Base URL of the instance serving the current page */
+let _currentBaseUrl = null;
+
+/**
+ * Normalizes a user-provided instance URL.
+ * The scheme defaults to https; query, hash and trailing slashes are dropped.
+ * @param {string} input - Hostname or URL typed by the user (e.g. "git.example.com/gitlab/")
+ * @returns {string} Normalized base URL
+ * @throws {Error} When the input is not a valid http(s) URL
+ */
+export function normalizeInstanceUrl(input) {
+    const trimmed = (input || '').trim();
+    const url = new URL(/^[a-z]+:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) {
+        throw new Error(`URL invalide : ${input}`);
+    }
+
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Returns the host permission to request for an instance
+ * @param {string} instanceUrl - Normalized instance base URL
+ * @returns {string} Match pattern (e.g. "https://git.example.com/*")
+ */
+export function getOriginPermission(instanceUrl) {
+    const url = new URL(instanceUrl);
+    return `${url.protocol}//${url.hostname}/*`;
+}
+
+/**
+ * Returns the content script match patterns of an instance.
+ * Match patterns cannot carry a port, so only the hostname and URL root are used.
+ * @param {string} instanceUrl - Normalized instance base URL
+ * @returns {string[]} Match patterns
+ */
+export function getInstanceMatchPatterns(instanceUrl) {
+    const url = new URL(instanceUrl);
+    return ['commit', 'compare', 'commits', 'tree', 'merge_requests']
+        .map(route => `${url.protocol}//${url.hostname}${url.pathname.replace(/\/+$/, '')}/*/${route}/*`);
+}
+
+/**
+ * Returns true if the instance is already covered by the static manifest matches
+ * @param {string} instanceUrl - Normalized instance base URL
+ * @returns {boolean}
+ */
+export function isBuiltInInstance(instanceUrl) {
+    return builtInInstances.includes(new URL(instanceUrl).origin);
+}
+
+/**
+ * Returns the instances configured by the user
+ * @returns {Promise<string[]>} Normalized base URLs
+ */
+export async function getCustomInstances() {
+    const instances = await getStoredValue(storageKeys.customInstances, []);
+    return Array.isArray(instances) ? instances : [];
+}
+
+/**
+ * Stores the instances configured by the user
+ * @param {string[]} instances - Normalized base URLs
+ * @returns {Promise<void>}
+ */
+export async function setCustomInstances(instances) {
+    await setStoredValue(storageKeys.customInstances, [...new Set(instances)]);
+}
+
+/**
+ * Finds which configured instance serves the current page and remembers its base URL.
+ * Must run before the first API call so that instances under a relative URL root
+ * (https://host/gitlab/) are addressed correctly.
+ * @returns {Promise<string>} The GitLab base URL of the current page
+ */
+export async function resolveGitLabBaseUrl() {
+    const { origin, pathname } = window.location;
+    const instances = await getCustomInstances();
+
+    const matching = instances
+        .filter(instanceUrl => {
+            const url = new URL(instanceUrl);
+            return url.origin === origin && (pathname === url.pathname || pathname.startsWith(`${url.pathname.replace(/\/$/, '')}/`));
+        })
+        .sort((a, b) => b.length - a.length);
+
+    _currentBaseUrl = matching.length > 0 ? matching[0] : origin;
+    return _currentBaseUrl;
+}
+
+/**
+ * Returns the GitLab base URL of the current page (origin + relative URL root)
+ * @returns {string}
+ */
+export function getGitLabBaseUrl() {
+    return _currentBaseUrl || window.location.origin;
+}
+
+/**
+ * Returns the relative URL root of the current instance ("" when GitLab is served at the root)
+ * @returns {string} e.g. "/gitlab"
+ */
+export function getRelativeUrlRoot() {
+    return new URL(getGitLabBaseUrl()).pathname.replace(/\/+$/, '');
+}
@@ -0,0 +1,94 @@
+/**
+ * Extension Storage
+ * @fileoverview Thin wrapper around the WebExtension storage API (browser.storage / chrome.storage).
+ * Every helper degrades gracefully to a no-op when the API is unavailable (tests, plain pages).
+ */
+
+import { storageKeys } from '../config/constants.js';
+import { getExtensionApi } from './extension.js';
+
+/**
+ * Returns the local storage area of the extension, if any
+ * @returns {Object|null} The storage area or null when running outside an extension
+ */
+function getStorageArea() {
+    return getExtensionApi()?.storage?.local ?? null;
+}
+
+/**
+ * Reads a value from extension storage
+ * @param {string} key - Storage key
+ * @param {*} [defaultValue=null] - Value returned when the key is missing or storage is unavailable
+ * @returns {Promise<*>} The stored value
+ */
+export async function getStoredValue(key, defaultValue = null) {
+    const storage = getStorageArea();
+    if (!storage) {
+        return defaultValue;
+    }
+
+    try {
+        const result = await storage.get(key);
+        return result && result[key] !== undefined ? result[key] : defaultValue;
+    } catch (error) {
+        console.error('[Commit Tree]', error);
+        return defaultValue;
+    }
+}
+
+/**
+ * Writes a value to extension storage
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function setStoredValue(key, value) {
+    const storage = getStorageArea();
+    if (!storage) {
+        return;
+    }
+
+    await storage.set({ [key]: value });
+}
+
+/**
+ * Removes values from extension storage
+ * @param {string|string[]} keys - Storage key or keys
+ * @returns {Promise<void>}
+ */
+export async function removeStoredValue(keys) {
+    const storage = getStorageArea();
+    if (!storage) {
+        return;
+    }
+
+    await storage.remove(keys);
+}
+
+/**
+ * Returns the access token configured for a GitLab host
+ * @param {string} host - GitLab host (e.g. "gitlab.com")
+ * @returns {Promise<string|null>} The token or null if none is configured
+ */
+export async function getAccessToken(host) {
+    const tokens = await getStoredValue(storageKeys.accessTokens, {});
+    return tokens[host] || null;
+}
+
+/**
+ * Stores (or removes, when empty) the access token for a GitLab host
+ * @param {string} host - GitLab host (e.g. "gitlab.com")
+ * @param {string|null} token - Personal or project access token
+ * @returns {Promise<void>}
+ */
+export async function setAccessToken(host, token) {
+    const tokens = { ...(await getStoredValue(storageKeys.accessTokens, {})) };
+
+    if (token) {
+        tokens[host] = token.trim();
+    } else {
+        delete tokens[host];
+    }
+
+    await setStoredValue(storageKeys.accessTokens, tokens);
+}
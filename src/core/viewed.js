@@ -0,0 +1,159 @@
+/**
+ * Viewed Files
+ * @fileoverview Per-file "viewed" marks of a review (commit, compare or merge request),
+ * persisted in extension storage. A mark holds the fingerprint of the diff it was set on:
+ * once the diff of the file changes (new merge request version, pushed branch...), the
+ * mark no longer applies and the file shows as not viewed again.
+ */
+
+import { storageKeys, viewedRetention } from '../config/constants.js';
+import { hashString } from '../utils/helpers.js';
+import { getGitLabBaseUrl } from './instances.js';
+import { getStoredValue, setStoredValue, removeStoredValue } from './storage.js';
+
+/**
+ * @typedef {Object} ViewedFiles
+ * @property {string} storageKey - Storage key of the review
+ * @property {Object<string, string>} marks - Diff fingerprint each viewed file was marked on, by path
+ * @property {Map<string, string>} fingerprints - Current diff fingerprint of each file, by path
+ * @property {boolean} hideViewed - Whether viewed files are left out of the tree
+ */
+
+/**
+ * Returns the storage key holding the viewed marks of a review, or null for pages
+ * without a diff (repository tree).
+ * Merge requests are keyed by their IID so marks carry over to new versions; compares
+ * and commits by their pair of refs.
+ * @param {Object} projectInfo - Project information object
+ * @param {string|null} [commitSha=null] - Specific commit SHA override
+ * @returns {string|null}
+ */
+export function getViewedStorageKey(projectInfo, commitSha = null) {
+    let reviewKey;
+    if (projectInfo.isMergeRequestPage) {
+        reviewKey = `!${projectInfo.mergeRequestIid}`;
+    } else if (projectInfo.isComparePage) {
+        const { targetBranch, sourceBranch, fromProjectId } = projectInfo;
+        const fromProject = fromProjectId ? `${fromProjectId}:` : '';
+        reviewKey = `${fromProject}${targetBranch}${projectInfo.straight ? '..' : '...'}${sourceBranch}`;
+    } else {
+        reviewKey = commitSha || projectInfo.commitSha;
+    }
+
+    return reviewKey ? `${storageKeys.viewedFiles}:${getGitLabBaseUrl()}/${projectInfo.projectPath}:${reviewKey}` : null;
+}
+
+/**
+ * Computes the fingerprint of a file diff: paths, modes and diff text
+ * @param {{path: string, old_path: string, a_mode: string|null, b_mode: string|null, diff_content: string|null}} file - File data
+ * @returns {string}
+ */
+export function getDiffFingerprint(file) {
+    return hashString([file.old_path, file.path, file.a_mode, file.b_mode, file.diff_content]
+        .map(value => value || '')
+        .join('\0'));
+}
+
+/**
+ * Loads the viewed marks of a review
+ * @param {Object} projectInfo - Project information object
+ * @param {string|null} commitSha - Specific commit SHA override
+ * @param {Array<Object>} fileData - Files of the review, from processFilesFromApiResponse
+ * @returns {Promise<ViewedFiles|null>} The viewed state, null when the page has no review
+ */
+export async function loadViewedFiles(projectInfo, commitSha, fileData) {
+    const storageKey = getViewedStorageKey(projectInfo, commitSha);
+    if (!storageKey) {
+        return null;
+    }
+
+    return {
+        storageKey,
+        marks: { ...(await getStoredValue(storageKey, {})) },
+        fingerprints: new Map(fileData.map(file => [file.path, getDiffFingerprint(file)])),
+        hideViewed: false
+    };
+}
+
+/**
+ * Returns true if a file is marked as viewed and its diff did not change since
+ * @param {ViewedFiles} viewedFiles - Viewed state
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+export function isFileViewed(viewedFiles, path) {
+    const fingerprint = viewedFiles.fingerprints.get(path);
+    return fingerprint !== undefined && viewedFiles.marks[path] === fingerprint;
+}
+
+/**
+ * Counts the viewed files of a review
+ * @param {ViewedFiles} viewedFiles - Viewed state
+ * @returns {{viewed: number, total: number}}
+ */
+export function countViewedFiles(viewedFiles) {
+    const paths = Array.from(viewedFiles.fingerprints.keys());
+    return {
+        viewed: paths.filter(path => isFileViewed(viewedFiles, path)).length,
+        total: paths.length
+    };
+}
+
+/**
+ * Records the last write of a review in the storageKeys.viewedReviews index, then forgets
+ * the reviews beyond viewedRetention
+ * @param {string} storageKey - Storage key of the review
+ * @param {boolean} hasMarks - Whether the review still holds marks
+ * @returns {Promise<void>}
+ */
+async function updateReviewIndex(storageKey, hasMarks) {
+    const reviews = { ...(await getStoredValue(storageKeys.viewedReviews, {})) };
+    const now = Date.now();
+
+    if (hasMarks) {
+        reviews[storageKey] = now;
+    } else {
+        delete reviews[storageKey];
+    }
+
+    const expired = Object.keys(reviews)
+        .sort((a, b) => reviews[b] - reviews[a])
+        .filter((key, index) => index >= viewedRetention.maxReviews || now - reviews[key] > viewedRetention.maxAge);
+    expired.forEach(key => delete reviews[key]);
+
+    if (expired.length > 0) {
+        await removeStoredValue(expired);
+    }
+    await setStoredValue(storageKeys.viewedReviews, reviews);
+}
+
+/**
+ * Marks or unmarks a file as viewed, then persists the change.
+ * The stored marks are read again first, to keep those set meanwhile from another tab.
+ * A review left without marks is removed from storage.
+ * @param {ViewedFiles} viewedFiles - Viewed state, updated in place
+ * @param {string} path - File path
+ * @param {boolean} viewed - New state of the file
+ * @returns {Promise<void>}
+ */
+export async function setFileViewed(viewedFiles, path, viewed) {
+    const applyMark = (marks) => {
+        if (viewed) {
+            marks[path] = viewedFiles.fingerprints.get(path);
+        } else {
+            delete marks[path];
+        }
+        return marks;
+    };
+
+    applyMark(viewedFiles.marks);
+    const storedMarks = applyMark({ ...(await getStoredValue(viewedFiles.storageKey, {})) });
+    const hasMarks = Object.keys(storedMarks).length > 0;
+
+    if (hasMarks) {
+        await setStoredValue(viewedFiles.storageKey, storedMarks);
+    } else {
+        await removeStoredValue(viewedFiles.storageKey);
+    }
+    await updateReviewIndex(viewedFiles.storageKey, hasMarks);
+}
@@ -9,12 +9,32 @@ import {
     extractProjectAndCommitInfo, 
     getPageType, 
     findCommitElements, 
-    extractCommitShaFromElement 
+    extractCommitShaFromElement,
+    getBaseProjectInfo
 } from './utils/gitlab.js';
-import { fetchAllFilesWithPagination, fetchRepositoryTree } from './api/client.js';
-import { processFilesFromApiResponse, processFilesFromTreeApi, buildFileTree } from './api/transformer.js';
+import {
+    fetchAllFilesWithPagination,
+    fetchCompareProjects,
+    fetchRepositoryTree,
+    fetchMergeRequestVersions,
+    fetchMergeRequestDiffs,
+    fetchGitattributes,
+    fetchCodeowners,
+    fetchCommitDetails,
+    fetchDiscussions,
+    isAbortError
+} from './api/client.js';
+import {
+    processFilesFromApiResponse,
+    processFilesFromTreeApi,
+    markGeneratedFiles,
+    markCodeOwners,
+    attachDiscussions,
+    buildFileTree
+} from './api/transformer.js';
 import {
     createTreeContainer,
+    setupToolbarFeatures,
     createLoadingIndicator,
     createErrorMessage,
     setupFullscreen,
@@ -29,6 +49,16 @@ import {
     collapseAllFolders
 } from './components/tree/renderer.js';
 import { initCompareSelection, resetCompareSelection } from './components/history/compareSelection.js';
+import { createCommitMetadata } from './components/history/commitMetadata.js';
+import { getNavigationSignal, abortPendingLoads, createChildAbortController } from './core/context.js';
+import { resolveGitLabBaseUrl } from './core/instances.js';
+import { loadViewedFiles } from './core/viewed.js';
+import {
+    createVersionPicker,
+    getInitialVersionSelection,
+    getVersionLabel
+} from './components/merge-request/versionPicker.js';
+import { createCompareRangeToggle } from './components/compare/compareRangeToggle.js';
 import './styles/main.css';
 
 (function() {
@@ -63,7 +93,6 @@ import './styles/main.css';
             return;
         }
 
-        const pageTypeTitle = projectInfo.isCommitPage ? 'commit' : 'comparaison';
         const wrapper = createElement('div', { className: 'ct-wrapper' });
 
         const loadButton = createElement('button', {
@@ -81,16 +110,10 @@ import './styles/main.css';
             wrapper.appendChild(loading);
 
             try {
-                const diffData = await fetchAllFilesWithPagination(
-                    projectInfo,
-                    (msg) => { safeSetHTML(loading, `${msg} <span class="ct-spinner"></span>`); }
-                );
+                // Cross-project compares need both project IDs and the path of the target project
+                Object.assign(projectInfo, await fetchCompareProjects(projectInfo, getNavigationSignal()));
 
-                const fileData = processFilesFromApiResponse(
-                    diffData, 
-                    projectInfo.isComparePage, 
-                    projectInfo.commitSha || projectInfo.sourceBranch
-                );
+                const fileData = await fetchCommitOrCompareFiles(projectInfo, loading, getNavigationSignal());
                 loading.remove();
 
                 if (fileData.length === 0) {
@@ -104,36 +127,203 @@ import './styles/main.css';
                 }
 
                 loadButton.remove();
+                renderCommitOrCompareTree(wrapper, projectInfo, fileData, await loadViewedFiles(projectInfo, null, fileData));
 
-                const fileTree = buildFileTree(fileData);
-                const {
-                    container,
-                    toolbar,
-                    splitView,
-                    searchInput,
-                    treeView,
-                    previewPanel,
-                    expandAllBtn,
-                    collapseAllBtn,
-                    viewDiffBtn,
-                    viewFullBtn,
-                    fullscreenBtn,
-                    collapseBtn
-                } = createTreeContainer(`Vue en arborescence (${pageTypeTitle})`, fileData.length);
+            } catch (error) {
+                if (isAbortError(error)) {
+                    return;
+                }
+                loading.remove();
+                const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`, error);
+                wrapper.appendChild(errorEl);
+                safeSetHTML(loadButton, `${icons.tree} <span>Réessayer</span>`);
+                loadButton.disabled = false;
+            }
+        };
+    }
 
-                wrapper.appendChild(container);
-                renderTree(treeView, fileTree, 0, '', null, previewPanel);
-                setupSearch(searchInput, treeView, fileTree, null, previewPanel);
-                setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel);
-                setupFullscreen(container, fullscreenBtn);
-                setupCollapse(collapseBtn, toolbar, splitView);
+    /**
+     * Fetches the changed files of a commit or compare page
+     * @param {Object} projectInfo - Project information
+     * @param {HTMLElement} loading - Loading indicator receiving progress messages
+     * @param {AbortSignal} signal - Signal cancelling the load
+     * @returns {Promise<Array>} Processed file data
+     */
+    async function fetchCommitOrCompareFiles(projectInfo, loading, signal) {
+        const diffData = await fetchAllFilesWithPagination(
+            projectInfo,
+            (msg) => { safeSetHTML(loading, `${msg} <span class="ct-spinner"></span>`); },
+            null,
+            signal
+        );
+
+        const ref = projectInfo.commitSha || projectInfo.sourceBranch;
+        const fileData = markGeneratedFiles(
+            processFilesFromApiResponse(diffData, projectInfo.isComparePage, ref),
+            await fetchGitattributes(projectInfo, ref, signal)
+        );
+        // Code owners come from the CODEOWNERS of the target side, as on merge requests
+        markCodeOwners(fileData, await fetchCodeowners(
+            getBaseProjectInfo(projectInfo),
+            projectInfo.isComparePage ? projectInfo.targetBranch : ref,
+            signal
+        ));
+
+        return projectInfo.isCommitPage
+            ? attachDiscussions(fileData, await fetchDiscussions(projectInfo, projectInfo.commitSha, signal))
+            : fileData;
+    }
 
-                expandAllBtn.onclick = () => expandAllFolders(treeView);
-                collapseAllBtn.onclick = () => collapseAllFolders(treeView);
+    /**
+     * Renders the tree of a commit or compare page into the wrapper.
+     * Compare pages get a "..." / ".." toggle in the header that reloads the tree in place.
+     * @param {HTMLElement} wrapper - The .ct-wrapper element hosting the tree
+     * @param {Object} projectInfo - Project information
+     * @param {Array} fileData - Processed file data
+     * @param {Object|null} viewedFiles - Viewed state of the files, from loadViewedFiles
+     */
+    function renderCommitOrCompareTree(wrapper, projectInfo, fileData, viewedFiles) {
+        const pageTypeTitle = projectInfo.isCommitPage ? 'commit' : 'comparaison';
+        const fileTree = buildFileTree(fileData);
+        const containerElements = createTreeContainer(`Vue en arborescence (${pageTypeTitle})`, fileData.length);
+        const {
+            container,
+            toolbar,
+            splitView,
+            searchInput,
+            treeView,
+            previewPanel,
+            expandAllBtn,
+            collapseAllBtn,
+            viewDiffBtn,
+            viewFullBtn,
+            viewBlameBtn,
+            fullscreenBtn,
+            collapseBtn
+        } = containerElements;
+
+        if (projectInfo.isComparePage) {
+            const rangeToggle = createCompareRangeToggle(Boolean(projectInfo.straight), (straight) => {
+                reloadCompareTree(wrapper, { ...projectInfo, straight });
+            });
+            const headerRight = container.querySelector('.ct-header-right');
+            headerRight.insertBefore(rangeToggle, headerRight.firstChild);
+        }
+
+        wrapper.appendChild(container);
+
+        if (fileData.length === 0) {
+            treeView.appendChild(createErrorMessage('Aucune différence entre ces deux révisions.'));
+        }
+
+        renderTree(treeView, fileTree, 0, '', null, previewPanel, false, viewedFiles);
+        setupSearch(searchInput, treeView, fileTree, null, previewPanel);
+        setupToolbarFeatures(containerElements, fileTree, null, viewedFiles);
+        setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel, viewBlameBtn);
+        setupFullscreen(container, fullscreenBtn);
+        setupCollapse(collapseBtn, toolbar, splitView);
+
+        expandAllBtn.onclick = () => expandAllFolders(treeView);
+        collapseAllBtn.onclick = () => collapseAllFolders(treeView);
+    }
+
+    /** @type {AbortController|null} Cancels the compare reload in progress */
+    let compareReloadController = null;
+
+    /**
+     * Loads the compare again with another range mode and replaces the tree in place
+     * @param {HTMLElement} wrapper - The .ct-wrapper element hosting the tree
+     * @param {Object} projectInfo - Compare project information, with the new `straight` value
+     * @returns {Promise<void>}
+     */
+    async function reloadCompareTree(wrapper, projectInfo) {
+        if (compareReloadController) {
+            compareReloadController.abort();
+        }
+        const controller = createChildAbortController();
+        compareReloadController = controller;
+
+        setProjectContext(projectInfo, null);
+
+        const loading = createLoadingIndicator(`Chargement des fichiers via l'API GitLab`);
+        wrapper.replaceChildren(loading);
+
+        let fileData;
+        let viewedFiles;
+        try {
+            fileData = await fetchCommitOrCompareFiles(projectInfo, loading, controller.signal);
+            viewedFiles = await loadViewedFiles(projectInfo, null, fileData);
+        } catch (error) {
+            if (isAbortError(error)) {
+                return;
+            }
+            loading.remove();
+            const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`, error);
+            wrapper.appendChild(errorEl);
+            return;
+        }
+
+        loading.remove();
+        renderCommitOrCompareTree(wrapper, projectInfo, fileData, viewedFiles);
+    }
+
+    /**
+     * Initializes the tree view for a merge request diffs page (/-/merge_requests/:iid/diffs)
+     * @returns {Promise<void>}
+     */
+    async function initMergeRequestPage() {
+        const projectInfo = extractProjectAndCommitInfo();
+
+        if (!projectInfo.projectPath || !projectInfo.mergeRequestIid) {
+            return;
+        }
+
+        setProjectContext(projectInfo);
+
+        const targetInsertionPoint = document.querySelector('.merge-request-tabs-content, .diffs.tab-pane, #diffs, .content-wrapper');
+        if (!targetInsertionPoint) {
+            return;
+        }
+
+        const wrapper = createElement('div', { className: 'ct-wrapper' });
+
+        const loadButton = createElement('button', {
+            className: `${cssClasses.button} ct-load-btn`
+        }, `${icons.tree} <span>Charger l'arborescence</span>`);
+
+        wrapper.appendChild(loadButton);
+        targetInsertionPoint.parentNode.insertBefore(wrapper, targetInsertionPoint);
+
+        loadButton.onclick = async () => {
+            loadButton.disabled = true;
+            safeSetHTML(loadButton, `${icons.tree} <span>Chargement...</span>`);
+
+            const loading = createLoadingIndicator(`Chargement des versions via l'API GitLab`);
+            wrapper.appendChild(loading);
+
+            try {
+                const versions = await fetchMergeRequestVersions(projectInfo, getNavigationSignal());
+                loading.remove();
+
+                if (versions.length === 0) {
+                    const error = createErrorMessage('Aucun fichier trouvé pour cette merge request.');
+                    wrapper.appendChild(error);
+                    safeSetHTML(loadButton, `${icons.tree} <span>Réessayer</span>`);
+                    loadButton.disabled = false;
+                    return;
+                }
+
+                loadButton.remove();
+
+                const { baseVersion, headVersion } = getInitialVersionSelection(versions);
+                await showMergeRequestVersions(wrapper, projectInfo, versions, baseVersion, headVersion);
 
             } catch (error) {
+                if (isAbortError(error)) {
+                    return;
+                }
                 loading.remove();
-                const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`);
+                const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`, error);
                 wrapper.appendChild(errorEl);
                 safeSetHTML(loadButton, `${icons.tree} <span>Réessayer</span>`);
                 loadButton.disabled = false;
@@ -141,6 +331,130 @@ import './styles/main.css';
         };
     }
 
+    /** @type {AbortController|null} Cancels the merge request version load in progress */
+    let mergeRequestAbortController = null;
+
+    /**
+     * Renders the tree of a merge request version, or of the delta between two versions.
+     * Without a base version the whole MR (head version against the target branch) is shown.
+     * Choosing another pair in the header version picker renders the tree again in place.
+     * @param {HTMLElement} wrapper - The .ct-wrapper element hosting the tree
+     * @param {Object} projectInfo - Merge request project information
+     * @param {Array<Object>} versions - All MR versions, newest first
+     * @param {Object|null} baseVersion - Base version, null for the MR target branch
+     * @param {Object} headVersion - Head version
+     * @returns {Promise<void>}
+     */
+    async function showMergeRequestVersions(wrapper, projectInfo, versions, baseVersion, headVersion) {
+        if (mergeRequestAbortController) {
+            mergeRequestAbortController.abort();
+        }
+        const controller = createChildAbortController();
+        mergeRequestAbortController = controller;
+
+        const loading = createLoadingIndicator(`Chargement des fichiers via l'API GitLab`);
+        wrapper.replaceChildren(loading);
+
+        const headSha = headVersion.head_commit_sha;
+        const progressCallback = (msg) => { safeSetHTML(loading, `${msg} <span class="ct-spinner"></span>`); };
+
+        // Between two versions, the delta is a straight compare of their head commits
+        const deltaProjectInfo = baseVersion
+            ? {
+                ...projectInfo,
+                isMergeRequestPage: false,
+                isComparePage: true,
+                targetBranch: baseVersion.head_commit_sha,
+                sourceBranch: headSha,
+                straight: true
+            }
+            : null;
+
+        let fileData;
+        let viewedFiles;
+        try {
+            if (deltaProjectInfo) {
+                const diffData = await fetchAllFilesWithPagination(deltaProjectInfo, progressCallback, null, controller.signal);
+                fileData = processFilesFromApiResponse(diffData, true, headSha, baseVersion.head_commit_sha);
+            } else {
+                const diffData = await fetchMergeRequestDiffs(projectInfo, headVersion, progressCallback, controller.signal);
+                fileData = processFilesFromApiResponse(diffData, false, headSha, headVersion.base_commit_sha);
+                // Line positions only hold for the whole MR diff, not for the delta between two versions
+                attachDiscussions(fileData, await fetchDiscussions(projectInfo, headSha, controller.signal), headSha);
+            }
+            markGeneratedFiles(fileData, await fetchGitattributes(projectInfo, headSha, controller.signal));
+            markCodeOwners(fileData, await fetchCodeowners(projectInfo, headVersion.base_commit_sha, controller.signal));
+            viewedFiles = await loadViewedFiles(deltaProjectInfo || projectInfo, null, fileData);
+        } catch (error) {
+            if (isAbortError(error)) {
+                return;
+            }
+            loading.remove();
+            const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`, error);
+            wrapper.appendChild(errorEl);
+            return;
+        }
+
+        // loadViewedFiles does not observe the signal: a newer selection may have started meanwhile
+        if (controller.signal.aborted) {
+            return;
+        }
+
+        loading.remove();
+
+        if (deltaProjectInfo) {
+            setProjectContext(deltaProjectInfo, null);
+        } else {
+            // The version SHAs position the discussions posted from the preview
+            setProjectContext({ ...projectInfo, mergeRequestVersion: headVersion }, headSha);
+        }
+
+        const headLabel = getVersionLabel(versions, versions.indexOf(headVersion));
+        const title = baseVersion
+            ? `Merge request !${projectInfo.mergeRequestIid} : ${getVersionLabel(versions, versions.indexOf(baseVersion))} → ${headLabel}`
+            : `Vue en arborescence (merge request !${projectInfo.mergeRequestIid})`;
+
+        const fileTree = buildFileTree(fileData);
+        const containerElements = createTreeContainer(title, fileData.length);
+        const {
+            container,
+            toolbar,
+            splitView,
+            searchInput,
+            treeView,
+            previewPanel,
+            expandAllBtn,
+            collapseAllBtn,
+            viewDiffBtn,
+            viewFullBtn,
+            viewBlameBtn,
+            fullscreenBtn,
+            collapseBtn
+        } = containerElements;
+
+        const versionPicker = createVersionPicker(versions, baseVersion, headVersion, (newBase, newHead) => {
+            showMergeRequestVersions(wrapper, projectInfo, versions, newBase, newHead);
+        });
+        const headerRight = container.querySelector('.ct-header-right');
+        headerRight.insertBefore(versionPicker, headerRight.firstChild);
+
+        wrapper.appendChild(container);
+
+        if (fileData.length === 0) {
+            treeView.appendChild(createErrorMessage('Aucune différence entre ces deux versions.'));
+        }
+
+        renderTree(treeView, fileTree, 0, '', headSha, previewPanel, false, viewedFiles);
+        setupSearch(searchInput, treeView, fileTree, headSha, previewPanel);
+        setupToolbarFeatures(containerElements, fileTree, headSha, viewedFiles);
+        setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel, viewBlameBtn);
+        setupFullscreen(container, fullscreenBtn);
+        setupCollapse(collapseBtn, toolbar, splitView);
+
+        expandAllBtn.onclick = () => expandAllFolders(treeView);
+        collapseAllBtn.onclick = () => collapseAllFolders(treeView);
+    }
+
     /**
      * Initializes tree buttons for branch history page
      * @returns {Promise<void>}
@@ -255,8 +569,26 @@ import './styles/main.css';
         safeSetHTML(buttonElement, icons.close);
 
         try {
-            const diffData = await fetchAllFilesWithPagination(projectInfo, null, commitSha);
-            const fileData = processFilesFromApiResponse(diffData, false, commitSha);
+            // The metadata is optional: the tree is shown even when it cannot be loaded
+            const [diffData, commitDetails] = await Promise.all([
+                fetchAllFilesWithPagination(
+                    projectInfo,
+                    (msg) => { safeSetHTML(loading, `${msg} <span class="ct-spinner"></span>`); },
+                    commitSha,
+                    getNavigationSignal()
+                ),
+                fetchCommitDetails(projectInfo, commitSha, getNavigationSignal()).catch((error) => {
+                    if (isAbortError(error)) throw error;
+                    return null;
+                })
+            ]);
+            const fileData = markGeneratedFiles(
+                processFilesFromApiResponse(diffData, false, commitSha),
+                await fetchGitattributes(projectInfo, commitSha, getNavigationSignal())
+            );
+            markCodeOwners(fileData, await fetchCodeowners(projectInfo, commitSha, getNavigationSignal()));
+            attachDiscussions(fileData, await fetchDiscussions(projectInfo, commitSha, getNavigationSignal()));
+            const viewedFiles = await loadViewedFiles(projectInfo, commitSha, fileData);
 
             loading.remove();
 
@@ -267,6 +599,7 @@ import './styles/main.css';
             }
 
             const fileTree = buildFileTree(fileData);
+            const containerElements = createTreeContainer(`Commit ${commitSha.substring(0, 8)}`, fileData.length);
             const {
                 container,
                 toolbar,
@@ -278,14 +611,23 @@ import './styles/main.css';
                 collapseAllBtn,
                 viewDiffBtn,
                 viewFullBtn,
+                viewBlameBtn,
                 fullscreenBtn,
                 collapseBtn
-            } = createTreeContainer(`Commit ${commitSha.substring(0, 8)}`, fileData.length);
+            } = containerElements;
+
+            if (commitDetails) {
+                const { summary, details } = createCommitMetadata(commitDetails, projectInfo.projectPath);
+                const headerRight = container.querySelector('.ct-header-right');
+                headerRight.insertBefore(summary, headerRight.firstChild);
+                headerRight.parentNode.after(details);
+            }
 
             treeContainer.appendChild(container);
-            renderTree(treeView, fileTree, 0, '', commitSha, previewPanel);
+            renderTree(treeView, fileTree, 0, '', commitSha, previewPanel, false, viewedFiles);
             setupSearch(searchInput, treeView, fileTree, commitSha, previewPanel);
-            setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel);
+            setupToolbarFeatures(containerElements, fileTree, commitSha, viewedFiles);
+            setupViewModeToggle(viewDiffBtn, viewFullBtn, previewPanel, viewBlameBtn);
             setupFullscreen(container, fullscreenBtn);
             setupCollapse(collapseBtn, toolbar, splitView);
 
@@ -293,8 +635,13 @@ import './styles/main.css';
             collapseAllBtn.onclick = () => collapseAllFolders(treeView);
 
         } catch (error) {
+            if (isAbortError(error)) {
+                treeContainer.remove();
+                safeSetHTML(buttonElement, icons.tree);
+                return;
+            }
             loading.remove();
-            const errorEl = createErrorMessage(`Erreur lors du chargement: ${error.message}`);
+            const errorEl = createErrorMessage(`Erreur lors du chargement: ${error.message}`, error);
             treeContainer.appendChild(errorEl);
         }
     }
@@ -337,10 +684,15 @@ import './styles/main.css';
                 const items = await fetchRepositoryTree(
                     projectInfo,
                     projectInfo.currentPath,
-                    projectInfo.branchName
+                    projectInfo.branchName,
+                    (msg) => { safeSetHTML(loading, `${msg} <span class="ct-spinner"></span>`); },
+                    getNavigationSignal()
                 );
 
-                const fileData = processFilesFromTreeApi(items, projectInfo.branchName);
+                const fileData = markGeneratedFiles(
+                    processFilesFromTreeApi(items, projectInfo.branchName),
+                    await fetchGitattributes(projectInfo, projectInfo.branchName, getNavigationSignal())
+                );
                 loading.remove();
 
                 if (fileData.length === 0) {
@@ -358,6 +710,7 @@ import './styles/main.css';
                     ? `Arborescence : ${projectInfo.currentPath}`
                     : `Arborescence : ${projectInfo.branchName}`;
 
+                const containerElements = createTreeContainer(title, fileData.length);
                 const {
                     container,
                     toolbar,
@@ -369,12 +722,15 @@ import './styles/main.css';
                     collapseAllBtn,
                     viewDiffBtn,
                     viewFullBtn,
+                    viewBlameBtn,
+                    diffLayoutBtn,
                     fullscreenBtn,
                     collapseBtn
-                } = createTreeContainer(title, fileData.length);
+                } = containerElements;
 
-                // Mode navigation : vue fichier complet uniquement, pas de toggle diff/full
+                // Mode navigation : pas de diff, vue fichier complet par défaut ou blame
                 viewDiffBtn.remove();
+                diffLayoutBtn.remove();
                 viewFullBtn.classList.add(cssClasses.viewModeActive);
                 previewPanel._viewMode = 'full';
 
@@ -386,6 +742,8 @@ import './styles/main.css';
                 wrapper.appendChild(container);
                 renderTree(treeView, fileTree, 0, '', null, previewPanel);
                 setupSearch(searchInput, treeView, fileTree, null, previewPanel);
+                setupToolbarFeatures(containerElements, fileTree, null, null);
+                setupViewModeToggle(null, viewFullBtn, previewPanel, viewBlameBtn);
                 setupFullscreen(container, fullscreenBtn);
                 setupCollapse(collapseBtn, toolbar, splitView);
 
@@ -393,8 +751,11 @@ import './styles/main.css';
                 collapseAllBtn.onclick = () => collapseAllFolders(treeView);
 
             } catch (error) {
+                if (isAbortError(error)) {
+                    return;
+                }
                 loading.remove();
-                const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`);
+                const errorEl = createErrorMessage(`Erreur lors de l'accès à l'API GitLab: ${error.message}`, error);
                 wrapper.appendChild(errorEl);
                 safeSetHTML(loadButton, `${icons.tree} <span>Réessayer</span>`);
                 loadButton.disabled = false;
@@ -407,14 +768,19 @@ import './styles/main.css';
      * @returns {Promise<void>}
      */
     async function init() {
-        const { isCommitPage, isComparePage, isBranchHistoryPage, isTreePage } = getPageType();
+        await resolveGitLabBaseUrl();
+
+        const { isCommitPage, isComparePage, isBranchHistoryPage, isTreePage, isMergeRequestPage } = getPageType();
 
-        if (!isCommitPage && !isComparePage && !isBranchHistoryPage && !isTreePage) {
+        if (!isCommitPage && !isComparePage && !isBranchHistoryPage && !isTreePage && !isMergeRequestPage) {
             return;
         }
 
         try {
-            if (isBranchHistoryPage) {
+            if (isMergeRequestPage) {
+                await waitForElement('.merge-request-tabs-content, .diffs.tab-pane, #diffs, .merge-request-tabs');
+                await initMergeRequestPage();
+            } else if (isBranchHistoryPage) {
                 await waitForElement('.commit, .commit-row, li[data-testid], .flex-list li, .content-list li');
                 await initBranchHistory();
             } else if (isTreePage) {
@@ -430,9 +796,10 @@ import './styles/main.css';
     }
 
     /**
-     * Cleans up all injected CT elements and resets project context
+     * Cancels in-flight loads, cleans up all injected CT elements and resets project context
      */
     function cleanup() {
+        abortPendingLoads();
         document.querySelectorAll('.ct-wrapper').forEach(el => el.remove());
         setProjectContext(null, null);
         resetCompareSelection();
@@ -0,0 +1,110 @@
+/**
+ * GitLab Commit Tree Options Page
+ * @fileoverview Lets the user add or remove self-hosted GitLab instances. Adding an instance
+ * requests the matching optional host permission; the background script then registers the
+ * content script for it.
+ */
+
+import {
+    normalizeInstanceUrl,
+    getOriginPermission,
+    isBuiltInInstance,
+    getCustomInstances,
+    setCustomInstances
+} from '../core/instances.js';
+import { getExtensionApi } from '../core/extension.js';
+
+const api = getExtensionApi();
+
+const form = document.querySelector('.ct-options-form');
+const input = document.querySelector('.ct-options-input');
+const status = document.querySelector('.ct-options-status');
+const list = document.querySelector('.ct-options-list');
+
+/**
+ * Shows a status message below the form
+ * @param {string} message - Message to display (empty to hide)
+ * @param {boolean} [isError=false] - Whether the message is an error
+ */
+function showStatus(message, isError = false) {
+    status.textContent = message;
+    status.classList.toggle('ct-options-status-error', isError);
+}
+
+/**
+ * Renders the configured instances with their permission state
+ * @returns {Promise<void>}
+ */
+async function renderInstances() {
+    const instances = await getCustomInstances();
+    list.replaceChildren();
+
+    for (const instanceUrl of instances) {
+        const granted = await api.permissions.contains({ origins: [getOriginPermission(instanceUrl)] });
+
+        const item = document.createElement('li');
+        item.className = granted ? 'ct-options-item' : 'ct-options-item ct-options-item-pending';
+
+        const label = document.createElement('span');
+        label.textContent = granted ? instanceUrl : `${instanceUrl} (permission refusée)`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'ct-options-remove';
+        removeBtn.type = 'button';
+        removeBtn.textContent = 'Supprimer';
+        removeBtn.onclick = () => removeInstance(instanceUrl);
+
+        item.appendChild(label);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Removes an instance, and its host permission when no other instance uses that host
+ * @param {string} instanceUrl - Normalized instance base URL
+ * @returns {Promise<void>}
+ */
+async function removeInstance(instanceUrl) {
+    const remaining = (await getCustomInstances()).filter(url => url !== instanceUrl);
+    await setCustomInstances(remaining);
+
+    const permission = getOriginPermission(instanceUrl);
+    if (!remaining.some(url => getOriginPermission(url) === permission)) {
+        await api.permissions.remove({ origins: [permission] });
+    }
+
+    showStatus('');
+    await renderInstances();
+}
+
+form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    let instanceUrl;
+    try {
+        instanceUrl = normalizeInstanceUrl(input.value);
+    } catch (error) {
+        showStatus(error.message, true);
+        return;
+    }
+
+    if (isBuiltInInstance(instanceUrl)) {
+        showStatus(`${instanceUrl} est déjà pris en charge.`, true);
+        return;
+    }
+
+    // permissions.request() must be called synchronously from the user gesture
+    const granted = await api.permissions.request({ origins: [getOriginPermission(instanceUrl)] });
+    if (!granted) {
+        showStatus(`Permission refusée pour ${instanceUrl}.`, true);
+        return;
+    }
+
+    await setCustomInstances([...(await getCustomInstances()), instanceUrl]);
+    input.value = '';
+    showStatus(`${instanceUrl} ajoutée. Rechargez les onglets GitLab déjà ouverts.`);
+    await renderInstances();
+});
+
+renderInstances();
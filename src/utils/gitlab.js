@@ -4,23 +4,32 @@
  */
 
 import { gitlabSelectors } from '../config/constants.js';
+import { getGitLabBaseUrl, getRelativeUrlRoot } from '../core/instances.js';
 
 /**
  * Determines the type of GitLab page currently being viewed
- * @returns {{isCommitPage: boolean, isComparePage: boolean, isBranchHistoryPage: boolean}} Page type flags
+ * @returns {{
+ *   isCommitPage: boolean,
+ *   isComparePage: boolean,
+ *   isBranchHistoryPage: boolean,
+ *   isTreePage: boolean,
+ *   isMergeRequestPage: boolean
+ * }} Page type flags
  */
 export function getPageType() {
     const path = window.location.pathname;
-    const isBranchHistoryPage = path.includes('/commits/');
+    const isMergeRequestPage = /\/-\/merge_requests\/\d+\/diffs/.test(path);
+    const isBranchHistoryPage = !isMergeRequestPage && path.includes('/commits/');
     const isComparePage = path.includes('/compare/');
-    const isCommitPage = !isBranchHistoryPage && path.includes('/commit/');
+    const isCommitPage = !isBranchHistoryPage && !isMergeRequestPage && path.includes('/commit/');
     const isTreePage = path.includes('/-/tree/');
 
     return {
         isCommitPage,
         isComparePage,
         isBranchHistoryPage,
-        isTreePage
+        isTreePage,
+        isMergeRequestPage
     };
 }
 
@@ -31,24 +40,33 @@ export function getPageType() {
  *   commitSha: string|null,
  *   sourceBranch: string|null,
  *   targetBranch: string|null,
+ *   fromProjectId: string|null,
+ *   straight: boolean,
  *   branchName: string|null,
  *   currentPath: string,
+ *   mergeRequestIid: string|null,
  *   isCommitPage: boolean,
  *   isComparePage: boolean,
  *   isBranchHistoryPage: boolean,
- *   isTreePage: boolean
+ *   isTreePage: boolean,
+ *   isMergeRequestPage: boolean
  * }} Extracted information
  */
 export function extractProjectAndCommitInfo() {
-    const { isCommitPage, isComparePage, isBranchHistoryPage, isTreePage } = getPageType();
+    const { isCommitPage, isComparePage, isBranchHistoryPage, isTreePage, isMergeRequestPage } = getPageType();
     let projectPath = '';
     let commitSha = null;
     let sourceBranch = null;
     let targetBranch = null;
+    let fromProjectId = null;
+    let straight = false;
     let branchName = null;
     let currentPath = '';
+    let mergeRequestIid = null;
 
-    const pathMatch = window.location.pathname.match(/^(.*?)\/-\/(?:commit|commits|compare|tree)/);
+    // Instances served under a relative URL root (https://host/gitlab/) prefix every path with it
+    const relativePath = window.location.pathname.slice(getRelativeUrlRoot().length);
+    const pathMatch = relativePath.match(/^(.*?)\/-\/(?:commit|commits|compare|tree|merge_requests)/);
     if (pathMatch) {
         projectPath = pathMatch[1].substr(1);
     }
@@ -57,14 +75,21 @@ export function extractProjectAndCommitInfo() {
         const commitShaMatch = window.location.pathname.match(/\/commit\/([a-f0-9]+)/);
         commitSha = commitShaMatch ? commitShaMatch[1] : null;
     } else if (isComparePage) {
-        const branchesMatch = window.location.pathname.match(/\/compare\/(.+?)(?:\.){2,3}(.+?)(?:\?|$)/);
+        const branchesMatch = window.location.pathname.match(/\/compare\/(.+?)(\.{2,3})(.+?)(?:\?|$)/);
         if (branchesMatch) {
             targetBranch = decodeURIComponent(branchesMatch[1]);
-            sourceBranch = decodeURIComponent(branchesMatch[2]);
+            sourceBranch = decodeURIComponent(branchesMatch[3]);
+            // main..feature compares both refs directly, main...feature from their merge base
+            straight = branchesMatch[2] === '..';
         }
+        // Cross-project compares (fork ↔ upstream) take the target ref from another project
+        fromProjectId = new URLSearchParams(window.location.search).get('from_project_id');
     } else if (isBranchHistoryPage) {
         const branchMatch = window.location.pathname.match(/\/commits\/(.+?)(?:\?|$)/);
         branchName = branchMatch ? decodeURIComponent(branchMatch[1]) : 'main';
+    } else if (isMergeRequestPage) {
+        const mergeRequestMatch = window.location.pathname.match(/\/merge_requests\/(\d+)/);
+        mergeRequestIid = mergeRequestMatch ? mergeRequestMatch[1] : null;
     } else if (isTreePage) {
         const treeMatch = window.location.pathname.match(/\/-\/tree\/([^\/]+)(\/(.*))?$/);
         if (treeMatch) {
@@ -78,15 +103,335 @@ export function extractProjectAndCommitInfo() {
         commitSha,
         sourceBranch,
         targetBranch,
+        fromProjectId,
+        straight,
         branchName,
         currentPath,
+        mergeRequestIid,
         isCommitPage,
         isComparePage,
         isBranchHistoryPage,
-        isTreePage
+        isTreePage,
+        isMergeRequestPage
     };
 }
 
+/**
+ * Returns true if the compare reads its target ref from another project (fork ↔ upstream)
+ * @param {Object} projectInfo - Project information object
+ * @returns {boolean}
+ */
+export function isCrossProjectCompare(projectInfo) {
+    return Boolean(projectInfo.isComparePage && projectInfo.fromProjectPath &&
+        projectInfo.fromProjectPath !== projectInfo.projectPath);
+}
+
+/**
+ * Returns the project information of the old side of a compare.
+ * For a cross-project compare, the old side lives in the `from_project_id` project;
+ * otherwise the project information is returned unchanged.
+ * @param {Object} projectInfo - Project information object
+ * @returns {Object} Project information to use for the target ref
+ */
+export function getBaseProjectInfo(projectInfo) {
+    if (!isCrossProjectCompare(projectInfo)) {
+        return projectInfo;
+    }
+
+    return {
+        ...projectInfo,
+        projectPath: projectInfo.fromProjectPath,
+        projectId: projectInfo.fromProjectId
+    };
+}
+
+/**
+ * Parses a .gitmodules file
+ * @param {string} content - Content of .gitmodules
+ * @returns {Map<string, string>} Submodule URL by submodule path
+ */
+export function parseGitmodules(content) {
+    const urlsByPath = new Map();
+    let current = null;
+
+    for (const rawLine of (content || '').split('\n')) {
+        const line = rawLine.trim();
+        if (line.startsWith('[')) {
+            current = {};
+            continue;
+        }
+
+        const entryMatch = current && line.match(/^(path|url)\s*=\s*(.+)$/);
+        if (entryMatch) {
+            current[entryMatch[1]] = entryMatch[2].trim();
+            if (current.path && current.url) {
+                urlsByPath.set(current.path, current.url);
+            }
+        }
+    }
+
+    return urlsByPath;
+}
+
+/**
+ * Resolves a submodule URL to a project path on the current GitLab instance.
+ * Relative URLs (../other.git) are resolved against the superproject, like git does.
+ * @param {string} url - Submodule URL from .gitmodules (https, ssh, scp-like or relative)
+ * @param {string} projectPath - Path of the superproject (e.g. "group/project")
+ * @returns {string|null} Project path (e.g. "group/lib"), or null when hosted elsewhere
+ */
+export function resolveSubmoduleProjectPath(url, projectPath) {
+    const stripGit = (path) => path.replace(/\.git$/, '').replace(/^\/+|\/+$/g, '');
+
+    if (url.startsWith('./') || url.startsWith('../')) {
+        const parts = projectPath.split('/');
+        for (const segment of url.split('/')) {
+            if (segment === '..') {
+                parts.pop();
+            } else if (segment && segment !== '.') {
+                parts.push(segment);
+            }
+        }
+        return stripGit(parts.join('/')) || null;
+    }
+
+    const instance = new URL(getGitLabBaseUrl());
+    const scpMatch = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/\/)(.+)$/);
+    if (scpMatch) {
+        return scpMatch[1] === instance.hostname ? stripGit(scpMatch[2]) : null;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+
+    if (parsed.hostname !== instance.hostname) {
+        return null;
+    }
+
+    // HTTP(S) clone URLs carry the relative URL root of the instance, SSH ones do not
+    const relativeRoot = getRelativeUrlRoot();
+    const path = parsed.protocol.startsWith('http') && relativeRoot && parsed.pathname.startsWith(`${relativeRoot}/`)
+        ? parsed.pathname.slice(relativeRoot.length)
+        : parsed.pathname;
+
+    return stripGit(path) || null;
+}
+
+/**
+ * Converts a .gitattributes pattern to a regular expression matching repository paths.
+ * Patterns without a slash match the file name at any depth, like git does.
+ * @param {string} pattern - Pattern of a .gitattributes line
+ * @returns {RegExp} Regular expression matching a full file path
+ */
+function gitattributesPatternToRegex(pattern) {
+    const anchored = pattern.includes('/');
+    const source = pattern
+        .replace(/^\//, '')
+        .split(/(\*\*\/|\/\*\*$|\*\*|\*|\?|\[[^\]]*\])/)
+        .map((token) => {
+            if (token === '**/') return '(?:.*/)?';
+            if (token === '/**') return '/.*';
+            if (token === '**') return '.*';
+            if (token === '*') return '[^/]*';
+            if (token === '?') return '[^/]';
+            if (token.startsWith('[')) return token.replace(/^\[!/, '[^');
+            return token.replace(/[.+^${}()|\\]/g, '\\$&');
+        })
+        .join('');
+
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+/**
+ * Parses a .gitattributes file
+ * @param {string|null} content - Content of .gitattributes
+ * @returns {Array<{regex: RegExp, attributes: Object<string, boolean>}>} Rules in file order.
+ * Set attributes ("attr", "attr=true") are true, unset ones ("-attr", "!attr", "attr=false") false.
+ */
+export function parseGitattributes(content) {
+    const rules = [];
+
+    for (const rawLine of (content || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const [pattern, ...tokens] = line.split(/\s+/);
+        if (tokens.length === 0 || pattern.startsWith('[attr]')) {
+            continue;
+        }
+
+        const attributes = {};
+        for (const token of tokens) {
+            const [name, value] = token.split('=');
+            if (name.startsWith('-') || name.startsWith('!')) {
+                attributes[name.substring(1)] = false;
+            } else {
+                attributes[name] = value !== 'false';
+            }
+        }
+
+        rules.push({ regex: gitattributesPatternToRegex(pattern), attributes });
+    }
+
+    return rules;
+}
+
+/**
+ * Resolves the attributes applying to a path; later rules override earlier ones
+ * @param {Array<{regex: RegExp, attributes: Object<string, boolean>}>} rules - Rules from parseGitattributes
+ * @param {string} filePath - Path of the file in the repository
+ * @returns {Object<string, boolean>} Attributes of the file
+ */
+export function getPathAttributes(rules, filePath) {
+    return rules
+        .filter(rule => rule.regex.test(filePath))
+        .reduce((attributes, rule) => Object.assign(attributes, rule.attributes), {});
+}
+
+/** @type {string} Name GitLab gives to the entries placed before any CODEOWNERS section */
+export const DEFAULT_CODEOWNERS_SECTION = 'codeowners';
+
+/**
+ * Converts a CODEOWNERS pattern to a regular expression matching "/"-prefixed repository paths,
+ * following GitLab (fnmatch with FNM_PATHNAME): patterns not starting with a slash match at any
+ * depth, patterns ending with a slash match everything below the directory, and `*` stops at slashes.
+ * @param {string} pattern - Pattern of a CODEOWNERS entry, escapes included
+ * @returns {RegExp} Regular expression matching "/" followed by the file path
+ */
+function codeownersPatternToRegex(pattern) {
+    let normalized = pattern === '*' ? '/**/*' : pattern;
+    if (!normalized.startsWith('/')) {
+        normalized = `/**/${normalized}`;
+    }
+    if (normalized.endsWith('/')) {
+        normalized = `${normalized}**/*`;
+    }
+
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const source = normalized
+        .split(/(\\.|\*\*\/|\*\*|\*|\?|\[[^\]]*\])/)
+        .map((token) => {
+            if (token.startsWith('\\')) return escape(token.substring(1));
+            if (token === '**/') return '(?:[^/]*/)*';
+            if (token === '**' || token === '*') return '[^/]*';
+            if (token === '?') return '[^/]';
+            if (token.startsWith('[')) return token.replace(/^\[!/, '[^');
+            return escape(token);
+        })
+        .join('');
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parses a GitLab CODEOWNERS file.
+ * Sections (`[Name]`, `^[Optional]`, `[Name][2]`, with default owners) are merged by
+ * case-insensitive name; entries before the first section go to the "codeowners" section.
+ * Entries prefixed with `!` exclude matching files from their section.
+ * @param {string|null} content - Content of CODEOWNERS
+ * @returns {Array<{name: string, optional: boolean, defaultOwners: string[],
+ *   rules: Array<{regex: RegExp, owners: string[], exclude: boolean}>}>} Sections in file order,
+ * with their rules in file order
+ */
+export function parseCodeowners(content) {
+    const sections = new Map();
+    const getSection = (name) => {
+        const key = name.toLowerCase();
+        if (!sections.has(key)) {
+            sections.set(key, { name, optional: false, defaultOwners: [], rules: [] });
+        }
+        return sections.get(key);
+    };
+    // Owners are @users, @groups, @@roles or emails; anything else on the line is ignored
+    const parseOwners = (tokens) => tokens.filter(token => token.includes('@'));
+
+    let section = getSection(DEFAULT_CODEOWNERS_SECTION);
+
+    for (const rawLine of (content || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const header = line.match(/^(\^)?\[([^\]]+)\](?:\[\d+\])?(.*)$/);
+        if (header) {
+            section = getSection(header[2].trim());
+            section.optional = Boolean(header[1]);
+            const defaultOwners = parseOwners(header[3].trim().split(/\s+/));
+            if (defaultOwners.length > 0) {
+                section.defaultOwners = defaultOwners;
+            }
+            continue;
+        }
+
+        // Whitespace and "#" can be escaped with a backslash in patterns
+        const [pattern, ...tokens] = line.match(/(?:\\.|[^\s\\])+/g);
+        const exclude = pattern.startsWith('!');
+        section.rules.push({
+            regex: codeownersPatternToRegex(exclude ? pattern.substring(1) : pattern),
+            owners: parseOwners(tokens),
+            exclude
+        });
+    }
+
+    return Array.from(sections.values()).filter(candidate => candidate.rules.length > 0);
+}
+
+/**
+ * Resolves the code owners of a path: in each section, the last matching entry wins,
+ * entries without owners falling back to the section default owners.
+ * A matching exclusion leaves the file out of its section.
+ * @param {Array<Object>} sections - Sections from parseCodeowners
+ * @param {string} filePath - Path of the file in the repository
+ * @returns {Array<{section: string, owners: string[]}>} Matching sections with their owners
+ */
+export function getPathCodeOwners(sections, filePath) {
+    const path = `/${filePath}`;
+
+    return sections.flatMap((section) => {
+        if (section.rules.some(rule => rule.exclude && rule.regex.test(path))) {
+            return [];
+        }
+
+        const rule = [...section.rules].reverse().find(candidate => !candidate.exclude && candidate.regex.test(path));
+        return rule
+            ? [{ section: section.name, owners: rule.owners.length > 0 ? rule.owners : section.defaultOwners }]
+            : [];
+    });
+}
+
+/**
+ * Splits a commit message into its body and its trailers ("Signed-off-by: …" lines),
+ * which form the last paragraph of the message when every line of it is a "Token: value" pair
+ * @param {string|null} message - Full commit message
+ * @returns {{body: string, trailers: Array<{key: string, value: string}>}}
+ */
+export function parseCommitTrailers(message) {
+    const text = (message || '').trim();
+    const separator = text.lastIndexOf('\n\n');
+    if (separator === -1) {
+        return { body: text, trailers: [] };
+    }
+
+    const lines = text.substring(separator + 2).split('\n');
+    const trailers = [];
+    for (const line of lines) {
+        const match = line.match(/^([A-Za-z0-9][A-Za-z0-9-]*):\s+(.+)$/);
+        if (!match) {
+            return { body: text, trailers: [] };
+        }
+        trailers.push({ key: match[1], value: match[2].trim() });
+    }
+
+    return { body: text.substring(0, separator).trimEnd(), trailers };
+}
+
 /**
  * Finds commit elements in the current page
  * @returns {HTMLElement[]} Array of commit elements
@@ -184,17 +529,21 @@ export function scrollToFileInCurrentPage(filePath) {
  * @param {string} filePath - Path of the file
  * @param {Object} [projectInfo=null] - Project information object
  * @param {string} [specificCommitSha=null] - Specific commit SHA
+ * @param {string|null} [fileStatus=null] - Status of the file; deleted files of a compare open on the target ref
  */
-export function navigateToFile(filePath, projectInfo = null, specificCommitSha = null) {
+export function navigateToFile(filePath, projectInfo = null, specificCommitSha = null, fileStatus = null) {
     if (!projectInfo) {
         projectInfo = extractProjectAndCommitInfo();
     }
 
-    const gitlabBaseUrl = window.location.origin;
+    const gitlabBaseUrl = getGitLabBaseUrl();
     let fileUrl;
 
     if (projectInfo.isCommitPage) {
         fileUrl = `${gitlabBaseUrl}/${projectInfo.projectPath}/-/blob/${projectInfo.commitSha}/${filePath}`;
+    } else if (projectInfo.isComparePage && fileStatus === 'deleted' && projectInfo.targetBranch) {
+        const baseProjectInfo = getBaseProjectInfo(projectInfo);
+        fileUrl = `${gitlabBaseUrl}/${baseProjectInfo.projectPath}/-/blob/${encodeURIComponent(projectInfo.targetBranch)}/${filePath}`;
     } else if (projectInfo.isComparePage) {
         const branch = projectInfo.sourceBranch || projectInfo.targetBranch;
         fileUrl = branch
@@ -205,6 +554,8 @@ export function navigateToFile(filePath, projectInfo = null, specificCommitSha =
         fileUrl = `${gitlabBaseUrl}/${projectInfo.projectPath}/-/blob/${encodeURIComponent(ref)}/${filePath}`;
     } else if (projectInfo.isTreePage) {
         fileUrl = `${gitlabBaseUrl}/${projectInfo.projectPath}/-/blob/${encodeURIComponent(projectInfo.branchName)}/${filePath}`;
+    } else if (projectInfo.isMergeRequestPage && specificCommitSha) {
+        fileUrl = `${gitlabBaseUrl}/${projectInfo.projectPath}/-/blob/${specificCommitSha}/${filePath}`;
     } else {
         fileUrl = `${gitlabBaseUrl}/${projectInfo.projectPath}/-/blob/master/${filePath}`;
     }
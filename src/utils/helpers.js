@@ -5,6 +5,7 @@
 
 import mime from 'mime';
 import binaryExtensions from 'binary-extensions';
+import { fileModes } from '../config/constants.js';
 
 /**
  * Returns true if the file extension corresponds to an image
@@ -70,6 +71,34 @@ export function debounce(func, wait) {
     };
 }
 
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Results keep the order of the input items, whatever order the calls settle in.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async mapper called with (item, index)
+ * @returns {Promise<Array>} Mapped results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
 /**
  * Parses file statistics from diff content
  * @param {string} diffContent - The diff content string
@@ -94,3 +123,159 @@ export function parseFileStats(diffContent) {
 
     return { additions, deletions };
 }
+
+/**
+ * Describes the file mode change of a tree node (from the a_mode / b_mode of the diff APIs)
+ * @param {{a_mode: string|null, b_mode: string|null, has_diff_content: boolean}} fileNode - File node from the tree
+ * @returns {{
+ *   modeChanged: boolean,
+ *   executable: 'added'|'removed'|null,
+ *   symlink: boolean,
+ *   modeOnly: boolean
+ * }} executable is set when only the executable bit flipped; modeOnly when the content is unchanged
+ */
+export function getModeChange(fileNode) {
+    const oldMode = fileNode.a_mode;
+    const newMode = fileNode.b_mode;
+    const exists = (mode) => Boolean(mode) && mode !== fileModes.missing;
+    const modeChanged = exists(oldMode) && exists(newMode) && oldMode !== newMode;
+
+    let executable = null;
+    if (modeChanged && oldMode === fileModes.regular && newMode === fileModes.executable) {
+        executable = 'added';
+    } else if (modeChanged && oldMode === fileModes.executable && newMode === fileModes.regular) {
+        executable = 'removed';
+    }
+
+    return {
+        modeChanged,
+        executable,
+        symlink: newMode === fileModes.symlink || (!exists(newMode) && oldMode === fileModes.symlink),
+        modeOnly: modeChanged && !fileNode.has_diff_content
+    };
+}
+
+/**
+ * Reads the target of a symbolic link from its diff (the link content is its target path)
+ * @param {string|null} diffContent - Raw diff of the link
+ * @returns {string|null} Target of the new link (old one for a deleted link), or null if unknown
+ */
+export function getSymlinkTarget(diffContent) {
+    if (!diffContent) {
+        return null;
+    }
+
+    const lines = diffContent.split('\n');
+    const added = lines.filter(line => line.startsWith('+') && !line.startsWith('+++'));
+    const removed = lines.filter(line => line.startsWith('-') && !line.startsWith('---'));
+    const targetLine = added[0] || removed[0];
+
+    return targetLine ? targetLine.substring(1) : null;
+}
+
+/**
+ * Parses a Git LFS pointer file
+ * @param {string|null} content - Content stored in the repository
+ * @returns {{oid: string, size: number}|null} Object id (e.g. "sha256:…") and size in bytes, or null if not a pointer
+ */
+export function parseLfsPointer(content) {
+    if (!content || !content.startsWith('version https://git-lfs.github.com/spec/')) {
+        return null;
+    }
+
+    const oidMatch = content.match(/^oid (\w+:[0-9a-f]+)$/m);
+    const sizeMatch = content.match(/^size (\d+)$/m);
+
+    return oidMatch && sizeMatch
+        ? { oid: oidMatch[1], size: parseInt(sizeMatch[1], 10) }
+        : null;
+}
+
+/**
+ * Reads the Git LFS pointer of a file from its diff
+ * @param {string|null} diffContent - Raw diff of the pointer file
+ * @returns {{oid: string, size: number}|null} New pointer (old one for a deleted file), or null if not an LFS file
+ */
+export function getLfsPointerFromDiff(diffContent) {
+    if (!diffContent) {
+        return null;
+    }
+
+    const lines = diffContent.split('\n');
+    // Unchanged pointer lines (usually "version") are context lines shared by both sides
+    const sideContent = (prefix) => lines
+        .filter(line => (line.startsWith(prefix) && !line.startsWith(prefix.repeat(3))) || line.startsWith(' '))
+        .map(line => line.substring(1))
+        .join('\n');
+
+    return parseLfsPointer(sideContent('+')) || parseLfsPointer(sideContent('-'));
+}
+
+/**
+ * Formats a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size (o, Ko, Mo, Go)
+ */
+export function formatFileSize(bytes) {
+    const units = ['o', 'Ko', 'Mo', 'Go'];
+    let size = bytes;
+    let unit = 0;
+
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+
+    return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Formats a date relatively to now, in French ("il y a 3 jours")
+ * @param {string|Date} date - Date to format
+ * @param {number} [now=Date.now()] - Reference timestamp (ms)
+ * @returns {string} Relative date
+ */
+export function formatRelativeDate(date, now = Date.now()) {
+    const units = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['week', 7 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60]
+    ];
+    const seconds = (new Date(date).getTime() - now) / 1000;
+    const formatter = new Intl.RelativeTimeFormat('fr', { numeric: 'auto' });
+
+    for (const [unit, unitSeconds] of units) {
+        if (Math.abs(seconds) >= unitSeconds) {
+            return formatter.format(Math.round(seconds / unitSeconds), unit);
+        }
+    }
+
+    return formatter.format(0, 'second');
+}
+
+/**
+ * Hashes a string with SHA-1
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Lowercase hexadecimal digest
+ */
+export async function sha1Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes a string with 32-bit FNV-1a. Not cryptographic: only meant to notice that a text changed.
+ * @param {string} text - Text to hash
+ * @returns {string} Hexadecimal hash, 8 characters
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
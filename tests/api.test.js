@@ -1,4 +1,12 @@
-import { processFilesFromApiResponse, buildFileTree } from '../src/api/transformer.js';
+import {
+    processFilesFromApiResponse,
+    processFilesFromTreeApi,
+    markGeneratedFiles,
+    markCodeOwners,
+    attachDiscussions,
+    buildFileTree,
+    buildOwnerSectionTree
+} from '../src/api/transformer.js';
 
 describe('processFilesFromApiResponse', () => {
     test('should return empty array for null input', () => {
@@ -93,3 +101,185 @@ describe('buildFileTree', () => {
         expect(tree.children['a/b/c'].children['file.txt']).toBeDefined();
     });
 });
+
+describe('submodules', () => {
+    test('reads the old and new pinned commits from a submodule diff', () => {
+        const result = processFilesFromApiResponse([{
+            new_path: 'vendor/lib',
+            old_path: 'vendor/lib',
+            a_mode: '160000',
+            b_mode: '160000',
+            diff: '@@ -1 +1 @@\n-Subproject commit aaaa1111\n+Subproject commit bbbb2222\n'
+        }]);
+
+        expect(result[0].submodule).toEqual({ old_sha: 'aaaa1111', new_sha: 'bbbb2222' });
+    });
+
+    test('leaves regular files without submodule information', () => {
+        const result = processFilesFromApiResponse([{ new_path: 'a.js', old_path: 'a.js', a_mode: '100644', b_mode: '100644', diff: '+x' }]);
+
+        expect(result[0].submodule).toBeNull();
+    });
+
+    test('keeps submodules of the repository tree', () => {
+        const result = processFilesFromTreeApi([
+            { id: 'blob1', name: 'a.js', type: 'blob', path: 'a.js' },
+            { id: 'cafe1234', name: 'lib', type: 'commit', path: 'lib' },
+            { id: 'tree1', name: 'src', type: 'tree', path: 'src' }
+        ], 'main');
+
+        expect(result.map(file => file.path)).toEqual(['a.js', 'lib']);
+        expect(result[1].submodule).toEqual({ old_sha: null, new_sha: 'cafe1234' });
+    });
+
+    test('builds submodule nodes without line stats', () => {
+        const tree = buildFileTree([{
+            path: 'lib',
+            status: 'modified',
+            diff_content: '-Subproject commit a\n+Subproject commit b',
+            has_diff_content: true,
+            submodule: { old_sha: 'a', new_sha: 'b' }
+        }]);
+
+        expect(tree.children.lib.type).toBe('submodule');
+        expect(tree.children.lib.stats).toEqual({ additions: 0, deletions: 0 });
+        expect(tree.stats).toEqual({ additions: 0, deletions: 0 });
+    });
+});
+
+describe('file modes', () => {
+    test('carries the old and new modes through to the tree', () => {
+        const files = processFilesFromApiResponse([{
+            new_path: 'bin/run.sh',
+            old_path: 'bin/run.sh',
+            a_mode: '100644',
+            b_mode: '100755',
+            diff: ''
+        }]);
+        const tree = buildFileTree(files);
+
+        expect(tree.children.bin.children['run.sh'].a_mode).toBe('100644');
+        expect(tree.children.bin.children['run.sh'].b_mode).toBe('100755');
+    });
+
+    test('keeps the mode of repository tree entries', () => {
+        const result = processFilesFromTreeApi([{ id: 'blob1', name: 'link', type: 'blob', path: 'link', mode: '120000' }], 'main');
+
+        expect(result[0].a_mode).toBeNull();
+        expect(result[0].b_mode).toBe('120000');
+    });
+});
+
+describe('generated and vendored files', () => {
+    const diffs = [
+        { new_path: 'src/app.js', old_path: 'src/app.js', diff: '+a\n+b' },
+        { new_path: 'package-lock.json', old_path: 'package-lock.json', diff: '+x\n-y', generated_file: true },
+        { new_path: 'vendor/lib.js', old_path: 'vendor/lib.js', diff: '+z' }
+    ];
+
+    test('reads the generated_file flag reported by GitLab', () => {
+        const files = processFilesFromApiResponse(diffs);
+
+        expect(files.map(file => file.generated)).toEqual([false, true, false]);
+    });
+
+    test('applies linguist attributes from .gitattributes', () => {
+        const files = markGeneratedFiles(
+            processFilesFromApiResponse(diffs),
+            'vendor/** linguist-vendored\npackage-lock.json linguist-generated=false\n'
+        );
+
+        expect(files.map(file => [file.generated, file.vendored])).toEqual([
+            [false, false],
+            [false, false],
+            [false, true]
+        ]);
+    });
+
+    test('leaves generated and vendored files out of the folder stats', () => {
+        const tree = buildFileTree(markGeneratedFiles(processFilesFromApiResponse(diffs), 'vendor/** linguist-vendored'));
+
+        expect(tree.stats).toEqual({ additions: 2, deletions: 0 });
+        expect(tree.children['package-lock.json'].generated).toBe(true);
+        expect(tree.children['package-lock.json'].stats).toEqual({ additions: 1, deletions: 1 });
+        expect(tree.children['vendor'].stats).toEqual({ additions: 0, deletions: 0 });
+    });
+});
+
+describe('code owners', () => {
+    const diffs = [
+        { new_path: 'src/app.js', old_path: 'src/app.js', diff: '+a' },
+        { new_path: 'src/api/users.rb', old_path: 'src/api/users.rb', diff: '+b' },
+        { new_path: 'README.md', old_path: 'README.md', diff: '+c' }
+    ];
+    const codeowners = '/src/ @dev\n[Backend]\n*.rb @backend @dev\n';
+
+    test('are set on each file from CODEOWNERS', () => {
+        const files = markCodeOwners(processFilesFromApiResponse(diffs), codeowners);
+
+        expect(files.map(file => file.code_owners)).toEqual([
+            [{ section: 'codeowners', owners: ['@dev'] }],
+            [{ section: 'codeowners', owners: ['@dev'] }, { section: 'Backend', owners: ['@backend', '@dev'] }],
+            []
+        ]);
+    });
+
+    test('are gathered on the folders of the tree', () => {
+        const tree = buildFileTree(markCodeOwners(processFilesFromApiResponse(diffs), codeowners));
+
+        expect(tree.owners).toEqual(['@dev', '@backend']);
+        expect(tree.children.src.owners).toEqual(['@dev', '@backend']);
+        expect(tree.children.src.children['app.js'].owners).toEqual(['@dev']);
+        expect(tree.children['README.md'].owners).toEqual([]);
+    });
+
+    test('group the files by section, with the owners of that section', () => {
+        const tree = buildOwnerSectionTree(markCodeOwners(processFilesFromApiResponse(diffs), codeowners));
+
+        expect(Object.keys(tree.children)).toEqual(['codeowners', 'Backend', 'Sans propriétaire']);
+        expect(tree.children.Backend.owner_section).toBe(true);
+        expect(tree.children.Backend.children['src/api'].children['users.rb'].owners).toEqual(['@backend', '@dev']);
+        expect(tree.children.codeowners.children.src.children.api.children['users.rb'].owners).toEqual(['@dev']);
+        expect(Object.keys(tree.children['Sans propriétaire'].children)).toEqual(['README.md']);
+    });
+});
+
+describe('attachDiscussions', () => {
+    const diffNote = (position, extra = {}) => ({ type: 'DiffNote', body: 'note', position: { position_type: 'text', ...position }, ...extra });
+
+    test('attaches line-level discussions to their file and drops system notes', () => {
+        const files = processFilesFromApiResponse([
+            { old_path: 'a.js', new_path: 'a.js', diff: '' },
+            { old_path: 'old.js', new_path: 'b.js', renamed_file: true, diff: '' }
+        ]);
+
+        attachDiscussions(files, [
+            { id: 'd1', notes: [diffNote({ new_path: 'a.js', old_path: 'a.js', new_line: 3 }), { body: 'changed the line', system: true }] },
+            { id: 'd2', notes: [diffNote({ new_path: 'b.js', old_path: 'old.js', old_line: 1 })] },
+            { id: 'd3', individual_note: true, notes: [{ type: null, body: 'general comment' }] },
+            { id: 'd4', notes: [diffNote({ new_path: 'a.js', old_path: 'a.js', position_type: 'file' })] }
+        ]);
+
+        expect(files[0].discussions.map(d => d.id)).toEqual(['d1']);
+        expect(files[0].discussions[0].notes).toHaveLength(1);
+        expect(files[1].discussions.map(d => d.id)).toEqual(['d2']);
+    });
+
+    test('leaves out discussions positioned on another head commit', () => {
+        const files = processFilesFromApiResponse([{ old_path: 'a.js', new_path: 'a.js', diff: '' }]);
+
+        attachDiscussions(files, [
+            { id: 'current', notes: [diffNote({ new_path: 'a.js', new_line: 1, head_sha: 'head' })] },
+            { id: 'outdated', notes: [diffNote({ new_path: 'a.js', new_line: 1, head_sha: 'older' })] }
+        ], 'head');
+
+        expect(files[0].discussions.map(d => d.id)).toEqual(['current']);
+    });
+
+    test('keeps the discussions in the tree nodes', () => {
+        const files = processFilesFromApiResponse([{ old_path: 'a.js', new_path: 'a.js', diff: '' }]);
+        attachDiscussions(files, [{ id: 'd1', notes: [diffNote({ new_path: 'a.js', new_line: 1 })] }]);
+
+        expect(buildFileTree(files).children['a.js'].discussions).toHaveLength(1);
+    });
+});
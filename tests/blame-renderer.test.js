@@ -0,0 +1,100 @@
+import { renderBlameContent } from '../src/components/preview/blame-renderer.js';
+import { setProjectContext } from '../src/core/context.js';
+
+jest.mock('../src/api/client.js', () => ({
+    fetchFileContent: jest.fn(),
+    fetchFileBlame: jest.fn(),
+    isAbortError: (error) => Boolean(error) && error.name === 'AbortError',
+}));
+
+jest.mock('../src/core/highlight.js', () => ({
+    highlightCode: (code) => code,
+    escapeHtml: (text) => text,
+}));
+
+const { fetchFileBlame } = require('../src/api/client.js');
+
+const firstCommit = {
+    id: 'aaaa1111bbbb2222cccc3333dddd4444eeee5555',
+    author_name: 'Alice',
+    authored_date: '2024-01-10T10:00:00Z',
+    message: 'Initial commit'
+};
+const secondCommit = {
+    id: 'ffff6666aaaa7777bbbb8888cccc9999dddd0000',
+    author_name: 'Bob',
+    authored_date: '2024-02-20T10:00:00Z',
+    message: 'Fix bug'
+};
+
+describe('renderBlameContent', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        setProjectContext({ projectPath: 'ns/repo', sourceBranch: 'main' });
+    });
+
+    afterEach(() => {
+        setProjectContext(null, null);
+        jest.clearAllMocks();
+    });
+
+    test('renders one full-file line per blamed line, numbered across groups', async () => {
+        fetchFileBlame.mockResolvedValueOnce([
+            { commit: firstCommit, lines: ['const a = 1;', ''] },
+            { commit: secondCommit, lines: ['const b = 2;'] }
+        ]);
+
+        await renderBlameContent(container, { name: 'app.js', path: 'src/app.js' });
+
+        const lines = container.querySelectorAll('.ct-full-file-line');
+        expect(lines).toHaveLength(3);
+        expect(Array.from(lines).map(line => line.querySelector('.ct-full-file-line-num').textContent)).toEqual(['1', '2', '3']);
+        expect(lines[2].querySelector('.ct-line-content').textContent).toBe('const b = 2;');
+        expect(fetchFileBlame).toHaveBeenCalledWith(expect.objectContaining({ projectPath: 'ns/repo' }), 'src/app.js', 'main', null);
+    });
+
+    test('shows the commit only on the first line of each group', async () => {
+        fetchFileBlame.mockResolvedValueOnce([
+            { commit: firstCommit, lines: ['a', 'b'] },
+            { commit: secondCommit, lines: ['c'] }
+        ]);
+
+        await renderBlameContent(container, { name: 'app.js', path: 'src/app.js' });
+
+        const groupStarts = container.querySelectorAll('.ct-blame-group-start');
+        expect(groupStarts).toHaveLength(2);
+
+        const link = groupStarts[1].querySelector('.ct-blame-sha');
+        expect(link.textContent).toBe('ffff6666');
+        expect(link.getAttribute('href')).toBe(`http://localhost/ns/repo/-/commit/${secondCommit.id}`);
+        expect(groupStarts[1].querySelector('.ct-blame-author').textContent).toBe('Bob');
+        expect(container.querySelectorAll('.ct-blame-gutter')[1].textContent).toBe('');
+    });
+
+    test('does not blame binary files', async () => {
+        await renderBlameContent(container, { name: 'logo.png', path: 'logo.png' });
+
+        expect(fetchFileBlame).not.toHaveBeenCalled();
+        expect(container.textContent).toContain('fichier binaire');
+    });
+
+    test('shows an error message when the blame cannot be loaded', async () => {
+        fetchFileBlame.mockRejectedValueOnce(new Error('API error (404): Not Found'));
+
+        await renderBlameContent(container, { name: 'gone.js', path: 'gone.js' });
+
+        expect(container.querySelector('.ct-diff-error').textContent).toContain('404');
+    });
+
+    test('stays silent when aborted', async () => {
+        const abortError = new Error('aborted');
+        abortError.name = 'AbortError';
+        fetchFileBlame.mockRejectedValueOnce(abortError);
+
+        await renderBlameContent(container, { name: 'a.js', path: 'a.js' });
+
+        expect(container.textContent.trim()).toBe('');
+    });
+});
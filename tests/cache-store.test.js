@@ -0,0 +1,93 @@
+import 'fake-indexeddb/auto';
+import {
+    getStoredCacheValue,
+    setStoredCacheValue,
+    clearStoredCache,
+    handleCacheMessage
+} from '../src/core/cache-store.js';
+import { persistentCache } from '../src/config/constants.js';
+
+// jsdom does not expose structuredClone, which fake-indexeddb relies on
+if (!global.structuredClone) {
+    global.structuredClone = (value) => JSON.parse(JSON.stringify(value));
+}
+
+const originalQuota = { ...persistentCache };
+
+afterEach(async () => {
+    Object.assign(persistentCache, originalQuota);
+    jest.restoreAllMocks();
+    await clearStoredCache();
+});
+
+describe('cache store', () => {
+    test('returns null on a miss', async () => {
+        expect(await getStoredCacheValue('missing')).toBeNull();
+    });
+
+    test('stores and reads back structured values', async () => {
+        await setStoredCacheValue('k', [{ new_path: 'a.js' }]);
+        expect(await getStoredCacheValue('k')).toEqual([{ new_path: 'a.js' }]);
+    });
+
+    test('evicts the least recently used entry when over maxEntries', async () => {
+        let now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        persistentCache.maxEntries = 2;
+
+        await setStoredCacheValue('a', 'A');
+        await setStoredCacheValue('b', 'B');
+        await getStoredCacheValue('a');
+        await setStoredCacheValue('c', 'C');
+
+        expect(await getStoredCacheValue('a')).toBe('A');
+        expect(await getStoredCacheValue('b')).toBeNull();
+        expect(await getStoredCacheValue('c')).toBe('C');
+    });
+
+    test('evicts old entries when over the byte quota', async () => {
+        let now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        persistentCache.maxBytes = 30;
+
+        await setStoredCacheValue('old', 'x'.repeat(10));
+        await setStoredCacheValue('new', 'y'.repeat(10));
+
+        expect(await getStoredCacheValue('old')).toBeNull();
+        expect(await getStoredCacheValue('new')).toBe('y'.repeat(10));
+    });
+
+    test('skips values larger than the entry size cap', async () => {
+        persistentCache.maxEntryBytes = 10;
+        await setStoredCacheValue('huge', 'z'.repeat(100));
+        expect(await getStoredCacheValue('huge')).toBeNull();
+    });
+
+    test('reads and evictions only rewrite or scan the metadata records', async () => {
+        await setStoredCacheValue('a', 'x'.repeat(1000));
+        const put = jest.spyOn(IDBObjectStore.prototype, 'put');
+        const getAll = jest.spyOn(IDBObjectStore.prototype, 'getAll');
+        const openCursor = jest.spyOn(IDBObjectStore.prototype, 'openCursor');
+        const storeNames = spy => spy.mock.contexts.map(store => store.name);
+
+        await getStoredCacheValue('a');
+        expect(storeNames(put)).toEqual(['meta']);
+
+        put.mockClear();
+        await setStoredCacheValue('b', 'y');
+        expect(storeNames(put)).toEqual(['values', 'meta']);
+        expect(storeNames(getAll)).not.toContain('values');
+        expect(storeNames(openCursor)).not.toContain('values');
+    });
+});
+
+describe('handleCacheMessage', () => {
+    test('answers get, set and clear requests', async () => {
+        expect(await handleCacheMessage({ action: 'set', key: 'k', value: 'v' })).toBeNull();
+        expect(await handleCacheMessage({ action: 'get', key: 'k' })).toBe('v');
+
+        await handleCacheMessage({ action: 'clear' });
+
+        expect(await handleCacheMessage({ action: 'get', key: 'k' })).toBeNull();
+    });
+});
@@ -0,0 +1,143 @@
+import 'fake-indexeddb/auto';
+import {
+    isImmutableRef,
+    getCachedValue,
+    setCachedValue,
+    withPersistentCache,
+    registerMemoryCache,
+    clearCache
+} from '../src/core/cache.js';
+import { handleCacheMessage } from '../src/core/cache-store.js';
+import { persistentCache } from '../src/config/constants.js';
+import { fetchAllFilesWithPagination } from '../src/api/client.js';
+
+// jsdom does not expose structuredClone, which fake-indexeddb relies on
+if (!global.structuredClone) {
+    global.structuredClone = (value) => JSON.parse(JSON.stringify(value));
+}
+
+const SHA = 'a'.repeat(40);
+const originalQuota = { ...persistentCache };
+
+// Routes the cache messages to the background store, as the extension runtime does
+beforeEach(() => {
+    global.browser = { runtime: { id: 'ext', sendMessage: jest.fn(message => handleCacheMessage(message)) } };
+});
+
+afterEach(async () => {
+    Object.assign(persistentCache, originalQuota);
+    jest.restoreAllMocks();
+    await clearCache();
+    delete global.browser;
+});
+
+describe('isImmutableRef', () => {
+    test('accepts full SHA-1 and SHA-256 commit ids', () => {
+        expect(isImmutableRef(SHA)).toBe(true);
+        expect(isImmutableRef('B'.repeat(64))).toBe(true);
+    });
+
+    test('rejects branch names, abbreviated SHAs and empty values', () => {
+        expect(isImmutableRef('main')).toBe(false);
+        expect(isImmutableRef('abc1234')).toBe(false);
+        expect(isImmutableRef(null)).toBe(false);
+        expect(isImmutableRef(undefined)).toBe(false);
+    });
+});
+
+describe('persistent cache', () => {
+    test('returns null on a miss', async () => {
+        expect(await getCachedValue('missing')).toBeNull();
+    });
+
+    test('stores and reads back structured values', async () => {
+        await setCachedValue('k', [{ new_path: 'a.js' }]);
+        expect(await getCachedValue('k')).toEqual([{ new_path: 'a.js' }]);
+    });
+
+    test('reaches the store through runtime messages', async () => {
+        await setCachedValue('k', 'v');
+
+        expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ type: 'persistent-cache', action: 'set', key: 'k', value: 'v' });
+    });
+
+    test('is a no-op outside the extension', async () => {
+        delete global.browser;
+
+        await setCachedValue('k', 'v');
+        expect(await getCachedValue('k')).toBeNull();
+    });
+});
+
+describe('withPersistentCache', () => {
+    test('calls the loader once per key', async () => {
+        const loader = jest.fn(async () => 'value');
+
+        expect(await withPersistentCache('key', loader)).toBe('value');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(await withPersistentCache('key', loader)).toBe('value');
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test('bypasses the cache when the key is null', async () => {
+        const loader = jest.fn(async () => 'value');
+
+        await withPersistentCache(null, loader);
+        await withPersistentCache(null, loader);
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('clearCache', () => {
+    test('empties the database and registered in-memory caches', async () => {
+        const memory = new Map([['k', 'v']]);
+        registerMemoryCache(memory);
+        await setCachedValue('k', 'v');
+
+        await clearCache();
+
+        expect(memory.size).toBe(0);
+        expect(await getCachedValue('k')).toBeNull();
+    });
+});
+
+describe('API client caching', () => {
+    beforeEach(() => {
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            json: async () => [{ new_path: 'a.js', diff: '+a' }]
+        }));
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('serves the diff of a full commit SHA from the cache', async () => {
+        const projectInfo = { projectPath: 'ns/repo', commitSha: SHA, isCommitPage: true };
+
+        await fetchAllFilesWithPagination(projectInfo, null);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const files = await fetchAllFilesWithPagination(projectInfo, null);
+
+        expect(files).toEqual([{ new_path: 'a.js', diff: '+a' }]);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('always refetches branch-based compares', async () => {
+        const projectInfo = { projectPath: 'ns/repo', isComparePage: true, targetBranch: 'main', sourceBranch: 'feature' };
+        fetch.mockImplementation(async () => ({
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            json: async () => ({ diffs: [] })
+        }));
+
+        await fetchAllFilesWithPagination(projectInfo, null);
+        await fetchAllFilesWithPagination(projectInfo, null);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+});
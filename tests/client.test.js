@@ -0,0 +1,546 @@
+import {
+    fetchSinglePage,
+    fetchFileContent,
+    fetchFileSize,
+    fetchCodeowners,
+    fetchCompareProjects,
+    fetchDiffForPath,
+    fetchMergeRequestVersions,
+    fetchMergeRequestDiffs
+} from '../src/api/client.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom does not expose the Encoding API
+if (typeof global.TextDecoder === 'undefined') {
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+}
+
+/**
+ * Builds a minimal fetch Response stand-in
+ */
+function mockResponse({ status = 200, statusText = 'OK', body = {}, headers = {} } = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText,
+        headers: { get: (name) => headers[name] ?? null },
+        json: async () => body
+    };
+}
+
+beforeEach(() => {
+    global.fetch = jest.fn();
+});
+
+afterEach(() => {
+    delete global.browser;
+    delete global.fetch;
+});
+
+describe('authentication headers', () => {
+    test('relies on the session cookie when no token is configured', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ body: [] }));
+
+        await fetchSinglePage('https://gitlab.test/api/v4/projects/1');
+
+        const { headers } = fetch.mock.calls[0][1];
+        expect(headers['PRIVATE-TOKEN']).toBeUndefined();
+    });
+
+    test('sends PRIVATE-TOKEN when a token is configured for the host', async () => {
+        global.browser = {
+            storage: {
+                local: {
+                    get: async () => ({ accessTokens: { [window.location.host]: 'glpat-secret' } })
+                }
+            }
+        };
+        fetch.mockResolvedValueOnce(mockResponse({ body: [] }));
+
+        await fetchSinglePage('https://gitlab.test/api/v4/projects/1');
+
+        const { headers } = fetch.mock.calls[0][1];
+        expect(headers['PRIVATE-TOKEN']).toBe('glpat-secret');
+    });
+
+    test('does not send PRIVATE-TOKEN to the diff_for_path web route', async () => {
+        global.browser = {
+            storage: {
+                local: {
+                    get: async () => ({ accessTokens: { [window.location.host]: 'glpat-secret' } })
+                }
+            }
+        };
+        fetch.mockResolvedValueOnce(mockResponse({ body: { html: '' } }));
+
+        await fetchDiffForPath({ projectPath: 'ns/repo', isComparePage: true, targetBranch: 'main', sourceBranch: 'feature' }, 'a.js', 'a.js');
+
+        const { headers } = fetch.mock.calls[0][1];
+        expect(fetch.mock.calls[0][0]).toContain('/-/compare/diff_for_path');
+        expect(headers['PRIVATE-TOKEN']).toBeUndefined();
+    });
+});
+
+describe('API errors', () => {
+    test('fetchSinglePage exposes the HTTP status on the thrown error', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ status: 401, statusText: 'Unauthorized' }));
+
+        await expect(fetchSinglePage('https://gitlab.test/api/v4/projects/1'))
+            .rejects.toMatchObject({ status: 401, message: 'API error (401): Unauthorized' });
+    });
+
+    test('fetchFileContent keeps its dedicated 404 message', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ status: 404, statusText: 'Not Found' }));
+
+        await expect(fetchFileContent({ projectPath: 'ns/repo' }, 'a.js', 'main'))
+            .rejects.toMatchObject({ status: 404, message: 'File not found or deleted' });
+    });
+});
+
+describe('file metadata', () => {
+    test('fetchFileSize reads the size header of a HEAD request', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ headers: { 'X-Gitlab-Size': '2048' } }));
+
+        expect(await fetchFileSize({ projectPath: 'ns/repo' }, 'src/a.js', 'main')).toBe(2048);
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost/api/v4/projects/ns%2Frepo/repository/files/src%2Fa.js?ref=main');
+        expect(fetch.mock.calls[0][1].method).toBe('HEAD');
+    });
+});
+
+describe('request layer — retry and backoff', () => {
+    const { retryPolicy } = require('../src/config/constants.js');
+    const originalPolicy = { ...retryPolicy };
+
+    beforeEach(() => {
+        retryPolicy.baseDelay = 0;
+        retryPolicy.maxDelay = 0;
+    });
+
+    afterEach(() => {
+        Object.assign(retryPolicy, originalPolicy);
+    });
+
+    test('retries transient 5xx errors and returns the successful response', async () => {
+        fetch
+            .mockResolvedValueOnce(mockResponse({ status: 502, statusText: 'Bad Gateway' }))
+            .mockResolvedValueOnce(mockResponse({ body: ['ok'] }));
+
+        const { data } = await fetchSinglePage('https://gitlab.test/api/v4/x');
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(data).toEqual(['ok']);
+    });
+
+    test('retries network errors', async () => {
+        fetch
+            .mockRejectedValueOnce(new TypeError('NetworkError'))
+            .mockResolvedValueOnce(mockResponse({ body: [] }));
+
+        await fetchSinglePage('https://gitlab.test/api/v4/x');
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry client errors', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ status: 403, statusText: 'Forbidden' }));
+
+        await expect(fetchSinglePage('https://gitlab.test/api/v4/x')).rejects.toMatchObject({ status: 403 });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('gives up after maxRetries attempts', async () => {
+        fetch.mockResolvedValue(mockResponse({ status: 503, statusText: 'Service Unavailable' }));
+
+        await expect(fetchSinglePage('https://gitlab.test/api/v4/x')).rejects.toMatchObject({ status: 503 });
+        expect(fetch).toHaveBeenCalledTimes(retryPolicy.maxRetries + 1);
+    });
+
+    test('honours Retry-After on 429 responses', async () => {
+        jest.useFakeTimers();
+        fetch
+            .mockResolvedValueOnce(mockResponse({ status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '2' } }))
+            .mockResolvedValueOnce(mockResponse({ body: [] }));
+
+        const onRetry = jest.fn();
+        const promise = fetchSinglePage('https://gitlab.test/api/v4/x', onRetry);
+
+        await jest.advanceTimersByTimeAsync(1900);
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(200);
+        await promise;
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delay: 2000, status: 429 }));
+        jest.useRealTimers();
+    });
+
+    test('stops retrying once the signal is aborted', async () => {
+        const controller = new AbortController();
+        fetch.mockImplementation(async () => {
+            controller.abort();
+            return mockResponse({ status: 503, statusText: 'Service Unavailable' });
+        });
+
+        await expect(fetchSinglePage('https://gitlab.test/api/v4/x', null, controller.signal))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    test('does not retry an aborted fetch', async () => {
+        fetch.mockRejectedValueOnce(new DOMException('Aborted', 'AbortError'));
+
+        await expect(fetchSinglePage('https://gitlab.test/api/v4/x')).rejects.toMatchObject({ name: 'AbortError' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('resumes pagination from the failed page and reports retries', async () => {
+        const { fetchAllFilesWithPagination } = require('../src/api/client.js');
+        fetch
+            .mockResolvedValueOnce(mockResponse({ body: [{ new_path: 'a.js' }], headers: { 'X-Next-Page': '2' } }))
+            .mockResolvedValueOnce(mockResponse({ status: 500, statusText: 'Internal Server Error' }))
+            .mockResolvedValueOnce(mockResponse({ body: [{ new_path: 'b.js' }] }));
+
+        const progress = jest.fn();
+        const files = await fetchAllFilesWithPagination(
+            { projectPath: 'ns/repo', commitSha: 'abc', isCommitPage: true },
+            progress
+        );
+
+        expect(files.map(f => f.new_path)).toEqual(['a.js', 'b.js']);
+        expect(fetch.mock.calls[1][0]).toContain('page=2');
+        expect(fetch.mock.calls[2][0]).toContain('page=2');
+        expect(progress).toHaveBeenCalledWith(expect.stringContaining('page 2: error 500, retry 1/'));
+    });
+});
+
+describe('pagination', () => {
+    const { fetchAllFilesWithPagination, fetchRepositoryTree } = require('../src/api/client.js');
+    const projectInfo = { projectPath: 'ns/repo', commitSha: 'abc', isCommitPage: true };
+
+    test('fetches the remaining pages concurrently when X-Total-Pages is present', async () => {
+        fetch.mockImplementation(async (url) => {
+            const page = Number(new URL(url).searchParams.get('page'));
+            return mockResponse({
+                body: [{ new_path: `file-${page}.js` }],
+                headers: { 'X-Total-Pages': '4', 'X-Next-Page': page < 4 ? String(page + 1) : '' }
+            });
+        });
+
+        const files = await fetchAllFilesWithPagination(projectInfo, null);
+
+        expect(fetch).toHaveBeenCalledTimes(4);
+        expect(files.map(f => f.new_path)).toEqual(['file-1.js', 'file-2.js', 'file-3.js', 'file-4.js']);
+    });
+
+    test('keeps page order even when later pages resolve first', async () => {
+        fetch.mockImplementation((url) => {
+            const page = Number(new URL(url).searchParams.get('page'));
+            return new Promise(resolve => setTimeout(() => resolve(mockResponse({
+                body: [{ path: `p${page}`, type: 'blob' }],
+                headers: { 'X-Total-Pages': '3' }
+            })), page === 2 ? 20 : 0));
+        });
+
+        const items = await fetchRepositoryTree({ projectPath: 'ns/repo' }, '', 'main');
+
+        expect(items.map(i => i.path)).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    test('falls back to X-Next-Page when X-Total-Pages is omitted', async () => {
+        fetch
+            .mockResolvedValueOnce(mockResponse({ body: [{ new_path: 'a.js' }], headers: { 'X-Next-Page': '2' } }))
+            .mockResolvedValueOnce(mockResponse({ body: [{ new_path: 'b.js' }], headers: { 'X-Next-Page': '' } }));
+
+        const files = await fetchAllFilesWithPagination(projectInfo, null);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(files.map(f => f.new_path)).toEqual(['a.js', 'b.js']);
+    });
+});
+
+describe('straight compares', () => {
+    test('passes straight=true to the compare API', async () => {
+        const { buildApiUrl } = require('../src/api/client.js');
+        const url = buildApiUrl({ projectPath: 'ns/repo', isComparePage: true, targetBranch: 'v1', sourceBranch: 'v2', straight: true });
+
+        expect(url).toContain('from=v1&to=v2&straight=true');
+    });
+});
+
+describe('cross-project compares', () => {
+    const compareInfo = {
+        projectPath: 'fork/repo',
+        isComparePage: true,
+        targetBranch: 'main',
+        sourceBranch: 'feature',
+        fromProjectId: '7'
+    };
+
+    test('passes from_project_id to the compare API', () => {
+        const { buildApiUrl } = require('../src/api/client.js');
+
+        expect(buildApiUrl(compareInfo)).toContain('from=main&to=feature&from_project_id=7');
+    });
+
+    test('fetchCompareProjects resolves both projects', async () => {
+        fetch
+            .mockResolvedValueOnce(mockResponse({ body: { id: 42, path_with_namespace: 'fork/repo' } }))
+            .mockResolvedValueOnce(mockResponse({ body: { id: 7, path_with_namespace: 'upstream/repo' } }));
+
+        const resolved = await fetchCompareProjects(compareInfo);
+
+        expect(resolved).toEqual({ projectId: '42', fromProjectId: '7', fromProjectPath: 'upstream/repo' });
+        expect(fetch.mock.calls[0][0]).toContain('/api/v4/projects/fork%2Frepo');
+        expect(fetch.mock.calls[1][0]).toContain('/api/v4/projects/7');
+    });
+
+    test('fetchCompareProjects does nothing for same-project compares', async () => {
+        expect(await fetchCompareProjects({ ...compareInfo, fromProjectId: null })).toEqual({});
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('fetchDiffForPath sends the project of the target ref', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ body: { html: '' } }));
+
+        await fetchDiffForPath({ ...compareInfo, projectId: '42' }, 'a.js', 'a.js');
+
+        expect(new URL(fetch.mock.calls[0][0]).searchParams.get('from_project_id')).toBe('7');
+    });
+});
+
+describe('merge requests', () => {
+    const projectInfo = { projectPath: 'ns/repo', mergeRequestIid: '12', isMergeRequestPage: true };
+
+    test('fetchMergeRequestVersions lists the versions of the merge request', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ body: [{ id: 3, head_commit_sha: 'h', base_commit_sha: 'b' }] }));
+
+        const versions = await fetchMergeRequestVersions(projectInfo);
+
+        expect(fetch.mock.calls[0][0]).toBe(`${window.location.origin}/api/v4/projects/ns%2Frepo/merge_requests/12/versions`);
+        expect(versions).toEqual([{ id: 3, head_commit_sha: 'h', base_commit_sha: 'b' }]);
+    });
+
+    test('fetchMergeRequestDiffs returns the diffs of the requested version', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ body: { id: 3, diffs: [{ new_path: 'a.js', diff: '+a' }] } }));
+
+        const diffs = await fetchMergeRequestDiffs(projectInfo, { id: 3, head_commit_sha: 'h', base_commit_sha: 'b' });
+
+        expect(fetch.mock.calls[0][0]).toContain('/merge_requests/12/versions/3');
+        expect(diffs).toEqual([{ new_path: 'a.js', diff: '+a' }]);
+    });
+});
+
+describe('Git LFS files', () => {
+    const pointer = [
+        'version https://git-lfs.github.com/spec/v1',
+        'oid sha256:4d7a214614ab2935c943f9e0ff69d22eadbb8f32b1258daaa5e2ca24d17e2393',
+        'size 12345',
+        ''
+    ].join('\n');
+
+    function mockPointerResponse() {
+        return mockResponse({
+            body: { content: btoa(pointer), encoding: 'base64', size: pointer.length, file_name: 'logo.png' }
+        });
+    }
+
+    function mockRawResponse(bytes) {
+        return { ...mockResponse(), arrayBuffer: async () => Uint8Array.from(bytes).buffer };
+    }
+
+    test('fetches the LFS object instead of the pointer', async () => {
+        fetch
+            .mockResolvedValueOnce(mockPointerResponse())
+            .mockResolvedValueOnce(mockRawResponse(new TextEncoder().encode('real content')));
+
+        const file = await fetchFileContent({ projectPath: 'ns/repo' }, 'assets/logo.png', 'main');
+
+        expect(fetch.mock.calls[1][0]).toBe('http://localhost/api/v4/projects/ns%2Frepo/repository/files/assets%2Flogo.png/raw?ref=main&lfs=true');
+        expect(file.content).toBe('real content');
+        expect(file.size).toBe(12345);
+        expect(file.lfs).toEqual({
+            oid: 'sha256:4d7a214614ab2935c943f9e0ff69d22eadbb8f32b1258daaa5e2ca24d17e2393',
+            size: 12345
+        });
+    });
+
+    test('returns the LFS object base64-encoded when decoding is skipped', async () => {
+        fetch
+            .mockResolvedValueOnce(mockPointerResponse())
+            .mockResolvedValueOnce(mockRawResponse([0x89, 0x50, 0x4e, 0x47]));
+
+        const file = await fetchFileContent({ projectPath: 'ns/repo' }, 'assets/logo.png', 'main', true);
+
+        expect(file.encoding).toBe('base64');
+        expect(file.content).toBe(btoa('\x89PNG'));
+    });
+
+    test('keeps LFS objects out of the persistent cache', async () => {
+        const sendMessage = jest.fn(async () => null);
+        global.browser = { runtime: { sendMessage } };
+        fetch
+            .mockResolvedValueOnce(mockPointerResponse())
+            .mockResolvedValueOnce(mockRawResponse(new TextEncoder().encode('real content')));
+
+        await fetchFileContent({ projectPath: 'ns/repo' }, 'assets/logo.png', 'a'.repeat(40));
+
+        expect(sendMessage).toHaveBeenCalledWith(expect.objectContaining({ action: 'get' }));
+        expect(sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'set' }));
+    });
+
+    test('leaves regular files untouched', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({
+            body: { content: btoa('hello'), encoding: 'base64', size: 5, file_name: 'a.txt' }
+        }));
+
+        const file = await fetchFileContent({ projectPath: 'ns/repo' }, 'a.txt', 'main', true);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(file.lfs).toBeNull();
+    });
+});
+
+describe('CODEOWNERS', () => {
+    const fileResponse = (text) => mockResponse({
+        body: { content: btoa(text), encoding: 'base64', size: text.length, file_name: 'CODEOWNERS' }
+    });
+
+    test('reads the first file found at the root, in docs/ or in .gitlab/', async () => {
+        fetch.mockImplementation(async (url) => {
+            // Base64 contents are decoded through a data: URL
+            if (url.startsWith('data:')) return { blob: async () => ({ text: async () => atob(url.split(',')[1]) }) };
+            if (url.includes('/files/docs%2FCODEOWNERS')) return fileResponse('* @docs');
+            if (url.includes('/files/.gitlab%2FCODEOWNERS')) return fileResponse('* @gitlab');
+            return mockResponse({ status: 404, statusText: 'Not Found' });
+        });
+
+        expect(await fetchCodeowners({ projectPath: 'ns/repo' }, 'main')).toBe('* @docs');
+    });
+
+    test('returns an empty content when the repository has none', async () => {
+        fetch.mockResolvedValue(mockResponse({ status: 404, statusText: 'Not Found' }));
+
+        expect(await fetchCodeowners({ projectPath: 'ns/repo' }, 'main')).toBe('');
+    });
+});
+
+describe('file history', () => {
+    const { fetchFileHistory } = require('../src/api/client.js');
+
+    test('follows the file to its previous path when the oldest commit renamed it', async () => {
+        fetch.mockImplementation(async (url) => {
+            if (url.includes('path=src%2Fnew.js')) {
+                return mockResponse({ body: [{ id: 'c3' }, { id: 'c2', parent_ids: ['c1'] }] });
+            }
+            if (url.includes('/commits/c2/diff')) {
+                return mockResponse({ body: [{ old_path: 'src/old.js', new_path: 'src/new.js', renamed_file: true }] });
+            }
+            if (url.includes('path=src%2Fold.js')) {
+                return mockResponse({ body: [{ id: 'c1' }] });
+            }
+            return mockResponse({ body: [{ old_path: 'src/old.js', new_path: 'src/old.js', new_file: true }] });
+        });
+
+        const history = await fetchFileHistory({ projectPath: 'ns/repo' }, 'src/new.js', 'main');
+
+        expect(history.map(commit => [commit.id, commit.path])).toEqual([
+            ['c3', 'src/new.js'],
+            ['c2', 'src/new.js'],
+            ['c1', 'src/old.js']
+        ]);
+        expect(fetch.mock.calls.some(([url]) => url.includes('ref_name=c1&path=src%2Fold.js'))).toBe(true);
+    });
+
+    test('stops when the oldest commit did not rename the file', async () => {
+        fetch
+            .mockResolvedValueOnce(mockResponse({ body: [{ id: 'c1', parent_ids: [] }] }))
+            .mockResolvedValueOnce(mockResponse({ body: [{ old_path: 'a.js', new_path: 'a.js', new_file: true }] }));
+
+        const history = await fetchFileHistory({ projectPath: 'ns/repo' }, 'a.js', 'main');
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(history).toHaveLength(1);
+    });
+});
+
+describe('commit details', () => {
+    const { fetchCommitDetails } = require('../src/api/client.js');
+
+    test('adds the signature of the commit', async () => {
+        fetch.mockImplementation(async (url) => mockResponse({
+            body: url.endsWith('/signature')
+                ? { signature_type: 'SSH', verification_status: 'verified' }
+                : { id: 'abc', last_pipeline: { status: 'success' } }
+        }));
+
+        const commit = await fetchCommitDetails({ projectPath: 'ns/repo' }, 'abc');
+
+        expect(commit.last_pipeline.status).toBe('success');
+        expect(commit.signature).toEqual({ signature_type: 'SSH', verification_status: 'verified' });
+    });
+
+    test('reports unsigned commits with a null signature', async () => {
+        fetch.mockImplementation(async (url) => (url.endsWith('/signature')
+            ? mockResponse({ status: 404, statusText: 'Not Found' })
+            : mockResponse({ body: { id: 'abc' } })));
+
+        const commit = await fetchCommitDetails({ projectPath: 'ns/repo' }, 'abc');
+
+        expect(commit.signature).toBeNull();
+    });
+});
+
+describe('discussions', () => {
+    const { fetchDiscussions } = require('../src/api/client.js');
+
+    test('reads the commit discussions outside merge requests', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ body: [{ id: 'd1', notes: [] }] }));
+
+        const discussions = await fetchDiscussions({ projectPath: 'ns/repo', isCommitPage: true }, 'abc');
+
+        expect(fetch.mock.calls[0][0]).toContain('/projects/ns%2Frepo/repository/commits/abc/discussions?');
+        expect(discussions).toEqual([{ id: 'd1', notes: [] }]);
+    });
+
+    test('reads the merge request discussions on merge request pages', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ body: [] }));
+
+        await fetchDiscussions({ projectPath: 'ns/repo', isMergeRequestPage: true, mergeRequestIid: '12' }, 'abc');
+
+        expect(fetch.mock.calls[0][0]).toContain('/projects/ns%2Frepo/merge_requests/12/discussions?');
+    });
+
+    test('returns no discussions when they cannot be read', async () => {
+        fetch.mockResolvedValueOnce(mockResponse({ status: 403, statusText: 'Forbidden' }));
+
+        await expect(fetchDiscussions({ projectPath: 'ns/repo' }, 'abc')).resolves.toEqual([]);
+    });
+});
+
+describe('writing requests', () => {
+    const { postCommitComment, renderMarkdown } = require('../src/api/client.js');
+
+    test('posts commit comments as JSON with the CSRF token of the page', async () => {
+        document.head.innerHTML = '<meta name="csrf-token" content="csrf123">';
+        fetch.mockResolvedValueOnce(mockResponse({ body: { note: 'Hi' } }));
+
+        await postCommitComment({ projectPath: 'ns/repo' }, 'abc', 'src/a.js', 4, 'new', 'Hi');
+
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toBe('http://localhost/api/v4/projects/ns%2Frepo/repository/commits/abc/comments');
+        expect(options.method).toBe('POST');
+        expect(options.headers['X-CSRF-Token']).toBe('csrf123');
+        expect(JSON.parse(options.body)).toEqual({ note: 'Hi', path: 'src/a.js', line: 4, line_type: 'new' });
+        document.head.innerHTML = '';
+    });
+
+    test('does not retry a failed POST on server errors', async () => {
+        fetch.mockResolvedValue(mockResponse({ status: 502, statusText: 'Bad Gateway' }));
+
+        await expect(renderMarkdown({ projectPath: 'ns/repo' }, '**a**')).rejects.toMatchObject({ status: 502 });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
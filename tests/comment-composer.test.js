@@ -0,0 +1,224 @@
+import { setupLineComments, canCommentOn } from '../src/components/preview/comment-composer.js';
+import { renderDiff } from '../src/components/preview/diff-renderer.js';
+import { TextEncoder } from 'util';
+import { webcrypto, createHash } from 'crypto';
+
+jest.mock('../src/api/client.js', () => ({
+    postCommitComment: jest.fn(),
+    postMergeRequestDiscussion: jest.fn(),
+    renderMarkdown: jest.fn(),
+}));
+
+jest.mock('../src/core/highlight.js', () => ({
+    highlightCode: (code) => code,
+    escapeHtml: (text) => text,
+}));
+
+// jsdom does not expose the Encoding and Web Crypto APIs
+if (typeof global.TextEncoder === 'undefined') {
+    global.TextEncoder = TextEncoder;
+}
+if (!global.crypto || !global.crypto.subtle) {
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+
+const { postCommitComment, postMergeRequestDiscussion, renderMarkdown } = require('../src/api/client.js');
+
+const diff = `@@ -1,3 +1,3 @@
+ first
+-second
++second changed
+ third`;
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Presses the mouse on the line number of a row and releases it on another one
+ */
+function dragLineNumbers(fromRow, toRow = fromRow) {
+    fromRow.querySelector('.ct-line-num-new').dispatchEvent(new MouseEvent('mousedown', { bubbles: true, button: 0 }));
+    toRow.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    toRow.querySelector('.ct-line-content').dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+}
+
+describe('canCommentOn', () => {
+    test('allows commits and whole merge requests, not compares', () => {
+        expect(canCommentOn({ isCommitPage: true })).toBe(true);
+        expect(canCommentOn({ isBranchHistoryPage: true })).toBe(true);
+        expect(canCommentOn({ isMergeRequestPage: true })).toBe(true);
+        expect(canCommentOn({ isComparePage: true })).toBe(false);
+        expect(canCommentOn({ isBranchHistoryPage: true, isComparePage: true })).toBe(false);
+        expect(canCommentOn(null)).toBe(false);
+    });
+});
+
+describe('setupLineComments', () => {
+    let container;
+    let fileNode;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        fileNode = { name: 'app.js', path: 'src/app.js', old_path: 'src/app.js', ref: 'abc123', discussions: [] };
+        renderDiff(container, diff, fileNode.path, fileNode.discussions);
+    });
+
+    afterEach(() => {
+        container.remove();
+        jest.clearAllMocks();
+    });
+
+    const rows = () => Array.from(container.querySelectorAll('.ct-diff-line'));
+
+    test('leaves compare diffs read-only', () => {
+        setupLineComments(container, fileNode, { projectPath: 'ns/repo', isComparePage: true });
+        dragLineNumbers(rows()[0]);
+
+        expect(container.querySelector('.ct-comment-composer')).toBeNull();
+    });
+
+    test('comments the lines of the clicked side in split diffs', async () => {
+        const version = { base_commit_sha: 'base', start_commit_sha: 'start', head_commit_sha: 'head' };
+        postMergeRequestDiscussion.mockResolvedValueOnce({
+            id: 'd2',
+            notes: [{ body: 'Split', author: { name: 'Bob' }, created_at: '2024-01-10T10:00:00Z' }]
+        });
+        container.replaceChildren();
+        renderDiff(container, diff, fileNode.path, fileNode.discussions, 'split');
+        setupLineComments(container, fileNode, { projectPath: 'ns/repo', isMergeRequestPage: true, mergeRequestIid: '5', mergeRequestVersion: version });
+
+        dragLineNumbers(rows()[0], rows()[1]);
+        expect(Array.from(container.querySelectorAll('.ct-diff-line-selected')).map(cell => cell.textContent)).toEqual(['1', '2']);
+        const composer = container.querySelector('.ct-comment-composer');
+        expect(composer.closest('.ct-diff-discussion-row').previousElementSibling).toBe(rows()[1]);
+
+        composer.querySelector('textarea').value = 'Split';
+        composer.querySelector('.ct-comment-composer-submit').click();
+        await flushPromises();
+        await flushPromises();
+
+        const pathHash = createHash('sha1').update('src/app.js').digest('hex');
+        const [, , position] = postMergeRequestDiscussion.mock.calls[0];
+        expect(position).toMatchObject({ old_line: null, new_line: 2 });
+        expect(position.line_range.start).toEqual({ line_code: `${pathHash}_1_1`, type: 'old', old_line: 1, new_line: 1 });
+        expect(position.line_range.end).toEqual({ line_code: `${pathHash}_3_2`, type: 'new', old_line: null, new_line: 2 });
+        expect(container.querySelector('[data-discussion-id="d2"]')).not.toBeNull();
+    });
+
+    test('posts a commit comment on the clicked line and shows the new thread in place', async () => {
+        postCommitComment.mockResolvedValueOnce({ note: 'Why?', author: { name: 'Alice' }, created_at: '2024-01-10T10:00:00Z' });
+        setupLineComments(container, fileNode, { projectPath: 'ns/repo', isCommitPage: true });
+
+        dragLineNumbers(rows()[2]);
+        const composer = container.querySelector('.ct-comment-composer');
+        expect(composer.closest('.ct-diff-discussion-row').previousElementSibling).toBe(rows()[2]);
+
+        composer.querySelector('textarea').value = 'Why?';
+        composer.querySelector('.ct-comment-composer-submit').click();
+        await flushPromises();
+
+        expect(postCommitComment).toHaveBeenCalledWith(expect.objectContaining({ projectPath: 'ns/repo' }), 'abc123', 'src/app.js', 2, 'new', 'Why?');
+        expect(container.querySelector('.ct-comment-composer')).toBeNull();
+        expect(container.querySelectorAll('.ct-diff-line-selected')).toHaveLength(0);
+        const thread = container.querySelector('.ct-discussion-thread');
+        expect(thread.closest('.ct-diff-discussion-row').previousElementSibling).toBe(rows()[2]);
+        expect(thread.querySelector('.ct-discussion-notes').style.display).toBe('');
+        expect(fileNode.discussions).toHaveLength(1);
+    });
+
+    test('comments a removed line on the old side', async () => {
+        postCommitComment.mockResolvedValueOnce({ note: 'ok', author: { name: 'Alice' }, created_at: '2024-01-10T10:00:00Z' });
+        setupLineComments(container, fileNode, { projectPath: 'ns/repo', isCommitPage: true });
+
+        rows()[1].querySelector('.ct-line-num-old').dispatchEvent(new MouseEvent('mousedown', { bubbles: true, button: 0 }));
+        document.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+        const composer = container.querySelector('.ct-comment-composer');
+        composer.querySelector('textarea').value = 'ok';
+        composer.querySelector('.ct-comment-composer-submit').click();
+        await flushPromises();
+
+        expect(postCommitComment).toHaveBeenCalledWith(expect.anything(), 'abc123', 'src/app.js', 2, 'old', 'ok');
+    });
+
+    test('posts a merge request discussion with the line range of a drag', async () => {
+        const version = { base_commit_sha: 'base', start_commit_sha: 'start', head_commit_sha: 'head' };
+        postMergeRequestDiscussion.mockResolvedValueOnce({
+            id: 'd1',
+            notes: [{ body: 'Range', author: { name: 'Bob' }, created_at: '2024-01-10T10:00:00Z' }]
+        });
+        setupLineComments(container, fileNode, { projectPath: 'ns/repo', isMergeRequestPage: true, mergeRequestIid: '5', mergeRequestVersion: version });
+
+        dragLineNumbers(rows()[3], rows()[0]);
+        expect(container.querySelectorAll('.ct-diff-line-selected')).toHaveLength(4);
+
+        const composer = container.querySelector('.ct-comment-composer');
+        composer.querySelector('textarea').value = 'Range';
+        composer.querySelector('.ct-comment-composer-submit').click();
+        await flushPromises();
+        await flushPromises();
+
+        const pathHash = createHash('sha1').update('src/app.js').digest('hex');
+        const [, body, position] = postMergeRequestDiscussion.mock.calls[0];
+        expect(body).toBe('Range');
+        expect(position).toMatchObject({
+            position_type: 'text',
+            base_sha: 'base',
+            start_sha: 'start',
+            head_sha: 'head',
+            new_path: 'src/app.js',
+            old_line: 3,
+            new_line: 3
+        });
+        expect(position.line_range.start).toEqual({ line_code: `${pathHash}_1_1`, type: 'old', old_line: 1, new_line: 1 });
+        expect(position.line_range.end).toEqual({ line_code: `${pathHash}_3_3`, type: 'old', old_line: 3, new_line: 3 });
+        expect(container.querySelector('[data-discussion-id="d1"]')).not.toBeNull();
+    });
+
+    test('records the GitLab line counters on added and removed rows', () => {
+        expect(rows().map(row => [row.dataset.oldPos, row.dataset.newPos])).toEqual([
+            ['1', '1'],
+            ['2', '2'],
+            ['3', '2'],
+            ['3', '3']
+        ]);
+    });
+
+    test('records the GitLab line counters on each side of split rows', () => {
+        container.replaceChildren();
+        renderDiff(container, diff, fileNode.path, fileNode.discussions, 'split');
+        const counters = (cell) => [cell.dataset.oldPos, cell.dataset.newPos];
+
+        expect(rows().map(row => counters(row.querySelector('.ct-line-num-old')))).toEqual([['1', '1'], ['2', '2'], ['3', '3']]);
+        expect(rows().map(row => counters(row.querySelector('.ct-line-num-new')))).toEqual([['1', '1'], ['3', '2'], ['3', '3']]);
+    });
+
+    test('renders the Markdown preview through the API', async () => {
+        renderMarkdown.mockResolvedValueOnce('<p><strong>bold</strong></p>');
+        setupLineComments(container, fileNode, { projectPath: 'ns/repo', isCommitPage: true });
+
+        dragLineNumbers(rows()[0]);
+        const composer = container.querySelector('.ct-comment-composer');
+        composer.querySelector('textarea').value = '**bold**';
+        composer.querySelectorAll('.ct-comment-composer-tab')[1].click();
+        await flushPromises();
+
+        expect(renderMarkdown).toHaveBeenCalledWith(expect.objectContaining({ projectPath: 'ns/repo' }), '**bold**');
+        expect(composer.querySelector('.ct-comment-composer-preview strong').textContent).toBe('bold');
+        expect(composer.querySelector('textarea').style.display).toBe('none');
+    });
+
+    test('keeps the composer open with an error when posting fails', async () => {
+        postCommitComment.mockRejectedValueOnce(new Error('API error (403): Forbidden'));
+        setupLineComments(container, fileNode, { projectPath: 'ns/repo', isCommitPage: true });
+
+        dragLineNumbers(rows()[0]);
+        const composer = container.querySelector('.ct-comment-composer');
+        composer.querySelector('textarea').value = 'Hello';
+        composer.querySelector('.ct-comment-composer-submit').click();
+        await flushPromises();
+
+        expect(container.querySelector('.ct-comment-composer')).toBe(composer);
+        expect(composer.querySelector('.ct-comment-composer-error').textContent).toContain('403');
+        expect(composer.querySelector('.ct-comment-composer-submit').disabled).toBe(false);
+    });
+});
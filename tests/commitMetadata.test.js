@@ -0,0 +1,54 @@
+import { createCommitMetadata } from '../src/components/history/commitMetadata.js';
+import { cssClasses } from '../src/config/constants.js';
+
+const commit = {
+    id: 'c'.repeat(40),
+    title: 'Fix login',
+    message: 'Fix login\n\nSigned-off-by: Alice <alice@example.com>',
+    author_name: 'Alice',
+    author_email: 'alice@example.com',
+    authored_date: '2024-01-10T10:00:00Z',
+    committer_name: 'Bob',
+    committer_email: 'bob@example.com',
+    committed_date: '2024-01-11T10:00:00Z',
+    parent_ids: ['a'.repeat(40), 'b'.repeat(40)],
+    last_pipeline: { id: 7, status: 'failed', web_url: 'http://localhost/ns/repo/-/pipelines/7' },
+    signature: { signature_type: 'PGP', verification_status: 'verified' }
+};
+
+describe('createCommitMetadata', () => {
+    test('shows the pipeline and signature status in the summary', () => {
+        const { summary } = createCommitMetadata(commit, 'ns/repo');
+
+        const pipeline = summary.querySelector(`.${cssClasses.pipelineBadge}`);
+        expect(pipeline.textContent).toBe('Pipeline échoué');
+        expect(pipeline.classList.contains('ct-pipeline-badge-failed')).toBe(true);
+        expect(pipeline.getAttribute('href')).toBe('http://localhost/ns/repo/-/pipelines/7');
+        expect(summary.querySelector(`.${cssClasses.signatureBadge}`).textContent).toBe('Signature GPG vérifiée');
+    });
+
+    test('marks unsigned commits and omits a missing pipeline', () => {
+        const { summary } = createCommitMetadata({ ...commit, last_pipeline: null, signature: null }, 'ns/repo');
+
+        expect(summary.querySelector(`.${cssClasses.pipelineBadge}`)).toBeNull();
+        expect(summary.querySelector(`.${cssClasses.signatureBadge}`).textContent).toBe('Non signé');
+    });
+
+    test('lists the message, trailers, identities and parent links in the collapsed details', () => {
+        const { summary, details } = createCommitMetadata(commit, 'ns/repo');
+
+        expect(details.style.display).toBe('none');
+        expect(details.querySelector(`.${cssClasses.commitMetaMessage}`).textContent).toBe('Fix login');
+        expect(details.textContent).toContain('Signed-off-byAlice <alice@example.com>');
+        expect(details.textContent).toContain('Alice <alice@example.com>');
+        expect(details.textContent).toContain('Bob <bob@example.com>');
+        const parents = Array.from(details.querySelectorAll('a')).map(link => link.getAttribute('href'));
+        expect(parents).toEqual([
+            `http://localhost/ns/repo/-/commit/${'a'.repeat(40)}`,
+            `http://localhost/ns/repo/-/commit/${'b'.repeat(40)}`
+        ]);
+
+        summary.querySelector('button').click();
+        expect(details.style.display).toBe('');
+    });
+});
@@ -0,0 +1,32 @@
+import { createCompareRangeToggle } from '../src/components/compare/compareRangeToggle.js';
+import { cssClasses } from '../src/config/constants.js';
+
+describe('createCompareRangeToggle', () => {
+    test('highlights the current mode', () => {
+        const toggle = createCompareRangeToggle(false, jest.fn());
+        const [mergeBaseBtn, straightBtn] = toggle.querySelectorAll('button');
+
+        expect(mergeBaseBtn.classList.contains(cssClasses.viewModeActive)).toBe(true);
+        expect(straightBtn.classList.contains(cssClasses.viewModeActive)).toBe(false);
+    });
+
+    test('reports a switch to the direct comparison', () => {
+        const onChange = jest.fn();
+        const toggle = createCompareRangeToggle(false, onChange);
+
+        toggle.querySelectorAll('button')[1].click();
+
+        expect(onChange).toHaveBeenCalledWith(true);
+    });
+
+    test('ignores clicks on the mode already selected', () => {
+        const onChange = jest.fn();
+        const toggle = createCompareRangeToggle(true, onChange);
+
+        toggle.querySelectorAll('button')[1].click();
+        expect(onChange).not.toHaveBeenCalled();
+
+        toggle.querySelectorAll('button')[0].click();
+        expect(onChange).toHaveBeenCalledWith(false);
+    });
+});
@@ -4,7 +4,10 @@ import { getProjectInfo, setProjectContext } from '../src/core/context.js';
 
 // Mock API client so tests don't make real network calls
 jest.mock('../src/api/client.js', () => ({
-    fetchAllFilesWithPagination: jest.fn()
+    fetchAllFilesWithPagination: jest.fn(),
+    fetchGitattributes: jest.fn(async () => ''),
+    fetchCodeowners: jest.fn(async () => ''),
+    isAbortError: (error) => Boolean(error) && error.name === 'AbortError'
 }));
 
 const { fetchAllFilesWithPagination } = require('../src/api/client.js');
@@ -306,7 +309,9 @@ describe('row selection while compare mode is active', () => {
                     targetBranch: SHA_START,
                     sourceBranch: SHA_END
                 }),
-                expect.any(Function)
+                expect.any(Function),
+                null,
+                expect.any(AbortSignal)
             );
         });
 
@@ -374,6 +379,25 @@ describe('row selection while compare mode is active', () => {
         expect(wrapper.textContent).toContain('Network error');
     });
 
+    test('resetCompareSelection aborts a pending comparison and drops its wrapper', async () => {
+        let signal;
+        fetchAllFilesWithPagination.mockImplementation((info, progress, sha, abortSignal) => {
+            signal = abortSignal;
+            return new Promise((resolve, reject) => {
+                abortSignal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+            });
+        });
+
+        activateCompareMode();
+        click(rowStart.querySelector('.commit-content'));
+        click(rowEnd.querySelector('.commit-content'));
+        resetCompareSelection();
+        await flushAsync();
+
+        expect(signal.aborted).toBe(true);
+        expect(document.querySelector(`.${cssClasses.compareTopWrapper}`)).toBeNull();
+    });
+
     test('shows a message when the diff has no files', async () => {
         fetchAllFilesWithPagination.mockResolvedValue([]);
 
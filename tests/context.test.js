@@ -1,4 +1,11 @@
-import { setProjectContext, getProjectInfo, getCommitSha } from '../src/core/context.js';
+import {
+    setProjectContext,
+    getProjectInfo,
+    getCommitSha,
+    getNavigationSignal,
+    abortPendingLoads,
+    createChildAbortController
+} from '../src/core/context.js';
 
 afterEach(() => {
     // Reset module state between tests
@@ -68,3 +75,37 @@ describe('setProjectContext', () => {
         expect(getProjectInfo()).toBe(info); // strict reference equality
     });
 });
+
+describe('navigation abort scope', () => {
+    test('abortPendingLoads aborts the current signal and starts a fresh one', () => {
+        const signal = getNavigationSignal();
+        abortPendingLoads();
+
+        expect(signal.aborted).toBe(true);
+        expect(getNavigationSignal()).not.toBe(signal);
+        expect(getNavigationSignal().aborted).toBe(false);
+    });
+
+    test('child controllers are aborted with the navigation signal', () => {
+        const child = createChildAbortController();
+        abortPendingLoads();
+
+        expect(child.signal.aborted).toBe(true);
+    });
+
+    test('aborting a child leaves the parent untouched', () => {
+        const parent = new AbortController();
+        const child = createChildAbortController(parent.signal);
+        child.abort();
+
+        expect(child.signal.aborted).toBe(true);
+        expect(parent.signal.aborted).toBe(false);
+    });
+
+    test('a child of an already aborted signal starts aborted', () => {
+        const parent = new AbortController();
+        parent.abort();
+
+        expect(createChildAbortController(parent.signal).signal.aborted).toBe(true);
+    });
+});
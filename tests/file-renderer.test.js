@@ -1,10 +1,11 @@
-import { revokePdfBlobUrl, fullFileCache, renderFullFileContent } from '../src/components/preview/file-renderer.js';
+import { revokePdfBlobUrl, fullFileCache, renderFullFileContent, loadFileText } from '../src/components/preview/file-renderer.js';
 import { setProjectContext } from '../src/core/context.js';
 
 // Mock API client so tests don't make real network calls
 jest.mock('../src/api/client.js', () => ({
     fetchFileContent: jest.fn(),
     fetchDiffForPath: jest.fn(),
+    isAbortError: (error) => Boolean(error) && error.name === 'AbortError',
 }));
 
 // Mock highlight to isolate renderer logic from syntax-highlighting
@@ -157,6 +158,22 @@ describe('renderFullFileContent — fetch on cache miss', () => {
         expect(fullFileCache.has(cacheKey)).toBe(true);
     });
 
+    test('returns the LFS pointer of a file stored in Git LFS', async () => {
+        const lfs = { oid: 'sha256:abc123', size: 42 };
+        fetchFileContent.mockResolvedValueOnce({ content: 'real content', lfs });
+
+        const result = await renderFullFileContent(container, { name: 'data.csv', path: 'data/data.csv' });
+
+        expect(result).toEqual(lfs);
+        expect(container.textContent).toContain('real content');
+    });
+
+    test('returns null for files outside Git LFS', async () => {
+        fetchFileContent.mockResolvedValueOnce({ content: 'plain', lfs: null });
+
+        expect(await renderFullFileContent(container, { name: 'plain.js', path: 'src/plain.js' })).toBeNull();
+    });
+
     test('shows error message when fetch fails', async () => {
         fetchFileContent.mockRejectedValueOnce(new Error('Network error'));
 
@@ -166,6 +183,46 @@ describe('renderFullFileContent — fetch on cache miss', () => {
         expect(container.textContent).toContain('Erreur');
         expect(container.textContent).toContain('Network error');
     });
+
+    test('passes the abort signal to fetchFileContent', async () => {
+        fetchFileContent.mockResolvedValueOnce({ content: 'x' });
+        const controller = new AbortController();
+
+        await renderFullFileContent(container, { name: 'sig.js', path: 'src/sig.js' }, null, controller.signal);
+
+        expect(fetchFileContent).toHaveBeenCalledWith(projectInfo, 'src/sig.js', 'main', false, controller.signal);
+    });
+
+    test('renders nothing when the fetch is aborted', async () => {
+        fetchFileContent.mockRejectedValueOnce(new DOMException('Aborted', 'AbortError'));
+
+        await renderFullFileContent(container, { name: 'gone.js', path: 'src/gone.js' });
+
+        expect(container.children.length).toBe(0);
+        expect(container.textContent).not.toContain('Erreur');
+    });
+});
+
+describe('loadFileText', () => {
+    const { fetchFileContent } = require('../src/api/client.js');
+    const projectInfo = { projectPath: 'ns/repo' };
+
+    test('fetches the file once and shares fullFileCache with the full file view', async () => {
+        fetchFileContent.mockResolvedValueOnce({ content: 'a\nb\n' });
+
+        expect(await loadFileText(projectInfo, 'src/a.js', 'abc123')).toBe('a\nb\n');
+        expect(await loadFileText(projectInfo, 'src/a.js', 'abc123')).toBe('a\nb\n');
+
+        expect(fetchFileContent).toHaveBeenCalledTimes(1);
+        expect(fullFileCache.get('ns/repo:src/a.js@abc123')).toBe('a\nb\n');
+    });
+
+    test('reads an already cached file without fetching', async () => {
+        fullFileCache.set('ns/repo:src/b.js@main', '');
+
+        expect(await loadFileText(projectInfo, 'src/b.js', 'main')).toBe('');
+        expect(fetchFileContent).not.toHaveBeenCalled();
+    });
 });
 
 describe('renderFullFileContent — binary / image / pdf dispatch', () => {
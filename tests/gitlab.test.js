@@ -0,0 +1,278 @@
+import {
+    getPageType,
+    extractProjectAndCommitInfo,
+    getBaseProjectInfo,
+    navigateToFile,
+    parseGitmodules,
+    resolveSubmoduleProjectPath,
+    parseGitattributes,
+    getPathAttributes,
+    parseCodeowners,
+    getPathCodeOwners,
+    parseCommitTrailers
+} from '../src/utils/gitlab.js';
+
+function visit(path) {
+    window.history.pushState({}, '', path);
+}
+
+afterEach(() => {
+    visit('/');
+});
+
+describe('getPageType — merge requests', () => {
+    test('detects the merge request diffs tab', () => {
+        visit('/group/project/-/merge_requests/42/diffs');
+        const pageType = getPageType();
+
+        expect(pageType.isMergeRequestPage).toBe(true);
+        expect(pageType.isCommitPage).toBe(false);
+        expect(pageType.isBranchHistoryPage).toBe(false);
+    });
+
+    test('ignores the other merge request tabs', () => {
+        visit('/group/project/-/merge_requests/42');
+        expect(getPageType().isMergeRequestPage).toBe(false);
+
+        visit('/group/project/-/merge_requests/42/commits');
+        expect(getPageType().isMergeRequestPage).toBe(false);
+    });
+
+    test('does not mistake a commit selected in the diffs tab for a commit page', () => {
+        visit('/group/project/-/merge_requests/42/diffs?commit_id=abc123');
+        const pageType = getPageType();
+
+        expect(pageType.isMergeRequestPage).toBe(true);
+        expect(pageType.isCommitPage).toBe(false);
+    });
+});
+
+describe('extractProjectAndCommitInfo — merge requests', () => {
+    test('extracts the project path and merge request iid', () => {
+        visit('/group/sub/project/-/merge_requests/7/diffs');
+        const info = extractProjectAndCommitInfo();
+
+        expect(info.projectPath).toBe('group/sub/project');
+        expect(info.mergeRequestIid).toBe('7');
+        expect(info.isMergeRequestPage).toBe(true);
+    });
+
+    test('leaves mergeRequestIid null on other pages', () => {
+        visit('/group/project/-/commit/abc123');
+        expect(extractProjectAndCommitInfo().mergeRequestIid).toBeNull();
+    });
+});
+
+describe('extractProjectAndCommitInfo — compare range', () => {
+    test('keeps the merge-base semantics of three-dot compares', () => {
+        visit('/group/project/-/compare/main...feature');
+        const info = extractProjectAndCommitInfo();
+
+        expect(info.targetBranch).toBe('main');
+        expect(info.sourceBranch).toBe('feature');
+        expect(info.straight).toBe(false);
+    });
+
+    test('compares two-dot ranges directly', () => {
+        visit('/group/project/-/compare/v1.0..v2.0');
+        const info = extractProjectAndCommitInfo();
+
+        expect(info.targetBranch).toBe('v1.0');
+        expect(info.sourceBranch).toBe('v2.0');
+        expect(info.straight).toBe(true);
+    });
+});
+
+describe('cross-project compares', () => {
+    const crossInfo = {
+        projectPath: 'fork/repo',
+        isComparePage: true,
+        targetBranch: 'main',
+        sourceBranch: 'feature',
+        fromProjectId: '7',
+        fromProjectPath: 'upstream/repo'
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('extracts from_project_id from the compare URL', () => {
+        visit('/fork/repo/-/compare/main...feature?from_project_id=7');
+        const info = extractProjectAndCommitInfo();
+
+        expect(info.fromProjectId).toBe('7');
+        expect(info.targetBranch).toBe('main');
+        expect(info.sourceBranch).toBe('feature');
+    });
+
+    test('getBaseProjectInfo points to the target project', () => {
+        expect(getBaseProjectInfo(crossInfo).projectPath).toBe('upstream/repo');
+        expect(getBaseProjectInfo({ ...crossInfo, fromProjectPath: 'fork/repo' }).projectPath).toBe('fork/repo');
+    });
+
+    test('opens deleted files on the target ref of the target project', () => {
+        const open = jest.spyOn(window, 'open').mockImplementation(() => null);
+
+        navigateToFile('a.js', crossInfo, null, 'deleted');
+        navigateToFile('b.js', crossInfo, null, 'modified');
+
+        expect(open.mock.calls[0][0]).toBe('http://localhost/upstream/repo/-/blob/main/a.js');
+        expect(open.mock.calls[1][0]).toBe('http://localhost/fork/repo/-/blob/feature/b.js');
+    });
+});
+
+describe('submodules', () => {
+    test('parseGitmodules maps paths to URLs', () => {
+        const urls = parseGitmodules([
+            '[submodule "lib"]',
+            '\tpath = vendor/lib',
+            '\turl = ../lib.git',
+            '[submodule "other"]',
+            '\turl = https://github.com/acme/other.git',
+            '\tpath = other'
+        ].join('\n'));
+
+        expect(urls.get('vendor/lib')).toBe('../lib.git');
+        expect(urls.get('other')).toBe('https://github.com/acme/other.git');
+    });
+
+    test('resolves relative URLs against the superproject', () => {
+        expect(resolveSubmoduleProjectPath('../lib.git', 'group/project')).toBe('group/lib');
+        expect(resolveSubmoduleProjectPath('../../other/lib', 'group/project')).toBe('other/lib');
+    });
+
+    test('resolves URLs hosted on the current instance', () => {
+        expect(resolveSubmoduleProjectPath('http://localhost/group/lib.git', 'group/project')).toBe('group/lib');
+        expect(resolveSubmoduleProjectPath('git@localhost:group/lib.git', 'group/project')).toBe('group/lib');
+        expect(resolveSubmoduleProjectPath('ssh://git@localhost:2222/group/lib.git', 'group/project')).toBe('group/lib');
+    });
+
+    test('ignores URLs hosted elsewhere', () => {
+        expect(resolveSubmoduleProjectPath('https://github.com/acme/lib.git', 'group/project')).toBeNull();
+        expect(resolveSubmoduleProjectPath('git@github.com:acme/lib.git', 'group/project')).toBeNull();
+    });
+});
+
+describe('.gitattributes', () => {
+    const rules = parseGitattributes([
+        '# Generated code',
+        '*.min.js linguist-generated',
+        'dist/** linguist-generated=true',
+        '/vendor/** linguist-vendored',
+        'vendor/keep.js -linguist-vendored',
+        'package-lock.json -diff linguist-generated',
+        '[attr]binary -diff -merge -text'
+    ].join('\n'));
+
+    test('ignores comments, blank lines and macro definitions', () => {
+        expect(rules).toHaveLength(5);
+    });
+
+    test('matches patterns without slash at any depth', () => {
+        expect(getPathAttributes(rules, 'public/js/app.min.js')).toEqual({ 'linguist-generated': true });
+        expect(getPathAttributes(rules, 'web/package-lock.json')).toEqual({ diff: false, 'linguist-generated': true });
+    });
+
+    test('anchors patterns with a slash to the repository root', () => {
+        expect(getPathAttributes(rules, 'dist/js/app.js')['linguist-generated']).toBe(true);
+        expect(getPathAttributes(rules, 'src/dist/app.js')['linguist-generated']).toBeUndefined();
+    });
+
+    test('lets later lines override earlier ones', () => {
+        expect(getPathAttributes(rules, 'vendor/lib.js')['linguist-vendored']).toBe(true);
+        expect(getPathAttributes(rules, 'vendor/keep.js')['linguist-vendored']).toBe(false);
+    });
+
+    test('returns no rule without content', () => {
+        expect(parseGitattributes(null)).toEqual([]);
+    });
+});
+
+describe('CODEOWNERS', () => {
+    const sections = parseCodeowners([
+        '# Default owners',
+        '* @maintainers',
+        '*.md @writers',
+        '/src/ @dev-team',
+        '/src/legacy/ @legacy-team @alice',
+        'docs/*.md doc@example.com',
+        'My\\ File.txt @alice',
+        '',
+        '[Backend][2] @backend-leads',
+        '/api/**/*.rb',
+        '/api/admin.rb @admins',
+        '!/api/generated.rb',
+        '^[Frontend]',
+        '/web/ @frontend',
+        '[backend]',
+        '/lib/ @@maintainer'
+    ].join('\n'));
+
+    const ownersOf = (path) => getPathCodeOwners(sections, path);
+
+    test('parses sections, merging those with the same name', () => {
+        expect(sections.map(section => [section.name, section.optional, section.defaultOwners])).toEqual([
+            ['codeowners', false, []],
+            ['Backend', false, ['@backend-leads']],
+            ['Frontend', true, []]
+        ]);
+        expect(sections[1].rules).toHaveLength(4);
+    });
+
+    test('lets the last matching entry of a section win', () => {
+        expect(ownersOf('README.md')).toEqual([{ section: 'codeowners', owners: ['@writers'] }]);
+        expect(ownersOf('src/app.js')).toEqual([{ section: 'codeowners', owners: ['@dev-team'] }]);
+        expect(ownersOf('src/legacy/old.js')).toEqual([{ section: 'codeowners', owners: ['@legacy-team', '@alice'] }]);
+    });
+
+    test('matches patterns without leading slash at any depth', () => {
+        expect(ownersOf('guide/docs/intro.md')).toEqual([{ section: 'codeowners', owners: ['doc@example.com'] }]);
+        expect(ownersOf('docs/sub/intro.md')).toEqual([{ section: 'codeowners', owners: ['@writers'] }]);
+        expect(ownersOf('a/My File.txt')).toEqual([{ section: 'codeowners', owners: ['@alice'] }]);
+    });
+
+    test('returns the owners of every matching section', () => {
+        expect(ownersOf('api/v1/users.rb')).toEqual([
+            { section: 'codeowners', owners: ['@maintainers'] },
+            { section: 'Backend', owners: ['@backend-leads'] }
+        ]);
+        expect(ownersOf('api/admin.rb')[1]).toEqual({ section: 'Backend', owners: ['@admins'] });
+        expect(ownersOf('lib/util.rb')[1]).toEqual({ section: 'Backend', owners: ['@@maintainer'] });
+        expect(ownersOf('web/app.vue')[1]).toEqual({ section: 'Frontend', owners: ['@frontend'] });
+    });
+
+    test('leaves excluded files out of their section only', () => {
+        expect(ownersOf('api/generated.rb')).toEqual([{ section: 'codeowners', owners: ['@maintainers'] }]);
+    });
+
+    test('returns no section without content', () => {
+        expect(parseCodeowners(null)).toEqual([]);
+        expect(getPathCodeOwners([], 'a.js')).toEqual([]);
+    });
+});
+
+describe('commit trailers', () => {
+    test('splits the trailers paragraph from the message body', () => {
+        const message = 'Fix login\n\nThe session was lost.\n\nSigned-off-by: Alice <alice@example.com>\nReviewed-by: Bob <bob@example.com>\n';
+
+        expect(parseCommitTrailers(message)).toEqual({
+            body: 'Fix login\n\nThe session was lost.',
+            trailers: [
+                { key: 'Signed-off-by', value: 'Alice <alice@example.com>' },
+                { key: 'Reviewed-by', value: 'Bob <bob@example.com>' }
+            ]
+        });
+    });
+
+    test('keeps a last paragraph that is not only trailers in the body', () => {
+        const message = 'Fix login\n\nNote: this also fixes\nthe logout button.';
+
+        expect(parseCommitTrailers(message)).toEqual({ body: message, trailers: [] });
+    });
+
+    test('handles single-line messages', () => {
+        expect(parseCommitTrailers('Fix: typo')).toEqual({ body: 'Fix: typo', trailers: [] });
+        expect(parseCommitTrailers(null)).toEqual({ body: '', trailers: [] });
+    });
+});
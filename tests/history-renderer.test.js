@@ -0,0 +1,103 @@
+import { renderFileHistory } from '../src/components/preview/history-renderer.js';
+import { setProjectContext } from '../src/core/context.js';
+
+jest.mock('../src/api/client.js', () => ({
+    fetchFileContent: jest.fn(),
+    fetchFileHistory: jest.fn(),
+    fetchCommitDiffs: jest.fn(),
+    isAbortError: (error) => Boolean(error) && error.name === 'AbortError',
+}));
+
+jest.mock('../src/core/highlight.js', () => ({
+    highlightCode: (code) => code,
+    escapeHtml: (text) => text,
+}));
+
+const { fetchFileContent, fetchFileHistory, fetchCommitDiffs } = require('../src/api/client.js');
+
+const history = [
+    { id: 'c2', short_id: 'c2', title: 'Tweak app', author_name: 'Bob', authored_date: '2024-02-20T10:00:00Z', path: 'src/app.js' },
+    { id: 'c1', short_id: 'c1', title: 'Add <b>app</b>', author_name: 'Alice', authored_date: '2024-01-10T10:00:00Z', path: 'src/old.js' }
+];
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('renderFileHistory', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        setProjectContext({ projectPath: 'ns/repo', sourceBranch: 'main' });
+    });
+
+    afterEach(() => {
+        setProjectContext(null, null);
+        jest.clearAllMocks();
+    });
+
+    test('lists the commits and notes the previous path of renamed files', async () => {
+        fetchFileHistory.mockResolvedValueOnce(history);
+        fetchCommitDiffs.mockResolvedValue([]);
+
+        await renderFileHistory(container, { name: 'app.js', path: 'src/app.js' });
+
+        const entries = container.querySelectorAll('.ct-history-entry');
+        expect(entries).toHaveLength(2);
+        expect(container.querySelector('.ct-history-header').textContent).toBe('2 commit(s)');
+        expect(entries[1].querySelector('.ct-history-title').textContent).toBe('Add <b>app</b>');
+        expect(entries[0].querySelector('.ct-history-path')).toBeNull();
+        expect(entries[1].querySelector('.ct-history-path').textContent).toBe('src/old.js');
+        expect(fetchFileHistory).toHaveBeenCalledWith(expect.objectContaining({ projectPath: 'ns/repo' }), 'src/app.js', 'main', null);
+    });
+
+    test('shows the diff of the selected commit for this file only', async () => {
+        fetchFileHistory.mockResolvedValueOnce(history);
+        fetchCommitDiffs.mockResolvedValue([
+            { old_path: 'other.js', new_path: 'other.js', diff: '@@ -1 +1 @@\n-x\n+unrelated change\n' },
+            { old_path: 'src/old.js', new_path: 'src/old.js', diff: '@@ -0,0 +1 @@\n+const app = 1;\n' }
+        ]);
+
+        await renderFileHistory(container, { name: 'app.js', path: 'src/app.js' });
+        await flushPromises();
+
+        const entries = container.querySelectorAll('.ct-history-entry');
+        expect(entries[0].classList.contains('ct-selected')).toBe(true);
+        expect(container.querySelector('.ct-history-diff').textContent).toContain('Aucune différence textuelle');
+
+        entries[1].click();
+        await flushPromises();
+
+        expect(fetchCommitDiffs).toHaveBeenLastCalledWith(expect.anything(), 'c1', null);
+        expect(entries[1].classList.contains('ct-selected')).toBe(true);
+        expect(entries[0].classList.contains('ct-selected')).toBe(false);
+        const diffText = container.querySelector('.ct-history-diff').textContent;
+        expect(diffText).toContain('const app = 1;');
+        expect(diffText).not.toContain('unrelated change');
+    });
+
+    test('renders the commit diff in the given layout, expandable from the file at that commit', async () => {
+        fetchFileHistory.mockResolvedValueOnce(history);
+        fetchCommitDiffs.mockResolvedValue([
+            { old_path: 'src/app.js', new_path: 'src/app.js', diff: '@@ -3 +3 @@\n-three\n+THREE\n' }
+        ]);
+        fetchFileContent.mockResolvedValue({ content: 'one\ntwo\nTHREE\n' });
+
+        await renderFileHistory(container, { name: 'app.js', path: 'src/app.js' }, null, null, 'split');
+        await flushPromises();
+
+        expect(container.querySelector('.ct-history-diff .ct-diff-split')).not.toBeNull();
+        container.querySelector('.ct-diff-expandable .ct-diff-separator-cell').click();
+        await flushPromises();
+
+        expect(fetchFileContent).toHaveBeenCalledWith(expect.objectContaining({ projectPath: 'ns/repo' }), 'src/app.js', 'c2', false, null);
+        expect(container.querySelector('.ct-history-diff').textContent).toContain('two');
+    });
+
+    test('shows an error message when the history cannot be loaded', async () => {
+        fetchFileHistory.mockRejectedValueOnce(new Error('HTTP 500'));
+
+        await renderFileHistory(container, { name: 'app.js', path: 'src/app.js' });
+
+        expect(container.querySelector('.ct-diff-error').textContent).toContain('HTTP 500');
+    });
+});
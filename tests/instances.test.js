@@ -0,0 +1,141 @@
+import {
+    normalizeInstanceUrl,
+    getOriginPermission,
+    getInstanceMatchPatterns,
+    isBuiltInInstance,
+    getCustomInstances,
+    setCustomInstances,
+    resolveGitLabBaseUrl,
+    getGitLabBaseUrl,
+    getRelativeUrlRoot
+} from '../src/core/instances.js';
+import { buildApiUrl } from '../src/api/client.js';
+import { extractProjectAndCommitInfo } from '../src/utils/gitlab.js';
+
+/**
+ * Minimal in-memory stand-in for browser.storage.local
+ */
+function createStorageMock(initialData = {}) {
+    const data = { ...initialData };
+    return {
+        data,
+        get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+        set: jest.fn(async (items) => { Object.assign(data, items); })
+    };
+}
+
+function visit(path) {
+    window.history.pushState({}, '', path);
+}
+
+afterEach(async () => {
+    delete global.browser;
+    visit('/');
+    await resolveGitLabBaseUrl();
+});
+
+describe('normalizeInstanceUrl', () => {
+    test('defaults to https and drops trailing slashes', () => {
+        expect(normalizeInstanceUrl('git.example.com/')).toBe('https://git.example.com');
+        expect(normalizeInstanceUrl(' https://git.example.com/gitlab/ ')).toBe('https://git.example.com/gitlab');
+    });
+
+    test('keeps the scheme and port', () => {
+        expect(normalizeInstanceUrl('http://git.example.com:8080')).toBe('http://git.example.com:8080');
+    });
+
+    test('rejects non-http URLs', () => {
+        expect(() => normalizeInstanceUrl('ftp://git.example.com')).toThrow('URL invalide');
+        expect(() => normalizeInstanceUrl('')).toThrow();
+    });
+});
+
+describe('permissions and match patterns', () => {
+    test('requests the whole host', () => {
+        expect(getOriginPermission('https://git.example.com:8443/gitlab')).toBe('https://git.example.com/*');
+    });
+
+    test('matches the supported routes under the relative URL root', () => {
+        const patterns = getInstanceMatchPatterns('https://git.example.com/gitlab');
+
+        expect(patterns).toContain('https://git.example.com/gitlab/*/commit/*');
+        expect(patterns).toContain('https://git.example.com/gitlab/*/merge_requests/*');
+        expect(patterns).toHaveLength(5);
+    });
+
+    test('recognizes built-in instances', () => {
+        expect(isBuiltInInstance('https://gitlab.com')).toBe(true);
+        expect(isBuiltInInstance('https://git.example.com')).toBe(false);
+    });
+});
+
+describe('custom instances storage', () => {
+    test('returns an empty list without extension API', async () => {
+        expect(await getCustomInstances()).toEqual([]);
+    });
+
+    test('stores instances without duplicates', async () => {
+        const storage = createStorageMock();
+        global.browser = { storage: { local: storage } };
+
+        await setCustomInstances(['https://a.example', 'https://b.example', 'https://a.example']);
+
+        expect(await getCustomInstances()).toEqual(['https://a.example', 'https://b.example']);
+    });
+});
+
+describe('resolveGitLabBaseUrl', () => {
+    test('falls back to the page origin', async () => {
+        visit('/group/project/-/commit/abc123');
+
+        expect(await resolveGitLabBaseUrl()).toBe('http://localhost');
+        expect(getRelativeUrlRoot()).toBe('');
+    });
+
+    test('picks the most specific instance serving the page', async () => {
+        global.browser = {
+            storage: {
+                local: createStorageMock({
+                    customInstances: ['http://localhost', 'http://localhost/gitlab', 'http://localhost/git']
+                })
+            }
+        };
+        visit('/gitlab/group/project/-/commit/abc123');
+
+        expect(await resolveGitLabBaseUrl()).toBe('http://localhost/gitlab');
+        expect(getGitLabBaseUrl()).toBe('http://localhost/gitlab');
+        expect(getRelativeUrlRoot()).toBe('/gitlab');
+    });
+
+    test('ignores instances on another origin', async () => {
+        global.browser = {
+            storage: { local: createStorageMock({ customInstances: ['https://git.example.com/gitlab'] }) }
+        };
+        visit('/gitlab/group/project/-/commit/abc123');
+
+        expect(await resolveGitLabBaseUrl()).toBe('http://localhost');
+    });
+});
+
+describe('relative URL root', () => {
+    beforeEach(async () => {
+        global.browser = {
+            storage: { local: createStorageMock({ customInstances: ['http://localhost/gitlab'] }) }
+        };
+        visit('/gitlab/group/project/-/commit/abc123');
+        await resolveGitLabBaseUrl();
+    });
+
+    test('extractProjectAndCommitInfo strips the URL root from the project path', () => {
+        const info = extractProjectAndCommitInfo();
+
+        expect(info.projectPath).toBe('group/project');
+        expect(info.commitSha).toBe('abc123');
+    });
+
+    test('buildApiUrl targets the API under the URL root', () => {
+        const url = buildApiUrl({ projectPath: 'group/project', commitSha: 'abc123', isCommitPage: true });
+
+        expect(url.startsWith('http://localhost/gitlab/api/v4/projects/group%2Fproject/')).toBe(true);
+    });
+});
@@ -0,0 +1,181 @@
+import { renderLocalDiff, canDiffLocally } from '../src/components/preview/local-diff.js';
+import { createUnifiedDiff } from '../src/components/preview/diff-renderer.js';
+import { setProjectContext } from '../src/core/context.js';
+import { localDiff } from '../src/config/constants.js';
+
+jest.mock('../src/api/client.js', () => ({
+    fetchFileContent: jest.fn(),
+    fetchFileSize: jest.fn(),
+    fetchCommit: jest.fn(),
+    fetchMergeBase: jest.fn()
+}));
+
+jest.mock('../src/core/highlight.js', () => ({
+    highlightCode: (code) => code,
+    escapeHtml: (text) => text
+}));
+
+const { fetchFileContent, fetchFileSize, fetchCommit, fetchMergeBase } = require('../src/api/client.js');
+
+const originalMaxSize = localDiff.maxSize;
+
+afterEach(() => {
+    localDiff.maxSize = originalMaxSize;
+    setProjectContext(null, null);
+    jest.clearAllMocks();
+});
+
+/**
+ * Serves file contents by ref from a { ref: content } map
+ */
+function serveContents(contents) {
+    fetchFileContent.mockImplementation(async (projectInfo, path, ref) => ({ content: contents[ref] }));
+}
+
+describe('createUnifiedDiff', () => {
+    test('produces hunks without file headers', () => {
+        const diff = createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\n');
+
+        expect(diff).toBe('@@ -1,3 +1,3 @@\n a\n-b\n+B\n c');
+    });
+
+    test('returns an empty string for identical contents', () => {
+        expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+    });
+});
+
+describe('canDiffLocally', () => {
+    test('rejects binary files', () => {
+        expect(canDiffLocally({ name: 'logo.png' })).toBe(false);
+        expect(canDiffLocally({ name: 'app.js' })).toBe(true);
+    });
+});
+
+describe('renderLocalDiff', () => {
+    const commitInfo = { projectPath: 'ns/repo', commitSha: 'head', isCommitPage: true };
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+    });
+
+    test('diffs a commit against its first parent', async () => {
+        setProjectContext(commitInfo, 'head');
+        fetchCommit.mockResolvedValue({ id: 'head', parent_ids: ['parent'] });
+        serveContents({ parent: 'one\ntwo\n', head: 'one\nthree\n' });
+
+        await renderLocalDiff(container, { name: 'a.js', path: 'a.js', status: 'modified', ref: 'head' });
+
+        expect(fetchCommit).toHaveBeenCalledWith(commitInfo, 'head', null);
+        expect(container.querySelectorAll('.ct-diff-line').length).toBe(3);
+        expect(container.textContent).toContain('three');
+    });
+
+    test('reads the old side from old_path for renamed files', async () => {
+        setProjectContext(commitInfo, 'head');
+        fetchCommit.mockResolvedValue({ id: 'head', parent_ids: ['parent'] });
+        serveContents({ parent: 'x\n', head: 'y\n' });
+
+        await renderLocalDiff(container, { name: 'new.js', path: 'new.js', old_path: 'old.js', status: 'renamed', ref: 'head' });
+
+        expect(fetchFileContent).toHaveBeenCalledWith(commitInfo, 'old.js', 'parent', false, null);
+    });
+
+    test('does not fetch a base for added files', async () => {
+        setProjectContext(commitInfo, 'head');
+        serveContents({ head: 'new\n' });
+
+        await renderLocalDiff(container, { name: 'a.js', path: 'a.js', status: 'added', ref: 'head' });
+
+        expect(fetchCommit).not.toHaveBeenCalled();
+        expect(fetchFileContent).toHaveBeenCalledTimes(1);
+        expect(container.textContent).toContain('new');
+    });
+
+    test('uses the merge base on three-dot compares', async () => {
+        const compareInfo = { projectPath: 'ns/repo', isComparePage: true, targetBranch: 'main', sourceBranch: 'feature' };
+        setProjectContext(compareInfo);
+        fetchMergeBase.mockResolvedValue({ id: 'base' });
+        serveContents({ base: 'a\n', feature: 'b\n' });
+
+        await renderLocalDiff(container, { name: 'a.js', path: 'a.js', status: 'modified', ref: 'feature' });
+
+        expect(fetchMergeBase).toHaveBeenCalledWith(compareInfo, 'main', 'feature', null);
+        expect(fetchFileContent).toHaveBeenCalledWith(compareInfo, 'a.js', 'base', false, null);
+    });
+
+    test('reads the old side of a cross-project compare from the target project', async () => {
+        const compareInfo = {
+            projectPath: 'fork/repo',
+            isComparePage: true,
+            targetBranch: 'main',
+            sourceBranch: 'feature',
+            fromProjectId: '7',
+            fromProjectPath: 'upstream/repo'
+        };
+        setProjectContext(compareInfo);
+        fetchCommit.mockResolvedValue({ id: 'upstream-main' });
+        fetchMergeBase.mockResolvedValue({ id: 'base' });
+        serveContents({ base: 'a\n', feature: 'b\n' });
+
+        await renderLocalDiff(container, { name: 'a.js', path: 'a.js', status: 'modified', ref: 'feature' });
+
+        expect(fetchCommit.mock.calls[0][0].projectPath).toBe('upstream/repo');
+        expect(fetchMergeBase).toHaveBeenCalledWith(compareInfo, 'upstream-main', 'feature', null);
+        expect(fetchFileContent.mock.calls.find(call => call[2] === 'base')[0].projectPath).toBe('upstream/repo');
+        expect(fetchFileContent.mock.calls.find(call => call[2] === 'feature')[0].projectPath).toBe('fork/repo');
+    });
+
+    test('uses a known base_ref as is', async () => {
+        setProjectContext({ projectPath: 'ns/repo', isMergeRequestPage: true }, 'head');
+        serveContents({ base: 'a\n', head: 'b\n' });
+
+        await renderLocalDiff(container, { name: 'a.js', path: 'a.js', status: 'modified', ref: 'head', base_ref: 'base' });
+
+        expect(fetchCommit).not.toHaveBeenCalled();
+        expect(fetchMergeBase).not.toHaveBeenCalled();
+    });
+
+    test('asks for confirmation before downloading large files', async () => {
+        localDiff.maxSize = 4;
+        setProjectContext(commitInfo, 'head');
+        fetchCommit.mockResolvedValue({ id: 'head', parent_ids: ['parent'] });
+        fetchFileSize.mockResolvedValue(3);
+        serveContents({ parent: 'aaa\n', head: 'bbb\n' });
+
+        const rendering = renderLocalDiff(container, { name: 'a.js', path: 'a.js', status: 'modified', ref: 'head' });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(fetchFileSize).toHaveBeenCalledWith(commitInfo, 'a.js', 'head', null);
+        expect(fetchFileContent).not.toHaveBeenCalled();
+        expect(container.querySelector('.ct-diff-empty-text').textContent).toContain('Fichier volumineux');
+
+        container.querySelector('.ct-diff-load-btn').click();
+        await rendering;
+
+        expect(container.querySelector('.ct-diff-empty')).toBeNull();
+        expect(container.querySelectorAll('.ct-diff-line').length).toBe(2);
+    });
+
+    test('stops waiting for the confirmation when another file is selected', async () => {
+        localDiff.maxSize = 4;
+        setProjectContext(commitInfo, 'head');
+        fetchFileSize.mockResolvedValue(10);
+        const controller = new AbortController();
+
+        const rendering = renderLocalDiff(container, { name: 'a.js', path: 'a.js', status: 'added', ref: 'head' }, controller.signal);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        controller.abort();
+
+        await expect(rendering).rejects.toMatchObject({ name: 'AbortError' });
+        expect(fetchFileContent).not.toHaveBeenCalled();
+    });
+
+    test('rejects binary files without fetching anything', async () => {
+        setProjectContext(commitInfo, 'head');
+
+        await expect(renderLocalDiff(container, { name: 'logo.png', path: 'logo.png', status: 'modified', ref: 'head' }))
+            .rejects.toThrow();
+        expect(fetchFileContent).not.toHaveBeenCalled();
+    });
+});
@@ -1,5 +1,6 @@
 import {
     createTreeContainer,
+    setupToolbarFeatures,
     createLoadingIndicator,
     createErrorMessage
 } from '../src/components/common/container.js';
@@ -7,8 +8,13 @@ import {
     renderTree,
     expandAllFolders,
     collapseAllFolders,
-    setupSearch
+    setupSearch,
+    setupGeneratedToggle,
+    setupViewedFiles,
+    setupCodeOwners,
+    setupDiffLayoutToggle
 } from '../src/components/tree/renderer.js';
+import { processFilesFromApiResponse, markCodeOwners, buildFileTree } from '../src/api/transformer.js';
 import { setupPreviewSearch } from '../src/components/preview/search.js';
 import { renderDiff } from '../src/components/preview/diff-renderer.js';
 
@@ -234,6 +240,32 @@ describe('renderTree', () => {
         expect(badge).toBeDefined();
         expect(badge.textContent).toBe('A');
     });
+
+    test('should render mode badges for executable-bit changes', () => {
+        Object.assign(fileTree.children['README.md'], { status: 'modified', a_mode: '100644', b_mode: '100755' });
+        renderTree(container, fileTree);
+
+        const readme = Array.from(container.querySelectorAll('.ct-tree-item'))
+            .find(item => item.textContent.includes('README.md'));
+        const badge = readme.querySelector('.ct-mode-badge');
+
+        expect(badge.textContent).toBe('+x');
+        expect(badge.title).toContain('100644 → 100755');
+        expect(container.querySelectorAll('.ct-mode-badge')).toHaveLength(1);
+    });
+
+    test('should render a comment count badge on commented files', () => {
+        fileTree.children['README.md'].discussions = [
+            { id: 'd1', position: {}, notes: [{ body: 'a' }, { body: 'b' }] },
+            { id: 'd2', position: {}, notes: [{ body: 'c' }] }
+        ];
+        renderTree(container, fileTree);
+
+        const badges = container.querySelectorAll('.ct-comment-count');
+        expect(badges).toHaveLength(1);
+        expect(badges[0].textContent).toBe('3');
+        expect(badges[0].title).toBe('3 commentaire(s)');
+    });
 });
 
 describe('Ctrl+click on folder', () => {
@@ -354,6 +386,261 @@ describe('expandAllFolders and collapseAllFolders', () => {
     });
 });
 
+describe('generated files', () => {
+    let treeView;
+    let searchInput;
+    let toggleBtn;
+    let fileTree;
+
+    beforeEach(() => {
+        treeView = document.createElement('div');
+        searchInput = document.createElement('input');
+        toggleBtn = document.createElement('button');
+        document.body.appendChild(toggleBtn);
+        fileTree = {
+            type: 'folder',
+            name: 'root',
+            children: {
+                'dist': {
+                    type: 'folder',
+                    name: 'dist',
+                    path: 'dist',
+                    children: {
+                        'app.js': { type: 'file', name: 'app.js', path: 'dist/app.js', generated: true }
+                    }
+                },
+                'yarn.lock': { type: 'file', name: 'yarn.lock', path: 'yarn.lock', generated: true },
+                'index.js': { type: 'file', name: 'index.js', path: 'index.js' }
+            }
+        };
+    });
+
+    afterEach(() => {
+        document.body.replaceChildren();
+    });
+
+    const renderedPaths = () => Array.from(treeView.querySelectorAll('.ct-tree-item'))
+        .map(item => item.dataset.path);
+
+    test('are hidden by default, with the folders holding only generated files', () => {
+        renderTree(treeView, fileTree);
+
+        expect(renderedPaths()).toEqual(['index.js']);
+    });
+
+    test('are shown dimmed once the toolbar toggle is on', () => {
+        renderTree(treeView, fileTree);
+        setupGeneratedToggle(toggleBtn, searchInput, treeView, fileTree, null);
+
+        expect(toggleBtn.title).toBe('Afficher les fichiers générés (2)');
+        toggleBtn.click();
+
+        expect(renderedPaths()).toEqual(['dist', 'dist/app.js', 'index.js', 'yarn.lock']);
+        expect(treeView.querySelector('[data-path="yarn.lock"]').classList.contains('ct-generated')).toBe(true);
+        expect(toggleBtn.classList.contains('ct-view-mode-active')).toBe(true);
+    });
+
+    test('keep the search filter when toggled', () => {
+        renderTree(treeView, fileTree);
+        setupGeneratedToggle(toggleBtn, searchInput, treeView, fileTree, null);
+        searchInput.value = '*.lock';
+
+        toggleBtn.click();
+
+        expect(renderedPaths()).toEqual(['yarn.lock']);
+    });
+
+    test('toggle is removed when the tree has no generated file', () => {
+        delete fileTree.children['yarn.lock'];
+        delete fileTree.children['dist'];
+
+        setupGeneratedToggle(toggleBtn, searchInput, treeView, fileTree, null);
+
+        expect(toggleBtn.isConnected).toBe(false);
+    });
+});
+
+describe('viewed files', () => {
+    let treeView;
+    let searchInput;
+    let toggleBtn;
+    let counter;
+    let fileTree;
+    let viewedFiles;
+
+    beforeEach(() => {
+        treeView = document.createElement('div');
+        searchInput = document.createElement('input');
+        toggleBtn = document.createElement('button');
+        counter = document.createElement('span');
+        document.body.append(treeView, toggleBtn, counter);
+        fileTree = {
+            type: 'folder',
+            name: 'root',
+            children: {
+                'docs': {
+                    type: 'folder',
+                    name: 'docs',
+                    path: 'docs',
+                    children: {
+                        'guide.md': { type: 'file', name: 'guide.md', path: 'docs/guide.md', status: 'modified' }
+                    }
+                },
+                'index.js': { type: 'file', name: 'index.js', path: 'index.js', status: 'modified' }
+            }
+        };
+        viewedFiles = {
+            storageKey: 'viewedFiles:test',
+            marks: { 'docs/guide.md': 'h1' },
+            fingerprints: new Map([['docs/guide.md', 'h1'], ['index.js', 'h2']]),
+            hideViewed: false
+        };
+    });
+
+    afterEach(() => {
+        document.body.replaceChildren();
+    });
+
+    const renderedPaths = () => Array.from(treeView.querySelectorAll('.ct-tree-item'))
+        .map(item => item.dataset.path);
+    const checkboxOf = (path) => treeView.querySelector(`[data-path="${path}"] .ct-viewed-checkbox`);
+
+    test('get a checkbox on file rows only, checked for viewed files', () => {
+        renderTree(treeView, fileTree, 0, '', null, null, false, viewedFiles);
+
+        expect(checkboxOf('docs')).toBeNull();
+        expect(checkboxOf('docs/guide.md').checked).toBe(true);
+        expect(checkboxOf('index.js').checked).toBe(false);
+        expect(treeView.querySelector('[data-path="docs/guide.md"]').classList.contains('ct-viewed')).toBe(true);
+    });
+
+    test('are counted in the header and updated when a checkbox changes', () => {
+        renderTree(treeView, fileTree, 0, '', null, null, false, viewedFiles);
+        setupViewedFiles(toggleBtn, counter, searchInput, treeView, fileTree, viewedFiles, null);
+        expect(counter.textContent).toBe('1/2 vus');
+
+        checkboxOf('index.js').click();
+
+        expect(counter.textContent).toBe('2/2 vus');
+        expect(viewedFiles.marks['index.js']).toBe('h2');
+        expect(treeView.querySelector('[data-path="index.js"]').classList.contains('ct-viewed')).toBe(true);
+    });
+
+    test('checking a file does not select it', () => {
+        renderTree(treeView, fileTree, 0, '', null, null, false, viewedFiles);
+        setupViewedFiles(toggleBtn, counter, searchInput, treeView, fileTree, viewedFiles, null);
+
+        checkboxOf('index.js').click();
+
+        expect(treeView.querySelector('.ct-selected')).toBeNull();
+    });
+
+    test('are hidden with their folders once the toolbar toggle is on', () => {
+        renderTree(treeView, fileTree, 0, '', null, null, false, viewedFiles);
+        setupViewedFiles(toggleBtn, counter, searchInput, treeView, fileTree, viewedFiles, null);
+
+        toggleBtn.click();
+        expect(renderedPaths()).toEqual(['index.js']);
+        expect(toggleBtn.title).toBe('Afficher les fichiers vus');
+
+        checkboxOf('index.js').click();
+        expect(renderedPaths()).toEqual([]);
+    });
+
+    test('counter and toggle are removed without viewed state', () => {
+        setupViewedFiles(toggleBtn, counter, searchInput, treeView, fileTree, null, null);
+
+        expect(toggleBtn.isConnected).toBe(false);
+        expect(counter.isConnected).toBe(false);
+    });
+});
+
+describe('code owners', () => {
+    let result;
+    let fileTree;
+
+    beforeEach(() => {
+        result = createTreeContainer('Test', 3);
+        document.body.appendChild(result.container);
+        const files = markCodeOwners(processFilesFromApiResponse([
+            { new_path: 'src/app.js', old_path: 'src/app.js', diff: '+a' },
+            { new_path: 'src/api/users.rb', old_path: 'src/api/users.rb', diff: '+b' },
+            { new_path: 'README.md', old_path: 'README.md', diff: '+c' }
+        ]), '/src/ @dev\n[Backend]\n*.rb @backend\n');
+        fileTree = buildFileTree(files);
+    });
+
+    afterEach(() => {
+        document.body.replaceChildren();
+    });
+
+    const renderedPaths = () => Array.from(result.treeView.querySelectorAll('.ct-tree-item'))
+        .map(item => item.dataset.path);
+
+    test('are shown as badges on files and folders', () => {
+        renderTree(result.treeView, fileTree);
+
+        const badge = result.treeView.querySelector('[data-path="src/api/users.rb"] .ct-owner-badge');
+        expect(badge.textContent).toBe('@dev +1');
+        expect(badge.title).toBe('Propriétaires : @dev, @backend');
+        expect(result.treeView.querySelector('[data-path="README.md"] .ct-owner-badge')).toBeNull();
+    });
+
+    test('filter the tree by owner', () => {
+        renderTree(result.treeView, fileTree);
+        setupCodeOwners(result.ownerSelect, result.ownerGroupBtn, result.searchInput, result.treeView, fileTree, null);
+
+        expect(Array.from(result.ownerSelect.options, option => option.value)).toEqual(['', '@backend', '@dev', 'none']);
+
+        result.ownerSelect.value = '@backend';
+        result.ownerSelect.dispatchEvent(new Event('change'));
+        expect(renderedPaths()).toEqual(['src', 'api', 'src/api/users.rb']);
+
+        result.ownerSelect.value = 'none';
+        result.ownerSelect.dispatchEvent(new Event('change'));
+        expect(renderedPaths()).toEqual(['README.md']);
+    });
+
+    test('group the tree by CODEOWNERS section', () => {
+        renderTree(result.treeView, fileTree);
+        setupCodeOwners(result.ownerSelect, result.ownerGroupBtn, result.searchInput, result.treeView, fileTree, null);
+
+        result.ownerGroupBtn.click();
+
+        const sections = Array.from(result.treeView.querySelectorAll(':scope > .ct-owner-section'))
+            .map(item => item.dataset.path);
+        expect(sections).toEqual(['Backend', 'codeowners', 'Sans propriétaire']);
+        expect(result.ownerGroupBtn.classList.contains('ct-view-mode-active')).toBe(true);
+
+        result.ownerGroupBtn.click();
+        expect(result.treeView.querySelector('.ct-owner-section')).toBeNull();
+    });
+
+    test('show section names as text', () => {
+        const files = markCodeOwners(processFilesFromApiResponse([
+            { new_path: 'a.js', old_path: 'a.js', diff: '+a' }
+        ]), '[<img src=x onerror=alert(1)>]\n*.js @dev\n');
+        const sectionTree = buildFileTree(files);
+        renderTree(result.treeView, sectionTree);
+        setupCodeOwners(result.ownerSelect, result.ownerGroupBtn, result.searchInput, result.treeView, sectionTree, null);
+
+        result.ownerGroupBtn.click();
+
+        const section = result.treeView.querySelector('.ct-owner-section .ct-tree-item-name');
+        expect(section.textContent).toBe('<img src=x onerror=alert(1)>');
+        expect(result.treeView.querySelector('img')).toBeNull();
+    });
+
+    test('controls are removed without CODEOWNERS', () => {
+        const plainTree = buildFileTree(processFilesFromApiResponse([{ new_path: 'a.js', old_path: 'a.js', diff: '+a' }]));
+
+        setupCodeOwners(result.ownerSelect, result.ownerGroupBtn, result.searchInput, result.treeView, plainTree, null);
+
+        expect(result.ownerSelect.isConnected).toBe(false);
+        expect(result.ownerGroupBtn.isConnected).toBe(false);
+    });
+});
+
 describe('setupSearch', () => {
     test('should filter tree on input', (done) => {
         const result = createTreeContainer('Test', 1);
@@ -478,6 +765,328 @@ describe('renderDiff', () => {
         const separators = container.querySelectorAll('.ct-diff-separator');
         expect(separators.length).toBe(1);
     });
+
+    describe('discussions', () => {
+        const diff = `@@ -1,2 +1,2 @@
+ context
+-old value
++new value`;
+
+        const discussion = (id, position, body = 'Looks good') => ({
+            id,
+            position,
+            notes: [{ body, author: { name: 'Alice' }, created_at: '2024-01-10T10:00:00Z' }]
+        });
+
+        test('anchors threads below the rows matching their old or new line', () => {
+            renderDiff(container, diff, 'test.js', [
+                discussion('d1', { new_line: 2, old_line: null }),
+                discussion('d2', { new_line: null, old_line: 2 })
+            ]);
+
+            const rows = Array.from(container.querySelector('.ct-diff-table').children);
+            const threadRows = rows.filter(row => row.classList.contains('ct-diff-discussion-row'));
+            expect(threadRows).toHaveLength(2);
+            expect(rows[rows.indexOf(threadRows[0]) - 1].classList.contains('ct-diff-line-removed')).toBe(true);
+            expect(rows[rows.indexOf(threadRows[1]) - 1].classList.contains('ct-diff-line-added')).toBe(true);
+            expect(container.querySelectorAll('.ct-diff-line-commented')).toHaveLength(2);
+        });
+
+        test('keeps threads collapsed until their toggle is clicked', () => {
+            renderDiff(container, diff, 'test.js', [discussion('d1', { new_line: 1, old_line: 1 }, '<b>nit</b>')]);
+
+            const thread = container.querySelector('.ct-discussion-thread');
+            const notes = thread.querySelector('.ct-discussion-notes');
+            expect(thread.querySelector('.ct-discussion-toggle').textContent).toBe('1 commentaire(s) · Alice');
+            expect(notes.style.display).toBe('none');
+
+            thread.querySelector('.ct-discussion-toggle').click();
+
+            expect(notes.style.display).toBe('');
+            expect(notes.querySelector('.ct-discussion-note-body').textContent).toBe('<b>nit</b>');
+        });
+
+        test('lists threads on lines outside the hunks after the table', () => {
+            renderDiff(container, diff, 'test.js', [discussion('d1', { new_line: 40, old_line: 40 })]);
+
+            expect(container.querySelector('.ct-diff-discussion-row')).toBeNull();
+            expect(container.lastChild.textContent).toContain('ligne 40, hors du diff affiché');
+        });
+    });
+
+    describe('context expansion', () => {
+        const newLines = Array.from({ length: 60 }, (_, i) => (i === 49 ? 'line 50 changed' : `line ${i + 1}`));
+        const diff = `@@ -1,5 +1,4 @@
+ line 1
+ line 2
+-gone
+ line 3
+ line 4
+@@ -48,7 +47,7 @@
+ line 47
+ line 48
+ line 49
+-line 50
++line 50 changed
+ line 51
+ line 52
+ line 53`;
+
+        let loadNewContent;
+
+        beforeEach(() => {
+            loadNewContent = jest.fn(async () => `${newLines.join('\n')}\n`);
+        });
+
+        const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+        const separators = () => container.querySelectorAll('.ct-diff-separator');
+        const lineNumbers = (row) => Array.from(row.querySelectorAll('.ct-line-num')).map(cell => cell.textContent);
+
+        test('keeps plain separators without the new file content', () => {
+            renderDiff(container, diff, 'test.js');
+
+            expect(separators()).toHaveLength(1);
+            expect(container.querySelector('.ct-diff-expandable')).toBeNull();
+        });
+
+        test('reveals the lines hidden between hunks, numbered on both sides', async () => {
+            renderDiff(container, diff, 'test.js', [], 'unified', loadNewContent);
+            const separator = separators()[0];
+            expect(separators()).toHaveLength(2);
+
+            separator.querySelector('[data-direction="down"]').click();
+            await flush();
+            let previous = separator.previousElementSibling;
+            expect(lineNumbers(previous)).toEqual(['25', '24']);
+            expect(previous.querySelector('.ct-line-content').textContent).toBe('line 24');
+            expect(container.querySelectorAll('.ct-diff-line')).toHaveLength(13 + 20);
+
+            separator.querySelector('[data-direction="up"]').click();
+            await flush();
+            expect(lineNumbers(separator.nextElementSibling)).toEqual(['28', '27']);
+            expect(separator.querySelector('.ct-diff-separator-cell').title).toBe('Afficher les 2 ligne(s) masquée(s)');
+
+            separator.querySelector('.ct-diff-separator-cell').click();
+            await flush();
+            expect(container.contains(separator)).toBe(false);
+            const numbers = Array.from(container.querySelectorAll('.ct-line-num-new')).map(cell => cell.textContent).filter(Boolean);
+            expect(numbers.slice(0, 51)).toEqual(Array.from({ length: 51 }, (_, i) => String(i + 1)));
+            expect(loadNewContent).toHaveBeenCalledTimes(1);
+        });
+
+        test('reveals the end of the file below the last hunk', async () => {
+            renderDiff(container, diff, 'test.js', [], 'unified', loadNewContent);
+            const bottom = separators()[1];
+            expect(bottom.querySelector('[data-direction="up"]')).toBeNull();
+
+            bottom.querySelector('[data-direction="down"]').click();
+            await flush();
+
+            expect(container.contains(bottom)).toBe(false);
+            const lastRow = container.querySelector('.ct-diff-table').lastElementChild;
+            expect(lineNumbers(lastRow)).toEqual(['61', '60']);
+            expect(lastRow.querySelector('.ct-line-content').textContent).toBe('line 60');
+        });
+
+        test('has no bottom separator when the last hunk visibly reaches the end of the file', () => {
+            renderDiff(container, '@@ -58,3 +58,3 @@\n line 58\n-line 59\n+line 59 changed\n line 60', 'test.js', [], 'unified', loadNewContent);
+            expect(separators()).toHaveLength(1);
+
+            container.replaceChildren();
+            renderDiff(container, '@@ -57,4 +57,4 @@\n line 57\n-x\n+line 58\n line 59\n line 60\n\\ No newline at end of file', 'test.js', [], 'unified', loadNewContent);
+            expect(separators()).toHaveLength(1);
+            expect(separators()[0].querySelector('[data-direction="down"]')).toBeNull();
+        });
+
+        test('drops the bottom separator once the file shows nothing follows the last hunk', async () => {
+            renderDiff(container, '@@ -55,6 +55,6 @@\n line 55\n line 56\n-x\n+line 57\n line 58\n line 59\n line 60', 'test.js', [], 'unified', loadNewContent);
+            const [top, bottom] = separators();
+            expect(bottom.classList.contains('ct-diff-expandable')).toBe(true);
+
+            top.querySelector('[data-direction="up"]').click();
+            await flush();
+
+            expect(container.contains(bottom)).toBe(false);
+            expect(loadNewContent).toHaveBeenCalledTimes(1);
+        });
+
+        test('reveals the lines above the first hunk', async () => {
+            renderDiff(container, '@@ -30,2 +30,2 @@\n-line 30\n+line 30 changed\n line 31', 'test.js', [], 'unified', loadNewContent);
+            const top = separators()[0];
+            expect(top.querySelector('[data-direction="down"]')).toBeNull();
+
+            top.querySelector('[data-direction="up"]').click();
+            await flush();
+
+            expect(lineNumbers(top.nextElementSibling)).toEqual(['10', '10']);
+            expect(top.querySelector('.ct-diff-separator-cell').title).toBe('Afficher les 9 ligne(s) masquée(s)');
+        });
+
+        test('renders revealed lines in the split layout', async () => {
+            renderDiff(container, diff, 'test.js', [], 'split', loadNewContent);
+
+            separators()[0].querySelector('.ct-diff-separator-cell').click();
+            await flush();
+
+            const row = container.querySelectorAll('.ct-diff-line')[5];
+            expect(Array.from(row.children).map(cell => cell.textContent)).toEqual(['6', 'line 5', '5', 'line 5']);
+        });
+
+        test('reports a file that cannot be loaded', async () => {
+            loadNewContent.mockRejectedValueOnce(new Error('404 Not Found'));
+            renderDiff(container, diff, 'test.js', [], 'unified', loadNewContent);
+            const separator = separators()[0];
+
+            separator.querySelector('.ct-diff-separator-cell').click();
+            await flush();
+
+            expect(separator.classList.contains('ct-diff-expandable')).toBe(false);
+            expect(separator.textContent).toContain('Contexte indisponible : 404 Not Found');
+        });
+    });
+
+    describe('split layout', () => {
+        const diff = `@@ -1,3 +1,3 @@
+ context
+-const value = 1;
++const value = 2;
+-removed only
+@@ -10,1 +10,2 @@
+ tail
++added only`;
+
+        const cells = (row) => Array.from(row.children).map(cell => cell.textContent);
+
+        test('shows old and new lines side by side with their own numbers', () => {
+            renderDiff(container, diff, 'test.js', [], 'split');
+
+            const table = container.querySelector('.ct-diff-table');
+            expect(table.classList.contains('ct-diff-split')).toBe(true);
+
+            const rows = table.querySelectorAll('.ct-diff-line');
+            expect(rows).toHaveLength(5);
+            expect(cells(rows[0])).toEqual(['1', 'context', '1', 'context']);
+            expect(cells(rows[1])).toEqual(['2', 'const value = 1;', '2', 'const value = 2;']);
+            expect(cells(rows[4])).toEqual(['', '', '11', 'added only']);
+            expect(table.querySelectorAll('.ct-diff-separator')).toHaveLength(1);
+        });
+
+        test('aligns paired lines and keeps their word-level highlighting', () => {
+            renderDiff(container, diff, 'test.js', [], 'split');
+
+            const row = container.querySelectorAll('.ct-diff-line')[1];
+            expect(row.querySelector('.ct-line-content-old .ct-word-removed').textContent).toBe('1');
+            expect(row.querySelector('.ct-line-content-new .ct-word-added').textContent).toBe('2');
+            expect(row.querySelector('.ct-line-content-old').classList.contains('ct-diff-cell-removed')).toBe(true);
+            expect(row.querySelector('.ct-line-content-new').classList.contains('ct-diff-cell-added')).toBe(true);
+        });
+
+        test('leaves the missing side of unpaired lines empty', () => {
+            const unpaired = `@@ -1,2 +1,1 @@
+-first
+-second
++replacement`;
+
+            renderDiff(container, unpaired, 'test.js', [], 'split');
+
+            const rows = container.querySelectorAll('.ct-diff-line');
+            expect(cells(rows[0])).toEqual(['1', 'first', '1', 'replacement']);
+            expect(cells(rows[1])).toEqual(['2', 'second', '', '']);
+            expect(rows[1].querySelector('.ct-line-content-new').classList.contains('ct-diff-cell-empty')).toBe(true);
+            expect(container.querySelector('.ct-word-added')).toBeNull();
+        });
+
+        test('anchors discussions below their row', () => {
+            renderDiff(container, diff, 'test.js', [{
+                id: 'd1',
+                position: { new_line: null, old_line: 3 },
+                notes: [{ body: 'Why?', author: { name: 'Alice' }, created_at: '2024-01-10T10:00:00Z' }]
+            }], 'split');
+
+            const threadRow = container.querySelector('.ct-diff-discussion-row');
+            expect(cells(threadRow.previousElementSibling).slice(0, 2)).toEqual(['3', 'removed only']);
+        });
+    });
+});
+
+describe('setupDiffLayoutToggle', () => {
+    let layoutBtn;
+    let previewPanel;
+
+    beforeEach(() => {
+        layoutBtn = document.createElement('button');
+        previewPanel = document.createElement('div');
+        previewPanel._diffLayout = 'unified';
+    });
+
+    afterEach(() => {
+        delete global.browser;
+    });
+
+    test('switches between unified and split layouts and stores the choice', async () => {
+        const set = jest.fn(async () => {});
+        global.browser = { storage: { local: { get: jest.fn(async () => ({})), set } } };
+
+        setupDiffLayoutToggle(layoutBtn, previewPanel);
+        layoutBtn.click();
+
+        expect(previewPanel._diffLayout).toBe('split');
+        expect(layoutBtn.classList.contains('ct-view-mode-active')).toBe(true);
+        expect(layoutBtn.title).toBe('Vue unifiée');
+        expect(set).toHaveBeenCalledWith({ diffLayout: 'split' });
+
+        layoutBtn.click();
+
+        expect(previewPanel._diffLayout).toBe('unified');
+        expect(layoutBtn.classList.contains('ct-view-mode-active')).toBe(false);
+    });
+
+    test('restores the stored layout', async () => {
+        global.browser = { storage: { local: { get: jest.fn(async () => ({ diffLayout: 'split' })), set: jest.fn() } } };
+
+        setupDiffLayoutToggle(layoutBtn, previewPanel);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(previewPanel._diffLayout).toBe('split');
+        expect(layoutBtn.classList.contains('ct-view-mode-active')).toBe(true);
+    });
+});
+
+describe('setupToolbarFeatures', () => {
+    const fileTree = {
+        type: 'folder',
+        name: 'root',
+        children: { 'index.js': { type: 'file', name: 'index.js', path: 'index.js' } }
+    };
+
+    beforeEach(() => {
+        global.browser = { storage: { local: { get: jest.fn(async () => ({})), set: jest.fn(async () => {}) } } };
+    });
+
+    afterEach(() => {
+        delete global.browser;
+    });
+
+    test('wires the toolbar of a container, dropping the features the tree has no use for', () => {
+        const result = createTreeContainer('Test', 1);
+
+        setupToolbarFeatures(result, fileTree, null, null);
+        result.diffLayoutBtn.click();
+
+        expect(result.container.contains(result.generatedToggleBtn)).toBe(false);
+        expect(result.container.contains(result.viewedToggleBtn)).toBe(false);
+        expect(result.container.contains(result.viewedCount)).toBe(false);
+        expect(result.previewPanel._diffLayout).toBe('split');
+    });
+
+    test('leaves alone a diff layout button removed by the caller', () => {
+        const result = createTreeContainer('Test', 1);
+        result.diffLayoutBtn.remove();
+
+        setupToolbarFeatures(result, fileTree, null, null);
+
+        expect(result.diffLayoutBtn.onclick).toBeNull();
+    });
 });
 
 describe('createLoadingIndicator', () => {
@@ -508,6 +1117,38 @@ describe('createErrorMessage', () => {
         expect(error.classList.contains('ct-error')).toBe(true);
         expect(error.textContent).toBe('Test error message');
     });
+
+    test('should not show the token prompt for non-authentication errors', () => {
+        const apiError = Object.assign(new Error('API error (500)'), { status: 500 });
+        const error = createErrorMessage('Server error', apiError);
+
+        expect(error.querySelector('.ct-token-prompt')).toBeNull();
+    });
+
+    test('should show a token prompt on 401 errors', () => {
+        const apiError = Object.assign(new Error('API error (401)'), { status: 401 });
+        const error = createErrorMessage('Unauthorized', apiError);
+
+        const prompt = error.querySelector('.ct-token-prompt');
+        expect(prompt).not.toBeNull();
+        expect(prompt.textContent).toContain(window.location.host);
+        expect(prompt.querySelector('input[type="password"]')).not.toBeNull();
+        expect(prompt.querySelector('.ct-token-prompt-btn')).not.toBeNull();
+    });
+
+    test('should show storage failures in the token prompt and allow a retry', async () => {
+        global.browser = { storage: { local: { get: jest.fn(async () => ({})), set: jest.fn(async () => { throw new Error('quota exceeded'); }) } } };
+        const apiError = Object.assign(new Error('API error (401)'), { status: 401 });
+        const prompt = createErrorMessage('Unauthorized', apiError).querySelector('.ct-token-prompt');
+        const saveBtn = prompt.querySelector('.ct-token-prompt-btn');
+
+        prompt.querySelector('.ct-token-prompt-input').value = 'glpat-secret';
+        await saveBtn.onclick();
+
+        expect(prompt.querySelector('.ct-token-prompt-error').textContent).toContain('quota exceeded');
+        expect(saveBtn.disabled).toBe(false);
+        delete global.browser;
+    });
 });
 
 describe('setupPreviewSearch', () => {
@@ -915,4 +1556,55 @@ describe('setupPreviewSearch', () => {
         expect(counter.textContent).toBe('0/0');
         expect(searchBar.style.display).toBe('none');
     });
+
+    describe('split diffs', () => {
+        const diff = `@@ -1,2 +1,2 @@
+ shared test
+-old test
++new test`;
+
+        let table;
+
+        beforeEach(() => {
+            const previewContent = document.createElement('div');
+            previewContent.className = 'ct-preview-content';
+            renderDiff(previewContent, diff, 'test.js', [], 'split');
+            const previewHeader = document.createElement('div');
+            previewHeader.className = 'ct-preview-header';
+            previewPanel.appendChild(previewHeader);
+            previewPanel.appendChild(previewContent);
+            table = previewContent.querySelector('.ct-diff-table');
+        });
+
+        test('counts context lines once', (done) => {
+            const searchBar = previewPanel.querySelector('.ct-preview-search-bar');
+            const searchInput = searchBar.querySelector('.ct-preview-search-input');
+            const counter = searchBar.querySelector('.ct-preview-search-counter');
+
+            searchInput.value = 'test';
+            searchInput.dispatchEvent(new Event('input'));
+
+            setTimeout(() => {
+                expect(counter.textContent).toBe('1/3');
+                done();
+            }, 150);
+        });
+
+        test('restricts Ctrl+A block selection to the side of the cursor', () => {
+            const newCell = table.querySelectorAll('.ct-line-content-new')[1];
+            window.getSelection().collapse(newCell, 0);
+
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', ctrlKey: true }));
+
+            expect(table.dataset.selectSide).toBe('new');
+            const range = window.getSelection().getRangeAt(0);
+            expect(range.intersectsNode(table.querySelector('.ct-diff-line'))).toBe(true);
+        });
+
+        test('restricts mouse selection to the side it starts on', () => {
+            table.querySelector('.ct-line-content-old').dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+            expect(table.dataset.selectSide).toBe('old');
+        });
+    });
 });
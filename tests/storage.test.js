@@ -0,0 +1,74 @@
+import { getStoredValue, setStoredValue, getAccessToken, setAccessToken } from '../src/core/storage.js';
+
+/**
+ * Minimal in-memory stand-in for browser.storage.local
+ */
+function createStorageMock() {
+    const data = {};
+    return {
+        data,
+        get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+        set: jest.fn(async (items) => { Object.assign(data, items); })
+    };
+}
+
+afterEach(() => {
+    delete global.browser;
+    delete global.chrome;
+});
+
+describe('storage — without extension API', () => {
+    test('getStoredValue returns the default value', async () => {
+        expect(await getStoredValue('missing', 'fallback')).toBe('fallback');
+    });
+
+    test('setStoredValue does not throw', async () => {
+        await expect(setStoredValue('key', 'value')).resolves.toBeUndefined();
+    });
+
+    test('getAccessToken returns null', async () => {
+        expect(await getAccessToken('gitlab.com')).toBeNull();
+    });
+});
+
+describe('storage — with browser.storage.local', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorageMock();
+        global.browser = { storage: { local: storage } };
+    });
+
+    test('round-trips a value', async () => {
+        await setStoredValue('key', { a: 1 });
+        expect(await getStoredValue('key')).toEqual({ a: 1 });
+    });
+
+    test('stores tokens per host', async () => {
+        await setAccessToken('gitlab.com', 'token-a');
+        await setAccessToken('gitlab.example.org', ' token-b ');
+
+        expect(await getAccessToken('gitlab.com')).toBe('token-a');
+        expect(await getAccessToken('gitlab.example.org')).toBe('token-b');
+        expect(await getAccessToken('other.host')).toBeNull();
+    });
+
+    test('removes a token when set to an empty value', async () => {
+        await setAccessToken('gitlab.com', 'token-a');
+        await setAccessToken('gitlab.com', '');
+
+        expect(await getAccessToken('gitlab.com')).toBeNull();
+    });
+});
+
+describe('storage — with chrome.storage.local (Chromium)', () => {
+    test('falls back to the chrome namespace', async () => {
+        const storage = createStorageMock();
+        global.chrome = { storage: { local: storage } };
+
+        await setAccessToken('gitlab.com', 'token-a');
+
+        expect(storage.set).toHaveBeenCalled();
+        expect(await getAccessToken('gitlab.com')).toBe('token-a');
+    });
+});
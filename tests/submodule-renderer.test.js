@@ -0,0 +1,74 @@
+import { renderSubmoduleSummary, getSubmoduleSummary } from '../src/components/preview/submodule-renderer.js';
+import { setProjectContext } from '../src/core/context.js';
+
+jest.mock('../src/api/client.js', () => ({
+    fetchFileContent: jest.fn()
+}));
+
+const { fetchFileContent } = require('../src/api/client.js');
+
+const projectInfo = { projectPath: 'group/project', commitSha: 'head', isCommitPage: true };
+const bumpNode = {
+    name: 'lib',
+    path: 'vendor/lib',
+    status: 'modified',
+    ref: 'head',
+    submodule: { old_sha: 'aaaaaaaa1111', new_sha: 'bbbbbbbb2222' }
+};
+
+afterEach(() => {
+    setProjectContext(null, null);
+    jest.clearAllMocks();
+});
+
+describe('getSubmoduleSummary', () => {
+    test('describes a pointer move', () => {
+        expect(getSubmoduleSummary(bumpNode)).toContain('Sous-module déplacé de');
+    });
+
+    test('describes a pinned submodule of the tree page', () => {
+        const node = { ...bumpNode, status: null, submodule: { old_sha: null, new_sha: 'cccccccc3333' } };
+
+        expect(getSubmoduleSummary(node)).toContain('Sous-module épinglé à');
+    });
+});
+
+describe('renderSubmoduleSummary', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        setProjectContext(projectInfo, 'head');
+    });
+
+    test('links to the submodule compare page when .gitmodules resolves', async () => {
+        fetchFileContent.mockResolvedValue({
+            content: '[submodule "lib"]\n\tpath = vendor/lib\n\turl = ../lib.git\n'
+        });
+
+        await renderSubmoduleSummary(container, bumpNode);
+
+        expect(fetchFileContent).toHaveBeenCalledWith(projectInfo, '.gitmodules', 'head', false, null);
+        expect(container.querySelector('a').href)
+            .toBe('http://localhost/group/lib/-/compare/aaaaaaaa1111...bbbbbbbb2222');
+    });
+
+    test('keeps the summary alone when the submodule is hosted elsewhere', async () => {
+        fetchFileContent.mockResolvedValue({
+            content: '[submodule "lib"]\n\tpath = vendor/lib\n\turl = https://github.com/acme/lib.git\n'
+        });
+
+        await renderSubmoduleSummary(container, bumpNode);
+
+        expect(container.textContent).toContain('Sous-module déplacé de aaaaaaaa à bbbbbbbb');
+        expect(container.querySelector('a')).toBeNull();
+    });
+
+    test('keeps the summary alone without .gitmodules', async () => {
+        fetchFileContent.mockRejectedValue(new Error('File not found or deleted'));
+
+        await renderSubmoduleSummary(container, bumpNode);
+
+        expect(container.querySelector('a')).toBeNull();
+    });
+});
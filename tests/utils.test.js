@@ -1,4 +1,4 @@
-import { parseFileStats } from '../src/utils/helpers.js';
+import { parseFileStats, mapWithConcurrency, getModeChange, getSymlinkTarget, parseLfsPointer, getLfsPointerFromDiff, formatFileSize, formatRelativeDate, hashString } from '../src/utils/helpers.js';
 
 describe('parseFileStats', () => {
     test('should return 0 for empty diff', () => {
@@ -26,3 +26,135 @@ describe('parseFileStats', () => {
         expect(stats).toEqual({ additions: 0, deletions: 0 });
     });
 });
+
+describe('mapWithConcurrency', () => {
+    test('should keep results in input order', async () => {
+        const delays = [30, 10, 20, 0];
+        const result = await mapWithConcurrency(delays, 2, (delay, index) =>
+            new Promise(resolve => setTimeout(() => resolve(index), delay)));
+
+        expect(result).toEqual([0, 1, 2, 3]);
+    });
+
+    test('should never exceed the concurrency limit', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+
+        await mapWithConcurrency([1, 2, 3, 4, 5, 6], 3, async () => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            inFlight--;
+        });
+
+        expect(maxInFlight).toBe(3);
+    });
+
+    test('should handle an empty list', async () => {
+        expect(await mapWithConcurrency([], 4, async x => x)).toEqual([]);
+    });
+});
+
+describe('getModeChange', () => {
+    test('detects the executable bit being set', () => {
+        const change = getModeChange({ a_mode: '100644', b_mode: '100755', has_diff_content: false });
+
+        expect(change).toEqual({ modeChanged: true, executable: 'added', symlink: false, modeOnly: true });
+    });
+
+    test('detects the executable bit being removed alongside a content change', () => {
+        const change = getModeChange({ a_mode: '100755', b_mode: '100644', has_diff_content: true });
+
+        expect(change.executable).toBe('removed');
+        expect(change.modeOnly).toBe(false);
+    });
+
+    test('ignores added and deleted files', () => {
+        expect(getModeChange({ a_mode: '0', b_mode: '100755' }).modeChanged).toBe(false);
+        expect(getModeChange({ a_mode: '100644', b_mode: '0' }).modeChanged).toBe(false);
+    });
+
+    test('flags symbolic links, including deleted ones', () => {
+        expect(getModeChange({ a_mode: '0', b_mode: '120000' }).symlink).toBe(true);
+        expect(getModeChange({ a_mode: '120000', b_mode: '0' }).symlink).toBe(true);
+        expect(getModeChange({ a_mode: null, b_mode: null }).symlink).toBe(false);
+    });
+});
+
+describe('getSymlinkTarget', () => {
+    test('reads the new target of a link', () => {
+        const diff = '@@ -1 +1 @@\n-old/target\n\\ No newline at end of file\n+new/target\n\\ No newline at end of file\n';
+
+        expect(getSymlinkTarget(diff)).toBe('new/target');
+    });
+
+    test('falls back to the old target of a deleted link', () => {
+        expect(getSymlinkTarget('@@ -1 +0,0 @@\n-../shared\n')).toBe('../shared');
+    });
+
+    test('returns null without diff', () => {
+        expect(getSymlinkTarget(null)).toBeNull();
+    });
+});
+
+describe('Git LFS pointers', () => {
+    const pointer = 'version https://git-lfs.github.com/spec/v1\noid sha256:abc123\nsize 2048\n';
+
+    test('parseLfsPointer reads the object id and size', () => {
+        expect(parseLfsPointer(pointer)).toEqual({ oid: 'sha256:abc123', size: 2048 });
+        expect(parseLfsPointer('just some text')).toBeNull();
+    });
+
+    test('getLfsPointerFromDiff reads the new pointer, including unchanged lines', () => {
+        const diff = [
+            '@@ -1,3 +1,3 @@',
+            ' version https://git-lfs.github.com/spec/v1',
+            '-oid sha256:aaa111',
+            '-size 1024',
+            '+oid sha256:bbb222',
+            '+size 4096'
+        ].join('\n');
+
+        expect(getLfsPointerFromDiff(diff)).toEqual({ oid: 'sha256:bbb222', size: 4096 });
+    });
+
+    test('getLfsPointerFromDiff falls back to the pointer of a deleted file', () => {
+        const diff = '@@ -1,3 +0,0 @@\n-version https://git-lfs.github.com/spec/v1\n-oid sha256:aaa111\n-size 1024\n';
+
+        expect(getLfsPointerFromDiff(diff)).toEqual({ oid: 'sha256:aaa111', size: 1024 });
+        expect(getLfsPointerFromDiff('+const a = 1;')).toBeNull();
+    });
+});
+
+describe('formatFileSize', () => {
+    test('formats bytes with the closest unit', () => {
+        expect(formatFileSize(512)).toBe('512 o');
+        expect(formatFileSize(1536)).toBe('1.5 Ko');
+        expect(formatFileSize(5 * 1024 * 1024)).toBe('5.0 Mo');
+    });
+});
+
+describe('formatRelativeDate', () => {
+    const now = new Date('2024-03-01T12:00:00Z').getTime();
+
+    test('uses the largest fitting unit', () => {
+        expect(formatRelativeDate('2024-02-28T12:00:00Z', now)).toBe('avant-hier');
+        expect(formatRelativeDate('2024-01-25T12:00:00Z', now)).toBe('le mois dernier');
+        expect(formatRelativeDate('2021-03-01T12:00:00Z', now)).toBe('il y a 3 ans');
+    });
+
+    test('formats very recent dates as now', () => {
+        expect(formatRelativeDate('2024-03-01T11:59:30Z', now)).toBe('maintenant');
+    });
+});
+
+describe('hashString', () => {
+    test('returns the 32-bit FNV-1a hash in hexadecimal', () => {
+        expect(hashString('')).toBe('811c9dc5');
+        expect(hashString('a')).toBe('e40c292c');
+    });
+
+    test('changes with the text', () => {
+        expect(hashString('+line 1')).not.toBe(hashString('+line 2'));
+    });
+});
@@ -0,0 +1,67 @@
+import {
+    getVersionLabel,
+    getInitialVersionSelection,
+    createVersionPicker
+} from '../src/components/merge-request/versionPicker.js';
+import { cssClasses } from '../src/config/constants.js';
+
+// Newest first, like the MR versions API
+const versions = [
+    { id: 30, head_commit_sha: 'c'.repeat(40), base_commit_sha: 'f'.repeat(40) },
+    { id: 20, head_commit_sha: 'b'.repeat(40), base_commit_sha: 'f'.repeat(40) },
+    { id: 10, head_commit_sha: 'a'.repeat(40), base_commit_sha: 'f'.repeat(40) }
+];
+
+afterEach(() => {
+    window.history.pushState({}, '', '/');
+});
+
+describe('getVersionLabel', () => {
+    test('numbers versions from the oldest one', () => {
+        expect(getVersionLabel(versions, 0)).toBe('Version 3 · cccccccc');
+        expect(getVersionLabel(versions, 2)).toBe('Version 1 · aaaaaaaa');
+    });
+});
+
+describe('getInitialVersionSelection', () => {
+    test('defaults to the whole latest version', () => {
+        expect(getInitialVersionSelection(versions)).toEqual({ baseVersion: null, headVersion: versions[0] });
+    });
+
+    test('reads diff_id and start_sha from the GitLab URL', () => {
+        window.history.pushState({}, '', `/ns/repo/-/merge_requests/1/diffs?diff_id=20&start_sha=${'a'.repeat(40)}`);
+
+        expect(getInitialVersionSelection(versions)).toEqual({ baseVersion: versions[2], headVersion: versions[1] });
+    });
+});
+
+describe('createVersionPicker', () => {
+    test('renders base and head selectors with the current selection', () => {
+        const picker = createVersionPicker(versions, versions[2], versions[0], jest.fn());
+        const [baseSelect, headSelect] = picker.querySelectorAll(`.${cssClasses.versionSelect}`);
+
+        expect(baseSelect.options.length).toBe(versions.length + 1);
+        expect(baseSelect.value).toBe('10');
+        expect(headSelect.value).toBe('30');
+    });
+
+    test('only allows base versions older than the head version', () => {
+        const picker = createVersionPicker(versions, null, versions[1], jest.fn());
+        const baseSelect = picker.querySelector(`.${cssClasses.versionSelect}`);
+        const disabled = Array.from(baseSelect.options).map(option => option.disabled);
+
+        expect(disabled).toEqual([false, true, true, false]);
+    });
+
+    test('notifies the new pair and resets an invalid base', () => {
+        const onChange = jest.fn();
+        const picker = createVersionPicker(versions, versions[1], versions[0], onChange);
+        const [baseSelect, headSelect] = picker.querySelectorAll(`.${cssClasses.versionSelect}`);
+
+        headSelect.value = '20';
+        headSelect.dispatchEvent(new Event('change'));
+
+        expect(baseSelect.value).toBe('');
+        expect(onChange).toHaveBeenCalledWith(null, versions[1]);
+    });
+});
@@ -0,0 +1,144 @@
+import {
+    getViewedStorageKey,
+    loadViewedFiles,
+    isFileViewed,
+    countViewedFiles,
+    setFileViewed
+} from '../src/core/viewed.js';
+import { viewedRetention } from '../src/config/constants.js';
+
+/**
+ * Minimal in-memory stand-in for browser.storage.local
+ */
+function createStorageMock() {
+    const data = {};
+    return {
+        data,
+        get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+        set: jest.fn(async (items) => { Object.assign(data, items); }),
+        remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => delete data[key]); })
+    };
+}
+
+const projectInfo = { projectPath: 'group/project' };
+
+const files = [
+    { path: 'src/app.js', old_path: 'src/app.js', a_mode: '100644', b_mode: '100644', diff_content: '@@ -1 +1 @@\n-a\n+b\n' },
+    { path: 'README.md', old_path: 'README.md', a_mode: '100644', b_mode: '100644', diff_content: '@@ -1 +1 @@\n-x\n+y\n' }
+];
+
+describe('getViewedStorageKey', () => {
+    test('keys merge requests by IID, whatever the version', () => {
+        expect(getViewedStorageKey({ ...projectInfo, isMergeRequestPage: true, mergeRequestIid: '12' }, 'abc'))
+            .toBe('viewedFiles:http://localhost/group/project:!12');
+    });
+
+    test('keys compares by their refs and range mode', () => {
+        const compare = { ...projectInfo, isComparePage: true, targetBranch: 'main', sourceBranch: 'feature' };
+
+        expect(getViewedStorageKey(compare)).toBe('viewedFiles:http://localhost/group/project:main...feature');
+        expect(getViewedStorageKey({ ...compare, straight: true, fromProjectId: '7' }))
+            .toBe('viewedFiles:http://localhost/group/project:7:main..feature');
+    });
+
+    test('keys commits by SHA, preferring the override', () => {
+        expect(getViewedStorageKey({ ...projectInfo, isCommitPage: true, commitSha: 'aaa' })).toMatch(/:aaa$/);
+        expect(getViewedStorageKey({ ...projectInfo, commitSha: 'aaa' }, 'bbb')).toMatch(/:bbb$/);
+    });
+
+    test('returns null without a commit', () => {
+        expect(getViewedStorageKey({ ...projectInfo, isTreePage: true, commitSha: null })).toBeNull();
+    });
+});
+
+describe('viewed files', () => {
+    const mergeRequest = { ...projectInfo, isMergeRequestPage: true, mergeRequestIid: '12' };
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorageMock();
+        global.browser = { storage: { local: storage } };
+    });
+
+    afterEach(() => {
+        delete global.browser;
+        jest.restoreAllMocks();
+    });
+
+    test('are persisted and counted', async () => {
+        const viewedFiles = await loadViewedFiles(mergeRequest, null, files);
+        expect(countViewedFiles(viewedFiles)).toEqual({ viewed: 0, total: 2 });
+
+        await setFileViewed(viewedFiles, 'src/app.js', true);
+
+        expect(isFileViewed(viewedFiles, 'src/app.js')).toBe(true);
+        const reloaded = await loadViewedFiles(mergeRequest, null, files);
+        expect(isFileViewed(reloaded, 'src/app.js')).toBe(true);
+        expect(countViewedFiles(reloaded)).toEqual({ viewed: 1, total: 2 });
+    });
+
+    test('can be unmarked', async () => {
+        const viewedFiles = await loadViewedFiles(mergeRequest, null, files);
+        await setFileViewed(viewedFiles, 'src/app.js', true);
+        await setFileViewed(viewedFiles, 'src/app.js', false);
+
+        expect(isFileViewed(viewedFiles, 'src/app.js')).toBe(false);
+        expect(storage.data).not.toHaveProperty(['viewedFiles:http://localhost/group/project:!12']);
+        expect(storage.data.viewedReviews).toEqual({});
+    });
+
+    test('forget the reviews not written to for too long', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const oldCommit = await loadViewedFiles({ ...projectInfo, commitSha: 'old' }, null, files);
+        await setFileViewed(oldCommit, 'src/app.js', true);
+
+        now.mockReturnValue(1000 + viewedRetention.maxAge + 1);
+        const viewedFiles = await loadViewedFiles(mergeRequest, null, files);
+        await setFileViewed(viewedFiles, 'src/app.js', true);
+
+        expect(storage.data).not.toHaveProperty(['viewedFiles:http://localhost/group/project:old']);
+        expect(Object.keys(storage.data.viewedReviews)).toEqual(['viewedFiles:http://localhost/group/project:!12']);
+    });
+
+    test('keep only the most recently written reviews', async () => {
+        let now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        const commits = Array.from({ length: viewedRetention.maxReviews + 1 }, (_, index) => `sha${index}`);
+
+        for (const commitSha of commits) {
+            const viewedFiles = await loadViewedFiles({ ...projectInfo, commitSha }, null, files);
+            await setFileViewed(viewedFiles, 'src/app.js', true);
+        }
+
+        expect(Object.keys(storage.data.viewedReviews)).toHaveLength(viewedRetention.maxReviews);
+        expect(storage.data).not.toHaveProperty(['viewedFiles:http://localhost/group/project:sha0']);
+        expect(storage.data).toHaveProperty(['viewedFiles:http://localhost/group/project:sha1']);
+    });
+
+    test('reset when the diff of the file changed', async () => {
+        const viewedFiles = await loadViewedFiles(mergeRequest, null, files);
+        await setFileViewed(viewedFiles, 'src/app.js', true);
+        await setFileViewed(viewedFiles, 'README.md', true);
+
+        const newVersion = [{ ...files[0], diff_content: '@@ -1 +1 @@\n-a\n+c\n' }, files[1]];
+        const reloaded = await loadViewedFiles(mergeRequest, null, newVersion);
+
+        expect(isFileViewed(reloaded, 'src/app.js')).toBe(false);
+        expect(isFileViewed(reloaded, 'README.md')).toBe(true);
+    });
+
+    test('keep the marks set from another tab', async () => {
+        const firstTab = await loadViewedFiles(mergeRequest, null, files);
+        const secondTab = await loadViewedFiles(mergeRequest, null, files);
+
+        await setFileViewed(firstTab, 'src/app.js', true);
+        await setFileViewed(secondTab, 'README.md', true);
+
+        const reloaded = await loadViewedFiles(mergeRequest, null, files);
+        expect(countViewedFiles(reloaded)).toEqual({ viewed: 2, total: 2 });
+    });
+
+    test('are not loaded for pages without a review', async () => {
+        expect(await loadViewedFiles({ ...projectInfo, commitSha: null }, null, files)).toBeNull();
+    });
+});
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite';
+import { defineConfig, build } from 'vite';
 import path from 'path';
 import fs from 'fs';
 import { terser } from 'rollup-plugin-terser';
@@ -80,7 +80,31 @@ function iconsPlugin() {
   };
 }
 
-// Plugin pour injecter les données du package.json dans le manifest.json
+const FIREFOX_DIR = path.resolve(__dirname, 'dist/firefox');
+const CHROMIUM_DIR = path.resolve(__dirname, 'dist/chromium');
+
+// Convertit le manifest Firefox (MV2) en manifest Chromium (MV3).
+function toChromiumManifest(manifest) {
+  const {
+    browser_specific_settings: _gecko,
+    optional_permissions: optionalHostPermissions = [],
+    background: _background,
+    ...common
+  } = manifest;
+
+  return {
+    ...common,
+    manifest_version: 3,
+    permissions: [...(manifest.permissions || []), 'scripting'],
+    optional_host_permissions: optionalHostPermissions,
+    background: {
+      service_worker: 'background.js'
+    },
+  };
+}
+
+// Plugin pour injecter les données du package.json dans le manifest.json.
+// Produit le build Firefox (MV2) puis en dérive le build Chromium (MV3) : mêmes fichiers, autre manifest.
 function manifestPlugin() {
   return {
     name: 'manifest-plugin',
@@ -93,9 +117,68 @@ function manifestPlugin() {
       manifest.description = pkg.description;
       
       fs.writeFileSync(
-        path.resolve(__dirname, 'dist/manifest.json'),
+        path.join(FIREFOX_DIR, 'manifest.json'),
         JSON.stringify(manifest, null, 2)
       );
+    },
+    // Après la construction des pages de l'extension, pour copier le build Firefox complet
+    closeBundle: {
+      order: 'post',
+      sequential: true,
+      handler() {
+        const manifest = JSON.parse(fs.readFileSync(path.join(FIREFOX_DIR, 'manifest.json'), 'utf-8'));
+
+        fs.rmSync(CHROMIUM_DIR, { recursive: true, force: true });
+        fs.cpSync(FIREFOX_DIR, CHROMIUM_DIR, { recursive: true });
+        fs.writeFileSync(
+          path.join(CHROMIUM_DIR, 'manifest.json'),
+          JSON.stringify(toChromiumManifest(manifest), null, 2)
+        );
+      }
+    }
+  };
+}
+
+// Plugin pour construire les pages de l'extension (background, options).
+// Chaque entrée est construite à part en IIFE pour que le content script reste sans chunk partagé.
+function extensionPagesPlugin(mode) {
+  const entries = {
+    background: path.resolve(__dirname, 'src/background.js'),
+    options: path.resolve(__dirname, 'src/options/options.js'),
+  };
+
+  return {
+    name: 'extension-pages-plugin',
+    async closeBundle() {
+      for (const [name, entry] of Object.entries(entries)) {
+        await build({
+          configFile: false,
+          mode,
+          logLevel: 'warn',
+          plugins: [iconsPlugin()],
+          build: {
+            outDir: FIREFOX_DIR,
+            emptyOutDir: false,
+            copyPublicDir: false,
+            lib: {
+              entry,
+              name: name.replace(/\W/g, '_'),
+              formats: ['iife'],
+              fileName: () => `${name}.js`,
+            },
+            rollupOptions: {
+              plugins: mode === 'production' ? [terser()] : []
+            }
+          }
+        });
+      }
+
+      for (const file of ['options.html', 'options.css']) {
+        fs.copyFileSync(
+          path.resolve(__dirname, 'src/options', file),
+          path.join(FIREFOX_DIR, file)
+        );
+      }
     }
   };
 }
@@ -104,7 +187,7 @@ export default defineConfig(({ mode }) => ({
   root: 'src',
   publicDir: path.resolve(__dirname, 'src/public'),
   build: {
-    outDir: path.resolve(__dirname, 'dist'),
+    outDir: FIREFOX_DIR,
     emptyOutDir: true,
     chunkSizeWarningLimit: 2000,
     rollupOptions: {
@@ -128,5 +211,6 @@ export default defineConfig(({ mode }) => ({
   plugins: [
     iconsPlugin(),
     manifestPlugin(),
+    extensionPagesPlugin(mode),
   ],
 }));